@@ -3,12 +3,17 @@ import { View, Text, StyleSheet, SafeAreaView, ScrollView, TouchableOpacity } fr
 import WebScraper from './src/components/WebScraper';
 import WebScraperWithAuth from './src/components/WebScraperWithAuth';
 import WebScraperTest from './src/components/WebScraperTest';
+import RecipeManager from './src/components/RecipeManager';
+import RecipeStore from './src/services/RecipeStore';
 
 /**
  * Main App component for the Web Scraper application
  */
 const App = () => {
-  const [activeTab, setActiveTab] = useState('basic'); // 'basic', 'advanced', or 'test'
+  const [activeTab, setActiveTab] = useState('basic'); // 'basic', 'advanced', 'recipes' or 'test'
+
+  // Shared so recipes saved on the Basic tab show up on the Recipes tab
+  const [recipeStore] = useState(() => new RecipeStore());
 
   return (
     <SafeAreaView style={styles.container}>
@@ -35,6 +40,15 @@ const App = () => {
           </Text>
         </TouchableOpacity>
         
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'recipes' && styles.activeTab]}
+          onPress={() => setActiveTab('recipes')}
+        >
+          <Text style={[styles.tabText, activeTab === 'recipes' && styles.activeTabText]}>
+            Recipes
+          </Text>
+        </TouchableOpacity>
+        
         <TouchableOpacity
           style={[styles.tab, activeTab === 'test' && styles.activeTab]}
           onPress={() => setActiveTab('test')}
@@ -46,8 +60,9 @@ const App = () => {
       </View>
 
       <ScrollView style={styles.content}>
-        {activeTab === 'basic' && <WebScraper />}
+        {activeTab === 'basic' && <WebScraper recipeStore={recipeStore} />}
         {activeTab === 'advanced' && <WebScraperWithAuth />}
+        {activeTab === 'recipes' && <RecipeManager recipeStore={recipeStore} />}
         {activeTab === 'test' && <WebScraperTest />}
       </ScrollView>
     </SafeAreaView>
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, Button, StyleSheet, ScrollView, ActivityIndicator, Alert, Share, Platform } from 'react-native';
+import WebScraperService from '../services/WebScraperService';
+import ProfileStore from '../services/ProfileStore';
+import RecipeStore from '../services/RecipeStore';
+import { RECIPE_VERSION } from '../utils/recipe';
+import { isAbortError, RecipeExistsError } from '../utils/errors';
+
+// Starting point for a recipe written from scratch
+const NEW_RECIPE = {
+  version: RECIPE_VERSION,
+  name: 'New recipe',
+  start: 'https://example.com',
+  mapping: {
+    title: 'h1'
+  }
+};
+
+// Font for JSON and run output
+const MONOSPACE_FONT = Platform.select({ ios: 'Menlo', default: 'monospace' });
+
+// Longest run output shown on screen; the full output can be shared
+const MAX_OUTPUT_LENGTH = 5000;
+
+/**
+ * Turn an error into lines for display, one per recipe problem
+ * @param {Error} err - The error
+ * @returns {Array} - Message lines
+ */
+const getErrorLines = (err) => (
+  err.errors ? err.errors.map(({ path, message }) => `${path || 'recipe'}: ${message}`) : [err.message]
+);
+
+/**
+ * Ask the user before replacing saved recipes
+ * @param {RecipeExistsError} err - The error naming the saved recipes
+ * @param {Function} onReplace - Called when the user chooses to replace them
+ */
+const confirmReplace = (err, onReplace) => {
+  Alert.alert('Replace recipe', `${err.message}. Replace ${err.names.length === 1 ? 'it' : 'them'}?`, [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Replace', style: 'destructive', onPress: onReplace }
+  ]);
+};
+
+/**
+ * RecipeManager component for React Native
+ * Saves, edits, runs, imports and exports scrape recipes
+ * @param {Object} props - Component props
+ * @param {RecipeStore} props.recipeStore - Where recipes are saved (defaults to a new RecipeStore)
+ */
+const RecipeManager = ({ recipeStore }) => {
+  const [recipes, setRecipes] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Editor for a new or saved recipe; editingName is null for a new one
+  const [editorText, setEditorText] = useState(null);
+  const [editingName, setEditingName] = useState(null);
+  const [editorErrors, setEditorErrors] = useState([]);
+
+  // Pasted JSON for importing
+  const [importText, setImportText] = useState('');
+  const [showImport, setShowImport] = useState(false);
+
+  // Recipe runs
+  const [running, setRunning] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [runResult, setRunResult] = useState(null);
+
+  // Initialize the stores and the scraper service
+  const [store] = useState(() => recipeStore || new RecipeStore());
+  const [profileStore] = useState(() => new ProfileStore());
+  const [scraper] = useState(() => new WebScraperService({
+    profileStore,
+    retry: {
+      onRetry: ({ attempt, maxAttempts }) => setProgress(`Retrying (${attempt}/${maxAttempts})...`)
+    }
+  }));
+
+  // Controller for the run in flight, so it can be cancelled
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Cancel any in-flight run when the component unmounts
+   */
+  useEffect(() => () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  /**
+   * Load the saved recipe list
+   */
+  useEffect(() => {
+    store.list()
+      .then(setRecipes)
+      .catch(err => setError(`Saved recipes are unavailable: ${err.message}`));
+  }, [store]);
+
+  /**
+   * Reload the recipe list after a change
+   */
+  const refresh = async () => {
+    setRecipes(await store.list());
+  };
+
+  /**
+   * Open the editor on a new recipe
+   */
+  const handleNew = () => {
+    setEditorText(JSON.stringify(NEW_RECIPE, null, 2));
+    setEditingName(null);
+    setEditorErrors([]);
+    setStatus(null);
+  };
+
+  /**
+   * Open the editor on a saved recipe
+   * @param {string} name - Recipe name
+   */
+  const handleEdit = async (name) => {
+    try {
+      const recipe = await store.get(name);
+
+      if (!recipe) {
+        setError(`Recipe "${name}" no longer exists`);
+        await refresh();
+        return;
+      }
+
+      setEditorText(JSON.stringify(recipe, null, 2));
+      setEditingName(name);
+      setEditorErrors([]);
+      setStatus(null);
+    } catch (err) {
+      setError(`Could not open recipe: ${err.message}`);
+    }
+  };
+
+  /**
+   * Save the recipe in the editor, renaming it if its name changed
+   * @param {boolean} overwrite - Replace another saved recipe with the same name
+   */
+  const handleSaveEditor = async (overwrite = false) => {
+    try {
+      const saved = await store.save(editorText, { previousName: editingName || undefined, overwrite });
+      await refresh();
+      setEditorText(null);
+      setEditingName(null);
+      setEditorErrors([]);
+      setStatus(`Saved recipe "${saved.name}"`);
+    } catch (err) {
+      if (err instanceof RecipeExistsError) {
+        confirmReplace(err, () => handleSaveEditor(true));
+        return;
+      }
+
+      setEditorErrors(getErrorLines(err));
+    }
+  };
+
+  /**
+   * Close the editor without saving
+   */
+  const handleCancelEditor = () => {
+    setEditorText(null);
+    setEditingName(null);
+    setEditorErrors([]);
+  };
+
+  /**
+   * Save a copy of a recipe
+   * @param {string} name - Recipe name
+   */
+  const handleDuplicate = async (name) => {
+    try {
+      const copy = await store.duplicate(name);
+      await refresh();
+      setStatus(`Saved a copy as "${copy.name}"`);
+    } catch (err) {
+      setError(`Could not duplicate recipe: ${err.message}`);
+    }
+  };
+
+  /**
+   * Delete a recipe once the user confirms
+   * @param {string} name - Recipe name
+   */
+  const handleDelete = (name) => {
+    Alert.alert('Delete recipe', `Delete "${name}"? This cannot be undone.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await store.delete(name);
+            await refresh();
+            setStatus(`Deleted recipe "${name}"`);
+          } catch (err) {
+            setError(`Could not delete recipe: ${err.message}`);
+          }
+        }
+      }
+    ]);
+  };
+
+  /**
+   * Share one recipe, or all of them, as JSON text
+   * @param {string} name - Recipe name (optional; all recipes when left out)
+   */
+  const handleExport = async (name) => {
+    try {
+      const json = await store.exportJson(name);
+      await Share.share({ title: name || 'Scrape recipes', message: json });
+    } catch (err) {
+      setError(`Could not export recipes: ${err.message}`);
+    }
+  };
+
+  /**
+   * Import recipes from pasted JSON
+   * @param {boolean} overwrite - Replace saved recipes with the same names
+   */
+  const handleImport = async (overwrite = false) => {
+    setError(null);
+
+    try {
+      const imported = await store.importJson(importText, { overwrite });
+      await refresh();
+      setImportText('');
+      setShowImport(false);
+      setStatus(`Imported ${imported.map(summary => `"${summary.name}"`).join(', ')}`);
+    } catch (err) {
+      if (err instanceof RecipeExistsError) {
+        confirmReplace(err, () => handleImport(true));
+        return;
+      }
+
+      setError(`Could not import recipes:\n${getErrorLines(err).join('\n')}`);
+    }
+  };
+
+  /**
+   * Run a saved recipe
+   * @param {string} name - Recipe name
+   */
+  const handleRun = async (name) => {
+    // Cancel the previous run before starting a new one
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setRunning(name);
+    setProgress(null);
+    setRunResult(null);
+    setError(null);
+    setStatus(null);
+
+    try {
+      const recipe = await store.get(name);
+
+      if (!recipe) {
+        setError(`Recipe "${name}" no longer exists`);
+        await refresh();
+        return;
+      }
+
+      const result = await scraper.runRecipe(recipe, {
+        signal: controller.signal,
+        onPage: ({ url, pageNumber }) => setProgress(`Page ${pageNumber} of ${url}`)
+      });
+
+      setRunResult(result);
+    } catch (err) {
+      // A cancelled run was replaced or its screen unmounted
+      if (isAbortError(err)) {
+        return;
+      }
+
+      setError(`Error running "${name}":\n${getErrorLines(err).join('\n')}`);
+      console.error('Recipe error:', err);
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setRunning(null);
+      }
+    }
+  };
+
+  /**
+   * Render the recipe editor
+   */
+  const renderEditor = () => (
+    <View style={styles.editorContainer}>
+      <Text style={styles.label}>{editingName ? `Edit "${editingName}"` : 'New Recipe'}</Text>
+      <TextInput
+        style={[styles.input, styles.jsonInput]}
+        value={editorText}
+        onChangeText={setEditorText}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      {editorErrors.map((line, index) => (
+        <Text key={index} style={styles.errorText}>{line}</Text>
+      ))}
+      <View style={styles.buttonRow}>
+        <Button title="Save" onPress={() => handleSaveEditor()} color="#4CAF50" />
+        <Button title="Cancel" onPress={handleCancelEditor} color="#888" />
+      </View>
+    </View>
+  );
+
+  /**
+   * Render the saved recipes with their actions
+   */
+  const renderRecipes = () => {
+    if (recipes.length === 0) {
+      return <Text style={styles.status}>No saved recipes yet. Save one from the Basic Scraper, create one or import one.</Text>;
+    }
+
+    return recipes.map(recipe => (
+      <View key={recipe.name} style={styles.recipeContainer}>
+        <Text style={styles.recipeName}>{recipe.name}</Text>
+        {!!recipe.description && <Text style={styles.recipeDescription}>{recipe.description}</Text>}
+        <Text style={styles.recipeUrl}>{recipe.start.join('\n')}</Text>
+        {recipe.updatedAt && (
+          <Text style={styles.recipeMeta}>Saved {new Date(recipe.updatedAt).toLocaleString()}</Text>
+        )}
+        <View style={styles.buttonRow}>
+          <Button
+            title={running === recipe.name ? 'Running...' : 'Run'}
+            onPress={() => handleRun(recipe.name)}
+            disabled={!!running}
+            color="#4CAF50"
+          />
+          <Button title="Edit" onPress={() => handleEdit(recipe.name)} color="#888" />
+          <Button title="Copy" onPress={() => handleDuplicate(recipe.name)} color="#888" />
+          <Button title="Share" onPress={() => handleExport(recipe.name)} color="#888" />
+          <Button title="Delete" onPress={() => handleDelete(recipe.name)} color="#d32f2f" />
+        </View>
+      </View>
+    ));
+  };
+
+  /**
+   * Render the result of the last run
+   */
+  const renderRunResult = () => {
+    if (!runResult) return null;
+
+    const { name, pages, errors, output } = runResult;
+    const shown = output.length > MAX_OUTPUT_LENGTH ? `${output.slice(0, MAX_OUTPUT_LENGTH)}\n...` : output;
+
+    return (
+      <View style={styles.resultsContainer}>
+        <Text style={styles.resultsTitle}>{name} ({pages.length} pages):</Text>
+        {errors.map(({ url, error: runError }, index) => (
+          <Text key={index} style={styles.errorText}>{url}: {runError.message}</Text>
+        ))}
+        <ScrollView style={styles.resultsScroll}>
+          <Text style={styles.output} selectable>{shown}</Text>
+        </ScrollView>
+        <Button
+          title="Share Output"
+          onPress={() => Share.share({ title: name, message: output })}
+          color="#4CAF50"
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Recipes</Text>
+
+      {editorText !== null ? renderEditor() : (
+        <View style={styles.buttonRow}>
+          <Button title="New Recipe" onPress={handleNew} color="#4CAF50" />
+          <Button title="Import" onPress={() => setShowImport(!showImport)} color={showImport ? '#4CAF50' : '#888'} />
+          <Button title="Share All" onPress={() => handleExport()} disabled={recipes.length === 0} color="#888" />
+        </View>
+      )}
+
+      {showImport && editorText === null && (
+        <View style={styles.editorContainer}>
+          <Text style={styles.label}>Paste recipe JSON:</Text>
+          <TextInput
+            style={[styles.input, styles.jsonInput]}
+            value={importText}
+            onChangeText={setImportText}
+            placeholder='{ "version": 1, "name": "...", ... } or an array of recipes'
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Button title="Import Recipes" onPress={() => handleImport()} disabled={!importText.trim()} color="#4CAF50" />
+        </View>
+      )}
+
+      {status && <Text style={styles.status}>{status}</Text>}
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {renderRecipes()}
+
+      {running && (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#4CAF50" />
+          <Text style={styles.loadingText}>{progress || `Running "${running}"...`}</Text>
+        </View>
+      )}
+
+      {renderRunResult()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    fontWeight: '500',
+  },
+  input: {
+    minHeight: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    paddingHorizontal: 8,
+    backgroundColor: '#fff',
+  },
+  jsonInput: {
+    minHeight: 200,
+    paddingVertical: 8,
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 12,
+    textAlignVertical: 'top',
+    marginBottom: 8,
+  },
+  editorContainer: {
+    marginBottom: 16,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  recipeContainer: {
+    marginBottom: 12,
+    padding: 8,
+    backgroundColor: '#fff',
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  recipeName: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 4,
+  },
+  recipeDescription: {
+    marginBottom: 4,
+  },
+  recipeUrl: {
+    fontSize: 12,
+    color: '#2196F3',
+    marginBottom: 4,
+  },
+  recipeMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  status: {
+    color: '#555',
+    fontStyle: 'italic',
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 8,
+    fontSize: 16,
+    color: '#4CAF50',
+  },
+  errorContainer: {
+    marginBottom: 16,
+    padding: 10,
+    backgroundColor: '#ffebee',
+    borderRadius: 4,
+  },
+  errorText: {
+    color: '#d32f2f',
+  },
+  resultsContainer: {
+    marginTop: 20,
+    flex: 1,
+  },
+  resultsTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  resultsScroll: {
+    flex: 1,
+    maxHeight: 400,
+    backgroundColor: '#fff',
+    borderRadius: 4,
+    padding: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginBottom: 8,
+  },
+  output: {
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 12,
+  },
+});
+
+export default RecipeManager;
@@ -1,23 +1,124 @@
-import React, { useState } from 'react';
-import { View, Text, TextInput, Button, StyleSheet, ScrollView, ActivityIndicator, Image } from 'react-native';
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, TextInput, Button, StyleSheet, ScrollView, ActivityIndicator, Image, Alert } from 'react-native';
 import WebScraperService from '../services/WebScraperService';
+import { isAbortError, RecipeExistsError } from '../utils/errors';
+import { RECIPE_VERSION } from '../utils/recipe';
+
+// Selector hints for each selector mode and scrape type; feeds need no selector
+const SELECTOR_PLACEHOLDERS = {
+  css: {
+    text: 'h1, .content, #main',
+    images: 'img, .gallery img',
+    links: 'a, .links a',
+    tables: 'table, .pricing table'
+  },
+  xpath: {
+    text: "//th[.='Price']/following-sibling::td",
+    images: '//img[@alt]',
+    links: "//nav//a[contains(@href, '/docs/')]",
+    tables: "//h2[contains(., 'Prices')]/following::table[1]"
+  },
+  steps: {
+    text: 'th:contains("Price") >> next(td)',
+    images: '.price >> closest(.card) >> img',
+    links: 'h2:contains("Related") >> next(ul) >> a',
+    tables: 'h2:contains("Prices") >> next(table)'
+  }
+};
+
+const SELECTOR_MODES = [
+  { mode: 'css', title: 'CSS' },
+  { mode: 'xpath', title: 'XPath' },
+  { mode: 'steps', title: 'Steps' }
+];
+
+/**
+ * Build the mapping a recipe needs to repeat a scrape
+ * @param {string} scrapeType - 'text', 'images', 'links' or 'tables'
+ * @param {string} selector - Selector with its mode prefix, or '' for the type's default
+ * @returns {Object} - `{ mapping, records }` where records names the field with the results
+ */
+const getRecipeMapping = (scrapeType, selector) => {
+  switch (scrapeType) {
+    case 'images':
+      return {
+        records: 'images',
+        mapping: {
+          images: {
+            type: 'records',
+            selector: selector || 'img',
+            fields: {
+              url: { type: 'image' },
+              alt: { type: 'attr', attr: 'alt' }
+            }
+          }
+        }
+      };
+    case 'links':
+      return {
+        records: 'links',
+        mapping: {
+          links: {
+            type: 'records',
+            selector: selector || 'a',
+            fields: {
+              text: { type: 'text' },
+              url: { type: 'attr', attr: 'href', transform: 'url' }
+            }
+          }
+        }
+      };
+    case 'tables':
+      return { records: 'rows', mapping: { rows: { type: 'table', selector: selector || 'table' } } };
+    default:
+      return { records: 'text', mapping: { text: { type: 'list', selector } } };
+  }
+};
 
 /**
  * WebScraper component for React Native
  * Demonstrates how to use the WebScraperService in a React Native component
+ * @param {Object} props - Component props
+ * @param {RecipeStore} props.recipeStore - Where "Save as Recipe" saves to (optional; hidden without one)
  */
-const WebScraper = () => {
+const WebScraper = ({ recipeStore }) => {
   const [url, setUrl] = useState('');
   const [selector, setSelector] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
   const [textResults, setTextResults] = useState(null);
   const [imageResults, setImageResults] = useState([]);
   const [linkResults, setLinkResults] = useState([]);
-  const [scrapeType, setScrapeType] = useState('text'); // 'text', 'images', 'links'
+  const [tableResults, setTableResults] = useState([]);
+  const [feedResults, setFeedResults] = useState(null);
+  const [scrapeType, setScrapeType] = useState('text'); // 'text', 'images', 'links', 'tables', 'feed'
+  const [selectorMode, setSelectorMode] = useState('css'); // 'css', 'xpath', 'steps'
+  const [recipeName, setRecipeName] = useState('');
+  const [recipeStatus, setRecipeStatus] = useState(null);
+
+  // Latest retry handler, read by the service created on the first render
+  const onRetryRef = useRef(null);
+  onRetryRef.current = ({ attempt, maxAttempts }) => setRetryStatus(`Retrying (${attempt}/${maxAttempts})...`);
 
   // Initialize the scraper service
-  const scraper = new WebScraperService();
+  const [scraper] = useState(() => new WebScraperService({
+    retry: {
+      onRetry: (info) => onRetryRef.current(info)
+    }
+  }));
+
+  // Controller for the scrape in flight, so it can be cancelled
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Cancel any in-flight scrape when the component unmounts
+   */
+  useEffect(() => () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
 
   /**
    * Handle the scraping process
@@ -28,45 +129,123 @@ const WebScraper = () => {
       return;
     }
 
+    // Cancel the previous scrape before starting a new one
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setLoading(true);
     setError(null);
+    setRetryStatus(null);
     setTextResults(null);
     setImageResults([]);
     setLinkResults([]);
+    setTableResults([]);
+    setFeedResults(null);
 
     try {
-      // Fetch HTML content
-      const html = await scraper.fetchHtml(url);
+      // Feeds are fetched whole; a page URL is followed to the feed it advertises
+      if (scrapeType === 'feed') {
+        const feed = await scraper.fetchFeed(url, { signal: controller.signal });
+        setFeedResults(feed);
+        return;
+      }
+
+      // Fetch the page; extraction reuses its parsed document and final URL
+      const page = await scraper.fetchPage(url, { signal: controller.signal });
+
+      // The prefix keeps the chosen mode, whatever the selector looks like
+      const modeSelector = selector ? `${selectorMode}:${selector}` : '';
 
       // Extract data based on selected type
       switch (scrapeType) {
         case 'text':
           if (selector) {
-            const text = scraper.extractText(html, selector);
+            const text = scraper.extractText(page, modeSelector);
             setTextResults(text);
           } else {
-            setError('Please enter a CSS selector for text extraction');
+            setError('Please enter a selector for text extraction');
           }
           break;
 
         case 'images':
-          const images = scraper.extractImages(html, selector || 'img', url);
+          const images = scraper.extractImages(page, modeSelector || 'img');
           setImageResults(images);
           break;
 
         case 'links':
-          const links = scraper.extractLinks(html, selector || 'a', url);
+          const links = scraper.extractLinks(page, modeSelector || 'a');
           setLinkResults(links);
           break;
 
+        case 'tables':
+          const tables = scraper.extractTables(page, modeSelector || 'table');
+          if (tables.length > 0) {
+            setTableResults(tables);
+          } else {
+            setError('No tables found');
+          }
+          break;
+
         default:
           setError('Invalid scrape type');
       }
     } catch (err) {
+      // A cancelled scrape was replaced or its screen unmounted
+      if (isAbortError(err)) {
+        return;
+      }
+
       setError(`Error: ${err.message}`);
       console.error('Scraping error:', err);
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Save the current URL, selector and scrape type as a named recipe
+   * @param {boolean} overwrite - Replace a saved recipe with the same name
+   */
+  const handleSaveRecipe = async (overwrite = false) => {
+    if (!recipeName.trim()) {
+      setRecipeStatus('Please enter a recipe name');
+      return;
+    }
+
+    if (scrapeType === 'text' && !selector) {
+      setRecipeStatus('Please enter a selector for text extraction');
+      return;
+    }
+
+    const { mapping, records } = getRecipeMapping(scrapeType, selector ? `${selectorMode}:${selector}` : '');
+
+    try {
+      const saved = await recipeStore.save({
+        version: RECIPE_VERSION,
+        name: recipeName,
+        start: url.trim(),
+        mapping,
+        output: { format: 'json', records }
+      }, { overwrite });
+
+      setRecipeStatus(`Saved recipe "${saved.name}"`);
+    } catch (err) {
+      if (err instanceof RecipeExistsError) {
+        Alert.alert('Replace recipe', `${err.message}. Replace it?`, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', style: 'destructive', onPress: () => handleSaveRecipe(true) }
+        ]);
+        return;
+      }
+
+      setRecipeStatus(`Could not save recipe: ${err.errors ? err.errors.map(e => `${e.path || 'recipe'}: ${e.message}`).join('; ') : err.message}`);
     }
   };
 
@@ -133,6 +312,72 @@ const WebScraper = () => {
     );
   };
 
+  /**
+   * Render table results as grids that scroll sideways
+   */
+  const renderTableResults = () => {
+    if (tableResults.length === 0) return null;
+
+    return (
+      <View style={styles.resultsContainer}>
+        <Text style={styles.resultsTitle}>Table Results ({tableResults.length}):</Text>
+        <ScrollView style={styles.resultsScroll}>
+          {tableResults.map((table, tableIndex) => (
+            <View key={tableIndex} style={styles.tableContainer}>
+              <Text style={styles.tableCaption}>
+                {table.caption || `Table ${tableIndex + 1}`} ({table.rows.length} rows)
+              </Text>
+              <ScrollView horizontal>
+                <View>
+                  <View style={styles.tableRow}>
+                    {table.headers.map((header, index) => (
+                      <Text key={index} style={[styles.tableCell, styles.tableHeaderCell]}>{header}</Text>
+                    ))}
+                  </View>
+                  {table.rows.map((row, rowIndex) => (
+                    <View key={rowIndex} style={styles.tableRow}>
+                      {table.headers.map((header, index) => (
+                        <Text key={index} style={styles.tableCell}>{row[header]}</Text>
+                      ))}
+                    </View>
+                  ))}
+                </View>
+              </ScrollView>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    );
+  };
+
+  /**
+   * Render feed results
+   */
+  const renderFeedResults = () => {
+    if (!feedResults) return null;
+
+    return (
+      <View style={styles.resultsContainer}>
+        <Text style={styles.resultsTitle}>
+          {feedResults.title || 'Untitled feed'} ({feedResults.items.length} items):
+        </Text>
+        <ScrollView style={styles.resultsScroll}>
+          {feedResults.items.map((item, index) => (
+            <View key={index} style={styles.linkContainer}>
+              <Text style={styles.linkText}>{item.title || 'No title'}</Text>
+              {(item.author || item.published) && (
+                <Text style={styles.feedMeta}>
+                  {[item.author, item.published && new Date(item.published).toLocaleString()].filter(Boolean).join(' · ')}
+                </Text>
+              )}
+              {item.link && <Text style={styles.linkUrl}>{item.link}</Text>}
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Web Scraper</Text>
@@ -150,14 +395,27 @@ const WebScraper = () => {
       </View>
 
       <View style={styles.inputContainer}>
-        <Text style={styles.label}>CSS Selector:</Text>
+        <Text style={styles.label}>Selector:</Text>
         <TextInput
           style={styles.input}
           value={selector}
           onChangeText={setSelector}
-          placeholder={scrapeType === 'text' ? 'h1, .content, #main' : scrapeType === 'images' ? 'img, .gallery img' : 'a, .links a'}
+          placeholder={scrapeType === 'feed' ? 'Not needed for feeds' : SELECTOR_PLACEHOLDERS[selectorMode][scrapeType]}
           autoCapitalize="none"
+          autoCorrect={false}
+          editable={scrapeType !== 'feed'}
         />
+        <View style={styles.modeButtons}>
+          {SELECTOR_MODES.map(({ mode, title }) => (
+            <Button
+              key={mode}
+              title={title}
+              onPress={() => setSelectorMode(mode)}
+              color={selectorMode === mode ? '#4CAF50' : '#888'}
+              disabled={scrapeType === 'feed'}
+            />
+          ))}
+        </View>
       </View>
 
       <View style={styles.typeContainer}>
@@ -178,6 +436,16 @@ const WebScraper = () => {
             onPress={() => setScrapeType('links')}
             color={scrapeType === 'links' ? '#4CAF50' : '#888'}
           />
+          <Button
+            title="Tables"
+            onPress={() => setScrapeType('tables')}
+            color={scrapeType === 'tables' ? '#4CAF50' : '#888'}
+          />
+          <Button
+            title="Feed"
+            onPress={() => setScrapeType('feed')}
+            color={scrapeType === 'feed' ? '#4CAF50' : '#888'}
+          />
         </View>
       </View>
 
@@ -188,10 +456,30 @@ const WebScraper = () => {
         color="#4CAF50"
       />
 
+      {recipeStore && scrapeType !== 'feed' && (
+        <View style={styles.recipeContainer}>
+          <View style={styles.recipeRow}>
+            <TextInput
+              style={[styles.input, styles.recipeNameInput]}
+              value={recipeName}
+              onChangeText={setRecipeName}
+              placeholder="Recipe name"
+            />
+            <Button
+              title="Save as Recipe"
+              onPress={() => handleSaveRecipe()}
+              disabled={!url}
+              color="#4CAF50"
+            />
+          </View>
+          {recipeStatus && <Text style={styles.recipeStatus}>{recipeStatus}</Text>}
+        </View>
+      )}
+
       {loading && (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#4CAF50" />
-          <Text style={styles.loadingText}>Scraping in progress...</Text>
+          <Text style={styles.loadingText}>{retryStatus || 'Scraping in progress...'}</Text>
         </View>
       )}
 
@@ -204,6 +492,8 @@ const WebScraper = () => {
       {renderTextResults()}
       {renderImageResults()}
       {renderLinkResults()}
+      {renderTableResults()}
+      {renderFeedResults()}
     </View>
   );
 };
@@ -236,13 +526,34 @@ const styles = StyleSheet.create({
     paddingHorizontal: 8,
     backgroundColor: '#fff',
   },
+  modeButtons: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
   typeContainer: {
     marginBottom: 16,
   },
   typeButtons: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'space-between',
   },
+  recipeContainer: {
+    marginTop: 16,
+  },
+  recipeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  recipeNameInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  recipeStatus: {
+    marginTop: 8,
+    color: '#555',
+    fontStyle: 'italic',
+  },
   loadingContainer: {
     marginTop: 20,
     alignItems: 'center',
@@ -312,6 +623,32 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#2196F3',
   },
+  tableContainer: {
+    marginBottom: 16,
+  },
+  tableCaption: {
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  tableRow: {
+    flexDirection: 'row',
+  },
+  tableCell: {
+    width: 120,
+    padding: 6,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#ddd',
+    fontSize: 12,
+  },
+  tableHeaderCell: {
+    fontWeight: 'bold',
+    backgroundColor: '#f0f0f0',
+  },
+  feedMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
 });
 
 export default WebScraper;
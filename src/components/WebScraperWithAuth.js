@@ -1,6 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, TextInput, Button, StyleSheet, ScrollView, ActivityIndicator, Switch } from 'react-native';
 import WebScraperService from '../services/WebScraperService';
+import ProfileStore from '../services/ProfileStore';
+import { isAbortError } from '../utils/errors';
+import { getOrigin } from '../utils/url';
+
+// Auth types offered in the auth-type switch
+const AUTH_TYPES = [
+  { type: 'basic', title: 'Basic Auth' },
+  { type: 'bearer', title: 'Bearer Token' },
+  { type: 'apiKey', title: 'API Key' },
+  { type: 'oauth2', title: 'OAuth2' },
+  { type: 'cookie', title: 'Cookie Auth' },
+  { type: 'form', title: 'Form Login' }
+];
 
 /**
  * WebScraperWithAuth component for React Native
@@ -11,6 +24,7 @@ const WebScraperWithAuth = () => {
   const [selector, setSelector] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
   const [results, setResults] = useState(null);
   
   // Authentication states
@@ -18,23 +32,201 @@ const WebScraperWithAuth = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [cookies, setCookies] = useState('');
-  const [authType, setAuthType] = useState('basic'); // 'basic' or 'cookie'
+  const [loginUrl, setLoginUrl] = useState('');
+  const [successSelector, setSuccessSelector] = useState('');
+  const [token, setToken] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [apiKeyName, setApiKeyName] = useState('X-API-Key');
+  const [apiKeyIn, setApiKeyIn] = useState('header'); // 'header' or 'query'
+  const [tokenUrl, setTokenUrl] = useState('');
+  const [clientId, setClientId] = useState('');
+  const [clientSecret, setClientSecret] = useState('');
+  const [scope, setScope] = useState('');
+  const [authType, setAuthType] = useState('basic'); // one of AUTH_TYPES
+
+  // Saved auth profiles
+  const [profiles, setProfiles] = useState([]);
+  const [profileName, setProfileName] = useState('');
+  const [profileStatus, setProfileStatus] = useState(null);
+
+  // Initialize the profile store and the scraper service
+  const [profileStore] = useState(() => new ProfileStore());
+  const [scraper] = useState(() => new WebScraperService({
+    profileStore,
+    retry: {
+      onRetry: ({ attempt, maxAttempts }) => setRetryStatus(`Retrying (${attempt}/${maxAttempts})...`)
+    }
+  }));
 
-  // Initialize the scraper service
-  const [scraper] = useState(new WebScraperService());
+  // Controller for the scrape in flight, so it can be cancelled
+  const abortControllerRef = useRef(null);
+
+  // Whether the form login has succeeded with the current login settings
+  const loginSessionRef = useRef(false);
+
+  /**
+   * Cancel any in-flight scrape when the component unmounts
+   */
+  useEffect(() => () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  /**
+   * Load the saved profile list
+   */
+  useEffect(() => {
+    profileStore.list()
+      .then(setProfiles)
+      .catch(err => setProfileStatus(`Saved profiles are unavailable: ${err.message}`));
+  }, []);
 
   /**
    * Configure authentication when auth settings change
    */
   useEffect(() => {
+    let auth = null;
+
     if (useAuth) {
       if (authType === 'basic' && username && password) {
-        scraper.setAuth({ username, password });
-      } else if (authType === 'cookie' && cookies) {
-        scraper.setCookies(cookies);
+        auth = { type: 'basic', username, password };
+      } else if (authType === 'bearer' && token) {
+        auth = { type: 'bearer', token };
+      } else if (authType === 'apiKey' && apiKey && apiKeyName) {
+        auth = { type: 'apiKey', key: apiKey, name: apiKeyName, in: apiKeyIn };
+      } else if (authType === 'oauth2' && tokenUrl && clientId && clientSecret) {
+        auth = { type: 'oauth2', tokenUrl, clientId, clientSecret, scope: scope || undefined };
       }
     }
-  }, [useAuth, authType, username, password, cookies]);
+
+    scraper.setAuth(auth);
+  }, [useAuth, authType, username, password, token, apiKey, apiKeyName, apiKeyIn, tokenUrl, clientId, clientSecret, scope]);
+
+  /**
+   * Forget the cookies and form login session of the previous auth settings
+   */
+  const resetSession = () => {
+    scraper.clearCookies();
+    loginSessionRef.current = false;
+  };
+
+  /**
+   * Log out when auth is turned off or its type changes
+   */
+  useEffect(() => {
+    resetSession();
+  }, [useAuth, authType]);
+
+  /**
+   * Log in again on the next scrape when a login setting changes, such as a
+   * corrected password
+   */
+  useEffect(() => {
+    loginSessionRef.current = false;
+  }, [loginUrl, username, password, successSelector]);
+
+  /**
+   * Collect the current auth settings for a profile
+   * @returns {Object} - Auth settings for the selected auth type
+   */
+  const getProfileAuth = () => {
+    switch (authType) {
+      case 'bearer':
+        return { type: 'bearer', token };
+      case 'apiKey':
+        return { type: 'apiKey', key: apiKey, name: apiKeyName, in: apiKeyIn };
+      case 'oauth2':
+        return { type: 'oauth2', tokenUrl, clientId, clientSecret, scope };
+      case 'cookie':
+        return { type: 'cookie', cookies };
+      case 'form':
+        return { type: 'form', loginUrl, username, password, successSelector };
+      default:
+        return { type: 'basic', username, password };
+    }
+  };
+
+  /**
+   * Save the current auth settings as a named profile for the site
+   */
+  const handleSaveProfile = async () => {
+    if (!profileName.trim()) {
+      setProfileStatus('Please enter a profile name');
+      return;
+    }
+
+    try {
+      const saved = await profileStore.save({
+        name: profileName,
+        site: url ? getOrigin(url) : null,
+        auth: getProfileAuth()
+      });
+
+      setProfiles(await profileStore.list());
+      setProfileStatus(`Saved profile "${saved.name}"`);
+    } catch (err) {
+      setProfileStatus(`Could not save profile: ${err.message}`);
+    }
+  };
+
+  /**
+   * Fill the auth form from a saved profile
+   * @param {string} name - Profile name
+   */
+  const handleSelectProfile = async (name) => {
+    try {
+      const profile = await profileStore.get(name);
+
+      if (!profile) {
+        setProfileStatus(`Profile "${name}" no longer exists`);
+        setProfiles(await profileStore.list());
+        return;
+      }
+
+      const { auth } = profile;
+
+      resetSession();
+      setUseAuth(true);
+      setAuthType(auth.type);
+      setProfileName(profile.name);
+      setUsername(auth.username || '');
+      setPassword(auth.password || '');
+      setToken(auth.token || '');
+      setApiKey(auth.key || '');
+      setApiKeyName(auth.name || 'X-API-Key');
+      setApiKeyIn(auth.in || 'header');
+      setTokenUrl(auth.tokenUrl || '');
+      setClientId(auth.clientId || '');
+      setClientSecret(auth.clientSecret || '');
+      setScope(auth.scope || '');
+      setCookies(auth.cookies || '');
+      setLoginUrl(auth.loginUrl || '');
+      setSuccessSelector(auth.successSelector || '');
+
+      if (!url && profile.site) {
+        setUrl(profile.site);
+      }
+
+      setProfileStatus(`Using profile "${profile.name}"`);
+    } catch (err) {
+      setProfileStatus(`Could not load profile: ${err.message}`);
+    }
+  };
+
+  /**
+   * Delete a saved profile
+   * @param {string} name - Profile name
+   */
+  const handleDeleteProfile = async (name) => {
+    try {
+      await profileStore.delete(name);
+      setProfiles(await profileStore.list());
+      setProfileStatus(`Deleted profile "${name}"`);
+    } catch (err) {
+      setProfileStatus(`Could not delete profile: ${err.message}`);
+    }
+  };
 
   /**
    * Handle the scraping process
@@ -45,17 +237,47 @@ const WebScraperWithAuth = () => {
       return;
     }
 
+    if (useAuth && authType === 'form' && !loginUrl) {
+      setError('Please enter the login page URL');
+      return;
+    }
+
+    // Cancel the previous scrape before starting a new one
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setLoading(true);
     setError(null);
+    setRetryStatus(null);
     setResults(null);
 
+    // Cookies go into the scraper's cookie jar, scoped to the site being scraped
+    if (useAuth && authType === 'cookie' && cookies) {
+      scraper.setCookies(cookies, url);
+    }
+
     try {
-      // Fetch HTML content
-      const html = await scraper.fetchHtml(url);
+      // Log in through the form once; the session cookies stay in the scraper's cookie jar
+      if (useAuth && authType === 'form' && !loginSessionRef.current) {
+        await scraper.login({
+          url: loginUrl,
+          fields: { username, password },
+          successSelector: successSelector || undefined,
+          signal: controller.signal
+        });
+        loginSessionRef.current = true;
+      }
+
+      // Fetch the page; extraction reuses its parsed document and final URL
+      const page = await scraper.fetchPage(url, { signal: controller.signal });
       
       // Extract data based on selector
       if (selector) {
-        const extractedData = scraper.extractStructuredData(html, {
+        const extractedData = scraper.extractStructuredData(page, {
           title: 'title',
           headings: { 
             type: 'list', 
@@ -67,33 +289,88 @@ const WebScraperWithAuth = () => {
           },
           images: { 
             type: 'custom',
-            value: scraper.extractImages(html, 'img', url)
+            value: scraper.extractImages(page, 'img')
           },
           links: { 
             type: 'custom',
-            value: scraper.extractLinks(html, 'a', url)
+            value: scraper.extractLinks(page, 'a')
           }
         });
         
         setResults(extractedData);
       } else {
-        // Default extraction if no selector provided
+        // Without a selector, find the main article
+        const article = scraper.extractArticle(page);
         const extractedData = {
-          title: scraper.extractText(html, 'title'),
-          images: scraper.extractImages(html, 'img', url),
-          links: scraper.extractLinks(html, 'a', url)
+          title: article.title || scraper.extractText(page, 'title'),
+          article,
+          images: scraper.extractImages(page, 'img'),
+          links: scraper.extractLinks(page, 'a')
         };
         
         setResults(extractedData);
       }
     } catch (err) {
+      // A cancelled scrape was replaced or its screen unmounted
+      if (isAbortError(err)) {
+        return;
+      }
+
       setError(`Error: ${err.message}`);
       console.error('Scraping error:', err);
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setLoading(false);
+      }
     }
   };
 
+  /**
+   * Render the saved profile picker
+   */
+  const renderProfiles = () => (
+    <View style={styles.profilesContainer}>
+      <Text style={styles.label}>Saved Profiles:</Text>
+      {profiles.length === 0 && (
+        <Text style={styles.moreItems}>No saved profiles yet</Text>
+      )}
+      {profiles.map(profile => (
+        <View key={profile.name} style={styles.profileRow}>
+          <View style={styles.profileButton}>
+            <Button
+              title={`${profile.name} (${profile.type})`}
+              onPress={() => handleSelectProfile(profile.name)}
+              color={profile.name === profileName ? '#4CAF50' : '#888'}
+            />
+          </View>
+          <Button
+            title="Delete"
+            onPress={() => handleDeleteProfile(profile.name)}
+            color="#d32f2f"
+          />
+        </View>
+      ))}
+
+      <View style={styles.profileRow}>
+        <TextInput
+          style={[styles.input, styles.profileNameInput]}
+          value={profileName}
+          onChangeText={setProfileName}
+          placeholder="Profile name"
+          autoCapitalize="none"
+        />
+        <Button
+          title="Save Profile"
+          onPress={handleSaveProfile}
+          color="#4CAF50"
+        />
+      </View>
+
+      {profileStatus && <Text style={styles.profileStatus}>{profileStatus}</Text>}
+    </View>
+  );
+
   /**
    * Render authentication form
    */
@@ -102,20 +379,149 @@ const WebScraperWithAuth = () => {
 
     return (
       <View style={styles.authContainer}>
+        {renderProfiles()}
+
         <View style={styles.authTypeContainer}>
-          <Button
-            title="Basic Auth"
-            onPress={() => setAuthType('basic')}
-            color={authType === 'basic' ? '#4CAF50' : '#888'}
-          />
-          <Button
-            title="Cookie Auth"
-            onPress={() => setAuthType('cookie')}
-            color={authType === 'cookie' ? '#4CAF50' : '#888'}
-          />
+          {AUTH_TYPES.map(option => (
+            <View key={option.type} style={styles.authTypeButton}>
+              <Button
+                title={option.title}
+                onPress={() => setAuthType(option.type)}
+                color={authType === option.type ? '#4CAF50' : '#888'}
+              />
+            </View>
+          ))}
         </View>
 
-        {authType === 'basic' ? (
+        {authType === 'form' && (
+          <>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Login Page URL:</Text>
+              <TextInput
+                style={styles.input}
+                value={loginUrl}
+                onChangeText={setLoginUrl}
+                placeholder="https://example.com/login"
+                autoCapitalize="none"
+                keyboardType="url"
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Logged-in Selector (optional):</Text>
+              <TextInput
+                style={styles.input}
+                value={successSelector}
+                onChangeText={setSuccessSelector}
+                placeholder=".account, #logout"
+                autoCapitalize="none"
+              />
+            </View>
+          </>
+        )}
+
+        {authType === 'bearer' && (
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Token:</Text>
+            <TextInput
+              style={styles.input}
+              value={token}
+              onChangeText={setToken}
+              placeholder="Access token"
+              autoCapitalize="none"
+              secureTextEntry
+            />
+          </View>
+        )}
+
+        {authType === 'apiKey' && (
+          <>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>API Key:</Text>
+              <TextInput
+                style={styles.input}
+                value={apiKey}
+                onChangeText={setApiKey}
+                placeholder="API key"
+                autoCapitalize="none"
+                secureTextEntry
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{apiKeyIn === 'header' ? 'Header Name:' : 'Query Parameter:'}</Text>
+              <TextInput
+                style={styles.input}
+                value={apiKeyName}
+                onChangeText={setApiKeyName}
+                placeholder={apiKeyIn === 'header' ? 'X-API-Key' : 'api_key'}
+                autoCapitalize="none"
+              />
+            </View>
+
+            <View style={styles.authToggleContainer}>
+              <Text style={styles.label}>Send in Query String:</Text>
+              <Switch
+                value={apiKeyIn === 'query'}
+                onValueChange={value => setApiKeyIn(value ? 'query' : 'header')}
+                trackColor={{ false: '#767577', true: '#81b0ff' }}
+                thumbColor={apiKeyIn === 'query' ? '#4CAF50' : '#f4f3f4'}
+              />
+            </View>
+          </>
+        )}
+
+        {authType === 'oauth2' && (
+          <>
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Token URL:</Text>
+              <TextInput
+                style={styles.input}
+                value={tokenUrl}
+                onChangeText={setTokenUrl}
+                placeholder="https://auth.example.com/oauth/token"
+                autoCapitalize="none"
+                keyboardType="url"
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Client ID:</Text>
+              <TextInput
+                style={styles.input}
+                value={clientId}
+                onChangeText={setClientId}
+                placeholder="Client ID"
+                autoCapitalize="none"
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Client Secret:</Text>
+              <TextInput
+                style={styles.input}
+                value={clientSecret}
+                onChangeText={setClientSecret}
+                placeholder="Client secret"
+                autoCapitalize="none"
+                secureTextEntry
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Scope (optional):</Text>
+              <TextInput
+                style={styles.input}
+                value={scope}
+                onChangeText={setScope}
+                placeholder="read write"
+                autoCapitalize="none"
+              />
+            </View>
+          </>
+        )}
+
+        {(authType === 'basic' || authType === 'form') && (
           <>
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Username:</Text>
@@ -139,7 +545,9 @@ const WebScraperWithAuth = () => {
               />
             </View>
           </>
-        ) : (
+        )}
+
+        {authType === 'cookie' && (
           <View style={styles.inputContainer}>
             <Text style={styles.label}>Cookies:</Text>
             <TextInput
@@ -173,6 +581,24 @@ const WebScraperWithAuth = () => {
             </View>
           )}
 
+          {results.article && results.article.text ? (
+            <View style={styles.resultSection}>
+              <Text style={styles.resultSectionTitle}>Article:</Text>
+              <Text style={styles.articleMeta}>
+                {[
+                  results.article.byline,
+                  results.article.published && new Date(results.article.published).toLocaleDateString(),
+                  `${results.article.wordCount} words`,
+                  `${results.article.readingTime} min read`
+                ].filter(Boolean).join(' · ')}
+              </Text>
+              {results.article.leadImage && (
+                <Text style={styles.articleMeta}>Lead image: {results.article.leadImage}</Text>
+              )}
+              <Text>{results.article.text}</Text>
+            </View>
+          ) : null}
+
           {results.mainContent && (
             <View style={styles.resultSection}>
               <Text style={styles.resultSectionTitle}>Main Content:</Text>
@@ -247,7 +673,7 @@ const WebScraperWithAuth = () => {
           style={styles.input}
           value={selector}
           onChangeText={setSelector}
-          placeholder="article, .content, #main"
+          placeholder="Leave empty to find the main article"
           autoCapitalize="none"
         />
       </View>
@@ -274,7 +700,7 @@ const WebScraperWithAuth = () => {
       {loading && (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#4CAF50" />
-          <Text style={styles.loadingText}>Scraping in progress...</Text>
+          <Text style={styles.loadingText}>{retryStatus || 'Scraping in progress...'}</Text>
         </View>
       )}
 
@@ -333,9 +759,34 @@ const styles = StyleSheet.create({
   },
   authTypeContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'space-around',
     marginBottom: 16,
   },
+  authTypeButton: {
+    marginBottom: 8,
+  },
+  profilesContainer: {
+    marginBottom: 16,
+  },
+  profileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  profileButton: {
+    flex: 1,
+    marginRight: 8,
+  },
+  profileNameInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  profileStatus: {
+    color: '#555',
+    fontStyle: 'italic',
+  },
   loadingContainer: {
     marginTop: 20,
     alignItems: 'center',
@@ -390,6 +841,11 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 4,
   },
+  articleMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
 });
 
 export default WebScraperWithAuth;
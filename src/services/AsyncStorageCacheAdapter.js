@@ -0,0 +1,82 @@
+/**
+ * AsyncStorageCacheAdapter.js
+ * Persistent storage for ResponseCache entries on top of an AsyncStorage-style store
+ */
+
+class AsyncStorageCacheAdapter {
+  /**
+   * Constructor for the AsyncStorageCacheAdapter
+   * @param {Object} storage - Object with the AsyncStorage API: `getItem`, `setItem`,
+   * `removeItem`, and optionally `getAllKeys` and `multiRemove`
+   * @param {Object} options - Configuration options
+   * @param {string} options.prefix - Prefix for keys written to the store (default 'webscraper:cache:')
+   */
+  constructor(storage, options = {}) {
+    if (!storage) {
+      throw new Error('AsyncStorageCacheAdapter requires a storage object');
+    }
+
+    this.storage = storage;
+    this.prefix = options.prefix || 'webscraper:cache:';
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - The entry, or null if missing or unreadable
+   */
+  async get(key) {
+    const value = await this.storage.getItem(this.prefix + key);
+
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // Corrupt entries are treated as misses and dropped
+      await this.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store; must be JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.storage.removeItem(this.prefix + key);
+  }
+
+  /**
+   * Remove every entry written with this adapter's prefix
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!this.storage.getAllKeys) {
+      throw new Error('Storage does not support getAllKeys, so the cache cannot be cleared');
+    }
+
+    const keys = (await this.storage.getAllKeys()).filter(key => key.startsWith(this.prefix));
+
+    if (this.storage.multiRemove) {
+      await this.storage.multiRemove(keys);
+    } else {
+      await Promise.all(keys.map(key => this.storage.removeItem(key)));
+    }
+  }
+}
+
+export default AsyncStorageCacheAdapter;
@@ -0,0 +1,306 @@
+/**
+ * AuthStrategies.js
+ * Pluggable authentication for WebScraperService requests
+ *
+ * A strategy is any object with an `apply(config, context)` method that
+ * returns the axios request config with credentials added (or a promise of
+ * it). An optional `refresh(config, context)` method is called when a
+ * request comes back 401; if it resolves to true, the request is sent once
+ * more with fresh credentials. The service passes a context whose
+ * `request(config, options)` sends a request of the strategy's own, such as
+ * a token request, through its scheduler, robots.txt check and retry policy
+ * without adding credentials.
+ */
+
+import axios from 'axios';
+import { toUrlEncoded } from '../utils/forms';
+import { isAbortError, TimeoutError, RobotsDisallowedError } from '../utils/errors';
+
+// Refresh OAuth2 tokens this long before they actually expire
+const TOKEN_EXPIRY_MARGIN = 30 * 1000;
+
+/**
+ * HTTP Basic authentication
+ */
+export class BasicAuth {
+  /**
+   * @param {Object} options - Credentials
+   * @param {string} options.username - User name
+   * @param {string} options.password - Password
+   */
+  constructor({ username, password }) {
+    this.type = 'basic';
+    this.username = username;
+    this.password = password;
+  }
+
+  /**
+   * Add the credentials to a request
+   * @param {Object} config - Axios request config
+   * @returns {Object} - A new config with credentials
+   */
+  apply(config) {
+    return { ...config, auth: { username: this.username, password: this.password } };
+  }
+}
+
+/**
+ * Bearer token authentication (`Authorization: Bearer <token>`)
+ */
+export class BearerAuth {
+  /**
+   * @param {Object} options - Token options
+   * @param {string} options.token - The access token
+   * @param {Function} options.refresh - Async function returning a new token, called when a
+   * request is rejected with 401 (optional)
+   */
+  constructor({ token, refresh }) {
+    this.type = 'bearer';
+    this.token = token;
+    this.refreshToken = refresh || null;
+  }
+
+  /**
+   * Add the credentials to a request
+   * @param {Object} config - Axios request config
+   * @returns {Object} - A new config with credentials
+   */
+  apply(config) {
+    return { ...config, headers: { ...config.headers, Authorization: `Bearer ${this.token}` } };
+  }
+
+  /**
+   * Get a new token after a 401
+   * @returns {Promise<boolean>} - True if a new token was obtained
+   */
+  async refresh() {
+    if (!this.refreshToken) {
+      return false;
+    }
+
+    this.token = await this.refreshToken();
+    return !!this.token;
+  }
+}
+
+/**
+ * API key sent in a header or a query string parameter
+ */
+export class ApiKeyAuth {
+  /**
+   * @param {Object} options - Key options
+   * @param {string} options.key - The API key
+   * @param {string} options.name - Header or parameter name (default 'X-API-Key')
+   * @param {string} options.in - 'header' or 'query' (default 'header')
+   * @param {string} options.prefix - Text before the key in a header, e.g. 'Token' (optional)
+   */
+  constructor({ key, name = 'X-API-Key', in: location = 'header', prefix = '' }) {
+    this.type = 'apiKey';
+    this.key = key;
+    this.name = name;
+    this.in = location;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Add the credentials to a request
+   * @param {Object} config - Axios request config
+   * @returns {Object} - A new config with credentials
+   */
+  apply(config) {
+    if (this.in === 'query') {
+      const [withoutFragment, fragment] = config.url.split('#');
+      const separator = withoutFragment.includes('?') ? '&' : '?';
+      const url = `${withoutFragment}${separator}${toUrlEncoded([{ name: this.name, value: this.key }])}`;
+
+      return { ...config, url: fragment === undefined ? url : `${url}#${fragment}` };
+    }
+
+    const value = this.prefix ? `${this.prefix} ${this.key}` : this.key;
+    return { ...config, headers: { ...config.headers, [this.name]: value } };
+  }
+}
+
+/**
+ * OAuth2 client-credentials grant
+ *
+ * Fetches an access token from the token endpoint on first use and again
+ * shortly before it expires or after a 401. Concurrent requests share one
+ * token request.
+ */
+export class OAuth2ClientCredentials {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.tokenUrl - Token endpoint
+   * @param {string} options.clientId - Client ID
+   * @param {string} options.clientSecret - Client secret
+   * @param {string} options.scope - Space-separated scopes (optional)
+   * @param {Object} options.params - Extra token request parameters, e.g. `{ audience }` (optional)
+   * @param {string} options.clientAuth - 'basic' to send the client credentials in an
+   * Authorization header, or 'body' to send them as form fields (default 'basic')
+   * @param {Object} options.client - Axios instance for token requests made outside a
+   * WebScraperService (defaults to axios)
+   */
+  constructor(options) {
+    this.type = 'oauth2';
+    this.tokenUrl = options.tokenUrl;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scope = options.scope || null;
+    this.params = options.params || {};
+    this.clientAuth = options.clientAuth || 'basic';
+    this.client = options.client || axios;
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Check whether the current token can still be used
+   * @returns {boolean} - True if there is a token that is not about to expire
+   */
+  hasValidToken() {
+    return !!this.accessToken && this.expiresAt - TOKEN_EXPIRY_MARGIN > Date.now();
+  }
+
+  /**
+   * Request a new access token, sharing a request already in flight
+   *
+   * A shared request is cancelled by the signal of the request that started
+   * it. Other requests waiting on it then start a token request of their own.
+   * @param {AbortSignal} signal - Cancels the token request when aborted (optional)
+   * @param {Object} context - Context from the service (see the module comment)
+   * @returns {Promise<string>} - The access token
+   */
+  async fetchToken(signal, context = {}) {
+    while (true) {
+      if (!this.pending) {
+        this.pending = this.requestToken(signal, context).finally(() => {
+          this.pending = null;
+        });
+      }
+
+      try {
+        return await this.pending;
+      } catch (error) {
+        if (!isAbortError(error) || (signal && signal.aborted)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Call the token endpoint and store the token it returns
+   * @param {AbortSignal} signal - Cancels the token request when aborted (optional)
+   * @param {Object} context - Context from the service (see the module comment)
+   * @returns {Promise<string>} - The access token
+   * @throws {Error} - When the request fails or the response holds no access_token
+   * @throws {AbortError} - When the signal aborts
+   */
+  async requestToken(signal, context = {}) {
+    const fields = [{ name: 'grant_type', value: 'client_credentials' }];
+    const config = {
+      method: 'post',
+      url: this.tokenUrl,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    };
+
+    if (this.scope) {
+      fields.push({ name: 'scope', value: this.scope });
+    }
+
+    Object.keys(this.params).forEach(name => fields.push({ name, value: String(this.params[name]) }));
+
+    if (this.clientAuth === 'body') {
+      fields.push({ name: 'client_id', value: this.clientId }, { name: 'client_secret', value: this.clientSecret });
+    } else {
+      config.auth = { username: this.clientId, password: this.clientSecret };
+    }
+
+    config.data = toUrlEncoded(fields);
+    let response;
+
+    try {
+      response = context.request
+        ? await context.request(config, { signal })
+        : await this.client.request({ ...config, signal });
+    } catch (error) {
+      if (isAbortError(error) || error instanceof TimeoutError || error instanceof RobotsDisallowedError) {
+        throw error;
+      }
+
+      // Rethrown without the request config, which holds the client secret
+      throw new Error(`Token request to ${this.tokenUrl} failed: ${error.message}`);
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+
+    if (!accessToken) {
+      throw new Error(`No access_token in the response from ${this.tokenUrl}`);
+    }
+
+    this.accessToken = accessToken;
+    // Tokens without expires_in are kept until a request is rejected
+    this.expiresAt = expiresIn ? Date.now() + Number(expiresIn) * 1000 : Infinity;
+    return accessToken;
+  }
+
+  /**
+   * Add a bearer token to a request, fetching one first if needed
+   * @param {Object} config - Axios request config; its signal also cancels the token request
+   * @param {Object} context - Context from the service (see the module comment)
+   * @returns {Promise<Object>} - A new config with credentials
+   */
+  async apply(config, context) {
+    const token = this.hasValidToken() ? this.accessToken : await this.fetchToken(config.signal, context);
+    return { ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } };
+  }
+
+  /**
+   * Drop the rejected token and fetch a new one
+   * @param {Object} config - The rejected request's config; its signal cancels the token request
+   * @param {Object} context - Context from the service (see the module comment)
+   * @returns {Promise<boolean>} - True once a new token is held
+   */
+  async refresh(config = {}, context) {
+    this.accessToken = null;
+    await this.fetchToken(config.signal, context);
+    return true;
+  }
+}
+
+const STRATEGIES = {
+  basic: BasicAuth,
+  bearer: BearerAuth,
+  apiKey: ApiKeyAuth,
+  oauth2: OAuth2ClientCredentials
+};
+
+/**
+ * Create an auth strategy from plain settings
+ *
+ * Objects that already have an `apply` method are returned as they are, and
+ * `{ username, password }` without a type means Basic auth.
+ * @param {Object} settings - Strategy settings with a `type` of 'basic', 'bearer', 'apiKey' or 'oauth2'
+ * @returns {Object|null} - The strategy, or null when settings is empty
+ * @throws {Error} - For an unknown type
+ */
+export const createAuthStrategy = (settings) => {
+  if (!settings) {
+    return null;
+  }
+
+  if (typeof settings.apply === 'function') {
+    return settings;
+  }
+
+  const { type = 'basic', ...options } = settings;
+  const Strategy = STRATEGIES[type];
+
+  if (!Strategy) {
+    throw new Error(`Unknown auth type: ${type}`);
+  }
+
+  return new Strategy(options);
+};
@@ -0,0 +1,347 @@
+/**
+ * CookieJar.js
+ * Stores cookies from Set-Cookie headers and sends them back per RFC 6265
+ */
+
+import { parseUrl, getHostname } from '../utils/url';
+
+/**
+ * Check whether a host is an IP address literal
+ * @param {string} host - Host name
+ * @returns {boolean} - True for IPv4 and bracketed IPv6 addresses
+ */
+const isIpAddress = (host) => /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+
+/**
+ * Check whether a host falls under a cookie domain
+ * @param {string} host - Request host
+ * @param {string} domain - Cookie domain, without a leading dot
+ * @returns {boolean} - True if the host is the domain or one of its subdomains
+ */
+const domainMatches = (host, domain) => (
+  host === domain || (!isIpAddress(host) && host.endsWith(`.${domain}`))
+);
+
+/**
+ * Check whether a request path falls under a cookie path
+ * @param {string} requestPath - Request path
+ * @param {string} cookiePath - Cookie path
+ * @returns {boolean} - True if the cookie should be sent for the path
+ */
+const pathMatches = (requestPath, cookiePath) => (
+  requestPath === cookiePath ||
+  (requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'))
+);
+
+/**
+ * Work out the default cookie path for a request URL
+ * @param {string} path - Request path
+ * @returns {string} - The path up to, but not including, its last slash
+ */
+const getDefaultPath = (path) => {
+  if (!path || !path.startsWith('/')) {
+    return '/';
+  }
+
+  const lastSlash = path.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : path.slice(0, lastSlash);
+};
+
+class CookieJar {
+  /**
+   * Constructor for the CookieJar
+   * @param {Array} cookies - Cookies to start with, as returned by toJSON (optional)
+   */
+  constructor(cookies = []) {
+    this.cookies = [];
+    cookies.forEach(cookie => this.store({ ...cookie }));
+  }
+
+  /**
+   * Restore a jar from its serialized form
+   * @param {string|Array} data - JSON string or array from toJSON
+   * @returns {CookieJar} - The restored jar
+   */
+  static fromJSON(data) {
+    return new CookieJar(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+
+  /**
+   * Serialize the jar, dropping expired cookies
+   * @returns {Array} - Plain cookie objects, safe to JSON.stringify
+   */
+  toJSON() {
+    this.removeExpired();
+    return this.cookies.map(cookie => ({ ...cookie }));
+  }
+
+  /**
+   * Add or replace a cookie, or remove it when it has already expired
+   * @param {Object} cookie - Cookie with name, value, domain, path, expires and flags
+   */
+  store(cookie) {
+    const index = this.cookies.findIndex(existing => (
+      existing.name === cookie.name &&
+      existing.domain === cookie.domain &&
+      existing.path === cookie.path
+    ));
+
+    if (index !== -1) {
+      // Replacing keeps the original creation time, which orders the Cookie header
+      cookie.creation = this.cookies[index].creation;
+      this.cookies.splice(index, 1);
+    }
+
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      return;
+    }
+
+    cookie.creation = cookie.creation || Date.now();
+    this.cookies.push(cookie);
+  }
+
+  /**
+   * Store a cookie from a Set-Cookie header
+   * @param {string} header - One Set-Cookie header value
+   * @param {string} url - URL of the response that set it
+   * @returns {boolean} - True if the cookie was accepted
+   */
+  setCookie(header, url) {
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+
+    if (separator < 1) {
+      return false;
+    }
+
+    const { scheme, path: requestPath } = parseUrl(url);
+    const host = getHostname(url);
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: host,
+      path: getDefaultPath(requestPath),
+      expires: null,
+      secure: false,
+      httpOnly: false,
+      hostOnly: true,
+      sameSite: null
+    };
+    let maxAge = null;
+
+    attributes.forEach(attribute => {
+      const equals = attribute.indexOf('=');
+      const key = (equals === -1 ? attribute : attribute.slice(0, equals)).trim().toLowerCase();
+      const value = equals === -1 ? '' : attribute.slice(equals + 1).trim();
+
+      switch (key) {
+        case 'expires': {
+          const time = Date.parse(value);
+          if (!isNaN(time)) cookie.expires = time;
+          break;
+        }
+        case 'max-age':
+          if (/^-?\d+$/.test(value)) maxAge = parseInt(value, 10);
+          break;
+        case 'domain':
+          if (value) {
+            cookie.domain = value.replace(/^\./, '').toLowerCase();
+            cookie.hostOnly = false;
+          }
+          break;
+        case 'path':
+          if (value.startsWith('/')) cookie.path = value;
+          break;
+        case 'secure':
+          cookie.secure = true;
+          break;
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+        case 'samesite':
+          cookie.sameSite = value || null;
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Max-Age wins over Expires
+    if (maxAge !== null) {
+      cookie.expires = Date.now() + maxAge * 1000;
+    }
+
+    // Reject cookies for other sites, for bare top-level domains, and
+    // Secure cookies set over plain HTTP
+    if (!cookie.hostOnly && (!domainMatches(host, cookie.domain) || !cookie.domain.includes('.'))) {
+      return false;
+    }
+
+    if (cookie.secure && scheme !== 'https') {
+      return false;
+    }
+
+    this.store(cookie);
+    return true;
+  }
+
+  /**
+   * Store every cookie from a response's Set-Cookie headers
+   * @param {string|Array} headers - Set-Cookie header value(s)
+   * @param {string} url - URL of the response
+   */
+  setCookies(headers, url) {
+    if (!headers) {
+      return;
+    }
+
+    (Array.isArray(headers) ? headers : [headers]).forEach(header => this.setCookie(header, url));
+  }
+
+  /**
+   * Get the cookies that would be sent to a URL
+   * @param {string} url - Request URL
+   * @returns {Array} - Matching cookies, longest path first, then oldest first
+   */
+  getCookies(url) {
+    const { scheme, path } = parseUrl(url);
+    const host = getHostname(url);
+
+    this.removeExpired();
+
+    return this.cookies
+      .filter(cookie => (
+        (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)) &&
+        pathMatches(path || '/', cookie.path) &&
+        (!cookie.secure || scheme === 'https')
+      ))
+      .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation);
+  }
+
+  /**
+   * Build the Cookie header for a URL
+   * @param {string} url - Request URL
+   * @returns {string} - `name=value; ...`, or an empty string if nothing matches
+   */
+  getCookieHeader(url) {
+    return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Import cookies from a `name=value; name2=value2` string
+   * @param {string} cookieString - Cookie string, as copied from a browser
+   * @param {string} url - Site the cookies belong to; they are scoped to its host
+   */
+  importString(cookieString, url) {
+    String(cookieString || '').split(';').forEach(pair => {
+      const separator = pair.indexOf('=');
+
+      if (separator > 0) {
+        this.store({
+          name: pair.slice(0, separator).trim(),
+          value: pair.slice(separator + 1).trim(),
+          domain: getHostname(url),
+          path: '/',
+          expires: null,
+          secure: false,
+          httpOnly: false,
+          hostOnly: true,
+          sameSite: null
+        });
+      }
+    });
+  }
+
+  /**
+   * Export the cookies for a URL as a `name=value; ...` string
+   * @param {string} url - Request URL
+   * @returns {string} - Cookie string
+   */
+  exportString(url) {
+    return this.getCookieHeader(url);
+  }
+
+  /**
+   * Import cookies from a Netscape cookies.txt file
+   * @param {string} text - File contents
+   */
+  importNetscape(text) {
+    String(text || '').split(/\r?\n/).forEach(rawLine => {
+      let line = rawLine;
+      let httpOnly = false;
+
+      if (line.startsWith('#HttpOnly_')) {
+        line = line.slice('#HttpOnly_'.length);
+        httpOnly = true;
+      }
+
+      if (!line.trim() || line.startsWith('#')) {
+        return;
+      }
+
+      const fields = line.split('\t');
+
+      if (fields.length < 7) {
+        return;
+      }
+
+      const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+      const expiresAt = parseInt(expires, 10);
+
+      this.store({
+        name,
+        value: value.join('\t'),
+        domain: domain.replace(/^\./, '').toLowerCase(),
+        path: path || '/',
+        expires: expiresAt > 0 ? expiresAt * 1000 : null,
+        secure: secure.toUpperCase() === 'TRUE',
+        httpOnly,
+        hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+        sameSite: null
+      });
+    });
+  }
+
+  /**
+   * Export every cookie in Netscape cookies.txt format
+   * @returns {string} - File contents
+   */
+  exportNetscape() {
+    const lines = this.toJSON().map(cookie => [
+      `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.hostOnly ? '' : '.'}${cookie.domain}`,
+      cookie.hostOnly ? 'FALSE' : 'TRUE',
+      cookie.path,
+      cookie.secure ? 'TRUE' : 'FALSE',
+      cookie.expires ? Math.floor(cookie.expires / 1000) : 0,
+      cookie.name,
+      cookie.value
+    ].join('\t'));
+
+    return ['# Netscape HTTP Cookie File', ...lines, ''].join('\n');
+  }
+
+  /**
+   * Drop cookies whose expiry has passed
+   */
+  removeExpired() {
+    const now = Date.now();
+    this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+  }
+
+  /**
+   * Remove cookies
+   * @param {string} domain - Only remove cookies for this domain and its subdomains (optional)
+   */
+  clear(domain) {
+    if (!domain) {
+      this.cookies = [];
+      return;
+    }
+
+    const target = domain.replace(/^\./, '').toLowerCase();
+    this.cookies = this.cookies.filter(cookie => !domainMatches(cookie.domain, target));
+  }
+}
+
+export default CookieJar;
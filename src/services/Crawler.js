@@ -0,0 +1,349 @@
+/**
+ * Crawler.js
+ * Breadth-first site crawler built on WebScraperService
+ */
+
+import { normalizeUrl, getOrigin, getHostname } from '../utils/url';
+import { matchesAnyPattern } from '../utils/glob';
+import { isAbortError, RobotsDisallowedError } from '../utils/errors';
+
+const SCOPES = ['origin', 'host', 'domain', 'any'];
+
+// Version of the format written by toJSON
+const STATE_VERSION = 1;
+
+class Crawler {
+  /**
+   * Constructor for the Crawler
+   * @param {WebScraperService} scraper - Service used to fetch and extract pages
+   * @param {Object} options - Configuration options
+   * @param {Object} options.mapping - Mapping run on each page (see extractStructuredData);
+   * without one, pages are visited for their links only
+   * @param {number} options.maxDepth - Link hops to follow from the seeds (default 2)
+   * @param {number} options.maxPages - Maximum pages to visit (default 50)
+   * @param {string} options.scope - 'origin' (same scheme, host and port as a seed), 'host'
+   * (same host name), 'domain' (the seed's host and its subdomains) or 'any' (default 'origin')
+   * @param {Array} options.allow - Globs or RegExps; when given, only matching URLs are crawled
+   * @param {Array} options.deny - Globs or RegExps for URLs never to crawl
+   * @param {Array} options.dropParams - Query parameters to strip besides the tracking ones
+   * @param {string} options.linkSelector - Links to follow (default: links without rel="nofollow")
+   * @param {number} options.concurrency - Pages fetched at once (default 2); the service's
+   * scheduler still applies its own limits
+   * @param {number} options.timeout - Deadline for each page fetch in milliseconds
+   * @param {number} options.priority - Scheduler priority for the page fetches
+   * @param {string} options.cacheMode - Cache mode for the page fetches
+   */
+  constructor(scraper, options = {}) {
+    if (!scraper) {
+      throw new Error('Crawler requires a WebScraperService');
+    }
+
+    if (options.scope && !SCOPES.includes(options.scope)) {
+      throw new Error(`Unknown crawl scope: ${options.scope}`);
+    }
+
+    this.scraper = scraper;
+    this.mapping = options.mapping || null;
+    this.maxDepth = options.maxDepth === undefined ? 2 : options.maxDepth;
+    this.maxPages = options.maxPages || 50;
+    this.scope = options.scope || 'origin';
+    this.allow = options.allow || [];
+    this.deny = options.deny || [];
+    this.dropParams = options.dropParams || [];
+    this.linkSelector = options.linkSelector || 'a[href]:not([rel~="nofollow"])';
+    this.concurrency = options.concurrency || 2;
+    this.fetchOptions = {
+      timeout: options.timeout,
+      priority: options.priority,
+      cacheMode: options.cacheMode
+    };
+
+    this.queue = [];
+    this.seen = new Set();
+    this.seedHosts = [];
+    this.visited = 0;
+    this.listeners = {};
+    this.controller = null;
+  }
+
+  /**
+   * Subscribe to crawl events
+   *
+   * Events: 'page' with `{ url, finalUrl, depth, data, page }`, 'skip' with
+   * `{ url, depth, reason }`, 'error' with `{ url, depth, error }`, and 'done'
+   * with the crawl summary.
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event details
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(event, listener) {
+    this.listeners[event] = [...(this.listeners[event] || []), listener];
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Call the listeners for an event; a throwing listener does not stop the crawl
+   * @param {string} event - Event name
+   * @param {Object} details - Event details
+   */
+  emit(event, details) {
+    (this.listeners[event] || []).forEach(listener => {
+      try {
+        listener(details);
+      } catch (error) {
+        console.error(`Error in crawler ${event} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Normalize a URL the way the frontier stores it
+   * @param {string} url - Absolute URL
+   * @returns {string} - Normalized URL
+   */
+  normalize(url) {
+    return normalizeUrl(url, { dropParams: this.dropParams });
+  }
+
+  /**
+   * Check whether a URL is inside the crawl scope and allow/deny lists
+   * @param {string} url - Normalized URL
+   * @returns {boolean} - True if the URL may be crawled
+   */
+  isInScope(url) {
+    if (!/^https?:/i.test(url)) {
+      return false;
+    }
+
+    if (this.deny.length && matchesAnyPattern(url, this.deny)) {
+      return false;
+    }
+
+    if (this.allow.length && !matchesAnyPattern(url, this.allow)) {
+      return false;
+    }
+
+    const host = getHostname(url);
+
+    switch (this.scope) {
+      case 'any':
+        return true;
+      case 'host':
+        return this.seedHosts.some(seed => seed.host === host);
+      case 'domain':
+        // A www. seed covers its bare domain and every subdomain
+        return this.seedHosts.some(seed => {
+          const domain = seed.host.replace(/^www\./, '');
+          return host === domain || host.endsWith(`.${domain}`);
+        });
+      default:
+        return this.seedHosts.some(seed => seed.origin === getOrigin(url));
+    }
+  }
+
+  /**
+   * Add a URL to the frontier unless it was seen before or is out of scope
+   * @param {string} url - Absolute URL
+   * @param {number} depth - Link hops from the seeds
+   * @param {string} referrer - Page the link was found on (optional)
+   * @returns {boolean} - True if the URL was queued
+   */
+  enqueue(url, depth, referrer = null) {
+    const normalized = this.normalize(url);
+
+    if (this.seen.has(normalized) || depth > this.maxDepth || !this.isInScope(normalized)) {
+      return false;
+    }
+
+    this.seen.add(normalized);
+    this.queue.push({ url: normalized, depth, referrer });
+    return true;
+  }
+
+  /**
+   * Crawl from seed URLs, or resume a restored frontier
+   * @param {string|Array} seeds - Seed URLs (optional when resuming)
+   * @param {Object} options - Crawl options
+   * @param {AbortSignal} options.signal - Stops the crawl when aborted
+   * @returns {Promise<Object>} - `{ results, visited, queued, stopReason }` where results lists
+   * `{ url, finalUrl, depth, data }` for this run and stopReason is 'done', 'maxPages' or 'stopped'
+   */
+  async crawl(seeds = [], options = {}) {
+    const controller = new AbortController();
+    const results = [];
+    let active = 0;
+
+    this.controller = controller;
+
+    // Follow the caller's signal without holding on to it after the crawl
+    const abort = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      options.signal.addEventListener('abort', abort);
+    }
+
+    (Array.isArray(seeds) ? seeds : [seeds]).forEach(seed => {
+      const normalized = this.normalize(seed);
+
+      if (!this.seedHosts.some(existing => existing.origin === getOrigin(normalized))) {
+        this.seedHosts.push({ origin: getOrigin(normalized), host: getHostname(normalized) });
+      }
+
+      this.enqueue(normalized, 0);
+    });
+
+    await new Promise(resolve => {
+      const pump = () => {
+        while (
+          active < this.concurrency &&
+          this.queue.length > 0 &&
+          this.visited < this.maxPages &&
+          !controller.signal.aborted
+        ) {
+          const item = this.queue.shift();
+          active++;
+          this.visited++;
+
+          this.visit(item, controller.signal, results).then(() => {
+            active--;
+            pump();
+          });
+        }
+
+        if (active === 0) {
+          resolve();
+        }
+      };
+
+      pump();
+    });
+
+    if (options.signal) {
+      options.signal.removeEventListener('abort', abort);
+    }
+
+    this.controller = null;
+
+    let stopReason = 'done';
+    if (controller.signal.aborted) {
+      stopReason = 'stopped';
+    } else if (this.queue.length > 0) {
+      stopReason = 'maxPages';
+    }
+
+    const summary = { results, visited: this.visited, queued: this.queue.length, stopReason };
+    this.emit('done', summary);
+    return summary;
+  }
+
+  /**
+   * Fetch one page, extract its data and queue its links
+   *
+   * Never rejects: failures are reported through the 'error' and 'skip'
+   * events. A page cancelled by stop() goes back to the front of the queue,
+   * so a resumed crawl fetches it again.
+   * @param {Object} item - Frontier entry `{ url, depth, referrer }`
+   * @param {AbortSignal} signal - The crawl's signal
+   * @param {Array} results - Results of this run, appended to
+   * @returns {Promise<void>}
+   */
+  async visit(item, signal, results) {
+    const { url, depth } = item;
+
+    try {
+      const page = await this.scraper.fetchPage(url, { ...this.fetchOptions, signal });
+      const finalUrl = this.normalize(page.finalUrl);
+
+      if (finalUrl !== url) {
+        if (!this.isInScope(finalUrl)) {
+          this.emit('skip', { url, depth, reason: `Redirected out of scope to ${page.finalUrl}` });
+          return;
+        }
+
+        // The page it redirects to is already visited or queued
+        if (this.seen.has(finalUrl)) {
+          this.emit('skip', { url, depth, reason: `Redirected to ${page.finalUrl}, which was already seen` });
+          return;
+        }
+
+        this.seen.add(finalUrl);
+      }
+
+      if (page.contentType && !/html|xml/i.test(page.contentType)) {
+        this.emit('skip', { url, depth, reason: `Not an HTML page (${page.contentType})` });
+        return;
+      }
+
+      const data = this.mapping ? this.scraper.extractStructuredData(page, this.mapping) : null;
+
+      if (depth < this.maxDepth) {
+        this.scraper.extractLinks(page, this.linkSelector)
+          .filter(link => link.type === 'http')
+          .forEach(link => this.enqueue(link.url, depth + 1, url));
+      }
+
+      results.push({ url, finalUrl: page.finalUrl, depth, data });
+      this.emit('page', { url, finalUrl: page.finalUrl, depth, data, page });
+    } catch (error) {
+      if (signal.aborted && isAbortError(error)) {
+        this.queue.unshift(item);
+        this.visited--;
+        return;
+      }
+
+      if (error instanceof RobotsDisallowedError) {
+        this.emit('skip', { url, depth, reason: error.message });
+        return;
+      }
+
+      this.emit('error', { url, depth, error });
+    }
+  }
+
+  /**
+   * Stop the crawl after cancelling the pages in flight
+   */
+  stop() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  /**
+   * Serialize the frontier so a crawl can be resumed later
+   * @returns {Object} - `{ version, queue, seen, seedHosts, visited }`, safe to JSON.stringify
+   */
+  toJSON() {
+    return {
+      version: STATE_VERSION,
+      queue: this.queue.map(item => ({ ...item })),
+      seen: [...this.seen],
+      seedHosts: this.seedHosts.map(seed => ({ ...seed })),
+      visited: this.visited
+    };
+  }
+
+  /**
+   * Restore a frontier saved with toJSON; call crawl() afterwards to resume
+   * @param {string|Object} state - Serialized state, as an object or JSON string
+   * @returns {Crawler} - This crawler
+   * @throws {Error} - When the state was written by an unsupported version
+   */
+  restore(state) {
+    const data = typeof state === 'string' ? JSON.parse(state) : state;
+
+    if (!data || data.version !== STATE_VERSION) {
+      throw new Error(`Unsupported crawler state version: ${data && data.version}`);
+    }
+
+    this.queue = data.queue.map(item => ({ ...item }));
+    this.seen = new Set(data.seen);
+    this.seedHosts = data.seedHosts.map(seed => ({ ...seed }));
+    this.visited = data.visited || 0;
+    return this;
+  }
+}
+
+export default Crawler;
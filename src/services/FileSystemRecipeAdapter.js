@@ -0,0 +1,106 @@
+/**
+ * FileSystemRecipeAdapter.js
+ * Storage for RecipeStore as JSON files on top of expo-file-system
+ *
+ * Each item is one file in the recipes directory, so a saved recipe can
+ * also be passed to WebScraperService.loadRecipe by its file URI when the
+ * adapter is the service's fileReader.
+ */
+
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * Turn a key into a safe file name (letters, digits, '.', '-' and '_')
+ *
+ * Other characters, and '_' itself, become `_` plus their hex code, so
+ * distinct keys never collide.
+ * @param {string} key - Storage key
+ * @returns {string} - File name, with a .json extension
+ */
+const toFileName = (key) => `${String(key).replace(/[^A-Za-z0-9.-]/g, char => `_${char.charCodeAt(0).toString(16)}_`)}.json`;
+
+class FileSystemRecipeAdapter {
+  /**
+   * Constructor for the FileSystemRecipeAdapter
+   * @param {Object} fileSystem - Module with the expo-file-system API: readAsStringAsync,
+   * writeAsStringAsync, deleteAsync, makeDirectoryAsync and documentDirectory
+   * (defaults to expo-file-system)
+   * @param {Object} options - Configuration options
+   * @param {string} options.directory - Directory URI for the files, ending in '/'
+   * (default 'recipes/' in the app's document directory)
+   */
+  constructor(fileSystem = FileSystem, options = {}) {
+    this.fileSystem = fileSystem;
+    this.directory = options.directory || `${fileSystem.documentDirectory}recipes/`;
+    this.ready = null;
+  }
+
+  /**
+   * Get the file URI for a key
+   * @param {string} key - Storage key
+   * @returns {string} - File URI
+   */
+  getUri(key) {
+    return this.directory + toFileName(key);
+  }
+
+  /**
+   * Create the recipes directory the first time something is written
+   * @returns {Promise<void>}
+   */
+  async ensureDirectory() {
+    if (!this.ready) {
+      this.ready = this.fileSystem.makeDirectoryAsync(this.directory, { intermediates: true }).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Read an item
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - The item, or null if missing or unreadable
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await this.fileSystem.readAsStringAsync(this.getUri(key)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read any file as text, such as a recipe in the document directory or
+   * one chosen with the document picker
+   * @param {string} uri - 'file://' or 'content://' URI
+   * @returns {Promise<string>} - File contents
+   */
+  async readFile(uri) {
+    return this.fileSystem.readAsStringAsync(uri);
+  }
+
+  /**
+   * Write an item
+   * @param {string} key - Storage key
+   * @param {Object} value - Item to store; must be JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.ensureDirectory();
+    await this.fileSystem.writeAsStringAsync(this.getUri(key), JSON.stringify(value, null, 2));
+  }
+
+  /**
+   * Remove an item
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.fileSystem.deleteAsync(this.getUri(key), { idempotent: true });
+  }
+}
+
+export default FileSystemRecipeAdapter;
@@ -0,0 +1,67 @@
+/**
+ * MemoryCacheAdapter.js
+ * In-memory storage for ResponseCache entries
+ */
+
+class MemoryCacheAdapter {
+  /**
+   * Constructor for the MemoryCacheAdapter
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Evict the least recently used entry beyond this size (default 100)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - The entry, or null if missing
+   */
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+
+    // Re-insert to mark the entry as recently used
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+export default MemoryCacheAdapter;
@@ -0,0 +1,43 @@
+/**
+ * MemoryStorageAdapter.js
+ * In-memory key-value storage, for tests and sessions that should not persist
+ */
+
+class MemoryStorageAdapter {
+  /**
+   * Constructor for the MemoryStorageAdapter
+   */
+  constructor() {
+    this.items = new Map();
+  }
+
+  /**
+   * Read an item
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - A copy of the item, or null if missing
+   */
+  async get(key) {
+    return this.items.has(key) ? JSON.parse(this.items.get(key)) : null;
+  }
+
+  /**
+   * Write an item
+   * @param {string} key - Storage key
+   * @param {Object} value - Item to store; copied so later changes to it are not stored
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.items.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove an item
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.items.delete(key);
+  }
+}
+
+export default MemoryStorageAdapter;
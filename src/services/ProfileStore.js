@@ -0,0 +1,130 @@
+/**
+ * ProfileStore.js
+ * Named, per-site auth profiles saved through a credential storage adapter
+ */
+
+import SecureStoreCredentialAdapter from './SecureStoreCredentialAdapter';
+
+// Auth types a profile can hold: the auth strategies plus cookies and form logins
+const PROFILE_TYPES = ['basic', 'bearer', 'apiKey', 'oauth2', 'cookie', 'form'];
+
+// Profile auth fields that hold secrets
+const SECRET_FIELDS = ['password', 'token', 'key', 'clientSecret', 'cookies'];
+
+const INDEX_KEY = 'index';
+
+/**
+ * Get the storage key for a profile
+ * @param {string} name - Profile name
+ * @returns {string} - Storage key
+ */
+const getProfileKey = (name) => `profile:${name}`;
+
+class ProfileStore {
+  /**
+   * Constructor for the ProfileStore
+   * @param {Object} options - Configuration options
+   * @param {Object} options.adapter - Storage adapter with async get/set/delete (defaults to a
+   * SecureStoreCredentialAdapter, which keeps profiles encrypted at rest but does not work on web)
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new SecureStoreCredentialAdapter();
+  }
+
+  /**
+   * Summarize a profile without its secrets
+   * @param {Object} profile - Profile
+   * @returns {Object} - `{ name, site, type, updatedAt }`
+   */
+  static summarize(profile) {
+    return {
+      name: profile.name,
+      site: profile.site || null,
+      type: profile.auth.type,
+      updatedAt: profile.updatedAt || null
+    };
+  }
+
+  /**
+   * Copy a profile with its secrets masked, for display or logging
+   * @param {Object} profile - Profile
+   * @returns {Object} - The profile with password, token, key, clientSecret and cookies masked
+   */
+  static redact(profile) {
+    const auth = { ...profile.auth };
+
+    SECRET_FIELDS.forEach(field => {
+      if (auth[field]) {
+        auth[field] = '********';
+      }
+    });
+
+    return { ...profile, auth };
+  }
+
+  /**
+   * List saved profiles
+   * @returns {Promise<Array>} - Summaries as `{ name, site, type, updatedAt }`, without secrets
+   */
+  async list() {
+    return (await this.adapter.get(INDEX_KEY)) || [];
+  }
+
+  /**
+   * Read a profile
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} - `{ name, site, auth, updatedAt }`, or null if there is none
+   */
+  async get(name) {
+    return this.adapter.get(getProfileKey(name));
+  }
+
+  /**
+   * Save a profile, replacing any with the same name
+   * @param {Object} profile - Profile to save
+   * @param {string} profile.name - Unique profile name
+   * @param {string} profile.site - Site the profile is for, e.g. 'https://example.com' (optional)
+   * @param {Object} profile.auth - Auth settings with a `type` of 'basic', 'bearer', 'apiKey',
+   * 'oauth2', 'cookie' or 'form', as accepted by setAuth, setCookies ({ cookies }) or
+   * login ({ loginUrl, username, password, successSelector })
+   * @returns {Promise<Object>} - Summary of the saved profile
+   * @throws {Error} - When the name is missing or the auth type is unknown
+   */
+  async save(profile) {
+    const name = String((profile && profile.name) || '').trim();
+
+    if (!name) {
+      throw new Error('Auth profiles need a name');
+    }
+
+    if (!profile.auth || !PROFILE_TYPES.includes(profile.auth.type)) {
+      throw new Error(`Unknown auth type for profile "${name}"`);
+    }
+
+    const saved = {
+      name,
+      site: profile.site || null,
+      auth: { ...profile.auth },
+      updatedAt: Date.now()
+    };
+
+    await this.adapter.set(getProfileKey(name), saved);
+
+    const index = (await this.list()).filter(summary => summary.name !== name);
+    await this.adapter.set(INDEX_KEY, [...index, ProfileStore.summarize(saved)]);
+
+    return ProfileStore.summarize(saved);
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} name - Profile name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    await this.adapter.delete(getProfileKey(name));
+    await this.adapter.set(INDEX_KEY, (await this.list()).filter(summary => summary.name !== name));
+  }
+}
+
+export default ProfileStore;
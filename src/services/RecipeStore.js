@@ -0,0 +1,193 @@
+/**
+ * RecipeStore.js
+ * Named scrape recipes saved through a storage adapter
+ */
+
+import FileSystemRecipeAdapter from './FileSystemRecipeAdapter';
+import { parseRecipe, parseRecipes, getStartUrls } from '../utils/recipe';
+import { RecipeError, RecipeExistsError } from '../utils/errors';
+
+const INDEX_KEY = 'index';
+
+/**
+ * Get the storage key for a recipe
+ * @param {string} name - Recipe name
+ * @returns {string} - Storage key
+ */
+const getRecipeKey = (name) => `recipe:${name}`;
+
+class RecipeStore {
+  /**
+   * Constructor for the RecipeStore
+   * @param {Object} options - Configuration options
+   * @param {Object} options.adapter - Storage adapter with async get/set/delete (defaults to a
+   * FileSystemRecipeAdapter, which keeps each recipe as a JSON file in the app's documents)
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new FileSystemRecipeAdapter();
+  }
+
+  /**
+   * Summarize a recipe for lists
+   * @param {Object} recipe - Recipe
+   * @param {number} updatedAt - When it was saved (optional)
+   * @returns {Object} - `{ name, description, start, updatedAt }` where start lists the start URLs
+   */
+  static summarize(recipe, updatedAt = null) {
+    return {
+      name: recipe.name,
+      description: recipe.description || '',
+      start: getStartUrls(recipe),
+      updatedAt
+    };
+  }
+
+  /**
+   * List saved recipes
+   * @returns {Promise<Array>} - Summaries as `{ name, description, start, updatedAt }`, sorted by name
+   */
+  async list() {
+    const index = (await this.adapter.get(INDEX_KEY)) || [];
+    return [...index].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Read a recipe
+   * @param {string} name - Recipe name
+   * @returns {Promise<Object|null>} - The recipe, or null if there is none
+   */
+  async get(name) {
+    return this.adapter.get(getRecipeKey(name));
+  }
+
+  /**
+   * Save a recipe
+   * @param {string|Object} recipe - Recipe object or JSON string
+   * @param {Object} options - Save options
+   * @param {string} options.previousName - The recipe's name before an edit; when it differs,
+   * the recipe is renamed and the old entry removed
+   * @param {boolean} options.overwrite - Replace a different saved recipe with the same name
+   * @returns {Promise<Object>} - Summary of the saved recipe
+   * @throws {RecipeError} - When the recipe is not valid
+   * @throws {RecipeExistsError} - When another recipe has the name and overwrite is not set
+   */
+  async save(recipe, options = {}) {
+    const saved = parseRecipe(recipe);
+    const name = saved.name.trim();
+    const updatedAt = Date.now();
+
+    if (!options.overwrite && name !== options.previousName && (await this.get(name))) {
+      throw new RecipeExistsError([name]);
+    }
+
+    await this.adapter.set(getRecipeKey(name), { ...saved, name });
+
+    if (options.previousName && options.previousName !== name) {
+      await this.adapter.delete(getRecipeKey(options.previousName));
+    }
+
+    const index = (await this.list()).filter(summary => summary.name !== name && summary.name !== options.previousName);
+    const summary = RecipeStore.summarize({ ...saved, name }, updatedAt);
+    await this.adapter.set(INDEX_KEY, [...index, summary]);
+
+    return summary;
+  }
+
+  /**
+   * Remove a recipe
+   * @param {string} name - Recipe name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    await this.adapter.delete(getRecipeKey(name));
+    await this.adapter.set(INDEX_KEY, (await this.list()).filter(summary => summary.name !== name));
+  }
+
+  /**
+   * Save a copy of a recipe under a new name
+   * @param {string} name - Recipe to copy
+   * @param {string} newName - Name for the copy (defaults to the first free 'Name (copy)',
+   * 'Name (copy 2)', ...)
+   * @returns {Promise<Object>} - Summary of the copy
+   * @throws {Error} - When the recipe does not exist
+   * @throws {RecipeExistsError} - When a recipe named newName is already saved
+   */
+  async duplicate(name, newName) {
+    const recipe = await this.get(name);
+
+    if (!recipe) {
+      throw new Error(`No recipe named "${name}"`);
+    }
+
+    const names = (await this.list()).map(summary => summary.name);
+    let copyName = newName || `${name} (copy)`;
+
+    for (let count = 2; !newName && names.includes(copyName); count++) {
+      copyName = `${name} (copy ${count})`;
+    }
+
+    return this.save({ ...recipe, name: copyName });
+  }
+
+  /**
+   * Export recipes as JSON text for sharing
+   * @param {string|Array} names - One recipe name, or several (defaults to every saved recipe)
+   * @returns {Promise<string>} - The recipe as a JSON object for one name, otherwise a JSON array
+   * @throws {Error} - When a named recipe does not exist
+   */
+  async exportJson(names) {
+    const list = names === undefined ? (await this.list()).map(summary => summary.name) : [].concat(names);
+    const recipes = await Promise.all(list.map(async name => {
+      const recipe = await this.get(name);
+
+      if (!recipe) {
+        throw new Error(`No recipe named "${name}"`);
+      }
+
+      return recipe;
+    }));
+
+    return JSON.stringify(typeof names === 'string' ? recipes[0] : recipes, null, 2);
+  }
+
+  /**
+   * Import recipes from JSON text, such as the output of exportJson
+   *
+   * Every recipe, and every name, is checked before any is saved.
+   * @param {string} json - One recipe, or an array of recipes, as JSON
+   * @param {Object} options - Import options
+   * @param {boolean} options.overwrite - Replace saved recipes with the same names
+   * @returns {Promise<Array>} - Summaries of the imported recipes
+   * @throws {RecipeError} - When the JSON cannot be parsed, any recipe is not valid, or two
+   * recipes share a name
+   * @throws {RecipeExistsError} - When recipes with these names are saved and overwrite is not set
+   */
+  async importJson(json, options = {}) {
+    const recipes = parseRecipes(json);
+    const names = recipes.map(recipe => recipe.name.trim());
+    const repeated = names
+      .map((name, index) => ({ path: `[${index}].name`, message: `repeats the name of recipe [${names.indexOf(name)}]` }))
+      .filter((error, index) => names.indexOf(names[index]) !== index);
+
+    if (repeated.length > 0) {
+      throw new RecipeError(repeated);
+    }
+
+    const saved = (await this.list()).map(summary => summary.name);
+    const existing = names.filter(name => saved.includes(name));
+
+    if (existing.length > 0 && !options.overwrite) {
+      throw new RecipeExistsError(existing);
+    }
+
+    const summaries = [];
+
+    for (const recipe of recipes) {
+      summaries.push(await this.save(recipe, { overwrite: true }));
+    }
+
+    return summaries;
+  }
+}
+
+export default RecipeStore;
@@ -0,0 +1,200 @@
+/**
+ * RequestScheduler.js
+ * A priority queue that limits how many requests run at once, globally and per host
+ */
+
+import { parseUrl } from '../utils/url';
+import { onAbort } from '../utils/abort';
+import { AbortError } from '../utils/errors';
+
+class RequestScheduler {
+  /**
+   * Constructor for the RequestScheduler
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxConcurrent - Maximum requests in flight across all hosts
+   * @param {number} options.maxConcurrentPerHost - Maximum requests in flight per host
+   * @param {number} options.minHostDelay - Minimum time between request starts to the same host in milliseconds
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 6;
+    this.maxConcurrentPerHost = options.maxConcurrentPerHost || 2;
+    this.minHostDelay = options.minHostDelay || 0;
+
+    this.queue = [];
+    this.active = 0;
+    this.activeByHost = {};
+    this.lastStartByHost = {};
+    this.hostDelays = {};
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Get the host key used for per-host limits
+   * @param {string} url - Request URL
+   * @returns {string} - Lowercased host (with port), or an empty string for relative URLs
+   */
+  static getHost(url) {
+    const { authority } = parseUrl(url || '');
+    return authority ? authority.replace(/^.*@/, '').toLowerCase() : '';
+  }
+
+  /**
+   * Override the minimum delay between requests for one host
+   * @param {string} host - Host name, as returned by RequestScheduler.getHost
+   * @param {number} delay - Delay in milliseconds
+   */
+  setHostDelay(host, delay) {
+    this.hostDelays[host.toLowerCase()] = delay;
+  }
+
+  /**
+   * Get the minimum delay between requests for a host
+   * @param {string} host - Host name
+   * @returns {number} - Delay in milliseconds
+   */
+  getHostDelay(host) {
+    const delay = this.hostDelays[host];
+    return delay === undefined ? this.minHostDelay : Math.max(delay, this.minHostDelay);
+  }
+
+  /**
+   * Queue a task that performs a request
+   *
+   * Higher priorities run first; tasks with the same priority run in the
+   * order they were scheduled.
+   * @param {string} url - URL the task will request, used for per-host limits
+   * @param {Function} task - Function returning a promise for the request
+   * @param {Object} options - Scheduling options
+   * @param {number} options.priority - Task priority (default 0)
+   * @param {AbortSignal} options.signal - Removes the task from the queue when aborted
+   * @returns {Promise<*>} - Resolves or rejects with the task's result
+   * @throws {AbortError} - When the signal aborts before the task starts
+   */
+  schedule(url, task, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(new AbortError(url));
+        return;
+      }
+
+      const entry = {
+        host: RequestScheduler.getHost(url),
+        task,
+        priority: options.priority || 0,
+        sequence: this.sequence++,
+        resolve,
+        reject
+      };
+
+      // Drop the task if it is cancelled while still waiting
+      entry.removeAbortListener = onAbort(options.signal, () => {
+        const queued = this.queue.indexOf(entry);
+
+        if (queued !== -1) {
+          this.queue.splice(queued, 1);
+          reject(new AbortError(url));
+        }
+      });
+
+      // Keep the queue sorted by priority, then by arrival
+      const index = this.queue.findIndex(queued => queued.priority < entry.priority);
+      if (index === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(index, 0, entry);
+      }
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Start every queued task that the limits allow
+   */
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let nextWake = Infinity;
+    let index = 0;
+
+    while (index < this.queue.length && this.active < this.maxConcurrent) {
+      const entry = this.queue[index];
+      const hostActive = this.activeByHost[entry.host] || 0;
+      const lastStart = this.lastStartByHost[entry.host];
+      const wait = lastStart === undefined ? 0 : lastStart + this.getHostDelay(entry.host) - now;
+
+      if (hostActive >= this.maxConcurrentPerHost) {
+        index++;
+      } else if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        index++;
+      } else {
+        this.queue.splice(index, 1);
+        this.start(entry, now);
+      }
+    }
+
+    if (nextWake !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), nextWake);
+    }
+  }
+
+  /**
+   * Run a task and release its slots when it settles
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Start timestamp
+   */
+  start(entry, now) {
+    entry.removeAbortListener();
+    this.active++;
+    this.activeByHost[entry.host] = (this.activeByHost[entry.host] || 0) + 1;
+    this.lastStartByHost[entry.host] = now;
+
+    const release = () => {
+      this.active--;
+      this.activeByHost[entry.host]--;
+
+      if (this.activeByHost[entry.host] === 0) {
+        delete this.activeByHost[entry.host];
+      }
+
+      this.drain();
+    };
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        result => {
+          release();
+          entry.resolve(result);
+        },
+        error => {
+          release();
+          entry.reject(error);
+        }
+      );
+  }
+
+  /**
+   * Number of tasks waiting to start
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Number of tasks currently running
+   * @returns {number}
+   */
+  get running() {
+    return this.active;
+  }
+}
+
+export default RequestScheduler;
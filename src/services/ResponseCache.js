@@ -0,0 +1,339 @@
+/**
+ * ResponseCache.js
+ * HTTP response cache with TTLs and ETag/Last-Modified revalidation
+ */
+
+import MemoryCacheAdapter from './MemoryCacheAdapter';
+import { toPlainHeaders } from '../utils/headers';
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string} value - Header value
+ * @returns {Object} - Directives keyed by name; valueless directives are true
+ */
+const parseCacheControl = (value) => {
+  const directives = {};
+
+  String(value || '').split(',').forEach(part => {
+    const [name, arg] = part.trim().split('=');
+
+    if (name) {
+      directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/"/g, '');
+    }
+  });
+
+  return directives;
+};
+
+/**
+ * Parse a Vary header into header names
+ * @param {string} value - Header value
+ * @returns {Array} - Lowercased header names
+ */
+const parseVary = (value) => String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+class ResponseCache {
+  /**
+   * Constructor for the ResponseCache
+   * @param {Object} options - Configuration options
+   * @param {Object} options.adapter - Storage adapter with async get/set/delete/clear
+   * (defaults to a MemoryCacheAdapter)
+   * @param {number} options.ttl - How long responses stay fresh in milliseconds when the
+   * server sends no max-age (default 5 minutes)
+   * @param {boolean} options.staleIfError - Serve stale entries when the network fails (default true)
+   * @param {boolean} options.storePrivate - Also store `Cache-Control: private` responses and
+   * responses to requests that sent credentials or cookies (default false). Entries are not
+   * kept apart per user, so only turn this on for a cache that serves a single account.
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new MemoryCacheAdapter();
+    this.ttl = options.ttl === undefined ? 5 * 60 * 1000 : options.ttl;
+    this.staleIfError = options.staleIfError !== false;
+    this.storePrivate = !!options.storePrivate;
+  }
+
+  /**
+   * Get the cache key for a URL
+   * @param {string} url - Request URL
+   * @param {Object} headers - Plain request headers, keyed by lowercased name
+   * @param {Array} vary - Header names from the response's Vary header
+   * @returns {string} - The URL without its fragment, followed by the request's value for
+   * each Vary header
+   */
+  static getKey(url, headers = {}, vary = []) {
+    const key = String(url).split('#')[0];
+
+    if (!vary.length) {
+      return key;
+    }
+
+    const values = vary.map(name => `${name}=${headers[name] === undefined ? '' : headers[name]}`);
+    return `${key} vary:${values.join('&')}`;
+  }
+
+  /**
+   * Read an item from the adapter
+   *
+   * Storage failures are reported and treated as misses, so a broken cache
+   * never stops a scrape.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - The item, or null
+   */
+  async read(key) {
+    try {
+      return await this.adapter.get(key);
+    } catch (error) {
+      console.warn('Error reading response cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Look up the entry for a request
+   *
+   * A response sent with a Vary header is stored once per combination of
+   * the varying request headers, and a request only finds the entry that
+   * matches its own header values.
+   * @param {string} url - Request URL
+   * @param {Object} headers - Plain request headers, keyed by lowercased name
+   * @returns {Promise<Object|null>} - The cached entry, or null
+   */
+  async get(url, headers = {}) {
+    const entry = await this.read(ResponseCache.getKey(url));
+
+    if (!entry || !entry.variants) {
+      return entry;
+    }
+
+    return this.read(ResponseCache.getKey(url, headers, entry.vary));
+  }
+
+  /**
+   * Check whether an entry can be served without revalidation
+   * @param {Object} entry - Cached entry
+   * @returns {boolean} - True while the entry is within its TTL
+   */
+  isFresh(entry) {
+    return entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Build conditional request headers for an entry
+   * @param {Object} entry - Cached entry
+   * @returns {Object} - If-None-Match and/or If-Modified-Since headers
+   */
+  getValidators(entry) {
+    const validators = {};
+
+    if (entry.headers.etag) {
+      validators['If-None-Match'] = entry.headers.etag;
+    }
+
+    if (entry.headers['last-modified']) {
+      validators['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+
+    return validators;
+  }
+
+  /**
+   * Work out when a response stops being fresh
+   * @param {Object} headers - Plain response headers
+   * @returns {number|null} - Expiry timestamp, or null if the response must not be stored
+   */
+  getExpiry(headers) {
+    const directives = parseCacheControl(headers['cache-control']);
+
+    if (directives['no-store']) {
+      return null;
+    }
+
+    if (directives['no-cache']) {
+      return Date.now();
+    }
+
+    const maxAge = parseInt(directives['s-maxage'] || directives['max-age'], 10);
+    return Date.now() + (isNaN(maxAge) ? this.ttl : maxAge * 1000);
+  }
+
+  /**
+   * Check whether a response may be stored
+   * @param {Object} headers - Plain response headers
+   * @param {Object} request - The request, as passed to store
+   * @returns {boolean} - False for private or personalised responses, unless storePrivate is on
+   */
+  isStorable(headers, request) {
+    if (parseVary(headers.vary).includes('*')) {
+      return false;
+    }
+
+    return this.storePrivate || !(parseCacheControl(headers['cache-control']).private || request.credentialed);
+  }
+
+  /**
+   * Store a successful response
+   *
+   * Set-Cookie headers are dropped, so a cached page never hands out
+   * another session's cookies.
+   * @param {string} url - Request URL
+   * @param {Object} response - Axios response
+   * @param {Object} request - What was sent
+   * @param {Object} request.headers - Plain request headers, keyed by lowercased name, for Vary
+   * @param {boolean} request.credentialed - Whether the request sent credentials or cookies
+   * @returns {Promise<Object|null>} - The stored entry, or null if the response was not cacheable
+   */
+  async store(url, response, request = {}) {
+    const headers = toPlainHeaders(response.headers);
+    delete headers['set-cookie'];
+
+    const expiresAt = this.isStorable(headers, request) ? this.getExpiry(headers) : null;
+
+    if (expiresAt === null || typeof response.data !== 'string') {
+      return null;
+    }
+
+    const vary = parseVary(headers.vary);
+    const key = ResponseCache.getKey(url, request.headers, vary);
+    await this.updateVariants(url, vary, key);
+
+    const entry = {
+      key,
+      url,
+      finalUrl: response.finalUrl || url,
+      redirects: response.redirects || [],
+      status: response.status,
+      headers,
+      data: response.data,
+      charset: response.charset || null,
+      size: response.size,
+      storedAt: Date.now(),
+      expiresAt
+    };
+
+    await this.write(key, entry);
+    return entry;
+  }
+
+  /**
+   * Keep track of the keys stored for a URL whose responses vary
+   *
+   * The URL's own key then holds `{ vary, variants }` instead of an entry.
+   * When the Vary header changes, entries stored under the old one are removed.
+   * @param {string} url - Request URL
+   * @param {Array} vary - Header names from the new response's Vary header
+   * @param {string} key - Key the new response is stored under
+   * @returns {Promise<void>}
+   */
+  async updateVariants(url, vary, key) {
+    const urlKey = ResponseCache.getKey(url);
+    const current = await this.read(urlKey);
+    const sameVary = !!current && !!current.variants && current.vary.join() === vary.join();
+
+    if (current && current.variants && !sameVary) {
+      await Promise.all(current.variants.map(variant => this.remove(variant)));
+    }
+
+    if (vary.length) {
+      const variants = sameVary ? current.variants.filter(variant => variant !== key) : [];
+      await this.write(urlKey, { vary, variants: [...variants, key] });
+    }
+  }
+
+  /**
+   * Refresh an entry after a 304 Not Modified response
+   * @param {string} url - Request URL
+   * @param {Object} entry - Cached entry
+   * @param {Object} response - The 304 response
+   * @returns {Promise<Object>} - The refreshed entry
+   */
+  async refresh(url, entry, response) {
+    const updated = toPlainHeaders(response.headers);
+    delete updated['set-cookie'];
+
+    const headers = { ...entry.headers, ...updated };
+    const refreshed = {
+      ...entry,
+      headers,
+      storedAt: Date.now(),
+      expiresAt: this.getExpiry(headers) || Date.now()
+    };
+
+    await this.write(entry.key || ResponseCache.getKey(url), refreshed);
+    return refreshed;
+  }
+
+  /**
+   * Write an item, reporting storage failures instead of throwing
+   * @param {string} key - Cache key
+   * @param {Object} item - Item to store
+   * @returns {Promise<void>}
+   */
+  async write(key, item) {
+    try {
+      await this.adapter.set(key, item);
+    } catch (error) {
+      console.warn('Error writing response cache:', error);
+    }
+  }
+
+  /**
+   * Remove an item, reporting storage failures instead of throwing
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await this.adapter.delete(key);
+    } catch (error) {
+      console.warn('Error writing response cache:', error);
+    }
+  }
+
+  /**
+   * Turn a cached entry into a response object shaped like axios's
+   * @param {Object} entry - Cached entry
+   * @param {Object} flags - Extra flags such as `stale` or `revalidated`
+   * @returns {Object} - `{ data, status, headers, config, finalUrl, redirects, charset, size, fromCache, stale, revalidated }`
+   */
+  toResponse(entry, flags = {}) {
+    return {
+      data: entry.data,
+      status: entry.status,
+      headers: entry.headers,
+      config: { url: entry.url },
+      finalUrl: entry.finalUrl || entry.url,
+      redirects: entry.redirects || [],
+      charset: entry.charset,
+      size: entry.size,
+      fromCache: true,
+      stale: !!flags.stale,
+      revalidated: !!flags.revalidated
+    };
+  }
+
+  /**
+   * Remove the entries for a URL, including every variant
+   * @param {string} url - Request URL
+   * @returns {Promise<void>}
+   */
+  async delete(url) {
+    const urlKey = ResponseCache.getKey(url);
+    const current = await this.adapter.get(urlKey);
+
+    if (current && current.variants) {
+      await Promise.all(current.variants.map(variant => this.adapter.delete(variant)));
+    }
+
+    await this.adapter.delete(urlKey);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear();
+  }
+}
+
+export default ResponseCache;
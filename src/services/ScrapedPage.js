@@ -0,0 +1,80 @@
+/**
+ * ScrapedPage.js
+ * A fetched page with its response metadata and a lazily parsed document
+ */
+
+import cheerio from 'react-native-cheerio';
+
+/**
+ * Count the UTF-8 bytes in a string
+ * @param {string} text - The text to measure
+ * @returns {number} - Size in bytes
+ */
+const utf8ByteLength = (text) => {
+  let bytes = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff) {
+      // Surrogate pair: one 4-byte character
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+
+  return bytes;
+};
+
+class ScrapedPage {
+  /**
+   * Constructor for the ScrapedPage
+   * @param {Object} details - Page details
+   * @param {string} details.url - The URL that was requested
+   * @param {string} details.finalUrl - The URL the content came from after redirects
+   * @param {Array} details.redirects - Redirect hops as `{ url, status }`, in order
+   * @param {number} details.status - HTTP status code
+   * @param {Object} details.headers - Response headers keyed by lowercased name
+   * @param {string} details.html - The page content
+   * @param {string} details.charset - Character encoding the body was decoded from
+   * @param {number} details.size - Body size in bytes (computed from html when omitted)
+   * @param {Object} details.timings - `{ start, end, duration }` in milliseconds
+   * @param {boolean} details.fromCache - True if the page was served from the response cache
+   * @param {boolean} details.stale - True if a cached page was served past its freshness lifetime
+   */
+  constructor(details) {
+    this.url = details.url;
+    this.finalUrl = details.finalUrl || details.url;
+    this.redirects = details.redirects || [];
+    this.status = details.status;
+    this.headers = details.headers || {};
+    this.contentType = this.headers['content-type'] || null;
+    this.charset = details.charset || null;
+    this.html = typeof details.html === 'string' ? details.html : String(details.html || '');
+    this.size = details.size !== undefined ? details.size : utf8ByteLength(this.html);
+    this.timings = details.timings || null;
+    this.fromCache = !!details.fromCache;
+    this.stale = !!details.stale;
+    this.document = null;
+  }
+
+  /**
+   * Cheerio handle for the page, parsed on first access and reused afterwards
+   * @returns {Function} - Cheerio instance
+   */
+  get $() {
+    if (!this.document) {
+      this.document = cheerio.load(this.html);
+    }
+
+    return this.document;
+  }
+}
+
+export default ScrapedPage;
@@ -0,0 +1,210 @@
+/**
+ * SecureStoreCredentialAdapter.js
+ * Encrypted-at-rest storage for ProfileStore on top of expo-secure-store
+ *
+ * Items are kept in the iOS Keychain or in Android Keystore-encrypted
+ * storage. Any module with the same async API (getItemAsync, setItemAsync,
+ * deleteItemAsync), such as a wrapper around react-native-keychain, can be
+ * passed in its place.
+ *
+ * SecureStore may reject values over 2048 bytes, so longer items are split
+ * across several entries. It is not available on web, where every call
+ * throws; use another adapter there.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+
+// Largest value written to a single SecureStore entry, in UTF-8 bytes
+const MAX_VALUE_BYTES = 2048;
+
+// Value of an item's own entry when the item is split, followed by the number of parts
+const SPLIT_MARKER = 'parts:';
+
+/**
+ * Turn a key into one SecureStore accepts (letters, digits, '.', '-' and '_')
+ *
+ * Other characters, and '_' itself, become `_` plus their hex code, so
+ * distinct keys never collide.
+ * @param {string} key - Storage key
+ * @returns {string} - Safe key
+ */
+const encodeKey = (key) => String(key).replace(/[^A-Za-z0-9.-]/g, char => `_${char.charCodeAt(0).toString(16)}_`);
+
+/**
+ * Count the UTF-8 bytes in a string
+ * @param {string} text - The string
+ * @returns {number} - Byte length
+ */
+const byteLength = (text) => encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '-').length;
+
+/**
+ * Split a string into parts of at most a number of UTF-8 bytes, never
+ * inside a character
+ * @param {string} text - The string
+ * @param {number} maxBytes - Largest part in bytes
+ * @returns {Array} - The parts, in order
+ */
+const splitByBytes = (text, maxBytes) => {
+  const parts = [];
+  let part = '';
+  let size = 0;
+
+  for (const char of text) {
+    const bytes = byteLength(char);
+
+    if (size + bytes > maxBytes) {
+      parts.push(part);
+      part = '';
+      size = 0;
+    }
+
+    part += char;
+    size += bytes;
+  }
+
+  parts.push(part);
+  return parts;
+};
+
+class SecureStoreCredentialAdapter {
+  /**
+   * Constructor for the SecureStoreCredentialAdapter
+   * @param {Object} secureStore - Module with getItemAsync, setItemAsync and deleteItemAsync
+   * (defaults to expo-secure-store)
+   * @param {Object} options - Configuration options
+   * @param {string} options.prefix - Prefix for keys written to the store (default 'webscraper.profiles.')
+   * @param {Object} options.storeOptions - Options passed to every SecureStore call,
+   * e.g. `{ keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY }`
+   * @param {number} options.maxValueBytes - Largest value written to one entry; longer items
+   * are split across several (default 2048)
+   */
+  constructor(secureStore = SecureStore, options = {}) {
+    this.secureStore = secureStore;
+    this.prefix = options.prefix || 'webscraper.profiles.';
+    this.storeOptions = options.storeOptions || {};
+    this.maxValueBytes = options.maxValueBytes || MAX_VALUE_BYTES;
+    this.available = null;
+  }
+
+  /**
+   * Get the SecureStore key for an item, or for one part of a split item
+   * @param {string} key - Storage key
+   * @param {number} part - Part number (optional)
+   * @returns {string} - SecureStore key
+   */
+  getStoreKey(key, part) {
+    // Encoded keys never end in `__p` and a number, so parts cannot collide with other items
+    return this.prefix + encodeKey(key) + (part === undefined ? '' : `__p${part}`);
+  }
+
+  /**
+   * Check once that SecureStore works on this platform
+   * @returns {Promise<void>}
+   * @throws {Error} - When it does not, e.g. on web
+   */
+  async ensureAvailable() {
+    if (!this.available) {
+      this.available = typeof this.secureStore.isAvailableAsync === 'function'
+        ? this.secureStore.isAvailableAsync()
+        : Promise.resolve(true);
+    }
+
+    if (!(await this.available)) {
+      throw new Error('Secure storage is not available on this platform; pass ProfileStore another adapter');
+    }
+  }
+
+  /**
+   * Read how many parts an item is split into
+   * @param {string} key - Storage key
+   * @returns {Promise<number>} - Number of parts, or 0 when the item is not split
+   */
+  async getPartCount(key) {
+    const value = await this.secureStore.getItemAsync(this.getStoreKey(key), this.storeOptions);
+    return value && value.startsWith(SPLIT_MARKER) ? parseInt(value.slice(SPLIT_MARKER.length), 10) || 0 : 0;
+  }
+
+  /**
+   * Remove parts of a split item
+   * @param {string} key - Storage key
+   * @param {number} from - First part to remove
+   * @param {number} to - Part after the last one to remove
+   * @returns {Promise<void>}
+   */
+  async deleteParts(key, from, to) {
+    for (let part = from; part < to; part++) {
+      await this.secureStore.deleteItemAsync(this.getStoreKey(key, part), this.storeOptions);
+    }
+  }
+
+  /**
+   * Read an item
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - The item, or null if missing or unreadable
+   */
+  async get(key) {
+    await this.ensureAvailable();
+    let value = await this.secureStore.getItemAsync(this.getStoreKey(key), this.storeOptions);
+
+    if (value && value.startsWith(SPLIT_MARKER)) {
+      const count = parseInt(value.slice(SPLIT_MARKER.length), 10) || 0;
+      const parts = [];
+
+      for (let part = 0; part < count; part++) {
+        parts.push(await this.secureStore.getItemAsync(this.getStoreKey(key, part), this.storeOptions));
+      }
+
+      value = parts.includes(null) ? null : parts.join('');
+    }
+
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write an item
+   * @param {string} key - Storage key
+   * @param {Object} value - Item to store; must be JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.ensureAvailable();
+    const text = JSON.stringify(value);
+    const previousParts = await this.getPartCount(key);
+    const parts = byteLength(text) > this.maxValueBytes ? splitByBytes(text, this.maxValueBytes) : [];
+
+    // Parts are written first, so the item's entry never points at missing parts
+    for (let part = 0; part < parts.length; part++) {
+      await this.secureStore.setItemAsync(this.getStoreKey(key, part), parts[part], this.storeOptions);
+    }
+
+    await this.secureStore.setItemAsync(
+      this.getStoreKey(key),
+      parts.length ? `${SPLIT_MARKER}${parts.length}` : text,
+      this.storeOptions
+    );
+    await this.deleteParts(key, parts.length, previousParts);
+  }
+
+  /**
+   * Remove an item
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.ensureAvailable();
+    const parts = await this.getPartCount(key);
+
+    await this.secureStore.deleteItemAsync(this.getStoreKey(key), this.storeOptions);
+    await this.deleteParts(key, 0, parts);
+  }
+}
+
+export default SecureStoreCredentialAdapter;
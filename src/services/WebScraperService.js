@@ -5,58 +5,725 @@
 
 import axios from 'axios';
 import cheerio from 'react-native-cheerio';
+import RequestScheduler from './RequestScheduler';
+import ResponseCache from './ResponseCache';
+import ScrapedPage from './ScrapedPage';
+import CookieJar from './CookieJar';
+import Crawler from './Crawler';
+import { createAuthStrategy } from './AuthStrategies';
+import { applyTransforms, isEmptyValue } from '../utils/transforms';
+import {
+  resolveUrl,
+  getDocumentBaseUrl,
+  getOrigin,
+  parseUrl,
+  classifyUrl,
+  getImageSrc,
+  parseSrcset,
+  pickBestCandidate
+} from '../utils/url';
+import {
+  createRetryPolicy,
+  isRetryableError,
+  getRetryDelay,
+  sleep
+} from '../utils/retry';
+import { parseRobotsTxt, isAllowedByRobots, getCrawlDelay } from '../utils/robots';
+import { createAbortScope } from '../utils/abort';
+import { toPlainHeaders } from '../utils/headers';
+import { toBytes, detectCharset, decodeBytes } from '../utils/charset';
+import { isGzip, gunzip } from '../utils/gzip';
+import {
+  validatePagination,
+  getFirstPageUrl,
+  getNextPageUrl,
+  isEmptyPage,
+  mergePageData
+} from '../utils/pagination';
+import { parseSitemap, parseLastmod, matchesSitemapFilters } from '../utils/sitemap';
+import { parseFeed, findFeedLinks } from '../utils/feed';
+import { extractPageMetadata, findMetadataItem, getValueAtPath } from '../utils/metadata';
+import { findTables, parseTable } from '../utils/tables';
+import { extractArticleContent } from '../utils/article';
+import { formatContent } from '../utils/format';
+import { selectElements } from '../utils/selectors';
+import { parseRecipe, getStartUrls, applyContentFormat, formatRecipeOutput } from '../utils/recipe';
+import {
+  findForm,
+  serializeForm,
+  getSubmitButton,
+  findCredentialFields,
+  fillForm,
+  toUrlEncoded,
+  encodeForm
+} from '../utils/forms';
+import {
+  RobotsDisallowedError,
+  AbortError,
+  TimeoutError,
+  CacheMissError,
+  LoginError,
+  isAbortError,
+  hideRequestDetails
+} from '../utils/errors';
+
+// Status codes followed as redirects
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// How long a fetched robots.txt is trusted
+const ROBOTS_CACHE_TTL = 24 * 60 * 60 * 1000;
 
 class WebScraperService {
   /**
    * Constructor for the WebScraperService
    * @param {Object} options - Configuration options
    * @param {Object} options.headers - Custom headers for requests
-   * @param {Object} options.auth - Authentication details (if needed)
+   * @param {Object} options.auth - Auth strategy, or settings for one (see setAuth)
    * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Object|boolean} options.retry - Retry policy, or false to disable retries
+   * @param {number} options.retry.maxAttempts - Total attempts per request, including the first
+   * @param {number} options.retry.baseDelay - Backoff delay before the first retry in milliseconds
+   * @param {number} options.retry.maxDelay - Upper bound for the backoff delay in milliseconds
+   * @param {number} options.retry.factor - Backoff multiplier applied per attempt
+   * @param {number} options.retry.jitter - Fraction of each delay to randomise (0 to 1)
+   * @param {Array} options.retry.retryStatusCodes - HTTP status codes that trigger a retry
+   * @param {Array} options.retry.retryErrorCodes - Network error codes that trigger a retry
+   * @param {Array} options.retry.retryMethods - HTTP methods that may be retried
+   * @param {boolean} options.retry.respectRetryAfter - Honor Retry-After on 429 and 503 responses
+   * @param {number} options.retry.maxRetryAfter - Longest Retry-After to wait for in milliseconds
+   * @param {Function} options.retry.onRetry - Called before each retry with
+   * `{ url, attempt, maxAttempts, delay, error }`
+   * @param {Object|RequestScheduler} options.scheduler - Scheduler options, or a
+   * RequestScheduler instance to share limits between services
+   * @param {number} options.scheduler.maxConcurrent - Maximum requests in flight across all hosts
+   * @param {number} options.scheduler.maxConcurrentPerHost - Maximum requests in flight per host
+   * @param {number} options.scheduler.minHostDelay - Minimum time between requests to the same host in milliseconds
+   * @param {boolean} options.respectRobots - Refuse URLs that robots.txt disallows and apply its Crawl-delay
+   * @param {string} options.robotsUserAgent - Product token to match robots.txt groups against, e.g.
+   * 'MyAppBot' (defaults to the product token of a User-Agent passed in headers; without either,
+   * only the `*` group applies)
+   * @param {Object|ResponseCache|boolean} options.cache - Response cache options, a ResponseCache
+   * instance, or true for an in-memory cache with default settings (caching is off by default)
+   * @param {Object} options.cache.adapter - Storage adapter (MemoryCacheAdapter, AsyncStorageCacheAdapter
+   * or any object with async get/set/delete/clear)
+   * @param {number} options.cache.ttl - Freshness lifetime in milliseconds when the server sends no max-age
+   * @param {boolean} options.cache.staleIfError - Serve stale entries when offline (default true)
+   * @param {boolean} options.cache.storePrivate - Also cache private responses and requests that
+   * send credentials or cookies; only for a cache that serves a single account (default false)
+   * @param {string} options.defaultCharset - Charset for pages that declare none (default 'utf-8')
+   * @param {ProfileStore} options.profileStore - Saved auth profiles for useProfile (optional)
+   * @param {CookieJar|boolean} options.cookieJar - Cookie jar to share or restore, or false to
+   * stop storing Set-Cookie headers (defaults to a new, empty jar)
+   * @param {Object} options.fileReader - Object with async `readFile(uri)` that loadRecipe uses
+   * for 'file://' and 'content://' URIs, e.g. a FileSystemRecipeAdapter (optional)
    */
   constructor(options = {}) {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148',
+      ...options.headers
+    };
+
     this.client = axios.create({
       timeout: options.timeout || 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148',
-        ...options.headers
-      }
+      headers
     });
 
     // Set authentication if provided
-    if (options.auth) {
-      this.client.defaults.auth = options.auth;
+    this.authStrategy = createAuthStrategy(options.auth);
+
+    this.retryPolicy = createRetryPolicy(options.retry);
+    this.scheduler = options.scheduler instanceof RequestScheduler
+      ? options.scheduler
+      : new RequestScheduler(options.scheduler);
+
+    this.respectRobots = !!options.respectRobots;
+    this.robotsUserAgent = options.robotsUserAgent || (options.headers && options.headers['User-Agent']) || '';
+    this.robotsCache = {};
+    this.robotsPending = {};
+
+    this.defaultCharset = options.defaultCharset || 'utf-8';
+
+    if (options.cache instanceof ResponseCache) {
+      this.cache = options.cache;
+    } else if (options.cache) {
+      this.cache = new ResponseCache(options.cache === true ? {} : options.cache);
+    } else {
+      this.cache = null;
+    }
+
+    if (options.cookieJar instanceof CookieJar) {
+      this.cookieJar = options.cookieJar;
+    } else {
+      this.cookieJar = options.cookieJar === false ? null : new CookieJar();
     }
+
+    this.profileStore = options.profileStore || null;
+    this.fileReader = options.fileReader || null;
   }
 
   /**
-   * Fetch HTML content from a URL
-   * @param {string} url - The URL to scrape
-   * @returns {Promise<string>} - The HTML content
+   * Fetch and parse robots.txt for the origin of a URL
+   * 
+   * Results are cached per origin for a day. A missing robots.txt (4xx)
+   * allows everything; a server or network error disallows everything and
+   * is not cached, so the next request tries again.
+   * @param {string} url - Any URL on the origin
+   * @returns {Promise<Object|null>} - Parsed robots.txt, or null if it could not be fetched
+   */
+  async getRobots(url) {
+    const origin = getOrigin(url);
+
+    if (!origin) {
+      return parseRobotsTxt('');
+    }
+
+    const cached = this.robotsCache[origin];
+
+    if (cached && cached.expires > Date.now()) {
+      return cached.robots;
+    }
+
+    // Share one robots.txt request between concurrent callers
+    if (!this.robotsPending[origin]) {
+      this.robotsPending[origin] = this.loadRobots(origin).finally(() => {
+        delete this.robotsPending[origin];
+      });
+    }
+
+    return this.robotsPending[origin];
+  }
+
+  /**
+   * Download robots.txt for an origin and cache the result
+   * @param {string} origin - Origin such as "https://example.com"
+   * @returns {Promise<Object|null>} - Parsed robots.txt, or null if it could not be fetched
+   */
+  async loadRobots(origin) {
+    let robots;
+
+    try {
+      const response = await this.request(
+        { method: 'get', url: `${origin}/robots.txt`, responseType: 'text' },
+        { skipRobots: true }
+      );
+      robots = parseRobotsTxt(response.data);
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      if (!status || status >= 500) {
+        return null;
+      }
+
+      robots = parseRobotsTxt('');
+    }
+
+    this.robotsCache[origin] = { robots, expires: Date.now() + ROBOTS_CACHE_TTL };
+
+    // Space out requests to this host as robots.txt asks
+    const crawlDelay = getCrawlDelay(robots, this.robotsUserAgent);
+    if (crawlDelay) {
+      this.scheduler.setHostDelay(RequestScheduler.getHost(origin), crawlDelay * 1000);
+    }
+
+    return robots;
+  }
+
+  /**
+   * Check whether robots.txt allows a URL for the configured user agent
+   * @param {string} url - The URL to check
+   * @returns {Promise<boolean>} - True if the URL may be fetched
    */
-  async fetchHtml(url) {
+  async isAllowedByRobots(url) {
+    const robots = await this.getRobots(url);
+    return !!robots && isAllowedByRobots(robots, url, this.robotsUserAgent);
+  }
+
+  /**
+   * Send a request through the scheduler, retrying transient failures
+   * according to the retry policy
+   * 
+   * Each attempt is queued separately, so a request waiting out its backoff
+   * does not hold a concurrency slot. The per-call `timeout` covers the whole
+   * call, including queueing, retries and redirects.
+   * @param {Object} config - Axios request config
+   * @param {Object} options - Request options
+   * @param {number} options.priority - Scheduler priority; higher runs first (default 0)
+   * @param {boolean} options.skipRobots - Bypass the robots.txt check
+   * @param {boolean} options.skipAuth - Send without the auth strategy's credentials
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @param {number} options.timeout - Deadline for the whole call in milliseconds
+   * @param {number} options.maxRedirects - Maximum redirects to follow (default 10)
+   * @returns {Promise<Object>} - The axios response, with `finalUrl` and `redirects` added;
+   * binary bodies are decoded to text (see decodeResponse)
+   * @throws {RobotsDisallowedError} - When respectRobots is on and robots.txt disallows the URL
+   * @throws {AbortError} - When the signal aborts
+   * @throws {TimeoutError} - When the per-call timeout elapses
+   */
+  async request(config, options = {}) {
+    const scope = createAbortScope(options.signal, options.timeout);
+
     try {
-      const response = await this.client.get(url);
-      return response.data;
+      const response = await this.followRedirects({ ...config, signal: scope.signal }, options);
+      return this.decodeResponse(response);
     } catch (error) {
-      console.error('Error fetching HTML:', error);
+      if (scope.timedOut()) {
+        throw new TimeoutError(config.url, options.timeout);
+      }
+
+      if (scope.signal.aborted) {
+        throw new AbortError(config.url);
+      }
+
+      throw hideRequestDetails(error);
+    } finally {
+      scope.release();
+    }
+  }
+
+  /**
+   * Decode a binary response body into text
+   * 
+   * The charset comes from the byte order mark, then the Content-Type header,
+   * then a `<meta>` or XML declaration, then `defaultCharset`. Gzipped bodies
+   * are inflated first. Responses that are already text are returned untouched.
+   * @param {Object} response - Axios response
+   * @returns {Object} - The response with string `data`, plus `charset` and byte `size`
+   */
+  decodeResponse(response) {
+    let bytes = toBytes(response.data);
+
+    if (!bytes) {
+      return response;
+    }
+
+    // Gzipped files, e.g. sitemap.xml.gz, that the platform did not inflate
+    if (isGzip(bytes)) {
+      bytes = gunzip(bytes);
+    }
+
+    const headers = toPlainHeaders(response.headers);
+    const { charset } = detectCharset(bytes, headers['content-type'], this.defaultCharset);
+
+    response.data = decodeBytes(bytes, charset);
+    response.charset = charset;
+    response.size = bytes.length;
+    return response;
+  }
+
+  /**
+   * Follow redirects one hop at a time
+   * 
+   * Hops are followed here rather than by the HTTP adapter so that every hop
+   * is scheduled, retried and checked against robots.txt, and so the
+   * redirect chain is known. Where the platform follows redirects itself
+   * (XMLHttpRequest), the final URL is read from the response instead.
+   * @param {Object} config - Axios request config, including its AbortSignal
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - The final axios response, with `finalUrl` and `redirects` added
+   */
+  async followRedirects(config, options) {
+    const maxRedirects = options.maxRedirects === undefined ? 10 : options.maxRedirects;
+    const accept = config.validateStatus || (status => status >= 200 && status < 300);
+    const redirects = [];
+    const origin = getOrigin(config.url);
+    let current = config;
+
+    while (true) {
+      let response;
+
+      try {
+        response = await this.sendAuthorized({
+          ...current,
+          headers: this.getCookieHeaders(config.headers, current.url),
+          maxRedirects: 0,
+          validateStatus: status => accept(status) || REDIRECT_STATUSES.includes(status)
+        }, options, getOrigin(current.url) === origin);
+      } catch (error) {
+        // Error pages can set cookies too, e.g. a 401 that starts a session
+        if (error.response) {
+          this.storeCookies(error.response, current.url);
+        }
+        throw error;
+      }
+
+      this.storeCookies(response, current.url);
+      const location = response.headers && response.headers.location;
+
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        const platformUrl = response.request
+          && (response.request.responseURL || (response.request.res && response.request.res.responseUrl));
+        // An API key strategy may have added to the URL that was sent
+        const sentUrl = (response.config && response.config.url) || current.url;
+        const redirected = !!platformUrl && platformUrl !== sentUrl;
+
+        if (redirected) {
+          redirects.push({ url: current.url, status: null });
+        }
+
+        response.finalUrl = redirected ? platformUrl : current.url;
+        response.redirects = redirects;
+        return response;
+      }
+
+      if (redirects.length >= maxRedirects) {
+        throw new Error(`Too many redirects (${maxRedirects}) fetching ${config.url}`);
+      }
+
+      redirects.push({ url: current.url, status: response.status });
+
+      const nextUrl = resolveUrl(location, current.url);
+      const next = { ...current, url: nextUrl };
+
+      // 303, and 301/302 after a POST, turn into a GET without a body
+      const method = (current.method || 'get').toLowerCase();
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'post')) {
+        next.method = 'get';
+        delete next.data;
+      }
+
+      current = next;
+    }
+  }
+
+  /**
+   * Send one hop with the auth strategy's credentials
+   *
+   * When the server answers 401 and the strategy can refresh its
+   * credentials (a new OAuth2 token, say), the request is sent once more.
+   * @param {Object} config - Axios request config
+   * @param {Object} options - Request options (see request)
+   * @param {boolean} authorize - Whether to add credentials; false for other origins
+   * @returns {Promise<Object>} - The axios response
+   */
+  async sendAuthorized(config, options, authorize) {
+    const strategy = authorize && !options.skipAuth ? this.authStrategy : null;
+    const context = {
+      request: (strategyConfig, strategyOptions = {}) => this.request(strategyConfig, {
+        priority: options.priority,
+        ...strategyOptions,
+        skipAuth: true
+      })
+    };
+    let refreshed = false;
+
+    const refreshAfter = async (response) => {
+      if (refreshed || response.status !== 401 || !strategy || typeof strategy.refresh !== 'function') {
+        return false;
+      }
+
+      refreshed = true;
+      this.storeCookies(response, config.url);
+      return strategy.refresh(config, context);
+    };
+
+    while (true) {
+      let response;
+
+      try {
+        response = await this.sendWithRetry(strategy ? await strategy.apply(config, context) : config, options);
+      } catch (error) {
+        if (error.response && await refreshAfter(error.response)) {
+          continue;
+        }
+
+        throw error;
+      }
+
+      if (await refreshAfter(response)) {
+        continue;
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Add the jar's cookies for a URL to a request's headers
+   *
+   * A Cookie header set with setHeaders, or passed with the request, is kept
+   * and the jar's cookies are appended to it.
+   * @param {Object} headers - Request headers (optional)
+   * @param {string} url - Request URL
+   * @returns {Object} - Headers including the Cookie header, if any cookies apply
+   */
+  getCookieHeaders(headers, url) {
+    const jarCookies = this.cookieJar ? this.cookieJar.getCookieHeader(url) : '';
+
+    if (!jarCookies) {
+      return headers;
+    }
+
+    const staticCookies = (headers && (headers.Cookie || headers.cookie)) || this.client.defaults.headers.Cookie;
+    const { cookie, ...rest } = headers || {};
+
+    return {
+      ...rest,
+      Cookie: staticCookies ? `${staticCookies}; ${jarCookies}` : jarCookies
+    };
+  }
+
+  /**
+   * Store the Set-Cookie headers of a response in the jar
+   * @param {Object} response - Axios response
+   * @param {string} url - URL the response came from
+   */
+  storeCookies(response, url) {
+    if (this.cookieJar && response.headers) {
+      this.cookieJar.setCookies(response.headers['set-cookie'], url);
+    }
+  }
+
+  /**
+   * Run the robots.txt check and the retry loop for a request
+   * @param {Object} config - Axios request config, including its AbortSignal
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} - The axios response
+   */
+  async sendWithRetry(config, options) {
+    const policy = this.retryPolicy;
+    let attempt = 1;
+
+    if (this.respectRobots && !options.skipRobots) {
+      const robots = await this.getRobots(config.url);
+
+      if (!robots) {
+        throw new RobotsDisallowedError(config.url, `robots.txt could not be fetched for ${config.url}`);
+      }
+
+      if (!isAllowedByRobots(robots, config.url, this.robotsUserAgent)) {
+        throw new RobotsDisallowedError(config.url);
+      }
+    }
+
+    while (true) {
+      try {
+        return await this.scheduler.schedule(
+          config.url,
+          () => this.client.request(config),
+          { priority: options.priority, signal: config.signal }
+        );
+      } catch (error) {
+        const delay = attempt < policy.maxAttempts && !config.signal.aborted && isRetryableError(error, policy)
+          ? getRetryDelay(error, attempt, policy)
+          : null;
+
+        if (delay === null) {
+          throw error;
+        }
+
+        attempt++;
+
+        if (policy.onRetry) {
+          policy.onRetry({
+            url: config.url,
+            attempt,
+            maxAttempts: policy.maxAttempts,
+            delay,
+            error
+          });
+        }
+
+        await sleep(delay, config.signal);
+      }
+    }
+  }
+
+  /**
+   * Collect the headers a request will be sent with, for the response cache
+   *
+   * Covers the client's own headers, the request's headers and the jar's
+   * cookies. Credentials that the auth strategy adds are not included.
+   * @param {Object} config - Axios request config
+   * @returns {Object} - Plain headers, keyed by lowercased name
+   */
+  getCacheRequestHeaders(config) {
+    const defaults = {};
+
+    // Skip axios's per-method header groups such as `common` and `get`
+    Object.keys(this.client.defaults.headers).forEach(name => {
+      const value = this.client.defaults.headers[name];
+
+      if (typeof value === 'string' || typeof value === 'number') {
+        defaults[name] = value;
+      }
+    });
+
+    return toPlainHeaders({ ...defaults, ...this.getCookieHeaders(config.headers, config.url) });
+  }
+
+  /**
+   * Send a GET request through the response cache
+   *
+   * Requests that send credentials or cookies bypass the cache unless it
+   * was created with `storePrivate`, so one account's pages are never
+   * served to another, or to an anonymous request.
+   * 
+   * Cache modes:
+   * - 'default': serve fresh entries, revalidate stale ones with
+   *   If-None-Match/If-Modified-Since, and fall back to a stale entry when offline
+   * - 'no-cache': always revalidate with the server before using an entry
+   * - 'force-cache': serve any cached entry, however old, before going to the network
+   * - 'only-if-cached': serve any cached entry and never go to the network
+   * @param {Object} config - Axios request config
+   * @param {Object} options - Request options (see request)
+   * @param {string} options.cacheMode - 'default', 'no-cache', 'force-cache' or 'only-if-cached'
+   * @returns {Promise<Object>} - The axios response, or a cached response with `fromCache: true`
+   * @throws {CacheMissError} - When cacheMode is 'only-if-cached' and nothing is cached
+   */
+  async cachedRequest(config, options = {}) {
+    const mode = options.cacheMode || 'default';
+
+    if (!this.cache) {
+      if (mode === 'only-if-cached') {
+        throw new CacheMissError(config.url);
+      }
+
+      return this.request(config, options);
+    }
+
+    const headers = this.getCacheRequestHeaders(config);
+    const credentialed = !!this.authStrategy || !!headers.cookie || !!headers.authorization;
+
+    if (credentialed && !this.cache.storePrivate) {
+      if (mode === 'only-if-cached') {
+        throw new CacheMissError(config.url);
+      }
+
+      return this.request(config, options);
+    }
+
+    const entry = await this.cache.get(config.url, headers);
+
+    if (entry) {
+      const servable = mode === 'force-cache' || mode === 'only-if-cached'
+        || (mode === 'default' && this.cache.isFresh(entry));
+
+      if (servable) {
+        return this.cache.toResponse(entry, { stale: !this.cache.isFresh(entry) });
+      }
+    } else if (mode === 'only-if-cached') {
+      throw new CacheMissError(config.url);
+    }
+
+    let response;
+
+    try {
+      response = await this.request({
+        ...config,
+        headers: { ...config.headers, ...(entry ? this.cache.getValidators(entry) : {}) },
+        validateStatus: status => (status >= 200 && status < 300) || (!!entry && status === 304)
+      }, options);
+    } catch (error) {
+      // Offline or server trouble: a stale page beats no page
+      const offline = !isAbortError(error) && !(error instanceof RobotsDisallowedError)
+        && (!error.response || error.response.status >= 500);
+
+      if (entry && this.cache.staleIfError && offline) {
+        return this.cache.toResponse(entry, { stale: true });
+      }
+
       throw error;
     }
+
+    if (response.status === 304) {
+      const refreshed = await this.cache.refresh(config.url, entry, response);
+      return this.cache.toResponse(refreshed, { revalidated: true });
+    }
+
+    await this.cache.store(config.url, response, { headers, credentialed });
+    return response;
+  }
+
+  /**
+   * Fetch a page along with its response metadata
+   * 
+   * The returned page can be passed to the extract methods in place of an
+   * HTML string; they then share one parsed document and resolve relative
+   * URLs against the final URL after redirects.
+   * @param {string} url - The URL to scrape
+   * @param {Object} options - Fetch options (same as fetchHtml)
+   * @returns {Promise<ScrapedPage>} - Page with html, finalUrl, redirects, status, headers,
+   * contentType, charset, size, timings and a lazily parsed `$`
+   */
+  async fetchPage(url, options = {}) {
+    const start = Date.now();
+    const response = await this.cachedRequest({ method: 'get', url, responseType: 'arraybuffer' }, options);
+    return this.createPage(url, response, start);
+  }
+
+  /**
+   * Wrap a decoded response in a ScrapedPage
+   * @param {string} url - The URL that was requested
+   * @param {Object} response - Response from request or cachedRequest
+   * @param {number} start - When the request started, for the page timings
+   * @returns {ScrapedPage} - The page
+   */
+  createPage(url, response, start) {
+    const end = Date.now();
+
+    return new ScrapedPage({
+      url,
+      finalUrl: response.finalUrl,
+      redirects: response.redirects,
+      status: response.status,
+      headers: toPlainHeaders(response.headers),
+      html: response.data,
+      charset: response.charset,
+      size: response.size,
+      timings: { start, end, duration: end - start },
+      fromCache: response.fromCache,
+      stale: response.stale
+    });
+  }
+
+  /**
+   * Get a cheerio handle for HTML content or a fetched page
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @returns {Function} - Cheerio instance; a page's existing one is reused
+   */
+  load(html) {
+    return html instanceof ScrapedPage ? html.$ : cheerio.load(html);
+  }
+
+  /**
+   * Fetch HTML content from a URL
+   * @param {string} url - The URL to scrape
+   * @param {Object} options - Fetch options
+   * @param {number} options.priority - Scheduler priority; higher runs first (default 0)
+   * @param {AbortSignal} options.signal - Cancels the fetch when aborted
+   * @param {number} options.timeout - Deadline for the whole fetch, including retries, in milliseconds
+   * @param {string} options.cacheMode - 'default', 'no-cache', 'force-cache' or 'only-if-cached'
+   * @returns {Promise<string>} - The HTML content
+   */
+  async fetchHtml(url, options = {}) {
+    const response = await this.cachedRequest({ method: 'get', url, responseType: 'arraybuffer' }, options);
+    return response.data;
   }
 
   /**
    * Extract text content from HTML using selectors
-   * @param {string} html - The HTML content
-   * @param {string|Object} selectors - CSS selector(s) to extract
+   *
+   * By default all matched text is run together. The 'text' format keeps
+   * paragraph breaks, list markers and link URLs; 'markdown' also keeps
+   * headings, emphasis, images, code and tables.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string|Object} selectors - CSS, XPath or chained selector(s) to extract (see `utils/selectors`)
+   * @param {Object} options - Output options
+   * @param {string} options.format - 'plain' (default), 'text', 'markdown' or 'html'
+   * @param {string} options.selectorType - 'css', 'xpath' or 'steps' (default: worked out from each selector)
+   * @param {string} options.baseUrl - Base URL for links and images (defaults to a page's finalUrl)
    * @returns {Object|string|Array} - Extracted text content
    */
-  extractText(html, selectors) {
+  extractText(html, selectors, options = {}) {
     try {
-      const $ = cheerio.load(html);
+      const $ = this.load(html);
+      const pageUrl = options.baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+      const baseUrl = getDocumentBaseUrl($, pageUrl);
+      const read = selector => formatContent($, selectElements($, selector, { type: options.selectorType }), options.format, baseUrl);
       
       // If selectors is a string, return text for that selector
       if (typeof selectors === 'string') {
-        return $(selectors).text().trim();
+        return read(selectors);
       }
       
       // If selectors is an object, return an object with the same keys
@@ -66,7 +733,7 @@ class WebScraperService {
         
         for (const key in selectors) {
           if (Object.prototype.hasOwnProperty.call(selectors, key)) {
-            result[key] = $(selectors[key]).text().trim();
+            result[key] = read(selectors[key]);
           }
         }
         
@@ -82,30 +749,35 @@ class WebScraperService {
 
   /**
    * Extract image URLs from HTML using selectors
-   * @param {string} html - The HTML content
-   * @param {string} selector - CSS selector for images
-   * @param {string} baseUrl - Base URL for resolving relative paths
-   * @returns {Array} - Array of image URLs
+   * 
+   * URLs are resolved against the page's `<base href>` when present, then
+   * against `baseUrl`. Lazy-load attributes are used when `src` is missing
+   * or a data-URI placeholder, and every `srcset` candidate (including those
+   * on `<picture><source>` siblings) is returned alongside the best one.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} selector - CSS, XPath or chained selector for images
+   * @param {string} baseUrl - Base URL for resolving relative paths (defaults to a page's finalUrl)
+   * @returns {Array} - Array of image objects with url, alt, dimensions, srcset and best
    */
   extractImages(html, selector = 'img', baseUrl = '') {
     try {
-      const $ = cheerio.load(html);
+      const $ = this.load(html);
+      const pageUrl = baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+      const documentBaseUrl = getDocumentBaseUrl($, pageUrl);
       const images = [];
       
-      $(selector).each((i, element) => {
-        let imageUrl = $(element).attr('src') || $(element).attr('data-src');
-        
-        // Handle relative URLs
-        if (imageUrl && imageUrl.startsWith('/') && baseUrl) {
-          imageUrl = new URL(imageUrl, baseUrl).href;
-        }
+      selectElements($, selector).each((i, element) => {
+        const $element = $(element);
+        const image = this.readImage($, $element, documentBaseUrl);
         
-        if (imageUrl) {
+        if (image) {
           images.push({
-            url: imageUrl,
-            alt: $(element).attr('alt') || '',
-            width: $(element).attr('width') || null,
-            height: $(element).attr('height') || null
+            url: image.url,
+            alt: $element.attr('alt') || '',
+            width: $element.attr('width') || null,
+            height: $element.attr('height') || null,
+            srcset: image.srcset,
+            best: image.best
           });
         }
       });
@@ -117,30 +789,72 @@ class WebScraperService {
     }
   }
 
+  /**
+   * Read an image element's URL and srcset candidates the way extractImages does
+   * @param {Function} $ - Cheerio instance for the document
+   * @param {Object} $element - Cheerio selection holding the image element
+   * @param {string} baseUrl - Document base URL for resolving relative paths
+   * @returns {Object|null} - `{ url, srcset, best }`, or null when the element has no image URL
+   */
+  readImage($, $element, baseUrl) {
+    const rawUrl = getImageSrc($element);
+    
+    const srcset = [];
+    const addCandidates = (value, source = {}) => {
+      parseSrcset(value, baseUrl).forEach(candidate => {
+        srcset.push({
+          ...candidate,
+          media: source.media || null,
+          type: source.type || null
+        });
+      });
+    };
+    
+    // <picture><source> candidates come before the <img> fallback
+    if ($element.parent().is('picture')) {
+      $element.parent().children('source').each((j, source) => {
+        const $source = $(source);
+        addCandidates($source.attr('srcset') || $source.attr('data-srcset'), {
+          media: $source.attr('media'),
+          type: $source.attr('type')
+        });
+      });
+    }
+    
+    addCandidates($element.attr('data-srcset') || $element.attr('data-lazy-srcset') || $element.attr('srcset'));
+    
+    const best = pickBestCandidate(srcset);
+    const url = resolveUrl(rawUrl, baseUrl) || (best && best.url);
+    
+    return url ? { url, srcset, best: best ? best.url : url } : null;
+  }
+
   /**
    * Extract links from HTML using selectors
-   * @param {string} html - The HTML content
-   * @param {string} selector - CSS selector for links
-   * @param {string} baseUrl - Base URL for resolving relative paths
-   * @returns {Array} - Array of link objects with href and text
+   * 
+   * Hrefs are resolved against the page's `<base href>` when present, then
+   * against `baseUrl`. `javascript:` links are returned unresolved.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} selector - CSS, XPath or chained selector for links
+   * @param {string} baseUrl - Base URL for resolving relative paths (defaults to a page's finalUrl)
+   * @returns {Array} - Array of link objects with url, text, type
+   * ('http', 'mailto', 'tel', 'javascript', ...) and internal flag
    */
   extractLinks(html, selector = 'a', baseUrl = '') {
     try {
-      const $ = cheerio.load(html);
+      const $ = this.load(html);
+      const pageUrl = baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+      const documentBaseUrl = getDocumentBaseUrl($, pageUrl);
       const links = [];
       
-      $(selector).each((i, element) => {
-        let href = $(element).attr('href');
-        
-        // Handle relative URLs
-        if (href && href.startsWith('/') && baseUrl) {
-          href = new URL(href, baseUrl).href;
-        }
+      selectElements($, selector).each((i, element) => {
+        const href = resolveUrl($(element).attr('href'), documentBaseUrl);
         
         if (href) {
           links.push({
             url: href,
-            text: $(element).text().trim()
+            text: $(element).text().trim(),
+            ...classifyUrl(href, pageUrl || documentBaseUrl)
           });
         }
       });
@@ -154,59 +868,854 @@ class WebScraperService {
 
   /**
    * Extract structured data from HTML using a mapping configuration
-   * @param {string} html - The HTML content
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
    * @param {Object} mapping - Mapping of data fields to selectors
+   * @param {string} baseUrl - Base URL for the `url` transform (defaults to a page's finalUrl)
    * @returns {Object} - Structured data object
    */
-  extractStructuredData(html, mapping) {
+  extractStructuredData(html, mapping, baseUrl = '') {
     try {
-      const $ = cheerio.load(html);
-      const result = {};
-      
-      for (const key in mapping) {
-        if (Object.prototype.hasOwnProperty.call(mapping, key)) {
-          const selector = mapping[key];
+      const $ = this.load(html);
+      const pageUrl = baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+      return this.applyMapping($, mapping, { baseUrl: getDocumentBaseUrl($, pageUrl) });
+    } catch (error) {
+      console.error('Error extracting structured data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract HTML tables as row objects keyed by header text
+   *
+   * Header rows come from `<thead>` or leading rows of `<th>` cells, and
+   * multi-row headers are combined per column. Rowspans and colspans are
+   * expanded so every row has a value for every column.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} selector - CSS, XPath or chained selector for the tables, or for elements containing them (default 'table')
+   * @param {Object} options - Parsing options
+   * @param {Array} options.headers - Column names to use instead of the table's headers
+   * @param {string} options.headerSeparator - Joins names from multi-row headers (default ' / ')
+   * @returns {Array} - Tables as `{ caption, headers, rows }`
+   */
+  extractTables(html, selector = 'table', options = {}) {
+    try {
+      const $ = this.load(html);
+      return findTables($, selectElements($, selector)).map(table => parseTable($, table, options));
+    } catch (error) {
+      console.error('Error extracting tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract a page's metadata
+   *
+   * Collects the document title, description, canonical URL, language and
+   * icons, Open Graph and Twitter Card tags, every JSON-LD block (with
+   * `@graph` flattened) and schema.org microdata and RDFa items.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} baseUrl - Base URL for resolving relative paths (defaults to a page's finalUrl)
+   * @returns {Object} - `{ title, description, canonical, language, favicon, icons, openGraph,
+   * twitter, jsonLd, microdata, rdfa }`
+   */
+  extractMetadata(html, baseUrl = '') {
+    try {
+      const $ = this.load(html);
+      const pageUrl = baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+      return extractPageMetadata($, pageUrl);
+    } catch (error) {
+      console.error('Error extracting metadata:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract a page's main article, leaving out navigation, ads, comments and other boilerplate
+   *
+   * Paragraphs score the containers they sit in; the best container and its
+   * prose siblings become the article, with link lists and other clutter
+   * removed and every link and image URL made absolute.
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} url - URL of the page (defaults to a page's finalUrl)
+   * @param {Object} options - Extraction options
+   * @param {number} options.wordsPerMinute - Reading speed for readingTime (default 200)
+   * @returns {Object} - `{ title, byline, published, leadImage, excerpt, siteName, language, html,
+   * text, markdown, wordCount, readingTime }` where readingTime is in minutes
+   */
+  extractArticle(html, url = '', options = {}) {
+    try {
+      const $ = this.load(html);
+      const pageUrl = url || (html instanceof ScrapedPage ? html.finalUrl : '');
+      return extractArticleContent($, pageUrl, options);
+    } catch (error) {
+      console.error('Error extracting article:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scrape a paginated listing, running the same mapping on every page
+   *
+   * Lists in the mapping's results are concatenated across pages; other
+   * values keep the first non-empty value. Scraping stops at `maxPages`, when
+   * there is no next page, when `stop` returns true, when a page comes back
+   * empty, missing (404) or identical to the previous one, or when a URL
+   * repeats.
+   * @param {string} url - First page URL, or a template containing `{page}`
+   * @param {Object} options - Pagination options
+   * @param {Object} options.mapping - Mapping run on each page (see extractStructuredData)
+   * @param {Object} options.paginate - How to find the next page (default `{ type: 'relNext' }`):
+   * `{ type: 'next', selector, attr }` follows a link,
+   * `{ type: 'relNext' }` follows `<link rel="next">` or `<a rel="next">`,
+   * `{ type: 'template', template, start, step }` fills `{page}` with a counter,
+   * `{ type: 'offset', param, start, step }` sets an offset query parameter,
+   * `{ type: 'cursor', param, selector, attr, getCursor }` sets a cursor read from each page
+   * @param {number} options.maxPages - Maximum pages to fetch (default 10)
+   * @param {Function} options.stop - Called after each page with `{ page, data, pageNumber, results }`;
+   * return true to stop (may be async)
+   * @param {boolean} options.stopWhenEmpty - Stop at the first page with no results (default true)
+   * @param {Function} options.onPage - Called after each page with `{ page, data, pageNumber }`
+   * @param {AbortSignal} options.signal - Cancels the scrape when aborted
+   * @param {number} options.timeout - Deadline for each page fetch in milliseconds
+   * @param {number} options.priority - Scheduler priority for the page fetches
+   * @param {string} options.cacheMode - Cache mode for the page fetches
+   * @returns {Promise<Object>} - `{ data, pages, stopReason }` where pages lists
+   * `{ url, finalUrl, status, data }` per page and stopReason is 'maxPages', 'noNext', 'stop',
+   * 'empty', 'notFound', 'duplicate' or 'loop'
+   */
+  async scrapePaginated(url, options = {}) {
+    const {
+      mapping,
+      paginate = { type: 'relNext' },
+      maxPages = 10,
+      stop,
+      stopWhenEmpty = true,
+      onPage,
+      ...fetchOptions
+    } = options;
+
+    if (!mapping) {
+      throw new Error('scrapePaginated needs a mapping');
+    }
+
+    validatePagination(paginate, url);
+
+    // Fragments never change the page, so they don't make a URL new
+    const seen = new Set();
+    const toKey = pageUrl => pageUrl.split('#')[0];
+    const pages = [];
+    let results = {};
+    let previous = null;
+    let stopReason = 'maxPages';
+    let pageUrl = getFirstPageUrl(url, paginate);
+
+    while (true) {
+      if (seen.has(toKey(pageUrl))) {
+        stopReason = 'loop';
+        break;
+      }
+
+      seen.add(toKey(pageUrl));
+
+      let page;
+
+      try {
+        page = await this.fetchPage(pageUrl, fetchOptions);
+      } catch (error) {
+        // Counters and offsets often run past the last page into a 404
+        if (pages.length > 0 && error.response && error.response.status === 404) {
+          stopReason = 'notFound';
+          break;
+        }
+
+        throw error;
+      }
+
+      // Redirected back to a page already scraped, e.g. past the last page to the first
+      if (toKey(page.finalUrl) !== toKey(pageUrl) && seen.has(toKey(page.finalUrl))) {
+        stopReason = 'loop';
+        break;
+      }
+
+      seen.add(toKey(page.finalUrl));
+
+      const data = this.extractStructuredData(page, mapping);
+      const signature = JSON.stringify(data);
+
+      if (signature === previous) {
+        stopReason = 'duplicate';
+        break;
+      }
+
+      if (stopWhenEmpty && isEmptyPage(data)) {
+        stopReason = 'empty';
+        break;
+      }
+
+      previous = signature;
+      results = mergePageData(results, data);
+      pages.push({ url: pageUrl, finalUrl: page.finalUrl, status: page.status, data });
+
+      const pageNumber = pages.length;
+
+      if (onPage) {
+        onPage({ page, data, pageNumber });
+      }
+
+      if (stop && await stop({ page, data, pageNumber, results })) {
+        stopReason = 'stop';
+        break;
+      }
+
+      if (pageNumber >= maxPages) {
+        break;
+      }
+
+      const nextUrl = getNextPageUrl(page, data, pageNumber, url, paginate);
+
+      if (!nextUrl) {
+        stopReason = 'noNext';
+        break;
+      }
+
+      pageUrl = nextUrl;
+    }
+
+    return { data: results, pages, stopReason };
+  }
+
+  /**
+   * Load a scrape recipe from a string, a file or a URL
+   *
+   * 'file://' and 'content://' URIs, such as the app's document directory
+   * or a file from the document picker, are read with the fileReader option,
+   * and http(s) URLs are fetched. Any other string is read as recipe JSON.
+   * @param {string|Object} source - Recipe JSON, a recipe object, or where to read one from
+   * @param {Object} options - Fetch options for http(s) URLs (same as fetchHtml)
+   * @returns {Promise<Object>} - The checked recipe
+   * @throws {RecipeError} - When the recipe is not valid JSON or does not match the recipe format
+   */
+  async loadRecipe(source, options = {}) {
+    if (typeof source !== 'string') {
+      return parseRecipe(source);
+    }
+
+    const location = source.trim();
+
+    if (/^(file|content):/i.test(location)) {
+      if (!this.fileReader) {
+        throw new Error('No file reader configured; pass one as the fileReader option');
+      }
+
+      return parseRecipe(await this.fileReader.readFile(location));
+    }
+
+    if (classifyUrl(location).type === 'http') {
+      return parseRecipe(await this.fetchHtml(location, options));
+    }
+
+    return parseRecipe(source);
+  }
+
+  /**
+   * Run a scrape recipe
+   *
+   * The recipe's auth profile is applied first (see useProfile) and only
+   * lasts for the run: afterwards the service's own auth strategy, cookies
+   * and Cookie header are put back. Each start URL is scraped in turn with
+   * the recipe's mapping, pagination and fetch settings. Without
+   * `paginate`, only the start pages are scraped.
+   * Results from all start URLs are merged the way scrapePaginated merges
+   * pages. A start URL that fails is reported in `errors` while the others
+   * carry on; when every start URL fails, the first error is thrown.
+   * @param {string|Object} recipe - Recipe object or JSON string (see utils/recipe)
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Cancels the run when aborted
+   * @param {Function} options.onPage - Called after each page with `{ url, page, data, pageNumber }`,
+   * where url is the start URL being scraped
+   * @returns {Promise<Object>} - `{ name, data, pages, errors, output }` where pages lists
+   * `{ url, finalUrl, status, data }` per page, errors lists `{ url, error }` per failed start URL
+   * and output is the data serialized in the recipe's output format
+   * @throws {RecipeError} - When the recipe is not valid
+   */
+  async runRecipe(recipe, options = {}) {
+    const config = parseRecipe(recipe);
+
+    if (!config.auth) {
+      return this.scrapeRecipeUrls(config, options);
+    }
+
+    const previousAuth = this.authStrategy;
+    const previousCookies = this.cookieJar ? this.cookieJar.toJSON() : null;
+    const previousCookieHeader = this.client.defaults.headers.Cookie;
+
+    try {
+      await this.useProfile(config.auth.profile, { signal: options.signal, timeout: (config.fetch || {}).timeout });
+      return await this.scrapeRecipeUrls(config, options);
+    } finally {
+      this.authStrategy = previousAuth;
+
+      if (this.cookieJar) {
+        this.cookieJar.clear();
+        previousCookies.forEach(cookie => this.cookieJar.store(cookie));
+      }
+
+      if (previousCookieHeader === undefined) {
+        delete this.client.defaults.headers.Cookie;
+      } else {
+        this.client.defaults.headers.Cookie = previousCookieHeader;
+      }
+    }
+  }
+
+  /**
+   * Scrape a recipe's start URLs, once its auth is in place
+   * @param {Object} config - The checked recipe
+   * @param {Object} options - Run options (see runRecipe)
+   * @returns {Promise<Object>} - `{ name, data, pages, errors, output }` (see runRecipe)
+   */
+  async scrapeRecipeUrls(config, options) {
+    const { signal, onPage } = options;
+    const { fetch = {}, output = {} } = config;
+    const mapping = output.content ? applyContentFormat(config.mapping, output.content) : config.mapping;
+    const urls = getStartUrls(config);
+    const pages = [];
+    const errors = [];
+    let data = {};
+
+    for (const url of urls) {
+      try {
+        const result = await this.scrapePaginated(url, {
+          ...fetch,
+          mapping,
+          paginate: config.paginate,
+          maxPages: config.paginate ? config.maxPages : 1,
+          stopWhenEmpty: config.stopWhenEmpty,
+          onPage: onPage && (event => onPage({ url, ...event })),
+          signal
+        });
+
+        data = mergePageData(data, result.data);
+        pages.push(...result.pages);
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+
+        errors.push({ url, error });
+      }
+    }
+
+    if (errors.length === urls.length) {
+      throw errors[0].error;
+    }
+
+    return { name: config.name, data, pages, errors, output: formatRecipeOutput(data, output) };
+  }
+
+  /**
+   * Find a site's sitemaps
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<Array>} - Sitemap URLs from robots.txt `Sitemap:` lines, or
+   * `/sitemap.xml` on the site's origin when robots.txt lists none
+   */
+  async discoverSitemaps(url) {
+    const robots = await this.getRobots(url);
+
+    if (robots && robots.sitemaps.length > 0) {
+      return [...new Set(robots.sitemaps)];
+    }
+
+    return [`${getOrigin(url)}/sitemap.xml`];
+  }
+
+  /**
+   * Fetch and parse one sitemap or sitemap index
+   *
+   * Gzipped sitemaps (`.xml.gz`) are inflated when they are fetched.
+   * @param {string} url - Sitemap URL
+   * @param {Object} options - Fetch options (same as fetchHtml)
+   * @returns {Promise<Object>} - `{ type, urls, sitemaps }` (see utils/sitemap parseSitemap)
+   */
+  async fetchSitemap(url, options = {}) {
+    const page = await this.fetchPage(url, options);
+    return parseSitemap(page.html, xml => cheerio.load(xml, { xmlMode: true }), page.finalUrl);
+  }
+
+  /**
+   * Collect the URL entries of a site's sitemaps
+   *
+   * Sitemap indexes are followed to their child sitemaps. A site's home page
+   * (a URL with no path) is looked up through discoverSitemaps; any other URL
+   * is read as a sitemap. Failed child sitemaps are reported in `errors`
+   * rather than failing the whole call.
+   * @param {string|Array} url - Sitemap URL(s), or the site's home page
+   * @param {Object} options - Sitemap options
+   * @param {Date|string|number} options.since - Keep entries modified at or after this time
+   * @param {Date|string|number} options.until - Keep entries modified at or before this time
+   * @param {boolean} options.requireLastmod - Drop entries without a lastmod when filtering by date
+   * @param {Array} options.include - Globs or RegExps; when given, entry URLs must match one
+   * @param {Array} options.exclude - Globs or RegExps entry URLs must not match
+   * @param {number} options.maxSitemaps - Maximum sitemap files to fetch (default 50)
+   * @param {number} options.maxUrls - Stop after this many entries (optional)
+   * @param {AbortSignal} options.signal - Cancels the fetches when aborted
+   * @param {number} options.timeout - Deadline for each sitemap fetch in milliseconds
+   * @param {number} options.priority - Scheduler priority for the sitemap fetches
+   * @param {string} options.cacheMode - Cache mode for the sitemap fetches
+   * @returns {Promise<Object>} - `{ urls, sitemaps, errors }` where urls lists
+   * `{ url, lastmod, changefreq, priority }`, sitemaps lists the sitemap URLs read and
+   * errors lists `{ url, error }` for child sitemaps that failed
+   */
+  async getSitemapEntries(url, options = {}) {
+    const {
+      since,
+      until,
+      requireLastmod,
+      include,
+      exclude,
+      maxSitemaps = 50,
+      maxUrls = Infinity,
+      ...fetchOptions
+    } = options;
+    const filters = { since, until, requireLastmod, include, exclude };
+
+    let roots = Array.isArray(url) ? url : [url];
+    if (roots.length === 1 && /^\/?$/.test(parseUrl(roots[0]).path || '')) {
+      roots = await this.discoverSitemaps(roots[0]);
+    }
+
+    const queue = roots.map(sitemapUrl => ({ url: sitemapUrl, root: true }));
+    const seenSitemaps = new Set(roots);
+    const seenUrls = new Set();
+    const urls = [];
+    const sitemaps = [];
+    const errors = [];
+
+    while (queue.length > 0 && sitemaps.length < maxSitemaps && urls.length < maxUrls) {
+      const item = queue.shift();
+      let sitemap;
+
+      try {
+        sitemap = await this.fetchSitemap(item.url, fetchOptions);
+      } catch (error) {
+        // Without the sitemaps asked for there is nothing to return
+        if (item.root || isAbortError(error)) {
+          throw error;
+        }
+
+        errors.push({ url: item.url, error });
+        continue;
+      }
+
+      sitemaps.push(item.url);
+
+      sitemap.sitemaps.forEach(child => {
+        // A sitemap last changed before `since` lists nothing newer
+        const lastmod = parseLastmod(child.lastmod);
+        const stale = since !== undefined && lastmod !== null && lastmod < new Date(since).getTime();
+
+        if (!seenSitemaps.has(child.url) && !stale) {
+          seenSitemaps.add(child.url);
+          queue.push({ url: child.url, root: false });
+        }
+      });
+
+      sitemap.urls.forEach(entry => {
+        if (urls.length < maxUrls && !seenUrls.has(entry.url) && matchesSitemapFilters(entry, filters)) {
+          seenUrls.add(entry.url);
+          urls.push(entry);
+        }
+      });
+    }
+
+    return { urls, sitemaps, errors };
+  }
+
+  /**
+   * Scrape the pages listed in a site's sitemaps
+   *
+   * The entries from getSitemapEntries seed a Crawler that visits each page
+   * once without following its links.
+   * @param {string|Array} url - Sitemap URL(s), or the site's home page
+   * @param {Object} options - Scrape options; the filters and limits of getSitemapEntries also apply
+   * @param {Object} options.mapping - Mapping run on each page (see extractStructuredData)
+   * @param {number} options.maxPages - Maximum pages to scrape (default 50)
+   * @param {number} options.concurrency - Pages fetched at once (default 2)
+   * @param {Function} options.onPage - Called after each page with the Crawler's page event
+   * @param {Function} options.onError - Called with `{ url, depth, error }` for pages that fail
+   * @returns {Promise<Object>} - The crawl summary `{ results, visited, queued, stopReason }`
+   * plus `entries`, the sitemap entries, and `sitemaps`, the sitemap URLs read
+   */
+  async scrapeSitemap(url, options = {}) {
+    const { mapping, maxPages = 50, concurrency, onPage, onError, ...sitemapOptions } = options;
+
+    if (!mapping) {
+      throw new Error('scrapeSitemap needs a mapping');
+    }
+
+    const { urls, sitemaps } = await this.getSitemapEntries(url, sitemapOptions);
+    const { signal, timeout, priority, cacheMode } = sitemapOptions;
+
+    const crawler = new Crawler(this, {
+      mapping,
+      maxDepth: 0,
+      maxPages,
+      scope: 'any',
+      concurrency,
+      timeout,
+      priority,
+      cacheMode
+    });
+
+    if (onPage) crawler.on('page', onPage);
+    if (onError) crawler.on('error', onError);
+
+    const summary = await crawler.crawl(urls.map(entry => entry.url), { signal });
+    return { ...summary, entries: urls, sitemaps };
+  }
+
+  /**
+   * Fetch and parse an RSS 2.0, RSS 1.0 (RDF) or Atom feed
+   *
+   * Given a web page instead of a feed, the first feed the page advertises
+   * with `<link rel="alternate">` is fetched.
+   * @param {string} url - Feed URL, or a page that links to a feed
+   * @param {Object} options - Fetch options (same as fetchHtml)
+   * @returns {Promise<Object>} - `{ url, format, title, link, description, updated, author, image, items }`
+   * where url is the feed's final URL and items are `{ id, title, link, author, published, updated,
+   * summary, content, categories, enclosures, thumbnail }`; dates are ISO 8601 strings
+   * @throws {Error} - When neither the URL nor a feed it advertises is an RSS or Atom feed
+   */
+  async fetchFeed(url, options = {}) {
+    const load = xml => cheerio.load(xml, { xmlMode: true });
+    let page = await this.fetchPage(url, options);
+    let feed = parseFeed(page.html, load, page.finalUrl);
+
+    if (!feed) {
+      const [feedLink] = this.extractFeedLinks(page);
+
+      if (feedLink) {
+        page = await this.fetchPage(feedLink.url, options);
+        feed = parseFeed(page.html, load, page.finalUrl);
+      }
+    }
+
+    if (!feed) {
+      throw new Error(`No RSS or Atom feed found at ${url}`);
+    }
+
+    return { url: page.finalUrl, ...feed };
+  }
+
+  /**
+   * Find the RSS and Atom feeds a page advertises
+   * @param {string|ScrapedPage} html - The HTML content, or a page from fetchPage
+   * @param {string} baseUrl - Base URL for resolving relative paths (defaults to a page's finalUrl)
+   * @returns {Array} - Feeds as `{ url, title, type }`
+   */
+  extractFeedLinks(html, baseUrl = '') {
+    const pageUrl = baseUrl || (html instanceof ScrapedPage ? html.finalUrl : '');
+    return findFeedLinks(this.load(html), pageUrl);
+  }
+
+  /**
+   * Apply a mapping configuration to a parsed document
+   * 
+   * Selectors may be CSS, XPath or chains of steps (see `utils/selectors`);
+   * a field's `selectorType` says which when the selector alone does not.
+   * They are resolved against the whole document, or only inside
+   * `context.scope` when one is given. A field without a selector reads from
+   * the scope element itself, which lets record mappings pick attributes off
+   * their container.
+   * 
+   * Object fields may also declare a `transform` chain (see
+   * `utils/transforms`) and a `default` used when nothing matches. `text`,
+   * `html` and `list` fields take a `format` of 'plain', 'text', 'markdown'
+   * or 'html' (see `utils/format`). `image` fields read the image URL the
+   * way extractImages does, so lazy-loaded images and srcset work.
+   * @param {Function} $ - Cheerio instance for the document
+   * @param {Object} mapping - Mapping of data fields to selectors
+   * @param {Object} context - Extraction context
+   * @param {Object} context.scope - Cheerio selection to search within (optional)
+   * @param {string} context.baseUrl - Base URL for resolving relative paths (optional)
+   * @returns {Object} - Structured data object
+   */
+  applyMapping($, mapping, context = {}) {
+    const { scope = null } = context;
+    const select = (selector, type) => selectElements($, selector, { scope, type });
+    
+    const result = {};
+    let metadata = null;
+    
+    for (const key in mapping) {
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        const selector = mapping[key];
+        
+        if (typeof selector === 'string') {
+          result[key] = select(selector).text().trim();
+        } else if (typeof selector === 'object' && selector.type) {
+          let value;
           
-          if (typeof selector === 'string') {
-            result[key] = $(selector).text().trim();
-          } else if (typeof selector === 'object' && selector.type) {
-            // Handle different types of data extraction
-            switch (selector.type) {
-              case 'text':
-                result[key] = $(selector.selector).text().trim();
-                break;
-              case 'html':
-                result[key] = $(selector.selector).html();
-                break;
-              case 'attr':
-                result[key] = $(selector.selector).attr(selector.attr);
-                break;
-              case 'list':
-                result[key] = [];
-                $(selector.selector).each((i, el) => {
-                  result[key].push($(el).text().trim());
-                });
-                break;
-              default:
-                result[key] = $(selector.selector).text().trim();
+          // Handle different types of data extraction
+          switch (selector.type) {
+            case 'text':
+              value = formatContent($, select(selector.selector, selector.selectorType), selector.format, context.baseUrl);
+              break;
+            case 'html':
+              value = formatContent($, select(selector.selector, selector.selectorType), selector.format || 'html', context.baseUrl);
+              break;
+            case 'attr':
+              value = select(selector.selector, selector.selectorType).attr(selector.attr);
+              break;
+            case 'image': {
+              // The first match's URL as extractImages reads it
+              const [image] = select(selector.selector, selector.selectorType).get();
+              const found = image ? this.readImage($, $(image), context.baseUrl || '') : null;
+              value = found ? found.url : undefined;
+              break;
+            }
+            case 'list':
+              value = [];
+              select(selector.selector, selector.selectorType).each((i, el) => {
+                value.push(formatContent($, $(el), selector.format, context.baseUrl));
+              });
+              break;
+            case 'records':
+              // Run the nested mapping once per matched container
+              value = [];
+              select(selector.selector, selector.selectorType).each((i, el) => {
+                value.push(this.applyMapping($, selector.fields || {}, { ...context, scope: $(el) }));
+              });
+              break;
+            case 'table': {
+              // Rows of the first matching table
+              const [table] = findTables($, select(selector.selector || 'table', selector.selectorType));
+              value = table ? parseTable($, table, selector).rows : [];
+              break;
+            }
+            case 'metadata': {
+              // Read once per mapping, however many fields use it
+              metadata = metadata || extractPageMetadata($, context.baseUrl);
+              const source = selector.itemType ? findMetadataItem(metadata, selector.itemType) : metadata;
+              value = selector.path ? getValueAtPath(source, selector.path) : source;
+              break;
             }
+            default:
+              value = select(selector.selector, selector.selectorType).text().trim();
+          }
+          
+          if (selector.transform && selector.type !== 'records' && selector.type !== 'table') {
+            const transformContext = { baseUrl: context.baseUrl, key };
+            
+            // Lists are transformed item by item, dropping items that end up empty
+            value = Array.isArray(value)
+              ? value
+                .map(item => applyTransforms(item, selector.transform, transformContext))
+                .filter(item => !isEmptyValue(item))
+              : applyTransforms(value, selector.transform, transformContext);
+          }
+          
+          if (isEmptyValue(value) && selector.default !== undefined) {
+            value = selector.default;
           }
+          
+          result[key] = value;
         }
       }
-      
-      return result;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Remove cached responses
+   * @param {string} url - Only remove the entry for this URL (optional)
+   * @returns {Promise<void>}
+   */
+  async clearCache(url) {
+    if (!this.cache) {
+      return;
+    }
+
+    if (url) {
+      await this.cache.delete(url);
+    } else {
+      await this.cache.clear();
+    }
+  }
+
+  /**
+   * Log in through an HTML form
+   *
+   * Fetches the login page, fills its form on top of the values the page
+   * already provides (hidden inputs, CSRF tokens, defaults), submits it the
+   * way a browser would and follows the redirects. Session cookies end up in
+   * the cookie jar, so later requests on this service are logged in.
+   * @param {Object} options - Login options
+   * @param {string} options.url - URL of the page holding the login form
+   * @param {string} options.formSelector - Selector for the form; defaults to the form with a password field
+   * @param {Object} options.fields - Values keyed by field name. `username` and `password`
+   * also fill the form's detected credential fields when no field has that name
+   * @param {string} options.successSelector - Element that only appears once logged in
+   * @param {string|RegExp} options.successUrl - Substring or pattern the final URL must match
+   * @param {string} options.failureSelector - Element that signals a failed login, e.g. '.error'
+   * @param {AbortSignal} options.signal - Cancels the login when aborted
+   * @param {number} options.timeout - Deadline for each of the two requests in milliseconds
+   * @returns {Promise<ScrapedPage>} - The page returned after submitting
+   * @throws {LoginError} - When there is no form, the submit fails or the success check fails.
+   * Without a success check, a page that still asks for a password counts as a failure
+   */
+  async login(options) {
+    const { url, formSelector, fields = {}, signal, timeout } = options;
+    const loginPage = await this.fetchPage(url, { signal, timeout, cacheMode: 'no-cache' });
+    const $ = loginPage.$;
+    const form = findForm($, formSelector);
+
+    if (!form) {
+      throw new LoginError(url, `No login form found on ${loginPage.finalUrl}`, loginPage);
+    }
+
+    // The submit button's own name/value is sent, and its form* attributes
+    // override the form's
+    const submitter = getSubmitButton($, form);
+    const attr = name => (submitter && submitter.attr(`form${name}`)) || form.attr(name);
+    const entries = fillForm(
+      submitter && submitter.attr('name')
+        ? [...serializeForm($, form), { name: submitter.attr('name'), value: submitter.attr('value') || '' }]
+        : serializeForm($, form),
+      fields,
+      findCredentialFields($, form)
+    );
+
+    const action = resolveUrl(attr('action') || loginPage.finalUrl, getDocumentBaseUrl($, loginPage.finalUrl)).split('#')[0];
+    const method = (attr('method') || 'get').trim().toLowerCase() === 'post' ? 'post' : 'get';
+    const config = {
+      method,
+      url: action,
+      responseType: 'arraybuffer',
+      headers: { Referer: loginPage.finalUrl },
+      validateStatus: status => status >= 200 && status < 500
+    };
+
+    if (method === 'get') {
+      config.url = `${action.split('?')[0]}?${toUrlEncoded(entries)}`;
+    } else {
+      const { data, contentType } = encodeForm(entries, attr('enctype'));
+      config.data = data;
+
+      if (contentType) {
+        config.headers['Content-Type'] = contentType;
+      }
+    }
+
+    let page;
+
+    try {
+      const start = Date.now();
+      page = this.createPage(action, await this.request(config, { signal, timeout }), start);
     } catch (error) {
-      console.error('Error extracting structured data:', error);
-      throw error;
+      if (isAbortError(error) || error instanceof TimeoutError || error instanceof RobotsDisallowedError) {
+        throw error;
+      }
+
+      // Rethrown without the request config, which holds the credentials
+      throw new LoginError(url, `Login request failed: ${error.message}`);
+    }
+
+    if (page.status >= 400) {
+      throw new LoginError(url, `Login failed with status ${page.status}`, page);
     }
+
+    if (!this.isLoginSuccessful(page, options)) {
+      throw new LoginError(url, `Login did not succeed; ended on ${page.finalUrl}`, page);
+    }
+
+    return page;
+  }
+
+  /**
+   * Check the page returned by a login against the caller's success conditions
+   * @param {ScrapedPage} page - Page returned after submitting the form
+   * @param {Object} options - Login options (see login)
+   * @returns {boolean} - True if the login looks successful
+   */
+  isLoginSuccessful(page, options) {
+    const { successSelector, successUrl, failureSelector } = options;
+
+    if (failureSelector && page.$(failureSelector).length > 0) {
+      return false;
+    }
+
+    if (successSelector && page.$(successSelector).length === 0) {
+      return false;
+    }
+
+    if (successUrl) {
+      return successUrl instanceof RegExp
+        ? successUrl.test(page.finalUrl)
+        : page.finalUrl.includes(successUrl);
+    }
+
+    return !!successSelector || page.$('input[type="password"]').length === 0;
   }
 
   /**
    * Set authentication credentials
-   * @param {Object} auth - Authentication details
+   *
+   * Credentials are sent to the origin of each request and to redirects
+   * within that origin, never to other sites a redirect leads to.
+   * @param {Object} auth - An auth strategy (BasicAuth, BearerAuth, ApiKeyAuth,
+   * OAuth2ClientCredentials or any object with `apply`), settings for one such as
+   * `{ type: 'bearer', token }`, plain `{ username, password }` for Basic auth,
+   * or null to stop authenticating
    */
   setAuth(auth) {
-    this.client.defaults.auth = auth;
+    this.authStrategy = createAuthStrategy(auth);
+  }
+
+  /**
+   * Authenticate with a saved auth profile
+   *
+   * Strategy profiles replace the current auth strategy, cookie profiles
+   * add their cookies to the jar for the profile's site, and form profiles
+   * log in straight away.
+   * @param {string} name - Profile name
+   * @param {Object} options - Options for form logins
+   * @param {AbortSignal} options.signal - Cancels the login when aborted
+   * @param {number} options.timeout - Login timeout in milliseconds
+   * @returns {Promise<Object>} - Summary of the profile, without its secrets
+   * @throws {Error} - When no profile store is configured or the profile does not exist
+   */
+  async useProfile(name, options = {}) {
+    if (!this.profileStore) {
+      throw new Error('No profile store configured; pass one as the profileStore option');
+    }
+
+    const profile = await this.profileStore.get(name);
+
+    if (!profile) {
+      throw new Error(`No auth profile named "${name}"`);
+    }
+
+    const { auth, site } = profile;
+
+    if (auth.type === 'cookie') {
+      this.setAuth(null);
+      this.setCookies(auth.cookies, site);
+    } else if (auth.type === 'form') {
+      this.setAuth(null);
+      await this.login({
+        url: auth.loginUrl,
+        fields: { username: auth.username, password: auth.password },
+        successSelector: auth.successSelector || undefined,
+        signal: options.signal,
+        timeout: options.timeout
+      });
+    } else {
+      this.setAuth(auth);
+    }
+
+    return { name: profile.name, site: site || null, type: auth.type };
   }
 
   /**
@@ -222,13 +1731,42 @@ class WebScraperService {
 
   /**
    * Set cookies for requests
-   * @param {string} cookies - Cookie string
+   *
+   * With a URL, the cookies go into the cookie jar scoped to that site's host,
+   * alongside any the server sets. Without one, they are sent as a static
+   * Cookie header on every request.
+   * @param {string} cookies - Cookie string (`name=value; name2=value2`)
+   * @param {string} url - Site the cookies belong to (optional)
    */
-  setCookies(cookies) {
+  setCookies(cookies, url) {
+    if (url && this.cookieJar) {
+      this.cookieJar.importString(cookies, url);
+      return;
+    }
+
     this.setHeaders({
       'Cookie': cookies
     });
   }
+
+  /**
+   * Get the cookie string the jar would send to a URL
+   * @param {string} url - Request URL
+   * @returns {string} - `name=value; ...`, or an empty string
+   */
+  getCookies(url) {
+    return this.cookieJar ? this.cookieJar.exportString(url) : '';
+  }
+
+  /**
+   * Remove stored cookies
+   * @param {string} domain - Only remove cookies for this domain (optional)
+   */
+  clearCookies(domain) {
+    if (this.cookieJar) {
+      this.cookieJar.clear(domain);
+    }
+  }
 }
 
 export default WebScraperService;
@@ -0,0 +1,128 @@
+import CookieJar from '../CookieJar';
+
+describe('CookieJar', () => {
+  let jar;
+
+  beforeEach(() => {
+    jar = new CookieJar();
+  });
+
+  it('sends host-only cookies to their host alone', () => {
+    jar.setCookie('sid=1', 'https://example.com/');
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('sid=1');
+    expect(jar.getCookieHeader('https://www.example.com/')).toBe('');
+  });
+
+  it('sends domain cookies to subdomains', () => {
+    expect(jar.setCookie('sid=1; Domain=.example.com', 'https://www.example.com/')).toBe(true);
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('sid=1');
+    expect(jar.getCookieHeader('https://shop.example.com/')).toBe('sid=1');
+    expect(jar.getCookieHeader('https://badexample.com/')).toBe('');
+  });
+
+  it('rejects domains the response host does not belong to', () => {
+    expect(jar.setCookie('sid=1; Domain=other.com', 'https://example.com/')).toBe(false);
+    expect(jar.setCookie('sid=1; Domain=com', 'https://example.com/')).toBe(false);
+    expect(jar.setCookie('sid=1; Domain=shop.example.com', 'https://example.com/')).toBe(false);
+    expect(jar.cookies).toHaveLength(0);
+  });
+
+  it('does not match IP addresses by suffix', () => {
+    jar.store({ name: 'a', value: '1', domain: '0.0.1', path: '/', expires: null, secure: false, hostOnly: false });
+
+    expect(jar.getCookieHeader('http://10.0.0.1/')).toBe('');
+  });
+
+  it('defaults the path to the directory of the request', () => {
+    jar.setCookie('a=1', 'https://example.com/shop/cart');
+
+    expect(jar.getCookieHeader('https://example.com/shop')).toBe('a=1');
+    expect(jar.getCookieHeader('https://example.com/shop/items/1')).toBe('a=1');
+    expect(jar.getCookieHeader('https://example.com/')).toBe('');
+  });
+
+  it('matches paths on segment boundaries', () => {
+    jar.setCookie('a=1; Path=/docs', 'https://example.com/');
+
+    expect(jar.getCookieHeader('https://example.com/docs')).toBe('a=1');
+    expect(jar.getCookieHeader('https://example.com/docs/intro')).toBe('a=1');
+    expect(jar.getCookieHeader('https://example.com/docsearch')).toBe('');
+  });
+
+  it('orders cookies by longest path, then oldest', () => {
+    jar.setCookie('b=2', 'https://example.com/');
+    jar.setCookie('c=3; Path=/docs', 'https://example.com/');
+    jar.setCookie('a=1', 'https://example.com/');
+
+    expect(jar.getCookieHeader('https://example.com/docs/')).toBe('c=3; b=2; a=1');
+  });
+
+  it('keeps secure cookies to HTTPS', () => {
+    expect(jar.setCookie('a=1; Secure', 'http://example.com/')).toBe(false);
+    jar.setCookie('a=1; Secure', 'https://example.com/');
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('a=1');
+    expect(jar.getCookieHeader('http://example.com/')).toBe('');
+  });
+
+  it('replaces cookies with the same name, domain and path', () => {
+    jar.setCookies(['a=1', 'a=2', 'a=3; Path=/docs'], 'https://example.com/');
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('a=2');
+    expect(jar.getCookieHeader('https://example.com/docs')).toBe('a=3; a=2');
+  });
+
+  it('drops cookies once they expire', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    try {
+      jar.setCookie('a=1; Max-Age=60; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'https://example.com/');
+      jar.setCookie('b=2; Expires=Tue, 02 Jan 2024 00:00:00 GMT', 'https://example.com/');
+      expect(jar.getCookieHeader('https://example.com/')).toBe('a=1; b=2');
+
+      Date.now.mockReturnValue(now + 61000);
+      expect(jar.getCookieHeader('https://example.com/')).toBe('b=2');
+
+      jar.setCookie('b=gone; Max-Age=0', 'https://example.com/');
+      expect(jar.getCookieHeader('https://example.com/')).toBe('');
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  it('imports and exports cookie strings for a host', () => {
+    jar.importString('a=1; b=x=y; junk', 'https://example.com/login');
+
+    expect(jar.exportString('https://example.com/account')).toBe('a=1; b=x=y');
+    expect(jar.exportString('https://www.example.com/')).toBe('');
+  });
+
+  it('round-trips through JSON and cookies.txt', () => {
+    jar.setCookie('a=1; Domain=example.com; Path=/docs; Secure; HttpOnly', 'https://example.com/');
+    jar.setCookie('b=2', 'https://example.com/');
+
+    const restored = CookieJar.fromJSON(JSON.stringify(jar));
+    const imported = new CookieJar();
+    imported.importNetscape(jar.exportNetscape());
+
+    [restored, imported].forEach(copy => {
+      expect(copy.getCookieHeader('https://www.example.com/docs')).toBe('a=1');
+      expect(copy.getCookieHeader('https://example.com/docs')).toBe('a=1; b=2');
+    });
+  });
+
+  it('clears a domain and its subdomains, or everything', () => {
+    jar.setCookie('a=1', 'https://example.com/');
+    jar.setCookie('b=2', 'https://shop.example.com/');
+    jar.setCookie('c=3', 'https://other.com/');
+
+    jar.clear('.example.com');
+    expect(jar.cookies.map(cookie => cookie.name)).toEqual(['c']);
+
+    jar.clear();
+    expect(jar.cookies).toHaveLength(0);
+  });
+});
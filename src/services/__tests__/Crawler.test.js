@@ -0,0 +1,53 @@
+import Crawler from '../Crawler';
+
+/**
+ * Create a scraper stand-in serving a small site
+ * @param {Object} site - Pages keyed by URL, as `{ links, redirect }`
+ * @returns {Object} - Object with the fetchPage, extractLinks and extractStructuredData methods
+ */
+const createScraper = (site) => ({
+  fetchPage: async (url) => {
+    const page = site[url] || {};
+    return { url, finalUrl: page.redirect || url, contentType: 'text/html', links: (site[page.redirect || url] || {}).links || [] };
+  },
+  extractLinks: (page) => page.links.map(url => ({ url, type: 'http' })),
+  extractStructuredData: () => ({})
+});
+
+describe('Crawler', () => {
+  it('keeps a www. seed\'s domain scope to the bare domain and its subdomains', async () => {
+    const crawler = new Crawler(createScraper({
+      'https://www.example.com/': {
+        links: [
+          'https://example.com/about',
+          'https://blog.example.com/post',
+          'https://notexample.com/',
+          'https://example.com.evil.net/'
+        ]
+      }
+    }), { scope: 'domain' });
+
+    const { results } = await crawler.crawl('https://www.example.com/');
+
+    expect(results.map(result => result.url).sort()).toEqual([
+      'https://blog.example.com/post',
+      'https://example.com/about',
+      'https://www.example.com/'
+    ]);
+  });
+
+  it('skips redirects to pages already seen', async () => {
+    const crawler = new Crawler(createScraper({
+      'https://example.com/': { links: ['https://example.com/old', 'https://example.com/new'] },
+      'https://example.com/old': { redirect: 'https://example.com/new' },
+      'https://example.com/new': { links: [] }
+    }), { concurrency: 1 });
+    const skipped = [];
+
+    crawler.on('skip', details => skipped.push(details.url));
+    const { results } = await crawler.crawl('https://example.com/');
+
+    expect(results.map(result => result.finalUrl)).toEqual(['https://example.com/', 'https://example.com/new']);
+    expect(skipped).toEqual(['https://example.com/old']);
+  });
+});
@@ -0,0 +1,130 @@
+import RecipeStore from '../RecipeStore';
+import MemoryStorageAdapter from '../MemoryStorageAdapter';
+import { RecipeError, RecipeExistsError } from '../../utils/errors';
+
+/**
+ * Build a valid recipe
+ * @param {string} name - Recipe name
+ * @param {string} start - Start URL
+ * @returns {Object} - Recipe
+ */
+const makeRecipe = (name, start = 'https://example.com/') => ({
+  version: 1,
+  name,
+  start,
+  mapping: { title: 'h1' }
+});
+
+/**
+ * Get the names of the saved recipes
+ * @param {RecipeStore} store - The store
+ * @returns {Promise<Array>} - Names, sorted
+ */
+const savedNames = async (store) => (await store.list()).map(summary => summary.name);
+
+describe('RecipeStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new RecipeStore({ adapter: new MemoryStorageAdapter() });
+  });
+
+  it('saves, lists and reads recipes', async () => {
+    const summary = await store.save(JSON.stringify(makeRecipe(' Shoes ')));
+
+    expect(summary).toMatchObject({ name: 'Shoes', start: ['https://example.com/'] });
+    expect(await savedNames(store)).toEqual(['Shoes']);
+    expect((await store.get('Shoes')).name).toBe('Shoes');
+  });
+
+  it('replaces a recipe edited under the same name', async () => {
+    await store.save(makeRecipe('Shoes'));
+    await store.save(makeRecipe('Shoes', 'https://example.com/shoes'), { previousName: 'Shoes' });
+
+    expect((await store.get('Shoes')).start).toBe('https://example.com/shoes');
+    expect(await savedNames(store)).toEqual(['Shoes']);
+  });
+
+  it('rejects saving over another recipe without overwrite', async () => {
+    await store.save(makeRecipe('Shoes'));
+
+    await expect(store.save(makeRecipe('Shoes', 'https://example.com/other'), { previousName: 'New recipe' }))
+      .rejects.toMatchObject({ name: 'RecipeExistsError', code: 'ERR_RECIPE_EXISTS', names: ['Shoes'] });
+    expect((await store.get('Shoes')).start).toBe('https://example.com/');
+  });
+
+  it('renames a recipe and removes the old entry', async () => {
+    await store.save(makeRecipe('Shoes'));
+    await store.save(makeRecipe('Boots'), { previousName: 'Shoes' });
+
+    expect(await savedNames(store)).toEqual(['Boots']);
+    expect(await store.get('Shoes')).toBeNull();
+  });
+
+  it('rejects renaming onto another recipe without overwrite', async () => {
+    await store.save(makeRecipe('Shoes'));
+    await store.save(makeRecipe('Boots', 'https://example.com/boots'));
+
+    await expect(store.save(makeRecipe('Boots'), { previousName: 'Shoes' })).rejects.toBeInstanceOf(RecipeExistsError);
+    expect(await savedNames(store)).toEqual(['Boots', 'Shoes']);
+    expect((await store.get('Boots')).start).toBe('https://example.com/boots');
+  });
+
+  it('renames onto another recipe with overwrite', async () => {
+    await store.save(makeRecipe('Shoes'));
+    await store.save(makeRecipe('Boots', 'https://example.com/boots'));
+    await store.save(makeRecipe('Boots'), { previousName: 'Shoes', overwrite: true });
+
+    expect(await savedNames(store)).toEqual(['Boots']);
+    expect((await store.get('Boots')).start).toBe('https://example.com/');
+  });
+
+  it('names copies after the first free name', async () => {
+    await store.save(makeRecipe('Shoes'));
+
+    expect((await store.duplicate('Shoes')).name).toBe('Shoes (copy)');
+    expect((await store.duplicate('Shoes')).name).toBe('Shoes (copy 2)');
+    await expect(store.duplicate('Shoes', 'Shoes (copy)')).rejects.toBeInstanceOf(RecipeExistsError);
+  });
+
+  it('imports what it exports', async () => {
+    await store.save(makeRecipe('Shoes'));
+    await store.save(makeRecipe('Boots'));
+    const json = await store.exportJson();
+
+    const other = new RecipeStore({ adapter: new MemoryStorageAdapter() });
+    const imported = await other.importJson(json);
+
+    expect(imported.map(summary => summary.name)).toEqual(['Boots', 'Shoes']);
+    expect(await other.get('Boots')).toEqual(await store.get('Boots'));
+  });
+
+  it('rejects importing over saved recipes and saves none of them', async () => {
+    await store.save(makeRecipe('Shoes'));
+    const json = JSON.stringify([makeRecipe('Boots'), makeRecipe('Shoes', 'https://example.com/other')]);
+
+    await expect(store.importJson(json)).rejects.toMatchObject({ name: 'RecipeExistsError', names: ['Shoes'] });
+    expect(await savedNames(store)).toEqual(['Shoes']);
+    expect((await store.get('Shoes')).start).toBe('https://example.com/');
+  });
+
+  it('imports over saved recipes with overwrite', async () => {
+    await store.save(makeRecipe('Shoes'));
+    const json = JSON.stringify([makeRecipe('Boots'), makeRecipe('Shoes', 'https://example.com/other')]);
+
+    await store.importJson(json, { overwrite: true });
+
+    expect(await savedNames(store)).toEqual(['Boots', 'Shoes']);
+    expect((await store.get('Shoes')).start).toBe('https://example.com/other');
+  });
+
+  it('rejects an import that repeats a name', async () => {
+    const json = JSON.stringify([makeRecipe('Shoes'), makeRecipe('Boots'), makeRecipe(' Shoes')]);
+
+    await expect(store.importJson(json)).rejects.toBeInstanceOf(RecipeError);
+    await expect(store.importJson(json, { overwrite: true })).rejects.toMatchObject({
+      errors: [{ path: '[2].name', message: 'repeats the name of recipe [0]' }]
+    });
+    expect(await savedNames(store)).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+import RequestScheduler from '../RequestScheduler';
+
+/**
+ * Create a task that stays running until it is finished by hand
+ * @param {Array} started - Collects the name when the task starts
+ * @param {string} name - Task name
+ * @returns {Object} - `{ task, finish }`; finish resolves the task with its name
+ */
+const createTask = (started, name) => {
+  let finish = null;
+  const task = () => new Promise(resolve => {
+    started.push(name);
+    finish = () => resolve(name);
+  });
+
+  return { task, finish: () => finish() };
+};
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestScheduler', () => {
+  it('reads hosts with their port and without credentials', () => {
+    expect(RequestScheduler.getHost('https://user:pw@Example.com:8080/a')).toBe('example.com:8080');
+    expect(RequestScheduler.getHost('/relative')).toBe('');
+  });
+
+  it('limits requests in flight per host', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrentPerHost: 2 });
+    const started = [];
+    const tasks = ['a1', 'a2', 'a3', 'b1'].map(name => createTask(started, name));
+
+    const results = tasks.map((task, i) => scheduler.schedule(`https://${i < 3 ? 'a' : 'b'}.example.com/${i}`, task.task));
+    await flush();
+
+    expect(started).toEqual(['a1', 'a2', 'b1']);
+    expect(scheduler.running).toBe(3);
+    expect(scheduler.pending).toBe(1);
+
+    tasks[0].finish();
+    await expect(results[0]).resolves.toBe('a1');
+    await flush();
+
+    expect(started).toEqual(['a1', 'a2', 'b1', 'a3']);
+    tasks.slice(1).forEach(task => task.finish());
+    await Promise.all(results);
+    expect(scheduler.running).toBe(0);
+  });
+
+  it('limits requests in flight across hosts', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2, maxConcurrentPerHost: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(started, name));
+
+    tasks.forEach((task, i) => scheduler.schedule(`https://host${i}.example.com/`, task.task));
+    await flush();
+
+    expect(started).toEqual(['a', 'b']);
+
+    tasks[1].finish();
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  it('starts higher priorities first, then in arrival order', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const blocker = createTask(started, 'blocker');
+    const tasks = {};
+
+    scheduler.schedule('https://example.com/', blocker.task);
+    const results = [['low', 0], ['high', 5], ['low2', 0], ['high2', 5], ['urgent', 10]].map(([name, priority]) => {
+      tasks[name] = createTask(started, name);
+      return scheduler.schedule('https://example.com/', tasks[name].task, { priority });
+    });
+    await flush();
+
+    blocker.finish();
+    await flush();
+
+    // Finish each task as it starts, so the next one can
+    for (const name of ['urgent', 'high', 'high2', 'low', 'low2']) {
+      expect(started[started.length - 1]).toBe(name);
+      tasks[name].finish();
+      await flush();
+    }
+
+    await Promise.all(results);
+    expect(started).toEqual(['blocker', 'urgent', 'high', 'high2', 'low', 'low2']);
+  });
+
+  it('spaces out requests to a host by its delay', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const scheduler = new RequestScheduler({ minHostDelay: 100 });
+      const starts = [];
+      const task = () => {
+        starts.push(Date.now());
+        return Promise.resolve();
+      };
+
+      scheduler.setHostDelay('Slow.example.com', 1000);
+      const start = Date.now();
+      const results = [
+        scheduler.schedule('https://slow.example.com/1', task),
+        scheduler.schedule('https://slow.example.com/2', task),
+        scheduler.schedule('https://fast.example.com/1', task),
+        scheduler.schedule('https://fast.example.com/2', task)
+      ];
+
+      await jest.advanceTimersByTimeAsync(2000);
+      await Promise.all(results);
+
+      expect(starts.map(time => time - start)).toEqual([0, 0, 100, 1000]);
+      expect(scheduler.getHostDelay('slow.example.com')).toBe(1000);
+      expect(scheduler.getHostDelay('fast.example.com')).toBe(100);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('never lets a host delay undercut minHostDelay', () => {
+    const scheduler = new RequestScheduler({ minHostDelay: 500 });
+    scheduler.setHostDelay('example.com', 200);
+
+    expect(scheduler.getHostDelay('example.com')).toBe(500);
+  });
+
+  it('removes queued tasks when their signal aborts', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const blocker = createTask(started, 'blocker');
+    const queued = createTask(started, 'queued');
+    const after = createTask(started, 'after');
+    const controller = new AbortController();
+
+    scheduler.schedule('https://example.com/', blocker.task);
+    const cancelled = scheduler.schedule('https://example.com/', queued.task, { signal: controller.signal });
+    scheduler.schedule('https://example.com/', after.task);
+    await flush();
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.pending).toBe(1);
+
+    blocker.finish();
+    await flush();
+    expect(started).toEqual(['blocker', 'after']);
+  });
+
+  it('rejects straight away for an aborted signal', async () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+    const task = jest.fn();
+    controller.abort();
+
+    await expect(scheduler.schedule('https://example.com/', task, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.pending).toBe(0);
+  });
+
+  it('does not cancel a task that has already started', async () => {
+    const scheduler = new RequestScheduler();
+    const started = [];
+    const running = createTask(started, 'running');
+    const controller = new AbortController();
+
+    const result = scheduler.schedule('https://example.com/', running.task, { signal: controller.signal });
+    await flush();
+    controller.abort();
+    running.finish();
+
+    await expect(result).resolves.toBe('running');
+  });
+});
@@ -0,0 +1,74 @@
+import ResponseCache from '../ResponseCache';
+
+const URL = 'https://example.com/page';
+
+const response = (headers = {}, data = '<html></html>') => ({ status: 200, headers, data });
+
+describe('ResponseCache', () => {
+  it('stores responses under the URL without its fragment', async () => {
+    const cache = new ResponseCache();
+
+    await cache.store(`${URL}#top`, response({ 'cache-control': 'max-age=60' }));
+    const entry = await cache.get(URL);
+
+    expect(entry.data).toBe('<html></html>');
+    expect(cache.isFresh(entry)).toBe(true);
+  });
+
+  it('drops Set-Cookie headers', async () => {
+    const cache = new ResponseCache();
+
+    await cache.store(URL, response({ 'set-cookie': ['session=abc'], etag: '"1"' }));
+    const entry = await cache.get(URL);
+
+    expect(entry.headers['set-cookie']).toBeUndefined();
+    expect(entry.headers.etag).toBe('"1"');
+
+    const refreshed = await cache.refresh(URL, entry, { status: 304, headers: { 'set-cookie': ['session=def'] } });
+    expect(refreshed.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('skips private, no-store and credentialed responses', async () => {
+    const cache = new ResponseCache();
+
+    expect(await cache.store(URL, response({ 'cache-control': 'private, max-age=60' }))).toBeNull();
+    expect(await cache.store(URL, response({ 'cache-control': 'no-store' }))).toBeNull();
+    expect(await cache.store(URL, response(), { credentialed: true })).toBeNull();
+    expect(await cache.store(URL, response({ vary: '*' }))).toBeNull();
+    expect(await cache.get(URL)).toBeNull();
+  });
+
+  it('stores private and credentialed responses when asked to', async () => {
+    const cache = new ResponseCache({ storePrivate: true });
+
+    expect(await cache.store(URL, response({ 'cache-control': 'private' }), { credentialed: true })).not.toBeNull();
+    expect(await cache.get(URL)).not.toBeNull();
+  });
+
+  it('keeps one entry per value of the Vary headers', async () => {
+    const cache = new ResponseCache();
+    const vary = { vary: 'Accept-Language' };
+
+    await cache.store(URL, response(vary, 'english'), { headers: { 'accept-language': 'en' } });
+    await cache.store(URL, response(vary, 'french'), { headers: { 'accept-language': 'fr' } });
+
+    expect((await cache.get(URL, { 'accept-language': 'en' })).data).toBe('english');
+    expect((await cache.get(URL, { 'accept-language': 'fr' })).data).toBe('french');
+    expect(await cache.get(URL, { 'accept-language': 'de' })).toBeNull();
+    expect(await cache.get(URL)).toBeNull();
+
+    await cache.delete(URL);
+    expect(await cache.get(URL, { 'accept-language': 'en' })).toBeNull();
+    expect(cache.adapter.entries.size).toBe(0);
+  });
+
+  it('replaces variants when the response stops varying', async () => {
+    const cache = new ResponseCache();
+
+    await cache.store(URL, response({ vary: 'Accept-Language' }, 'english'), { headers: { 'accept-language': 'en' } });
+    await cache.store(URL, response({}, 'plain'));
+
+    expect((await cache.get(URL, { 'accept-language': 'en' })).data).toBe('plain');
+    expect(cache.adapter.entries.size).toBe(1);
+  });
+});
@@ -0,0 +1,71 @@
+import SecureStoreCredentialAdapter from '../SecureStoreCredentialAdapter';
+
+/**
+ * Create a SecureStore stand-in that rejects values over 2048 bytes
+ * @param {boolean} available - What isAvailableAsync resolves to
+ * @returns {Object} - Module with the SecureStore API and its `items` map
+ */
+const createSecureStore = (available = true) => {
+  const items = new Map();
+
+  return {
+    items,
+    isAvailableAsync: async () => available,
+    getItemAsync: async (key) => (items.has(key) ? items.get(key) : null),
+    setItemAsync: async (key, value) => {
+      if (encodeURIComponent(value).replace(/%[0-9A-F]{2}/g, '-').length > 2048) {
+        throw new Error('Value too large');
+      }
+      items.set(key, value);
+    },
+    deleteItemAsync: async (key) => {
+      items.delete(key);
+    }
+  };
+};
+
+describe('SecureStoreCredentialAdapter', () => {
+  it('stores small items in one entry', async () => {
+    const store = createSecureStore();
+    const adapter = new SecureStoreCredentialAdapter(store);
+
+    await adapter.set('profile:Intranet', { password: 'secret' });
+
+    expect(store.items.size).toBe(1);
+    expect(await adapter.get('profile:Intranet')).toEqual({ password: 'secret' });
+  });
+
+  it('splits items over the size limit and joins them again', async () => {
+    const store = createSecureStore();
+    const adapter = new SecureStoreCredentialAdapter(store);
+    const profile = { cookies: 'é€😀'.repeat(1000) };
+
+    await adapter.set('profile:Long', profile);
+
+    expect(store.items.size).toBeGreaterThan(2);
+    expect(await adapter.get('profile:Long')).toEqual(profile);
+  });
+
+  it('removes parts that are no longer needed', async () => {
+    const store = createSecureStore();
+    const adapter = new SecureStoreCredentialAdapter(store);
+
+    await adapter.set('profile:Long', { cookies: 'x'.repeat(5000) });
+    await adapter.set('profile:Long', { cookies: 'short' });
+
+    expect(store.items.size).toBe(1);
+    expect(await adapter.get('profile:Long')).toEqual({ cookies: 'short' });
+
+    await adapter.set('profile:Long', { cookies: 'x'.repeat(5000) });
+    await adapter.delete('profile:Long');
+
+    expect(store.items.size).toBe(0);
+    expect(await adapter.get('profile:Long')).toBeNull();
+  });
+
+  it('throws a clear error where SecureStore is unavailable', async () => {
+    const adapter = new SecureStoreCredentialAdapter(createSecureStore(false));
+
+    await expect(adapter.get('index')).rejects.toThrow('Secure storage is not available on this platform');
+  });
+});
@@ -0,0 +1,417 @@
+import { AxiosError } from 'axios';
+import WebScraperService from '../WebScraperService';
+import ProfileStore from '../ProfileStore';
+import MemoryCredentialAdapter from '../MemoryCredentialAdapter';
+import { RobotsDisallowedError } from '../../utils/errors';
+
+/**
+ * Answer a request the way axios's own adapters do, rejecting statuses that validateStatus refuses
+ * @param {Object} config - Request config
+ * @param {number} status - Response status
+ * @param {*} data - Response body
+ * @param {Object} headers - Response headers
+ * @returns {Promise<Object>} - The response
+ */
+const respond = (config, status, data = '', headers = {}) => {
+  const response = { status, statusText: String(status), headers, config, data, request: {} };
+
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return Promise.resolve(response);
+  }
+
+  return Promise.reject(new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response));
+};
+
+/**
+ * Create a service whose HTTP client answers every request with a page
+ * @param {Object} options - Service options
+ * @param {Object} headers - Response headers
+ * @returns {Object} - `{ scraper, requests }` where requests collects each config sent
+ */
+const createScraper = (options = {}, headers = { 'cache-control': 'max-age=60' }) => {
+  const scraper = new WebScraperService({ retry: false, ...options });
+  const requests = [];
+
+  scraper.client.defaults.adapter = async (config) => {
+    requests.push(config);
+    return { status: 200, statusText: 'OK', headers, config, data: '<html><h1>Hi</h1></html>', request: {} };
+  };
+
+  return { scraper, requests };
+};
+
+describe('WebScraperService response cache', () => {
+  it('serves repeat anonymous requests from the cache', async () => {
+    const { scraper, requests } = createScraper({ cache: true });
+
+    await scraper.fetchHtml('https://example.com/');
+    await scraper.fetchHtml('https://example.com/');
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it('bypasses the cache for requests with cookies or credentials', async () => {
+    const withCookies = createScraper({ cache: true });
+    withCookies.scraper.setCookies('session=abc', 'https://example.com/');
+
+    await withCookies.scraper.fetchHtml('https://example.com/');
+    await withCookies.scraper.fetchHtml('https://example.com/');
+    expect(withCookies.requests).toHaveLength(2);
+
+    const withAuth = createScraper({ cache: true, auth: { type: 'bearer', token: 't' } });
+
+    await withAuth.scraper.fetchHtml('https://example.com/');
+    await withAuth.scraper.fetchHtml('https://example.com/');
+    expect(withAuth.requests).toHaveLength(2);
+    await expect(withAuth.scraper.fetchHtml('https://example.com/', { cacheMode: 'only-if-cached' }))
+      .rejects.toMatchObject({ name: 'CacheMissError' });
+  });
+
+  it('caches credentialed requests with storePrivate', async () => {
+    const { scraper, requests } = createScraper({ cache: { storePrivate: true }, auth: { type: 'bearer', token: 't' } });
+
+    await scraper.fetchHtml('https://example.com/');
+    await scraper.fetchHtml('https://example.com/');
+
+    expect(requests).toHaveLength(1);
+  });
+});
+
+describe('WebScraperService OAuth2 token requests', () => {
+  const auth = { type: 'oauth2', tokenUrl: 'https://auth.example.com/token', clientId: 'id', clientSecret: 'secret' };
+
+  it('sends the token request through the service without credentials', async () => {
+    const scraper = new WebScraperService({ retry: false, auth });
+    const requests = [];
+
+    scraper.client.defaults.adapter = async (config) => {
+      requests.push(config);
+      const data = config.url === auth.tokenUrl ? { access_token: 'abc', expires_in: 3600 } : '<html></html>';
+      return { status: 200, statusText: 'OK', headers: {}, config, data, request: {} };
+    };
+
+    await scraper.fetchHtml('https://example.com/');
+
+    expect(requests.map(config => config.url)).toEqual([auth.tokenUrl, 'https://example.com/']);
+    expect(requests[0].method).toBe('post');
+    expect(requests[0].auth).toEqual({ username: 'id', password: 'secret' });
+    expect(requests[1].headers.Authorization).toBe('Bearer abc');
+  });
+
+  it('cancels the token request with the page request', async () => {
+    const scraper = new WebScraperService({ retry: false, auth });
+    const controller = new AbortController();
+    let tokenSignal = null;
+
+    scraper.client.defaults.adapter = (config) => new Promise((resolve, reject) => {
+      tokenSignal = config.signal;
+      config.signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+    });
+
+    const fetching = scraper.fetchHtml('https://example.com/', { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(fetching).rejects.toMatchObject({ name: 'AbortError' });
+    expect(tokenSignal.aborted).toBe(true);
+  });
+});
+
+describe('WebScraperService.extractImages', () => {
+  const scraper = new WebScraperService({ retry: false });
+
+  it('reads lazy-load attributes over placeholder sources', () => {
+    const html = `
+      <img src="data:image/gif;base64,R0lGOD" data-src="/lazy.jpg" alt="Lazy">
+      <img data-original="/original.jpg">
+      <img src="/plain.jpg" data-src="/ignored.jpg" width="10" height="20">
+    `;
+
+    expect(scraper.extractImages(html, 'img', 'https://example.com/gallery/')).toEqual([
+      expect.objectContaining({ url: 'https://example.com/lazy.jpg', alt: 'Lazy', best: 'https://example.com/lazy.jpg' }),
+      expect.objectContaining({ url: 'https://example.com/original.jpg' }),
+      expect.objectContaining({ url: 'https://example.com/plain.jpg', width: '10', height: '20' })
+    ]);
+  });
+
+  it('returns srcset candidates and the best of them', () => {
+    const html = `
+      <picture>
+        <source media="(min-width: 800px)" srcset="/wide.jpg 1600w">
+        <img srcset="small.jpg 400w, large.jpg 800w">
+      </picture>
+    `;
+    const [image] = scraper.extractImages(html, 'img', 'https://example.com/a/');
+
+    expect(image.srcset.map(candidate => candidate.url)).toEqual([
+      'https://example.com/wide.jpg',
+      'https://example.com/a/small.jpg',
+      'https://example.com/a/large.jpg'
+    ]);
+    expect(image.srcset[0].media).toBe('(min-width: 800px)');
+    expect(image.url).toBe(image.best);
+    expect(image.best).toBe('https://example.com/wide.jpg');
+  });
+
+  it('reads image fields in a mapping the same way', () => {
+    const html = `
+      <div class="card"><img src="data:image/gif;base64,R0lGOD" data-src="/lazy.jpg" alt="Lazy"></div>
+      <div class="card"><img srcset="small.jpg 400w, large.jpg 800w"></div>
+      <div class="card"><span>No image</span></div>
+    `;
+
+    const data = scraper.extractStructuredData(html, {
+      cards: { type: 'records', selector: '.card', fields: { url: { type: 'image', selector: 'img', default: null } } }
+    }, 'https://example.com/a/');
+
+    expect(data.cards).toEqual([
+      { url: 'https://example.com/lazy.jpg' },
+      { url: 'https://example.com/a/large.jpg' },
+      { url: null }
+    ]);
+  });
+});
+
+describe('WebScraperService robots.txt', () => {
+  /**
+   * Create a service that respects robots.txt and serves it with a handler
+   * @param {Function} robots - Answers robots.txt requests given the config
+   * @param {Object} options - Service options
+   * @returns {Object} - `{ scraper, urls }` where urls collects each URL requested
+   */
+  const createRobotsScraper = (robots, options = {}) => {
+    const scraper = new WebScraperService({ retry: false, respectRobots: true, ...options });
+    const urls = [];
+
+    scraper.client.defaults.adapter = async (config) => {
+      urls.push(config.url);
+      return config.url.endsWith('/robots.txt') ? robots(config) : respond(config, 200, '<html></html>');
+    };
+
+    return { scraper, urls };
+  };
+
+  const text = 'User-agent: *\nDisallow: /private\n\nUser-agent: MyAppBot\nDisallow: /search\nCrawl-delay: 3\n';
+
+  it('refuses disallowed URLs and fetches robots.txt once per origin', async () => {
+    const { scraper, urls } = createRobotsScraper(config => respond(config, 200, text));
+
+    await scraper.fetchHtml('https://example.com/search');
+    await expect(scraper.fetchHtml('https://example.com/private/1')).rejects.toBeInstanceOf(RobotsDisallowedError);
+
+    expect(urls).toEqual(['https://example.com/robots.txt', 'https://example.com/search']);
+  });
+
+  it('follows the group for the configured product token and applies its Crawl-delay', async () => {
+    const { scraper } = createRobotsScraper(config => respond(config, 200, text), { robotsUserAgent: 'MyAppBot/1.0' });
+
+    expect(await scraper.isAllowedByRobots('https://example.com/private/1')).toBe(true);
+    expect(await scraper.isAllowedByRobots('https://example.com/search')).toBe(false);
+    expect(scraper.scheduler.getHostDelay('example.com')).toBe(3000);
+  });
+
+  it('reads the product token from a User-Agent header', async () => {
+    const { scraper } = createRobotsScraper(config => respond(config, 200, text), {
+      headers: { 'User-Agent': 'MyAppBot/1.0 (+https://example.org/bot)' }
+    });
+
+    expect(await scraper.isAllowedByRobots('https://example.com/search')).toBe(false);
+  });
+
+  it('allows everything when robots.txt is missing', async () => {
+    const { scraper } = createRobotsScraper(config => respond(config, 404, 'Not found'));
+
+    expect(await scraper.isAllowedByRobots('https://example.com/private/1')).toBe(true);
+    await expect(scraper.fetchHtml('https://example.com/private/1')).resolves.toBe('<html></html>');
+  });
+
+  it('refuses everything while robots.txt fails, then tries again', async () => {
+    const failures = [
+      config => respond(config, 503, 'Unavailable'),
+      () => Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+    ];
+    const { scraper, urls } = createRobotsScraper(config => (failures.length ? failures.shift()(config) : respond(config, 200, text)));
+
+    await expect(scraper.fetchHtml('https://example.com/')).rejects.toMatchObject({
+      name: 'RobotsDisallowedError',
+      message: 'robots.txt could not be fetched for https://example.com/'
+    });
+    expect(await scraper.isAllowedByRobots('https://example.com/')).toBe(false);
+    expect(await scraper.isAllowedByRobots('https://example.com/')).toBe(true);
+    expect(urls.filter(url => url.endsWith('/robots.txt'))).toHaveLength(3);
+  });
+});
+
+describe('WebScraperService retries', () => {
+  /**
+   * Create a service whose client fails with each of the given failures, then succeeds
+   * @param {Array} failures - Functions that answer a failed attempt given the config
+   * @param {Object} retry - Retry options
+   * @returns {Object} - `{ scraper, attempts, retries }` collecting each request and onRetry call
+   */
+  const createFlakyScraper = (failures, retry = {}) => {
+    const attempts = [];
+    const retries = [];
+    const scraper = new WebScraperService({
+      retry: { baseDelay: 1, jitter: 0, onRetry: info => retries.push(info), ...retry }
+    });
+
+    scraper.client.defaults.adapter = async (config) => {
+      attempts.push(config);
+      const failure = failures[attempts.length - 1];
+      return failure ? failure(config) : respond(config, 200, '<html>ok</html>');
+    };
+
+    return { scraper, attempts, retries };
+  };
+
+  const unavailable = config => respond(config, 503, 'Unavailable');
+  const reset = () => Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+  it('retries 503 responses and reset connections until one succeeds', async () => {
+    const { scraper, attempts, retries } = createFlakyScraper([unavailable, reset]);
+
+    await expect(scraper.fetchHtml('https://example.com/')).resolves.toBe('<html>ok</html>');
+
+    expect(attempts).toHaveLength(3);
+    expect(retries.map(({ url, attempt, maxAttempts }) => ({ url, attempt, maxAttempts }))).toEqual([
+      { url: 'https://example.com/', attempt: 2, maxAttempts: 3 },
+      { url: 'https://example.com/', attempt: 3, maxAttempts: 3 }
+    ]);
+    expect(retries.map(info => info.delay)).toEqual([1, 2]);
+    expect(retries[0].error.response.status).toBe(503);
+    expect(retries[1].error.code).toBe('ECONNRESET');
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const { scraper, attempts } = createFlakyScraper([unavailable, unavailable, unavailable], { maxAttempts: 2 });
+
+    await expect(scraper.fetchHtml('https://example.com/')).rejects.toMatchObject({ response: { status: 503 } });
+    expect(attempts).toHaveLength(2);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const limited = config => respond(config, 429, 'Slow down', { 'retry-after': '1' });
+    const { scraper, attempts, retries } = createFlakyScraper([limited]);
+    const started = Date.now();
+
+    await scraper.fetchHtml('https://example.com/');
+
+    expect(attempts).toHaveLength(2);
+    expect(retries[0].delay).toBe(1000);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+  });
+
+  it('does not retry POST requests', async () => {
+    const { scraper, attempts, retries } = createFlakyScraper([unavailable, reset]);
+
+    await expect(scraper.request({ method: 'post', url: 'https://example.com/form', data: 'a=1' }))
+      .rejects.toMatchObject({ response: { status: 503 } });
+    expect(attempts).toHaveLength(1);
+    expect(retries).toHaveLength(0);
+  });
+});
+
+describe('WebScraperService charset decoding', () => {
+  it('decodes pages in the charset their <meta> declares', async () => {
+    const scraper = new WebScraperService({ retry: false });
+    const head = Buffer.from('<html><head><meta charset="windows-1251"></head><body><h1>');
+    const body = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+    const tail = Buffer.from('</h1></body></html>');
+
+    scraper.client.defaults.adapter = async (config) => respond(
+      config,
+      200,
+      Uint8Array.from(Buffer.concat([head, body, tail])).buffer,
+      { 'content-type': 'text/html' }
+    );
+
+    const page = await scraper.fetchPage('https://example.com/');
+
+    expect(page.$('h1').text()).toBe('Привет');
+  });
+});
+
+describe('WebScraperService.runRecipe auth profiles', () => {
+  /**
+   * Create a service with saved profiles whose client records each request's headers
+   * @returns {Promise<Object>} - `{ scraper, requests }`
+   */
+  const createProfileScraper = async () => {
+    const profileStore = new ProfileStore({ adapter: new MemoryCredentialAdapter() });
+    await profileStore.save({ name: 'api', site: 'https://example.com', auth: { type: 'bearer', token: 'secret' } });
+    await profileStore.save({ name: 'session', site: 'https://example.com', auth: { type: 'cookie', cookies: 'sid=abc' } });
+
+    const scraper = new WebScraperService({ retry: false, profileStore });
+    const requests = [];
+
+    scraper.client.defaults.adapter = async (config) => {
+      requests.push({ authorization: config.headers.Authorization, cookie: config.headers.Cookie });
+      return respond(config, 200, '<html><h1>Hi</h1></html>');
+    };
+
+    return { scraper, requests };
+  };
+
+  const recipe = (profile) => ({
+    version: 1,
+    name: 'Profile run',
+    start: 'https://example.com/account',
+    auth: { profile },
+    mapping: { title: 'h1' }
+  });
+
+  it('uses a strategy profile only for the run', async () => {
+    const { scraper, requests } = await createProfileScraper();
+    scraper.setAuth({ type: 'bearer', token: 'own' });
+
+    const result = await scraper.runRecipe(recipe('api'));
+    await scraper.fetchHtml('https://example.com/other');
+
+    expect(result.data.title).toBe('Hi');
+    expect(requests.map(request => request.authorization)).toEqual(['Bearer secret', 'Bearer own']);
+  });
+
+  it('puts back the cookies a cookie profile replaced', async () => {
+    const { scraper, requests } = await createProfileScraper();
+    scraper.setCookies('theme=dark', 'https://example.com');
+
+    await scraper.runRecipe(recipe('session'));
+    await scraper.fetchHtml('https://example.com/other');
+
+    expect(requests.map(request => request.cookie)).toEqual(['theme=dark; sid=abc', 'theme=dark']);
+  });
+
+  it('restores the previous auth when the run fails', async () => {
+    const { scraper, requests } = await createProfileScraper();
+
+    scraper.client.defaults.adapter = async (config) => {
+      requests.push({ authorization: config.headers.Authorization });
+      return respond(config, requests.length === 1 ? 500 : 200, '<html></html>');
+    };
+
+    await expect(scraper.runRecipe(recipe('api'))).rejects.toMatchObject({ response: { status: 500 } });
+    await scraper.fetchHtml('https://example.com/other');
+
+    expect(requests.map(request => request.authorization)).toEqual(['Bearer secret', undefined]);
+  });
+});
+
+describe('WebScraperService.loadRecipe', () => {
+  const json = JSON.stringify({ version: 1, name: 'File recipe', start: 'https://example.com/', mapping: { title: 'h1' } });
+
+  it('reads file URIs through the fileReader option', async () => {
+    const fileReader = { readFile: jest.fn(async () => json) };
+    const scraper = new WebScraperService({ fileReader });
+
+    const recipe = await scraper.loadRecipe('file:///data/recipes/shoes.json');
+
+    expect(recipe.name).toBe('File recipe');
+    expect(fileReader.readFile).toHaveBeenCalledWith('file:///data/recipes/shoes.json');
+  });
+
+  it('refuses file URIs without a fileReader', async () => {
+    await expect(new WebScraperService().loadRecipe('content://picker/1'))
+      .rejects.toThrow('No file reader configured; pass one as the fileReader option');
+  });
+});
@@ -0,0 +1,58 @@
+import cheerio from 'react-native-cheerio';
+import { extractArticleContent } from '../article';
+
+const paragraph = 'The council met on Tuesday to discuss the budget, the new library, and plans for the park. '
+  + 'Residents spoke for over an hour, raising questions about costs, timing, and parking near the site.';
+
+const page = `
+  <html>
+    <head>
+      <title>Council approves budget | Town News</title>
+      <meta property="og:title" content="Budget approved! Read more">
+      <meta property="og:image" content="https://cdn.example.com/share.jpg">
+      <script type="application/ld+json">{"@type": "NewsArticle", "headline": "Budget news"}</script>
+    </head>
+    <body>
+      <nav><h1>Town News</h1><a href="/">Home</a></nav>
+      <article>
+        <h1>Council approves budget</h1>
+        <img src="/photos/council.jpg" alt="Council">
+        <p>${paragraph}</p>
+        <p>${paragraph}</p>
+        <table>
+          <caption>Spending by department</caption>
+          <tr><th>Department</th><th>Budget</th></tr>
+          <tr><td><a href="/parks">Parks</a></td><td><a href="/parks/budget">$1m</a></td></tr>
+          <tr><td><a href="/library">Library</a></td><td><a href="/library/budget">$2m</a></td></tr>
+        </table>
+        <p>${paragraph}</p>
+        <ul class="links"><li><a href="/a">Other story</a></li><li><a href="/b">Another story</a></li></ul>
+      </article>
+    </body>
+  </html>
+`;
+
+describe('extractArticleContent', () => {
+  const article = extractArticleContent(cheerio.load(page), 'https://news.example.com/story');
+
+  it('keeps data tables, even when they are mostly links', () => {
+    expect(article.html).toContain('<caption>Spending by department</caption>');
+    expect(article.text).toContain('Library');
+  });
+
+  it('still drops link lists', () => {
+    expect(article.text).not.toContain('Other story');
+  });
+
+  it('prefers the article\'s own heading and image to metadata', () => {
+    expect(article.title).toBe('Council approves budget');
+    expect(article.leadImage).toBe('https://news.example.com/photos/council.jpg');
+  });
+
+  it('falls back to metadata when the content has no heading or image', () => {
+    const bare = extractArticleContent(cheerio.load(page.replace(/<h1>Council[^<]*<\/h1>/, '').replace(/<img[^>]*>/, '')), 'https://news.example.com/story');
+
+    expect(bare.title).toBe('Budget news');
+    expect(bare.leadImage).toBe('https://cdn.example.com/share.jpg');
+  });
+});
@@ -0,0 +1,106 @@
+import { toBytes, getHeaderCharset, detectCharset, isSupportedCharset, decodeBytes } from '../charset';
+
+/**
+ * Encode an ASCII string as bytes, optionally after some leading bytes
+ * @param {string} text - ASCII text
+ * @param {Array} prefix - Bytes to put first, e.g. a byte order mark
+ * @returns {Uint8Array} - The bytes
+ */
+const ascii = (text, prefix = []) => Uint8Array.from([...prefix, ...Array.from(text, char => char.charCodeAt(0))]);
+
+// "Привет" in windows-1251 and "日本" in Shift_JIS
+const WINDOWS_1251 = [0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2];
+const SHIFT_JIS = [0x93, 0xfa, 0x96, 0x7b];
+
+describe('toBytes', () => {
+  it('views binary data as bytes and ignores strings', () => {
+    const buffer = Uint8Array.from([1, 2, 3]).buffer;
+
+    expect(Array.from(toBytes(buffer))).toEqual([1, 2, 3]);
+    expect(Array.from(toBytes(new Uint8Array(buffer, 1)))).toEqual([2, 3]);
+    expect(Array.from(toBytes(Buffer.from('ab')))).toEqual([97, 98]);
+    expect(toBytes('text')).toBeNull();
+  });
+});
+
+describe('getHeaderCharset', () => {
+  it('reads quoted and unquoted charset parameters', () => {
+    expect(getHeaderCharset('text/html; charset=Windows-1251')).toBe('windows-1251');
+    expect(getHeaderCharset('text/html;charset="shift_jis"; foo=bar')).toBe('shift_jis');
+    expect(getHeaderCharset('text/html')).toBeNull();
+    expect(getHeaderCharset(undefined)).toBeNull();
+  });
+});
+
+describe('detectCharset', () => {
+  const meta = '<html><head><meta charset="shift_jis"></head>';
+
+  it('prefers a byte order mark over everything else', () => {
+    expect(detectCharset(ascii(meta, [0xef, 0xbb, 0xbf]), 'text/html; charset=windows-1251'))
+      .toEqual({ charset: 'utf-8', source: 'bom' });
+    expect(detectCharset(Uint8Array.from([0xff, 0xfe, 0x41, 0]), 'text/html; charset=utf-8'))
+      .toEqual({ charset: 'utf-16le', source: 'bom' });
+    expect(detectCharset(Uint8Array.from([0xfe, 0xff, 0, 0x41]), ''))
+      .toEqual({ charset: 'utf-16be', source: 'bom' });
+  });
+
+  it('prefers the Content-Type header over the document', () => {
+    expect(detectCharset(ascii(meta), 'text/html; charset=windows-1251')).toEqual({ charset: 'windows-1251', source: 'header' });
+  });
+
+  it('reads <meta charset>, http-equiv and XML declarations', () => {
+    expect(detectCharset(ascii(meta), 'text/html')).toEqual({ charset: 'shift_jis', source: 'meta' });
+    expect(detectCharset(ascii('<meta http-equiv="Content-Type" content="text/html; charset=windows-1251">'), ''))
+      .toEqual({ charset: 'windows-1251', source: 'meta' });
+    expect(detectCharset(ascii('<?xml version="1.0" encoding="ISO-8859-1"?><rss/>'), 'application/xml'))
+      .toEqual({ charset: 'iso-8859-1', source: 'meta' });
+  });
+
+  it('skips unknown labels and falls back to the default', () => {
+    expect(detectCharset(ascii(meta), 'text/html; charset=x-unknown')).toEqual({ charset: 'shift_jis', source: 'meta' });
+    expect(detectCharset(ascii('<meta charset="bogus">'), 'text/html')).toEqual({ charset: 'utf-8', source: 'default' });
+    expect(detectCharset(ascii('<p>hi</p>'), '', 'windows-1252')).toEqual({ charset: 'windows-1252', source: 'default' });
+  });
+
+  it('only looks for declarations in the first kilobyte', () => {
+    expect(detectCharset(ascii(`${' '.repeat(1024)}${meta}`), '')).toEqual({ charset: 'utf-8', source: 'default' });
+  });
+});
+
+describe('decodeBytes', () => {
+  it('decodes legacy encodings', () => {
+    expect(decodeBytes(Uint8Array.from(WINDOWS_1251), 'windows-1251')).toBe('Привет');
+    expect(decodeBytes(Uint8Array.from(SHIFT_JIS), 'shift_jis')).toBe('日本');
+  });
+
+  it('falls back to the polyfill when the platform TextDecoder only knows UTF-8', () => {
+    const PlatformDecoder = global.TextDecoder;
+
+    global.TextDecoder = class extends PlatformDecoder {
+      constructor(label) {
+        if (!/^utf-?8$/i.test(label)) {
+          throw new RangeError(`Unsupported encoding: ${label}`);
+        }
+
+        super(label);
+      }
+    };
+
+    try {
+      expect(isSupportedCharset('windows-1251')).toBe(true);
+      expect(decodeBytes(Uint8Array.from(WINDOWS_1251), 'windows-1251')).toBe('Привет');
+    } finally {
+      global.TextDecoder = PlatformDecoder;
+    }
+  });
+
+  it('drops a byte order mark and replaces invalid sequences', () => {
+    expect(decodeBytes(ascii('hi', [0xef, 0xbb, 0xbf]), 'utf-8')).toBe('hi');
+    expect(decodeBytes(Uint8Array.from([0x61, 0xff, 0x62]), 'utf-8')).toBe('a�b');
+  });
+
+  it('knows which labels it can decode', () => {
+    expect(isSupportedCharset('latin1')).toBe(true);
+    expect(isSupportedCharset('x-unknown')).toBe(false);
+  });
+});
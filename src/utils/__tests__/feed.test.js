@@ -0,0 +1,228 @@
+import cheerio from 'react-native-cheerio';
+import { parseFeed, parseFeedDate, findFeedLinks } from '../feed';
+
+/**
+ * Load feed XML the way fetchFeed does
+ * @param {string} xml - Feed body
+ * @returns {Function} - Cheerio instance
+ */
+const load = (xml) => cheerio.load(xml, { xmlMode: true });
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>Example News</title>
+    <link>/news</link>
+    <description>Latest stories</description>
+    <lastBuildDate>Tue, 10 Jun 2003 09:41:01 GMT</lastBuildDate>
+    <image><url>/logo.png</url></image>
+    <item>
+      <title>First story</title>
+      <link>/news/1</link>
+      <guid isPermaLink="false">story-1</guid>
+      <author>editor@example.com (Jane Editor)</author>
+      <pubDate>Tue, 03 Jun 2003 09:39:21 -0400</pubDate>
+      <description>Short &lt;b&gt;summary&lt;/b&gt;</description>
+      <content:encoded><![CDATA[<p>Full <em>story</em></p>]]></content:encoded>
+      <category>World</category>
+      <category>Politics</category>
+      <enclosure url="/audio/1.mp3" type="audio/mpeg" length="1234"/>
+      <media:content url="/video/1.mp4" type="video/mp4" fileSize="999"/>
+      <media:thumbnail url="/thumbs/1.jpg"/>
+    </item>
+    <item>
+      <title>Second story</title>
+      <guid>https://example.com/news/2</guid>
+      <dc:creator>Sam Writer</dc:creator>
+      <description>Only a description</description>
+    </item>
+  </channel>
+</rss>`;
+
+const rdf = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://example.com/">
+    <title>RDF Site</title>
+    <link>https://example.com/</link>
+    <description>An RSS 1.0 feed</description>
+  </channel>
+  <image rdf:about="https://example.com/logo.gif"><url>https://example.com/logo.gif</url></image>
+  <item rdf:about="https://example.com/a">
+    <title>Item A</title>
+    <link>https://example.com/a</link>
+    <dc:date>2024-03-01T10:00:00Z</dc:date>
+    <dc:subject>Tech</dc:subject>
+  </item>
+  <item rdf:about="https://example.com/b">
+    <title>Item B</title>
+    <dc:date>2024-03-05T10:00:00+02:00</dc:date>
+  </item>
+</rdf:RDF>`;
+
+const atom = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:base="https://blog.example.com/">
+  <title type="text">Example Blog</title>
+  <subtitle>Notes</subtitle>
+  <link rel="self" href="/feed.atom"/>
+  <link rel="alternate" href="/"/>
+  <updated>2024-02-01T12:00:00Z</updated>
+  <author><name>Alex Author</name></author>
+  <logo>/logo.svg</logo>
+  <entry>
+    <title type="html">Tips &amp;amp; tricks</title>
+    <link href="/posts/tips"/>
+    <link rel="enclosure" href="/files/tips.pdf" type="application/pdf" length="2048"/>
+    <id>urn:uuid:1</id>
+    <updated>2024-02-01T12:00:00Z</updated>
+    <published>2024-01-31T08:00:00Z</published>
+    <summary>Summary text</summary>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Hello <b>world</b></p></div></content>
+    <category term="howto"/>
+  </entry>
+  <entry>
+    <title>Guest post</title>
+    <link rel="alternate" href="https://other.example.com/guest"/>
+    <id>urn:uuid:2</id>
+    <updated>2024-01-15T00:00:00Z</updated>
+    <author><email>guest@example.com</email></author>
+    <summary type="html">&lt;p&gt;Guest summary&lt;/p&gt;</summary>
+  </entry>
+</feed>`;
+
+describe('parseFeedDate', () => {
+  it('reads RFC 822 dates with offsets and zone names', () => {
+    expect(parseFeedDate('Tue, 03 Jun 2003 09:39:21 -0400')).toBe('2003-06-03T13:39:21.000Z');
+    expect(parseFeedDate('3 Jun 03 09:39 PDT')).toBe('2003-06-03T16:39:00.000Z');
+  });
+
+  it('reads ISO 8601 dates and rejects invalid ones', () => {
+    expect(parseFeedDate('2024-03-05T10:00:00+02:00')).toBe('2024-03-05T08:00:00.000Z');
+    expect(parseFeedDate('not a date')).toBeNull();
+    expect(parseFeedDate('')).toBeNull();
+  });
+});
+
+describe('parseFeed', () => {
+  it('normalises RSS 2.0 channels and items', () => {
+    const feed = parseFeed(rss, load, 'https://example.com/feed.xml');
+
+    expect(feed).toMatchObject({
+      format: 'rss',
+      title: 'Example News',
+      link: 'https://example.com/news',
+      description: 'Latest stories',
+      updated: '2003-06-10T09:41:01.000Z',
+      image: 'https://example.com/logo.png'
+    });
+    expect(feed.items[0]).toEqual({
+      id: 'story-1',
+      title: 'First story',
+      link: 'https://example.com/news/1',
+      author: 'Jane Editor',
+      published: '2003-06-03T13:39:21.000Z',
+      updated: '2003-06-03T13:39:21.000Z',
+      summary: 'Short <b>summary</b>',
+      content: '<p>Full <em>story</em></p>',
+      categories: ['World', 'Politics'],
+      enclosures: [
+        { url: 'https://example.com/audio/1.mp3', type: 'audio/mpeg', length: 1234, medium: 'audio' },
+        { url: 'https://example.com/video/1.mp4', type: 'video/mp4', length: 999, medium: 'video' }
+      ],
+      thumbnail: 'https://example.com/thumbs/1.jpg'
+    });
+  });
+
+  it('uses a permalink guid and dc:creator when an RSS item has no link or author', () => {
+    const [, item] = parseFeed(rss, load, 'https://example.com/feed.xml').items;
+
+    expect(item).toMatchObject({
+      id: 'https://example.com/news/2',
+      link: 'https://example.com/news/2',
+      author: 'Sam Writer',
+      published: null,
+      content: 'Only a description'
+    });
+  });
+
+  it('normalises RSS 1.0 (RDF) feeds with items beside the channel', () => {
+    const feed = parseFeed(rdf, load);
+
+    expect(feed).toMatchObject({
+      format: 'rdf',
+      title: 'RDF Site',
+      link: 'https://example.com/',
+      image: 'https://example.com/logo.gif',
+      updated: '2024-03-05T08:00:00.000Z'
+    });
+    expect(feed.items.map(item => [item.title, item.link, item.published])).toEqual([
+      ['Item A', 'https://example.com/a', '2024-03-01T10:00:00.000Z'],
+      ['Item B', 'https://example.com/b', '2024-03-05T08:00:00.000Z']
+    ]);
+    expect(feed.items[0].categories).toEqual(['Tech']);
+  });
+
+  it('normalises Atom feeds, resolving links against xml:base', () => {
+    const feed = parseFeed(atom, load, 'https://example.com/feed');
+
+    expect(feed).toMatchObject({
+      format: 'atom',
+      title: 'Example Blog',
+      link: 'https://blog.example.com/',
+      description: 'Notes',
+      updated: '2024-02-01T12:00:00.000Z',
+      author: 'Alex Author',
+      image: 'https://blog.example.com/logo.svg'
+    });
+    expect(feed.items[0]).toMatchObject({
+      id: 'urn:uuid:1',
+      title: 'Tips &amp; tricks',
+      link: 'https://blog.example.com/posts/tips',
+      author: 'Alex Author',
+      published: '2024-01-31T08:00:00.000Z',
+      updated: '2024-02-01T12:00:00.000Z',
+      summary: 'Summary text',
+      content: '<p>Hello <b>world</b></p>',
+      categories: ['howto'],
+      enclosures: [{ url: 'https://blog.example.com/files/tips.pdf', type: 'application/pdf', length: 2048, medium: 'application' }]
+    });
+  });
+
+  it('falls back to updated, the entry author and the summary in Atom entries', () => {
+    const [, entry] = parseFeed(atom, load).items;
+
+    expect(entry).toMatchObject({
+      link: 'https://other.example.com/guest',
+      author: 'guest@example.com',
+      published: '2024-01-15T00:00:00.000Z',
+      summary: '<p>Guest summary</p>',
+      content: '<p>Guest summary</p>'
+    });
+  });
+
+  it('returns null for documents that are not feeds', () => {
+    expect(parseFeed('<html><body>Hi</body></html>', load)).toBeNull();
+    expect(parseFeed('', load)).toBeNull();
+  });
+});
+
+describe('findFeedLinks', () => {
+  it('lists advertised feeds once each, resolved against the page', () => {
+    const $ = cheerio.load(`
+      <head>
+        <base href="https://example.com/blog/">
+        <link rel="alternate" type="application/rss+xml" title="Posts" href="feed.xml">
+        <link rel="alternate" type="application/atom+xml; charset=utf-8" href="/atom.xml">
+        <link rel="alternate" type="application/rss+xml" href="feed.xml">
+        <link rel="alternate" hreflang="fr" href="/fr/">
+        <link rel="stylesheet" type="text/xml" href="/style.xml">
+      </head>
+    `);
+
+    expect(findFeedLinks($, 'https://example.com/blog/post')).toEqual([
+      { url: 'https://example.com/blog/feed.xml', title: 'Posts', type: 'application/rss+xml' },
+      { url: 'https://example.com/atom.xml', title: null, type: 'application/atom+xml' }
+    ]);
+  });
+});
@@ -0,0 +1,186 @@
+import cheerio from 'react-native-cheerio';
+import { toMarkdown, toStructuredText, formatContent } from '../format';
+
+const BASE_URL = 'https://example.com/blog/post';
+
+/**
+ * Convert the body of some HTML to Markdown
+ * @param {string} html - HTML
+ * @returns {string} - Markdown
+ */
+const markdown = (html) => {
+  const $ = cheerio.load(html);
+  return toMarkdown($, $('body').length ? $('body') : $.root(), { baseUrl: BASE_URL });
+};
+
+/**
+ * Convert the body of some HTML to structured text
+ * @param {string} html - HTML
+ * @param {Object} options - Conversion options
+ * @returns {string} - Text
+ */
+const text = (html, options = {}) => {
+  const $ = cheerio.load(html);
+  return toStructuredText($, $('body'), { baseUrl: BASE_URL, ...options });
+};
+
+describe('toMarkdown', () => {
+  it('converts headings, paragraphs and inline formatting', () => {
+    expect(markdown(`
+      <h1>Title</h1>
+      <h3>Sub <em>heading</em></h3>
+      <p>Some <strong> bold </strong>, <i>italic</i> and <del>old</del> text.<br>Next line</p>
+      <hr>
+      <p>End</p>
+    `)).toBe([
+      '# Title',
+      '',
+      '### Sub _heading_',
+      '',
+      'Some **bold** , _italic_ and ~~old~~ text.  ',
+      'Next line',
+      '',
+      '---',
+      '',
+      'End'
+    ].join('\n'));
+  });
+
+  it('converts nested, ordered and unordered lists', () => {
+    expect(markdown(`
+      <ul>
+        <li>One</li>
+        <li>Two
+          <ol start="3"><li>Three</li><li>Four</li></ol>
+        </li>
+      </ul>
+    `)).toBe([
+      '- One',
+      '- Two',
+      '  3. Three',
+      '  4. Four'
+    ].join('\n'));
+  });
+
+  it('converts inline code and fenced code blocks', () => {
+    expect(markdown(`
+      <p>Run <code>npm test</code> or <code>a \`tick\`</code></p>
+      <pre><code class="language-js">const a = 1;
+  if (a) {
+    run();
+  }
+</code></pre>
+    `)).toBe([
+      'Run `npm test` or `` a `tick` ``',
+      '',
+      '```js',
+      'const a = 1;',
+      '  if (a) {',
+      '    run();',
+      '  }',
+      '```'
+    ].join('\n'));
+  });
+
+  it('converts tables with escaped cells', () => {
+    expect(markdown(`
+      <table>
+        <tr><th>Name</th><th>Price</th></tr>
+        <tr><td>A|B</td><td>*10*</td></tr>
+      </table>
+    `)).toBe([
+      '| Name | Price |',
+      '| --- | --- |',
+      '| A\\|B | \\*10\\* |'
+    ].join('\n'));
+  });
+
+  it('escapes Markdown characters in text', () => {
+    expect(markdown('<p># not a heading</p><p>1. not a list</p><p>snake_case [x] *y* `z` \\</p>')).toBe([
+      '\\# not a heading',
+      '',
+      '1\\. not a list',
+      '',
+      'snake\\_case \\[x\\] \\*y\\* \\`z\\` \\\\'
+    ].join('\n'));
+  });
+
+  it('makes link and image URLs absolute', () => {
+    expect(markdown(`
+      <p>
+        <a href="../about" title="About &quot;us&quot;">About</a>
+        <a href="/a (b)">Paren</a>
+        <a href="javascript:void(0)">Script</a>
+        <a href="/empty"> </a>
+        <img src="data:image/gif;base64,R0l" data-src="img/cat.jpg" alt="A *cat*">
+        <img src="data:image/gif;base64,R0l">
+      </p>
+    `)).toBe([
+      '[About](https://example.com/about "About \\"us\\"")',
+      '[Paren](https://example.com/a%20%28b%29) Script',
+      '![A \\*cat\\*](https://example.com/blog/img/cat.jpg)'
+    ].join(' '));
+  });
+
+  it('quotes block quotes and leaves out scripts and hidden content', () => {
+    expect(markdown(`
+      <blockquote><p>Quoted</p><p>Twice</p></blockquote>
+      <script>alert(1)</script>
+      <div hidden>Hidden</div>
+      <style>p {}</style>
+    `)).toBe('> Quoted\n>\n> Twice');
+  });
+});
+
+describe('toStructuredText', () => {
+  it('keeps blocks, line breaks, lists and tables', () => {
+    expect(text(`
+      <h2>Specs</h2>
+      <p>Light<br>and fast</p>
+      <ol><li>First</li><li>Second</li></ol>
+      <table>
+        <tr><th>Size</th><th>Stock</th></tr>
+        <tr><td>42</td><td>3</td></tr>
+      </table>
+      <pre>  keep
+    spacing</pre>
+    `)).toBe([
+      'Specs',
+      '',
+      'Light',
+      'and fast',
+      '',
+      '1. First',
+      '2. Second',
+      '',
+      'Size | Stock',
+      '42 | 3',
+      '',
+      '  keep',
+      '    spacing'
+    ].join('\n'));
+  });
+
+  it('follows link text with its absolute URL unless links are off', () => {
+    const html = '<p><a href="/shop">Shop</a>, <a href="#top">Top</a> and <a href="https://example.com/x">https://example.com/x</a></p>';
+
+    expect(text(html)).toBe('Shop (https://example.com/shop), Top and https://example.com/x');
+    expect(text(html, { links: false })).toBe('Shop, Top and https://example.com/x');
+  });
+});
+
+describe('formatContent', () => {
+  const $ = cheerio.load('<div class="a"><h2>Hi</h2><p>there <a href="/x">link</a></p></div>');
+
+  it('reads a selection in each format', () => {
+    expect(formatContent($, $('.a'))).toBe('Hithere link');
+    expect(formatContent($, $('.a'), 'text', BASE_URL)).toBe('Hi\n\nthere link (https://example.com/x)');
+    expect(formatContent($, $('.a'), 'markdown', BASE_URL)).toBe('## Hi\n\nthere [link](https://example.com/x)');
+    expect(formatContent($, $('.a'), 'html')).toBe('<h2>Hi</h2><p>there <a href="/x">link</a></p>');
+    expect(formatContent($, $('.missing'), 'html')).toBeNull();
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatContent($, $('.a'), 'pdf')).toThrow('Unknown output format: pdf');
+  });
+});
@@ -0,0 +1,162 @@
+import cheerio from 'react-native-cheerio';
+import { extractPageMetadata, findMetadataItem, getValueAtPath } from '../metadata';
+
+const URL = 'https://shop.example.com/products/shoe';
+
+const html = `
+<html lang="en-GB">
+<head>
+  <title>Trail shoe | Example Shop</title>
+  <meta name="description" content="A light trail shoe">
+  <link rel="canonical" href="/products/shoe">
+  <link rel="apple-touch-icon" sizes="180x180" href="/apple.png">
+  <link rel="shortcut icon" href="/favicon.png" type="image/png">
+  <meta property="og:title" content="Trail shoe">
+  <meta property="og:url" content="/products/shoe?ref=og">
+  <meta property="og:image" content="/img/shoe-1.jpg">
+  <meta property="og:image:width" content="800">
+  <meta property="og:image:alt" content="Side view">
+  <meta property="og:image" content="https://cdn.example.com/shoe-2.jpg">
+  <meta property="og:image:width" content="400">
+  <meta property="product:price:amount" content="120.00">
+  <meta property="product:price:currency" content="USD">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:image" content="/img/card.jpg">
+  <meta name="twitter:card" content="ignored repeat">
+  <script type="application/ld+json">
+    {
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "Organization", "name": "Example Shop" },
+        { "@type": "Product", "name": "Trail shoe", "offers": { "price": "120.00", "priceCurrency": "USD" } }
+      ]
+    }
+  </script>
+  <script type="application/ld+json">{ "@type": "Broken", </script>
+  <script type="application/ld+json">
+    <!--
+    [{ "@context": "https://schema.org", "@type": "BreadcrumbList" }, { "@type": "WebPage" }]
+    -->
+  </script>
+</head>
+<body>
+  <div itemscope itemtype="https://schema.org/Review" itemref="review-author">
+    <span itemprop="name">Great shoe</span>
+    <div itemprop="reviewRating" itemscope itemtype="https://schema.org/Rating">
+      <meta itemprop="ratingValue" content="5">
+    </div>
+    <a itemprop="url" href="/reviews/1">Permalink</a>
+    <time itemprop="datePublished" datetime="2024-01-02">2 Jan</time>
+    <span itemprop="keywords">light</span>
+    <span itemprop="keywords">fast</span>
+  </div>
+  <p id="review-author">By <span itemprop="author">Pat</span></p>
+
+  <div vocab="https://schema.org/" typeof="Event" resource="/events/run">
+    <span property="name">Spring run</span>
+    <a property="url" href="/events/run">Details</a>
+    <div property="location" typeof="Place">
+      <span property="name">Riverside</span>
+    </div>
+    <meta property="og:description" content="Open Graph, not RDFa">
+  </div>
+</body>
+</html>
+`;
+
+const metadata = extractPageMetadata(cheerio.load(html), URL);
+
+describe('extractPageMetadata', () => {
+  it('reads the document head', () => {
+    expect(metadata).toMatchObject({
+      title: 'Trail shoe | Example Shop',
+      description: 'A light trail shoe',
+      canonical: 'https://shop.example.com/products/shoe',
+      language: 'en-GB',
+      favicon: 'https://shop.example.com/favicon.png'
+    });
+    expect(metadata.icons).toEqual([
+      { url: 'https://shop.example.com/apple.png', rel: 'apple-touch-icon', sizes: '180x180', type: null },
+      { url: 'https://shop.example.com/favicon.png', rel: 'shortcut icon', sizes: null, type: 'image/png' }
+    ]);
+  });
+
+  it('keeps Open Graph media properties with the image they follow', () => {
+    expect(metadata.openGraph).toEqual({
+      title: 'Trail shoe',
+      url: 'https://shop.example.com/products/shoe?ref=og',
+      description: 'Open Graph, not RDFa',
+      image: [
+        { url: 'https://shop.example.com/img/shoe-1.jpg', width: '800', alt: 'Side view' },
+        { url: 'https://cdn.example.com/shoe-2.jpg', width: '400' }
+      ],
+      product: { 'price:amount': '120.00', 'price:currency': 'USD' }
+    });
+  });
+
+  it('reads the first of each Twitter Card property', () => {
+    expect(metadata.twitter).toEqual({
+      card: 'summary_large_image',
+      image: 'https://shop.example.com/img/card.jpg'
+    });
+  });
+
+  it('flattens @graph and arrays, skips invalid blocks and inherits @context', () => {
+    expect(metadata.jsonLd.map(item => item['@type'])).toEqual(['Organization', 'Product', 'BreadcrumbList', 'WebPage']);
+    expect(metadata.jsonLd[1]['@context']).toBe('https://schema.org');
+    expect(metadata.jsonLd[3]['@context']).toBeUndefined();
+  });
+
+  it('reads microdata items, nested items and itemref properties', () => {
+    expect(metadata.microdata).toEqual([{
+      '@type': 'Review',
+      name: 'Great shoe',
+      reviewRating: { '@type': 'Rating', ratingValue: '5' },
+      url: 'https://shop.example.com/reviews/1',
+      datePublished: '2024-01-02',
+      keywords: ['light', 'fast'],
+      author: 'Pat'
+    }]);
+  });
+
+  it('reads RDFa items and leaves Open Graph properties out', () => {
+    expect(metadata.rdfa).toEqual([{
+      '@type': 'Event',
+      '@id': 'https://shop.example.com/events/run',
+      name: 'Spring run',
+      url: 'https://shop.example.com/events/run',
+      location: { '@type': 'Place', name: 'Riverside' }
+    }]);
+  });
+
+  it('falls back to Open Graph and the origin favicon when the head lacks them', () => {
+    const sparse = extractPageMetadata(cheerio.load(`
+      <head><meta property="og:title" content="OG title"><meta property="og:locale" content="fr_FR"></head>
+    `), 'https://example.com/a/b');
+
+    expect(sparse).toMatchObject({
+      title: 'OG title',
+      description: null,
+      canonical: null,
+      language: 'fr_FR',
+      favicon: 'https://example.com/favicon.ico'
+    });
+  });
+});
+
+describe('findMetadataItem', () => {
+  it('finds items by type across JSON-LD, microdata and RDFa', () => {
+    expect(findMetadataItem(metadata, 'Product').name).toBe('Trail shoe');
+    expect(findMetadataItem(metadata, 'https://schema.org/Review').author).toBe('Pat');
+    expect(findMetadataItem(metadata, 'Event').name).toBe('Spring run');
+    expect(findMetadataItem(metadata, 'Recipe')).toBeNull();
+  });
+});
+
+describe('getValueAtPath', () => {
+  it('reads nested keys and array indexes', () => {
+    expect(getValueAtPath(findMetadataItem(metadata, 'Product'), 'offers.price')).toBe('120.00');
+    expect(getValueAtPath(metadata.openGraph, 'image.1.width')).toBe('400');
+    expect(getValueAtPath(metadata, 'openGraph.missing.deeper')).toBeUndefined();
+  });
+});
@@ -0,0 +1,55 @@
+import cheerio from 'react-native-cheerio';
+import { getNextPageUrl, validatePagination } from '../pagination';
+
+const URL = 'https://example.com/list';
+
+/**
+ * Build a page like the ones fetchPage returns
+ * @param {string} html - Page HTML
+ * @returns {Object} - `{ $, finalUrl }`
+ */
+const createPage = (html) => ({ $: cheerio.load(html), finalUrl: URL });
+
+const html = `
+  <ul class="pager">
+    <li><a href="/list?page=1">1</a></li>
+    <li><a href="/list?page=2">Next</a></li>
+  </ul>
+  <div class="more" data-cursor="abc123">More</div>
+`;
+
+describe('getNextPageUrl', () => {
+  it('follows next links matched by CSS, XPath or a chain', () => {
+    const page = createPage(html);
+
+    expect(getNextPageUrl(page, {}, 1, URL, { type: 'next', selector: '.pager li:last-child a' }))
+      .toBe('https://example.com/list?page=2');
+    expect(getNextPageUrl(page, {}, 1, URL, { type: 'next', selector: "//a[.='Next']" }))
+      .toBe('https://example.com/list?page=2');
+    expect(getNextPageUrl(page, {}, 1, URL, { type: 'next', selector: 'a:contains("Next") >> closest(li) >> a' }))
+      .toBe('https://example.com/list?page=2');
+  });
+
+  it('reads cursors with any selector type', () => {
+    const page = createPage(html);
+
+    expect(getNextPageUrl(page, {}, 1, URL, { type: 'cursor', selector: '//div[@data-cursor]', attr: 'data-cursor' }))
+      .toBe('https://example.com/list?cursor=abc123');
+    expect(getNextPageUrl(page, {}, 1, URL, { type: 'cursor', selector: '.missing' })).toBeNull();
+  });
+
+  it('counts template and offset pages', () => {
+    const page = createPage('');
+
+    expect(getNextPageUrl(page, {}, 1, 'https://example.com/p/{page}', { type: 'template' })).toBe('https://example.com/p/2');
+    expect(getNextPageUrl(page, {}, 2, URL, { type: 'offset', step: 20 })).toBe('https://example.com/list?offset=40');
+  });
+});
+
+describe('validatePagination', () => {
+  it('rejects settings a type is missing', () => {
+    expect(() => validatePagination({ type: 'next' }, URL)).toThrow('needs a selector');
+    expect(() => validatePagination({ type: 'template' }, URL)).toThrow('{page}');
+    expect(() => validatePagination({ type: 'sideways' }, URL)).toThrow('Unknown pagination type');
+  });
+});
@@ -0,0 +1,132 @@
+import { validateRecipe, parseRecipe, parseRecipes, formatRecipeOutput } from '../recipe';
+import { RecipeError } from '../errors';
+
+const recipe = {
+  version: 1,
+  name: 'Products',
+  start: 'https://shop.example.com/products',
+  mapping: {
+    products: {
+      type: 'records',
+      selector: '.product',
+      fields: {
+        name: 'h2',
+        price: { type: 'text', selector: '.price', transform: 'currency' }
+      }
+    }
+  },
+  paginate: { type: 'next', selector: "//a[@rel='next']" },
+  maxPages: 5,
+  output: { format: 'csv', records: 'products' }
+};
+
+/**
+ * Get the paths of the problems validateRecipe finds
+ * @param {Object} changes - Settings to change on the valid recipe
+ * @returns {Array} - Problem paths
+ */
+const problemPaths = (changes) => validateRecipe({ ...recipe, ...changes }).map(error => error.path);
+
+describe('validateRecipe', () => {
+  it('accepts a valid recipe', () => {
+    expect(validateRecipe(recipe)).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const errors = validateRecipe({
+      ...recipe,
+      version: 2,
+      start: ['https://shop.example.com', 'ftp://files.example.com'],
+      extra: true,
+      mapping: {
+        products: {
+          ...recipe.mapping.products,
+          fields: { price: { type: 'text', selector: '.price', transform: ['trim', 'sparkle'] } }
+        }
+      }
+    });
+
+    expect(errors.map(error => error.path)).toEqual(expect.arrayContaining([
+      'version',
+      'start[1]',
+      'extra',
+      'mapping.products.fields.price.transform[1]'
+    ]));
+    expect(errors.find(error => error.path === 'extra').message).toBe('is not a recognised property');
+  });
+
+  it('checks selectors, including the pagination selector', () => {
+    expect(problemPaths({ mapping: { ...recipe.mapping, title: '//h1[' } })).toEqual(['mapping.title']);
+    expect(problemPaths({ paginate: { type: 'next', selector: '//a[' } })).toEqual(['paginate.selector']);
+  });
+
+  it('checks image fields like attr fields, without an attr', () => {
+    expect(problemPaths({ mapping: { ...recipe.mapping, photo: { type: 'image', selector: 'img' } } })).toEqual([]);
+    expect(problemPaths({ mapping: { ...recipe.mapping, photo: { type: 'image' } } })).toEqual(['mapping.photo.selector']);
+    expect(problemPaths({ mapping: { ...recipe.mapping, photo: { type: 'image', selector: 'img', attr: 'src' } } })).toEqual(['mapping.photo.attr']);
+  });
+
+  it('rejects getCursor, which cannot be saved as JSON', () => {
+    const errors = validateRecipe({ ...recipe, paginate: { type: 'cursor', selector: '.cursor', getCursor: () => 'abc' } });
+
+    expect(errors).toEqual([{
+      path: 'paginate.getCursor',
+      message: 'is not supported in recipes; read the cursor with selector and attr'
+    }]);
+  });
+
+  it('checks that output.records names a mapping field', () => {
+    expect(problemPaths({ output: { format: 'csv', records: 'items' } })).toEqual(['output.records']);
+  });
+});
+
+describe('parseRecipe', () => {
+  it('parses JSON text', () => {
+    expect(parseRecipe(JSON.stringify(recipe))).toEqual(recipe);
+  });
+
+  it('throws a RecipeError listing the problems', () => {
+    expect(() => parseRecipe('{ not json')).toThrow(RecipeError);
+
+    try {
+      parseRecipe({ ...recipe, maxPages: 0 });
+    } catch (error) {
+      expect(error).toBeInstanceOf(RecipeError);
+      expect(error.recipe).toBe('Products');
+      expect(error.errors.map(problem => problem.path)).toEqual(['maxPages']);
+    }
+
+    expect.assertions(4);
+  });
+});
+
+describe('parseRecipes', () => {
+  it('prefixes paths with the recipe index', () => {
+    try {
+      parseRecipes([recipe, { ...recipe, name: 5 }]);
+    } catch (error) {
+      expect(error.errors.map(problem => problem.path)).toEqual(['[1].name']);
+    }
+
+    expect.assertions(1);
+  });
+
+  it('reads a single recipe or an array', () => {
+    expect(parseRecipes(recipe)).toEqual([recipe]);
+    expect(parseRecipes([recipe, recipe])).toHaveLength(2);
+  });
+});
+
+describe('formatRecipeOutput', () => {
+  const data = { products: [{ name: 'Lamp', price: 12 }, { name: 'Desk, oak', price: 99 }] };
+
+  it('writes one CSV row per record', () => {
+    expect(formatRecipeOutput(data, { format: 'csv', records: 'products' }))
+      .toBe('name,price\r\nLamp,12\r\n"Desk, oak",99');
+  });
+
+  it('writes NDJSON and JSON', () => {
+    expect(formatRecipeOutput(data, { format: 'ndjson', records: 'products' }).split('\n')).toHaveLength(2);
+    expect(JSON.parse(formatRecipeOutput(data))).toEqual(data);
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  DEFAULT_RETRY_OPTIONS,
+  createRetryPolicy,
+  parseRetryAfter,
+  isRetryableError,
+  getRetryDelay,
+  sleep
+} from '../retry';
+
+const policy = createRetryPolicy({ jitter: 0 });
+
+const httpError = (status, headers = {}, method = 'get') => ({
+  config: { method },
+  response: { status, headers }
+});
+
+describe('createRetryPolicy', () => {
+  it('fills in defaults', () => {
+    expect(createRetryPolicy()).toEqual(DEFAULT_RETRY_OPTIONS);
+    expect(createRetryPolicy(true)).toEqual(DEFAULT_RETRY_OPTIONS);
+    expect(createRetryPolicy({ maxAttempts: 5 }).maxAttempts).toBe(5);
+  });
+
+  it('allows a single attempt when retries are disabled', () => {
+    expect(createRetryPolicy(false).maxAttempts).toBe(1);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delay-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(' 0 ')).toBe(0);
+  });
+
+  it('reads HTTP dates relative to now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+
+    try {
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT')).toBe(30000);
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT')).toBe(0);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  it('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries listed status codes on idempotent methods', () => {
+    expect(isRetryableError(httpError(503), policy)).toBe(true);
+    expect(isRetryableError(httpError(429), policy)).toBe(true);
+    expect(isRetryableError(httpError(404), policy)).toBe(false);
+    expect(isRetryableError(httpError(503, {}, 'POST'), policy)).toBe(false);
+  });
+
+  it('retries listed network error codes', () => {
+    expect(isRetryableError({ code: 'ECONNRESET', config: { method: 'get' } }, policy)).toBe(true);
+    expect(isRetryableError({ code: 'ENOTFOUND', config: { method: 'get' } }, policy)).toBe(false);
+  });
+
+  it('never retries cancelled requests', () => {
+    expect(isRetryableError({ code: 'ERR_CANCELED', config: { method: 'get' } }, policy)).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('backs off exponentially up to maxDelay', () => {
+    const error = httpError(500);
+
+    expect(getRetryDelay(error, 1, policy)).toBe(500);
+    expect(getRetryDelay(error, 2, policy)).toBe(1000);
+    expect(getRetryDelay(error, 3, policy)).toBe(2000);
+    expect(getRetryDelay(error, 10, policy)).toBe(10000);
+  });
+
+  it('randomises part of the delay with jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    try {
+      expect(getRetryDelay(httpError(500), 1, createRetryPolicy({ jitter: 0.5 }))).toBe(250);
+    } finally {
+      Math.random.mockRestore();
+    }
+  });
+
+  it('prefers Retry-After on 429 and 503 responses', () => {
+    expect(getRetryDelay(httpError(429, { 'retry-after': '3' }), 1, policy)).toBe(3000);
+    expect(getRetryDelay(httpError(503, { 'retry-after': '3' }), 1, policy)).toBe(3000);
+    expect(getRetryDelay(httpError(500, { 'retry-after': '3' }), 1, policy)).toBe(500);
+  });
+
+  it('gives up when Retry-After is longer than maxRetryAfter', () => {
+    expect(getRetryDelay(httpError(429, { 'retry-after': '120' }), 1, policy)).toBeNull();
+  });
+
+  it('ignores Retry-After when respectRetryAfter is off', () => {
+    const ignoring = createRetryPolicy({ jitter: 0, respectRetryAfter: false });
+    expect(getRetryDelay(httpError(429, { 'retry-after': '3' }), 1, ignoring)).toBe(500);
+  });
+});
+
+describe('sleep', () => {
+  it('resolves after the delay', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const done = jest.fn();
+      const waiting = sleep(1000).then(done);
+
+      jest.advanceTimersByTime(999);
+      await Promise.resolve();
+      expect(done).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await waiting;
+      expect(done).toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('rejects with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const waiting = sleep(60000, controller.signal);
+
+    controller.abort();
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('rejects straight away for an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(sleep(1000, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
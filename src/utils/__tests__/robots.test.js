@@ -0,0 +1,118 @@
+import { parseRobotsTxt, isAllowedByRobots, getCrawlDelay, getProductToken } from '../robots';
+
+const robots = parseRobotsTxt(`
+# Everyone else
+User-agent: *
+Disallow: /private
+Disallow: /*.pdf$
+Allow: /private/public
+Crawl-delay: 2
+
+User-agent: MyAppBot
+User-agent: OtherBot
+Disallow: /search
+Allow: /search/help
+Crawl-delay: 5
+
+User-agent: myappbot-images
+Disallow: /
+
+User-agent: ia
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+`);
+
+const allowed = (path, agent = 'SomeBot') => isAllowedByRobots(robots, `https://example.com${path}`, agent);
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive user-agent lines and reads sitemaps', () => {
+    expect(robots.groups.map(group => group.agents)).toEqual([['*'], ['myappbot', 'otherbot'], ['myappbot-images'], ['ia']]);
+    expect(robots.groups[1].rules).toEqual([{ allow: false, path: '/search' }, { allow: true, path: '/search/help' }]);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  it('ignores empty Disallow lines and rules before any group', () => {
+    const parsed = parseRobotsTxt('Disallow: /early\nUser-agent: *\nDisallow:\n');
+
+    expect(parsed.groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+    expect(isAllowedByRobots(parsed, 'https://example.com/early', 'bot')).toBe(true);
+  });
+});
+
+describe('isAllowedByRobots', () => {
+  it('matches path prefixes, * wildcards and $ anchors', () => {
+    expect(allowed('/')).toBe(true);
+    expect(allowed('/private')).toBe(false);
+    expect(allowed('/private-notes/1')).toBe(false);
+    expect(allowed('/files/report.pdf')).toBe(false);
+    expect(allowed('/files/report.pdf?download=1')).toBe(true);
+    expect(allowed('/files/report.pdfx')).toBe(true);
+  });
+
+  it('lets the longest matching rule win, and Allow win a tie', () => {
+    expect(allowed('/private/public/page')).toBe(true);
+    expect(allowed('/private/other')).toBe(false);
+
+    const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page\n');
+    expect(isAllowedByRobots(tie, 'https://example.com/page', 'bot')).toBe(true);
+  });
+
+  it('matches rules against the query string too', () => {
+    const parsed = parseRobotsTxt('User-agent: *\nDisallow: /*?sort=\n');
+
+    expect(isAllowedByRobots(parsed, 'https://example.com/list?sort=price', 'bot')).toBe(false);
+    expect(isAllowedByRobots(parsed, 'https://example.com/list', 'bot')).toBe(true);
+  });
+
+  it('always allows robots.txt itself', () => {
+    expect(isAllowedByRobots(parseRobotsTxt('User-agent: *\nDisallow: /'), 'https://example.com/robots.txt', 'bot')).toBe(true);
+  });
+
+  it('follows the group for the product token, ignoring the * group', () => {
+    expect(allowed('/search', 'MyAppBot')).toBe(false);
+    expect(allowed('/search/help', 'myappbot')).toBe(true);
+    expect(allowed('/private', 'MyAppBot')).toBe(true);
+    expect(allowed('/search', 'OtherBot/2.1 (+https://other.example)')).toBe(false);
+  });
+
+  it('prefers the longest matching agent token', () => {
+    expect(allowed('/about', 'MyAppBot-Images')).toBe(false);
+    expect(allowed('/about', 'MyAppBot-News')).toBe(true);
+    expect(allowed('/search', 'MyAppBot-News')).toBe(false);
+  });
+
+  it('falls back to the * group when no token matches', () => {
+    expect(allowed('/search', 'MyAppBotX')).toBe(true);
+    expect(allowed('/private', 'MyAppBotX')).toBe(false);
+    expect(allowed('/private', '')).toBe(false);
+  });
+
+  it('does not match short agent tokens inside a browser user agent', () => {
+    const browser = 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148';
+
+    expect(allowed('/about', browser)).toBe(true);
+    expect(allowed('/private', browser)).toBe(false);
+  });
+
+  it('allows everything when robots.txt is empty', () => {
+    expect(isAllowedByRobots(parseRobotsTxt(''), 'https://example.com/anything', 'bot')).toBe(true);
+  });
+});
+
+describe('getCrawlDelay', () => {
+  it('reads the delay from the matching group', () => {
+    expect(getCrawlDelay(robots, 'MyAppBot')).toBe(5);
+    expect(getCrawlDelay(robots, 'SomeBot')).toBe(2);
+    expect(getCrawlDelay(robots, 'MyAppBot-Images')).toBeNull();
+  });
+});
+
+describe('getProductToken', () => {
+  it('reads the leading product token', () => {
+    expect(getProductToken('MyAppBot/1.2 (+https://example.com)')).toBe('myappbot');
+    expect(getProductToken(' Other_Bot ')).toBe('other_bot');
+    expect(getProductToken('')).toBe('');
+    expect(getProductToken(undefined)).toBe('');
+  });
+});
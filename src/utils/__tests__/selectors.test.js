@@ -0,0 +1,110 @@
+import cheerio from 'react-native-cheerio';
+import { getSelectorType, selectElements, validateSelector } from '../selectors';
+import { SelectorError } from '../errors';
+
+const $ = cheerio.load(`
+  <div class="product" id="shoe">
+    <h2>Trail shoe</h2>
+    <table>
+      <tr><th>Price</th><td>$120</td></tr>
+      <tr><th>Colour</th><td class="note">n/a</td><td>Blue</td></tr>
+    </table>
+    <a class="more" href="/shoe">More</a>
+  </div>
+  <div class="product" id="boot">
+    <h2>Hiking boot</h2>
+    <span class="price">$180</span>
+  </div>
+`);
+
+/**
+ * Select elements and read their text
+ * @param {string} selector - Selector
+ * @param {Object} options - selectElements options
+ * @returns {Array} - Trimmed text of each element
+ */
+const texts = (selector, options) => selectElements($, selector, options).get().map(node => $(node).text().trim());
+
+describe('getSelectorType', () => {
+  it('reads explicit prefixes', () => {
+    expect(getSelectorType('css:h2')).toBe('css');
+    expect(getSelectorType('xpath:h2')).toBe('xpath');
+    expect(getSelectorType('steps:h2')).toBe('steps');
+  });
+
+  it('recognises XPath, chains and CSS without a prefix', () => {
+    expect(getSelectorType('//h2')).toBe('xpath');
+    expect(getSelectorType('./td')).toBe('xpath');
+    expect(getSelectorType('(//h2)[1]')).toBe('xpath');
+    expect(getSelectorType('normalize-space(//h2)')).toBe('xpath');
+    expect(getSelectorType('th >> next(td)')).toBe('steps');
+    expect(getSelectorType('div > h2, .price')).toBe('css');
+    expect(getSelectorType('a[title=">>"]')).toBe('css');
+  });
+});
+
+describe('selectElements', () => {
+  it('runs CSS and XPath, with or without a prefix', () => {
+    expect(texts('.product h2')).toEqual(['Trail shoe', 'Hiking boot']);
+    expect(texts('css:.price')).toEqual(['$180']);
+    expect(texts("//th[contains(., 'Price')]/following-sibling::td[1]")).toEqual(['$120']);
+    expect(texts('xpath://h2[2]')).toEqual([]);
+    expect(texts('xpath:(//h2)[2]')).toEqual(['Hiking boot']);
+  });
+
+  it('reads XPath attribute and string results as text', () => {
+    expect(texts('//a/@href')).toEqual(['/shoe']);
+    expect(texts('count(//h2)')).toEqual(['2']);
+  });
+
+  it('searches within a scope', () => {
+    const boot = $('#boot');
+
+    expect(texts('h2', { scope: boot })).toEqual(['Hiking boot']);
+    expect(texts('.//h2', { scope: boot })).toEqual(['Hiking boot']);
+    expect(texts('', { scope: boot })).toEqual([boot.text().trim()]);
+  });
+
+  it('moves through the page with chained steps', () => {
+    expect(texts('th:contains("Price") >> next(td)')).toEqual(['$120']);
+    expect(texts('th:contains("Colour") >> next(td:not(.note))')).toEqual(['Blue']);
+    expect(texts('th:contains("Colour") >> next')).toEqual(['n/a']);
+    expect(texts('th:contains("Price") >> closest(.product) >> find(h2)')).toEqual(['Trail shoe']);
+    expect(texts('.price >> parent >> h2')).toEqual(['Hiking boot']);
+    expect(texts('.price >> parent(#boot) >> prev(.product) >> a.more')).toEqual(['More']);
+  });
+
+  it('narrows the selection with first, last, eq, filter and not', () => {
+    expect(texts('.product >> first >> h2')).toEqual(['Trail shoe']);
+    expect(texts('.product >> last >> h2')).toEqual(['Hiking boot']);
+    expect(texts('.product >> eq(-1) >> h2')).toEqual(['Hiking boot']);
+    expect(texts('h2 >> filter(:contains("boot"))')).toEqual(['Hiking boot']);
+    expect(texts('.product >> not(#shoe) >> h2')).toEqual(['Hiking boot']);
+  });
+
+  it('mixes XPath steps into chains', () => {
+    expect(texts("steps:.product >> .//th[.='Price'] >> next(td)")).toEqual(['$120']);
+  });
+});
+
+describe('validateSelector', () => {
+  it('accepts valid selectors of each type', () => {
+    expect(() => validateSelector('div > h2')).not.toThrow();
+    expect(() => validateSelector('//td[1]')).not.toThrow();
+    expect(() => validateSelector('th >> closest(tr) >> .//td[1]')).not.toThrow();
+  });
+
+  it('reports malformed chains and XPath steps', () => {
+    expect(() => validateSelector('th >> >> td')).toThrow(SelectorError);
+    expect(() => validateSelector('th >> >> td')).toThrow('Empty step in selector: th >> >> td');
+    expect(() => validateSelector('th >> closest()')).toThrow('closest() needs an argument');
+    expect(() => validateSelector('th >> first(2)')).toThrow('first() takes no argument');
+    expect(() => validateSelector('tr >> eq(two)')).toThrow('eq() needs a whole number');
+    expect(() => validateSelector('th >> .//td[')).toThrow('Unexpected end of expression');
+    expect(() => validateSelector('xpath:td[')).toThrow(SelectorError);
+  });
+
+  it('rejects unknown types', () => {
+    expect(() => validateSelector('h2', 'json')).toThrow('Unknown selector type: json');
+  });
+});
@@ -0,0 +1,126 @@
+import cheerio from 'react-native-cheerio';
+import { findTables, parseTable } from '../tables';
+
+/**
+ * Parse the first table in some HTML
+ * @param {string} html - HTML holding a table
+ * @param {Object} options - parseTable options
+ * @returns {Object} - `{ caption, headers, rows }`
+ */
+const parse = (html, options) => {
+  const $ = cheerio.load(html);
+  return parseTable($, $('table').get(0), options);
+};
+
+describe('parseTable', () => {
+  it('keys rows by header text and reads the caption', () => {
+    const table = parse(`
+      <table>
+        <caption> Shoe   sizes </caption>
+        <thead><tr><th>Size</th><th>Stock</th></tr></thead>
+        <tbody>
+          <tr><td>42</td><td>3<br>pairs</td></tr>
+          <tr><td> </td><td></td></tr>
+          <tr><td>43</td><td>0</td></tr>
+        </tbody>
+      </table>
+    `);
+
+    expect(table).toEqual({
+      caption: 'Shoe sizes',
+      headers: ['Size', 'Stock'],
+      rows: [{ Size: '42', Stock: '3 pairs' }, { Size: '43', Stock: '0' }]
+    });
+  });
+
+  it('copies rowspan and colspan cells into every slot they cover', () => {
+    const table = parse(`
+      <table>
+        <tr><th>Region</th><th>City</th><th>Mon</th><th>Tue</th></tr>
+        <tr><td rowspan="2">North</td><td>Leeds</td><td colspan="2">Closed</td></tr>
+        <tr><td>York</td><td>9-5</td><td>9-5</td></tr>
+        <tr><td>South</td><td rowspan="0">Brighton</td><td>10-4</td><td>10-4</td></tr>
+        <tr><td>South</td><td>Late</td></tr>
+      </table>
+    `);
+
+    expect(table.rows).toEqual([
+      { Region: 'North', City: 'Leeds', Mon: 'Closed', Tue: 'Closed' },
+      { Region: 'North', City: 'York', Mon: '9-5', Tue: '9-5' },
+      { Region: 'South', City: 'Brighton', Mon: '10-4', Tue: '10-4' },
+      { Region: 'South', City: 'Brighton', Mon: 'Late', Tue: '' }
+    ]);
+  });
+
+  it('combines multi-row headers per column', () => {
+    const table = parse(`
+      <table>
+        <thead>
+          <tr><th rowspan="2">Product</th><th colspan="2">Q1</th><th colspan="2">Q2</th></tr>
+          <tr><th>Units</th><th>Revenue</th><th>Units</th><th>Revenue</th></tr>
+        </thead>
+        <tbody><tr><td>Shoe</td><td>10</td><td>$1,200</td><td>12</td><td>$1,440</td></tr></tbody>
+      </table>
+    `);
+
+    expect(table.headers).toEqual(['Product', 'Q1 / Units', 'Q1 / Revenue', 'Q2 / Units', 'Q2 / Revenue']);
+    expect(table.rows[0]['Q2 / Revenue']).toBe('$1,440');
+  });
+
+  it('treats leading rows of th cells as the header when there is no thead', () => {
+    const table = parse(`
+      <table>
+        <tr><th colspan="2">Results</th></tr>
+        <tr><th>Team</th><th>Score</th></tr>
+        <tr><th>Reds</th><td>3</td></tr>
+      </table>
+    `, { headerSeparator: ': ' });
+
+    expect(table.headers).toEqual(['Results: Team', 'Results: Score']);
+    expect(table.rows).toEqual([{ 'Results: Team': 'Reds', 'Results: Score': '3' }]);
+  });
+
+  it('numbers duplicate and missing header names', () => {
+    const table = parse(`
+      <table>
+        <tr><th>Score</th><th>Score</th><th></th><th>Score</th></tr>
+        <tr><td>1</td><td>2</td><td>x</td><td>3</td><td>extra</td></tr>
+      </table>
+    `);
+
+    expect(table.headers).toEqual(['Score', 'Score (2)', 'Column 3', 'Score (3)', 'Column 5']);
+    expect(table.rows[0]).toEqual({ Score: '1', 'Score (2)': '2', 'Column 3': 'x', 'Score (3)': '3', 'Column 5': 'extra' });
+  });
+
+  it('uses given headers, places the footer last and ignores nested tables', () => {
+    const table = parse(`
+      <table>
+        <tfoot><tr><td>Total</td><td>5</td></tr></tfoot>
+        <tbody>
+          <tr><td>A</td><td>2 <table><tr><td>nested</td></tr></table></td></tr>
+          <tr><td>B</td><td>3</td></tr>
+        </tbody>
+      </table>
+    `, { headers: ['Item', 'Count'] });
+
+    expect(table.caption).toBeNull();
+    expect(table.rows).toEqual([
+      { Item: 'A', Count: '2' },
+      { Item: 'B', Count: '3' },
+      { Item: 'Total', Count: '5' }
+    ]);
+  });
+});
+
+describe('findTables', () => {
+  it('finds tables in containers once each, leaving out nested ones', () => {
+    const $ = cheerio.load(`
+      <div id="a">
+        <table id="outer"><tr><td><table id="inner"><tr><td>1</td></tr></table></td></tr></table>
+        <table id="second"><tr><td>2</td></tr></table>
+      </div>
+    `);
+
+    expect(findTables($, $('#a, #second, #inner')).map(table => $(table).attr('id'))).toEqual(['outer', 'second', 'inner']);
+  });
+});
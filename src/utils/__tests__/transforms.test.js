@@ -0,0 +1,53 @@
+import { parseNumber, parseCurrency, applyTransforms } from '../transforms';
+
+describe('parseNumber', () => {
+  it('guesses the decimal separator', () => {
+    expect(parseNumber('$1,299.00')).toBe(1299);
+    expect(parseNumber('1.234,56 €')).toBe(1234.56);
+    expect(parseNumber('12 500')).toBe(12500);
+    expect(parseNumber('1,234')).toBe(1234);
+    expect(parseNumber('1,5')).toBe(1.5);
+    expect(parseNumber('1.234')).toBe(1.234);
+    expect(parseNumber('1.234.567')).toBe(1234567);
+  });
+
+  it('uses the decimal option when given', () => {
+    expect(parseNumber('1.234', { decimal: ',' })).toBe(1234);
+    expect(parseNumber('1,234', { decimal: ',' })).toBe(1.234);
+    expect(parseNumber('1,234', { decimal: '.' })).toBe(1234);
+  });
+
+  it('returns null without digits', () => {
+    expect(parseNumber('free')).toBeNull();
+    expect(parseNumber(NaN)).toBeNull();
+  });
+});
+
+describe('parseCurrency', () => {
+  it('reads ISO codes next to the amount', () => {
+    expect(parseCurrency('USD 40')).toEqual({ amount: 40, currency: 'USD' });
+    expect(parseCurrency('40.00 EUR')).toEqual({ amount: 40, currency: 'EUR' });
+    expect(parseCurrency('Price: 40 CHF')).toEqual({ amount: 40, currency: 'CHF' });
+  });
+
+  it('ignores capitalised words that are not next to the amount or not currencies', () => {
+    expect(parseCurrency('NEW price $5')).toEqual({ amount: 5, currency: 'USD' });
+    expect(parseCurrency('SALE 5 NOW')).toEqual({ amount: 5, currency: null });
+    expect(parseCurrency('ALL items €12,50')).toEqual({ amount: 12.5, currency: 'EUR' });
+  });
+
+  it('prefers the longest symbol', () => {
+    expect(parseCurrency('R$ 10')).toEqual({ amount: 10, currency: 'BRL' });
+  });
+
+  it('falls back to the currency option', () => {
+    expect(parseCurrency('12', { currency: 'GBP' })).toEqual({ amount: 12, currency: 'GBP' });
+  });
+});
+
+describe('applyTransforms', () => {
+  it('passes options to number transforms', () => {
+    expect(applyTransforms('1.299', { type: 'number', decimal: ',' })).toBe(1299);
+    expect(applyTransforms('SKU-42', [{ type: 'regex', pattern: 'SKU-(\\d+)' }, 'integer'])).toBe(42);
+  });
+});
@@ -0,0 +1,24 @@
+import cheerio from 'react-native-cheerio';
+import { getImageSrc, LAZY_SRC_ATTRIBUTES } from '../url';
+import { toMarkdown } from '../format';
+
+describe('getImageSrc', () => {
+  const $ = cheerio.load(`
+    <img id="plain" src="/a.png" data-src="/b.png">
+    <img id="placeholder" src="data:image/gif;base64,R0lGOD" data-lazy="/c.png">
+    <img id="missing" data-original="/d.png">
+    <img id="none">
+  `);
+
+  it('prefers lazy-load attributes over missing or placeholder sources', () => {
+    expect(getImageSrc($('#plain'))).toBe('/a.png');
+    expect(getImageSrc($('#placeholder'))).toBe('/c.png');
+    expect(getImageSrc($('#missing'))).toBe('/d.png');
+    expect(getImageSrc($('#none'))).toBe('');
+  });
+
+  it('is shared with Markdown output', () => {
+    expect(LAZY_SRC_ATTRIBUTES).toContain('data-lazy');
+    expect(toMarkdown($, $('#placeholder'), { baseUrl: 'https://example.com/' })).toBe('![](https://example.com/c.png)');
+  });
+});
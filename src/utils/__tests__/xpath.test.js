@@ -0,0 +1,96 @@
+import cheerio from 'react-native-cheerio';
+import { evaluateXPath, validateXPath, xpathResultToString } from '../xpath';
+import { SelectorError } from '../errors';
+
+const $ = cheerio.load(`
+  <table id="specs">
+    <tr><th>Name</th><td>Trail shoe</td></tr>
+    <tr><th>Price</th><td class="price">$120</td><td>in stock</td></tr>
+    <tr><th>Weight</th><td>280 g</td></tr>
+  </table>
+  <ul>
+    <li>One</li>
+    <li class="odd">Two</li>
+    <li>Three</li>
+    <li class="odd">Four</li>
+  </ul>
+  <a href="/a">A</a>
+  <a href="/b">B</a>
+`);
+const root = $.root().get(0);
+
+/**
+ * Evaluate XPath against the document and read the text of each node
+ * @param {string} expression - XPath expression
+ * @returns {Array} - Text of each node, or attribute values
+ */
+const texts = (expression) => evaluateXPath(expression, root).map(node => (
+  node.type === 'attribute' ? node.value : $(node).text()
+));
+
+describe('evaluateXPath', () => {
+  it('follows sibling axes from a matched cell', () => {
+    expect(texts("//th[contains(., 'Price')]/following-sibling::td[1]")).toEqual(['$120']);
+    expect(texts("//th[contains(., 'Price')]/following-sibling::td")).toEqual(['$120', 'in stock']);
+    expect(texts("//td[@class='price']/preceding-sibling::th")).toEqual(['Price']);
+  });
+
+  it('follows parent and ancestor axes', () => {
+    expect(texts("//td[@class='price']/../th")).toEqual(['Price']);
+    expect(evaluateXPath("//td[@class='price']/ancestor::table/@id", root)[0].value).toBe('specs');
+  });
+
+  it('applies positional predicates', () => {
+    expect(texts('//li[2]')).toEqual(['Two']);
+    expect(texts('//li[last()]')).toEqual(['Four']);
+    expect(texts('//li[position() > 2]')).toEqual(['Three', 'Four']);
+    expect(texts("//li[@class='odd'][2]")).toEqual(['Four']);
+    expect(texts('(//td)[1]')).toEqual(['Trail shoe']);
+  });
+
+  it('returns attributes as attribute nodes', () => {
+    expect(texts('//a/@href')).toEqual(['/a', '/b']);
+  });
+
+  it('returns strings, numbers and booleans from functions', () => {
+    expect(evaluateXPath('count(//li)', root)).toBe(4);
+    expect(evaluateXPath("normalize-space(//th[.='Weight']/../td)", root)).toBe('280 g');
+    expect(evaluateXPath("starts-with(//a[1]/@href, '/')", root)).toBe(true);
+    expect(xpathResultToString(evaluateXPath('//li', root))).toBe('One');
+  });
+
+  it('reads variables', () => {
+    expect(evaluateXPath('//li[$n]', root, { variables: { n: 3 } }).map(node => $(node).text())).toEqual(['Three']);
+  });
+
+  it('reports malformed expressions with their position', () => {
+    const attempts = {
+      '//li[': /^Unexpected end of expression at position 5/,
+      '//li[1': /^Expected '\]'/,
+      "//a[@href='x]": /^Unterminated string/,
+      '//li#': /^Unexpected character '#'/,
+      '//li[bogus()]': /^Unknown function bogus\(\)/,
+      '//li[contains(.)]': /^Wrong number of arguments to contains\(\)/
+    };
+
+    Object.entries(attempts).forEach(([expression, message]) => {
+      let error = null;
+
+      try {
+        evaluateXPath(expression, root);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(SelectorError);
+      expect(error.message).toMatch(message);
+      expect(error.message).toContain(`in selector: ${expression}`);
+      expect(error.code).toBe('ERR_INVALID_SELECTOR');
+    });
+  });
+
+  it('rejects empty expressions and undefined variables', () => {
+    expect(() => validateXPath('')).toThrow('Empty expression');
+    expect(() => evaluateXPath('//li[$missing]', root)).toThrow('Undefined variable $missing');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * abort.js
+ * Helpers for combining caller AbortSignals with per-call timeouts
+ */
+
+/**
+ * Create an AbortSignal that fires when the caller's signal aborts or the
+ * timeout elapses, whichever comes first
+ * @param {AbortSignal} parentSignal - Caller's signal (optional)
+ * @param {number} timeout - Timeout in milliseconds (optional)
+ * @returns {Object} - `{ signal, timedOut, release }`; call `release` once the
+ * work is done to clear the timer and listener
+ */
+export const createAbortScope = (parentSignal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const abort = () => controller.abort();
+
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      controller.abort();
+    } else {
+      parentSignal.addEventListener('abort', abort);
+    }
+  }
+
+  const timer = timeout
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    release: () => {
+      clearTimeout(timer);
+
+      if (parentSignal) {
+        parentSignal.removeEventListener('abort', abort);
+      }
+    }
+  };
+};
+
+/**
+ * Run a callback when a signal aborts
+ * @param {AbortSignal} signal - Signal to watch (optional)
+ * @param {Function} callback - Called once on abort
+ * @returns {Function} - Removes the listener
+ */
+export const onAbort = (signal, callback) => {
+  if (!signal) {
+    return () => {};
+  }
+
+  signal.addEventListener('abort', callback);
+  return () => signal.removeEventListener('abort', callback);
+};
@@ -0,0 +1,513 @@
+/**
+ * article.js
+ * Main content detection for article pages, after Mozilla's Readability
+ *
+ * Paragraphs score their ancestors by length and comma count; the best
+ * scoring ancestor, less its link-heavy parts, is the article.
+ */
+
+import { resolveUrl, getDocumentBaseUrl, getImageSrc } from './url';
+import { extractPageMetadata } from './metadata';
+import { parseFeedDate } from './feed';
+import { toStructuredText, toMarkdown } from './format';
+
+// Elements that are never part of an article's content
+const REMOVE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'button',
+  'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog', 'svg', 'canvas', 'link', 'meta',
+  '[role="navigation"]', '[role="banner"]', '[role="complementary"]', '[role="contentinfo"]',
+  '[role="dialog"]', '[role="alert"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Class and id hints for boilerplate, and for content that merely sounds like it
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|adbox|advert|banner|breadcrumb|combx|comment|community|cookie|consent|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|tags|toolbar|widget/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+
+// Class and id hints that raise or lower a node's score
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Elements whose text scores their ancestors
+const SCORED_SELECTOR = 'p, pre, td, blockquote, section, div';
+
+// Block elements; a div holding none of these is scored like a paragraph
+const BLOCK_SELECTOR = 'address, article, aside, blockquote, dl, div, fieldset, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, main, nav, ol, p, pre, section, table, ul';
+
+// Containers dropped from the content when they look like link lists or ads; data tables are kept
+const CONDITIONAL_SELECTOR = 'div, section, header, ul, ol, table';
+
+// Attributes kept on the cleaned content
+const KEEP_ATTRIBUTES = ['href', 'src', 'srcset', 'alt', 'title', 'colspan', 'rowspan', 'datetime', 'lang', 'dir', 'cite'];
+
+const ARTICLE_TYPES = /Article|BlogPosting|Report|Posting/;
+
+const first = value => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Collapse whitespace in an element's text
+ * @param {Object} element - Cheerio selection
+ * @returns {string} - Text
+ */
+const getInnerText = (element) => element.text().replace(/\s+/g, ' ').trim();
+
+/**
+ * Score an element's class and id
+ * @param {Object} element - Cheerio selection
+ * @returns {number} - Positive for content hints, negative for boilerplate hints
+ */
+const getClassWeight = (element) => {
+  let weight = 0;
+
+  [element.attr('class'), element.attr('id')].forEach(value => {
+    if (value) {
+      if (NEGATIVE.test(value)) weight -= 25;
+      if (POSITIVE.test(value)) weight += 25;
+    }
+  });
+
+  return weight;
+};
+
+/**
+ * Work out how much of an element's text is link text
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} element - Cheerio selection
+ * @returns {number} - Link text length over total text length, from 0 to 1
+ */
+const getLinkDensity = ($, element) => {
+  const length = getInnerText(element).length;
+
+  if (!length) {
+    return 0;
+  }
+
+  let linkLength = 0;
+  element.find('a').each((i, link) => {
+    // In-page anchors, such as footnotes, count for less
+    const weight = /^#/.test($(link).attr('href') || '') ? 0.3 : 1;
+    linkLength += getInnerText($(link)).length * weight;
+  });
+
+  return Math.min(1, linkLength / length);
+};
+
+/**
+ * Base score for a candidate by tag name
+ * @param {Object} node - DOM element
+ * @returns {number} - Tag weight
+ */
+const getTagScore = (node) => {
+  switch ((node.name || '').toLowerCase()) {
+    case 'article':
+    case 'main':
+      return 10;
+    case 'div':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Remove elements that are never content, and containers that look like boilerplate
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} root - Cheerio selection of the (cloned) body
+ */
+const removeBoilerplate = ($, root) => {
+  root.find(REMOVE_SELECTOR).remove();
+
+  root.find('*').each((i, node) => {
+    const element = $(node);
+    const hints = `${element.attr('class') || ''} ${element.attr('id') || ''}`;
+    const tag = (node.name || '').toLowerCase();
+
+    if (
+      tag !== 'body' && tag !== 'article' && tag !== 'main' && tag !== 'a'
+      && UNLIKELY_CANDIDATES.test(hints) && !MAYBE_CANDIDATES.test(hints)
+      && element.closest('table, code, pre').length === 0
+    ) {
+      element.remove();
+    }
+  });
+};
+
+/**
+ * Score every candidate container by the paragraphs inside it
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} root - Cheerio selection of the cleaned body
+ * @returns {Map} - Score per DOM element
+ */
+const scoreCandidates = ($, root) => {
+  const scores = new Map();
+
+  const initialize = (node) => {
+    if (!scores.has(node)) {
+      scores.set(node, getTagScore(node) + getClassWeight($(node)));
+    }
+  };
+
+  root.find(SCORED_SELECTOR).each((i, node) => {
+    const element = $(node);
+    const tag = (node.name || '').toLowerCase();
+
+    // Only divs and sections that hold text directly, rather than other blocks, count as paragraphs
+    if ((tag === 'div' || tag === 'section') && element.find(BLOCK_SELECTOR).length > 0) {
+      return;
+    }
+
+    const text = getInnerText(element);
+
+    if (text.length < 25) {
+      return;
+    }
+
+    // One point, one per comma-separated clause and one per 100 characters up to three
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    const ancestors = element.parents().get().slice(0, 5);
+
+    ancestors.forEach((ancestor, level) => {
+      if (!ancestor.name) {
+        return;
+      }
+
+      initialize(ancestor);
+      // Parent gets the full score, grandparent half, and higher ancestors less with each level
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+    });
+  });
+
+  // Link-heavy candidates are navigation, whatever their text
+  scores.forEach((score, node) => {
+    scores.set(node, score * (1 - getLinkDensity($, $(node))));
+  });
+
+  return scores;
+};
+
+/**
+ * Pick the best candidate and gather the siblings that belong with it
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} root - Cheerio selection of the cleaned body
+ * @param {Map} scores - Candidate scores
+ * @returns {Object} - Cheerio selection of a new div holding the article content
+ */
+const selectContent = ($, root, scores) => {
+  let top = null;
+  let topScore = 0;
+
+  scores.forEach((score, node) => {
+    if (score > topScore) {
+      top = node;
+      topScore = score;
+    }
+  });
+
+  const content = $('<div></div>');
+
+  if (!top) {
+    content.append(root.children().clone());
+    return content;
+  }
+
+  // Siblings that score well, or read like prose, are part of the article too
+  const threshold = Math.max(10, topScore * 0.2);
+  const topClass = $(top).attr('class') || '';
+
+  $(top).parent().children().each((i, sibling) => {
+    const element = $(sibling);
+    let append = sibling === top;
+
+    if (!append) {
+      let bonus = 0;
+
+      // Siblings styled like the candidate are often more of the same
+      if (topClass && element.attr('class') === topClass) {
+        bonus += topScore * 0.2;
+      }
+
+      if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+        append = true;
+      } else if ((sibling.name || '').toLowerCase() === 'p') {
+        const text = getInnerText(element);
+        const linkDensity = getLinkDensity($, element);
+
+        append = (text.length > 80 && linkDensity < 0.25)
+          || (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text));
+      }
+    }
+
+    if (append) {
+      content.append(element.clone());
+    }
+  });
+
+  return content;
+};
+
+/**
+ * Check whether a table holds data rather than page layout
+ * @param {Object} table - Cheerio selection of the table
+ * @returns {boolean} - True for tables with headings, a caption, or several rows of several cells
+ */
+const isDataTable = (table) => {
+  if (table.attr('role') === 'presentation') {
+    return false;
+  }
+
+  if (table.find('th, caption, thead').length > 0) {
+    return true;
+  }
+
+  const rows = table.find('tr');
+  return rows.length > 1 && rows.first().children('td').length > 1;
+};
+
+/**
+ * Drop link lists, image galleries and other clutter from the content
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} content - Cheerio selection of the content
+ */
+const cleanConditionally = ($, content) => {
+  // Deepest first, so a container is judged after its clutter is gone
+  content.find(CONDITIONAL_SELECTOR).get().reverse().forEach(node => {
+    const element = $(node);
+
+    if (element.closest('pre, code').length || isDataTable(element.closest('table'))) {
+      return;
+    }
+
+    const tag = (node.name || '').toLowerCase();
+    const weight = getClassWeight(element);
+    const text = getInnerText(element);
+
+    // Plenty of commas means prose
+    if (text.split(',').length > 10) {
+      return;
+    }
+
+    const isList = tag === 'ul' || tag === 'ol';
+    const paragraphs = element.find('p').length;
+    const images = element.find('img').length;
+    const items = element.find('li').length - 100;
+    const linkDensity = getLinkDensity($, element);
+    const headingDensity = getInnerText(element.find('h1, h2, h3, h4, h5, h6')).length / (text.length || 1);
+
+    const remove = weight < 0
+      || (images > 1 && paragraphs / images < 0.5 && !element.closest('figure').length && tag !== 'figure')
+      || (!isList && items > paragraphs)
+      || (!isList && tag !== 'figure' && headingDensity < 0.9 && text.length < 25 && (images === 0 || images > 2))
+      || (weight < 25 && linkDensity > 0.2 && (!isList || linkDensity > 0.5))
+      || (weight >= 25 && linkDensity > 0.5);
+
+    if (remove) {
+      element.remove();
+    }
+  });
+
+  // Paragraphs left empty by the cleaning
+  content.find('p').each((i, node) => {
+    if (!getInnerText($(node)) && $(node).find('img').length === 0) {
+      $(node).remove();
+    }
+  });
+};
+
+/**
+ * Resolve URLs, swap in lazy-loaded images and strip presentational attributes
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} content - Cheerio selection of the content
+ * @param {string} baseUrl - Base URL for links and images
+ */
+const tidyContent = ($, content, baseUrl) => {
+  content.find('img').each((i, node) => {
+    const element = $(node);
+    const src = getImageSrc(element);
+
+    if (src && src !== element.attr('src')) {
+      element.attr('src', src);
+    }
+  });
+
+  content.find('*').each((i, node) => {
+    const element = $(node);
+
+    Object.keys(node.attribs || {}).forEach(attr => {
+      if (!KEEP_ATTRIBUTES.includes(attr)) {
+        element.removeAttr(attr);
+      }
+    });
+
+    ['href', 'src'].forEach(attr => {
+      const value = element.attr(attr);
+
+      if (!value || /^data:/i.test(value.trim())) {
+        return;
+      }
+
+      if (/^javascript:/i.test(value.trim())) {
+        element.removeAttr(attr);
+      } else {
+        element.attr(attr, resolveUrl(value, baseUrl) || value);
+      }
+    });
+  });
+};
+
+/**
+ * Read an author's name from a schema.org value
+ * @param {*} author - String, Person object or array of either
+ * @returns {string|null} - Names joined with commas
+ */
+const readSchemaAuthor = (author) => {
+  const names = [].concat(author || [])
+    .map(person => (typeof person === 'string' ? person : person && person.name))
+    .filter(name => typeof name === 'string' && name.trim());
+
+  return names.length ? names.join(', ') : null;
+};
+
+/**
+ * Read a schema.org image value
+ * @param {*} image - URL string, ImageObject or array of either
+ * @returns {string|null} - The first image URL
+ */
+const readSchemaImage = (image) => {
+  const value = first([].concat(image || []));
+  return (typeof value === 'string' ? value : value && (value.url || value.contentUrl)) || null;
+};
+
+/**
+ * Clean up a byline, e.g. 'By Jane Doe' to 'Jane Doe'
+ * @param {string} byline - Raw byline
+ * @returns {string|null} - Byline, or null when it is empty, a URL or too long to be one
+ */
+const cleanByline = (byline) => {
+  const text = String(byline || '').replace(/\s+/g, ' ').trim().replace(/^by\s+/i, '');
+  return text && text.length < 100 && !/^https?:\/\//i.test(text) ? text : null;
+};
+
+/**
+ * Work out the article's title
+ *
+ * The article's own heading comes first: the first `<h1>` in the content,
+ * or else the page's only `<h1>` outside its navigation. Metadata, which
+ * is often written for sharing rather than for the page, is the fallback.
+ * The `<title>` comes last; it often ends with the site name ('Story | News
+ * Site'), which is removed when what remains is long enough to be a headline.
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} content - Cheerio selection of the content
+ * @param {Object} metadata - Page metadata
+ * @param {Object} item - The page's schema.org article, if any
+ * @returns {string|null} - Title
+ */
+const getTitle = ($, content, metadata, item) => {
+  const h1s = $('h1').filter((i, node) => $(node).closest('nav, [role="navigation"], [role="banner"]').length === 0);
+  const heading = getInnerText(content.find('h1').first()) || (h1s.length === 1 ? getInnerText(h1s) : '');
+  const headline = heading || first(item && item.headline) || first(metadata.openGraph.title) || metadata.twitter.title;
+
+  if (headline) {
+    return String(headline).trim();
+  }
+
+  const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+  const parts = title.split(/\s[|\-–—»/]\s/);
+
+  if (parts.length > 1 && parts[0].split(' ').length >= 3) {
+    return parts[0].trim();
+  }
+
+  return title || null;
+};
+
+/**
+ * Extract the main article from a page
+ * @param {Function} $ - Cheerio instance for the page; it is not changed
+ * @param {string} pageUrl - URL of the page, for relative links
+ * @param {Object} options - Extraction options
+ * @param {number} options.wordsPerMinute - Reading speed for readingTime (default 200)
+ * @returns {Object} - `{ title, byline, published, leadImage, excerpt, siteName, language, html, text,
+ * markdown, wordCount, readingTime }` where readingTime is in minutes
+ */
+export const extractArticleContent = ($, pageUrl = '', options = {}) => {
+  const wordsPerMinute = options.wordsPerMinute || 200;
+  const baseUrl = getDocumentBaseUrl($, pageUrl);
+  const metadata = extractPageMetadata($, pageUrl);
+  const item = [...metadata.jsonLd, ...metadata.microdata, ...metadata.rdfa]
+    .find(entry => [].concat(entry['@type'] || []).some(type => ARTICLE_TYPES.test(type))) || null;
+
+  // Work on a copy so the page's shared document is left alone
+  const root = ($('body').length ? $('body') : $.root()).first().clone();
+  root.find('*').addBack().contents().filter((i, node) => node.type === 'comment').remove();
+
+  removeBoilerplate($, root);
+  const content = selectContent($, root, scoreCandidates($, root));
+  cleanConditionally($, content);
+  tidyContent($, content, baseUrl);
+
+  const title = getTitle($, content, metadata, item);
+
+  // The headline repeated at the top of the content
+  content.find('h1, h2').first().filter((i, node) => getInnerText($(node)) === title).remove();
+
+  const text = toStructuredText($, content, { baseUrl, links: false });
+  // List and quote markers are not words
+  const wordCount = text.split(/\s+/).filter(word => word && !/^([->|]|\d+\.)$/.test(word)).length;
+  const openGraphImage = first(metadata.openGraph.image);
+  const contentImage = content.find('img[src]').first().attr('src');
+
+  const byline = cleanByline(readSchemaAuthor(item && item.author))
+    || cleanByline($('meta[name="author"]').attr('content'))
+    || cleanByline(first(metadata.openGraph.article && metadata.openGraph.article.author))
+    || cleanByline($('[rel="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"], .byline, .author').first().text());
+
+  const published = parseFeedDate(first(item && item.datePublished))
+    || parseFeedDate(first(metadata.openGraph.article && metadata.openGraph.article.published_time))
+    || parseFeedDate($('meta[name="date"], meta[name="pubdate"], meta[name="publish-date"], meta[name="dc.date" i], meta[itemprop="datePublished"]').attr('content'))
+    || parseFeedDate($('[itemprop="datePublished"]').attr('datetime') || $('article time[datetime], time[datetime]').first().attr('datetime'));
+
+  // The content's own image first; sharing images are often cropped or branded
+  const leadImage = contentImage
+    || (openGraphImage && openGraphImage.url)
+    || resolveUrl(readSchemaImage(item && item.image), baseUrl)
+    || resolveUrl(metadata.twitter.image || metadata.twitter['image:src'], baseUrl)
+    || null;
+
+  const firstParagraph = getInnerText(content.find('p').first());
+
+  return {
+    title,
+    byline,
+    published,
+    leadImage,
+    excerpt: metadata.description || firstParagraph || null,
+    siteName: first(metadata.openGraph.site_name) || null,
+    language: metadata.language,
+    html: content.html().trim(),
+    text,
+    markdown: toMarkdown($, content, { baseUrl }),
+    wordCount,
+    readingTime: wordCount ? Math.max(1, Math.round(wordCount / wordsPerMinute)) : 0
+  };
+};
@@ -0,0 +1,169 @@
+/**
+ * charset.js
+ * Character encoding detection and decoding for fetched pages
+ *
+ * React Native's JavaScript engines ship no TextDecoder, or one that only
+ * knows UTF-8, so legacy encodings fall back to the text-encoding polyfill.
+ */
+
+import { TextDecoder as TextDecoderPolyfill } from 'text-encoding';
+
+// How far into the document to look for a <meta> charset declaration
+const SNIFF_LENGTH = 1024;
+
+/**
+ * View a response body as bytes
+ * @param {*} data - ArrayBuffer, typed array or Node Buffer
+ * @returns {Uint8Array|null} - The bytes, or null if data is not binary
+ */
+export const toBytes = (data) => {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+
+  if (data && ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  return null;
+};
+
+/**
+ * Tidy a charset label from a header or meta tag
+ * @param {string} label - Raw label, possibly quoted
+ * @returns {string|null} - Lowercased label, or null if empty
+ */
+const normalizeLabel = (label) => {
+  const value = String(label || '').trim().replace(/^["']|["']$/g, '').toLowerCase();
+  return value || null;
+};
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} - Charset label, or null if none is given
+ */
+export const getHeaderCharset = (contentType) => {
+  const match = String(contentType || '').match(/charset\s*=\s*("[^"]*"|[^\s;]+)/i);
+  return match ? normalizeLabel(match[1]) : null;
+};
+
+/**
+ * Detect a byte order mark
+ * @param {Uint8Array} bytes - Response body
+ * @returns {string|null} - 'utf-8', 'utf-16le' or 'utf-16be', or null if there is no BOM
+ */
+const getBomCharset = (bytes) => {
+  if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return 'utf-8';
+  }
+
+  if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return 'utf-16le';
+  }
+
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return 'utf-16be';
+  }
+
+  return null;
+};
+
+/**
+ * Look for a charset declared in the document itself
+ *
+ * Checks `<meta charset>`, `<meta http-equiv="Content-Type" content="...">`
+ * and the XML declaration in the first kilobyte.
+ * @param {Uint8Array} bytes - Response body
+ * @returns {string|null} - Charset label, or null if none is declared
+ */
+const sniffDocumentCharset = (bytes) => {
+  // Declarations are ASCII, so a byte-per-character view is enough
+  let head = '';
+  const length = Math.min(bytes.length, SNIFF_LENGTH);
+
+  for (let i = 0; i < length; i++) {
+    head += String.fromCharCode(bytes[i]);
+  }
+
+  const metaCharset = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i);
+
+  if (metaCharset) {
+    return normalizeLabel(metaCharset[1]);
+  }
+
+  const xmlDeclaration = head.match(/^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i);
+  return xmlDeclaration ? normalizeLabel(xmlDeclaration[1]) : null;
+};
+
+/**
+ * Work out the character encoding of a response body
+ *
+ * Follows the order browsers use: byte order mark, then the Content-Type
+ * header, then a declaration in the document, then the fallback.
+ * @param {Uint8Array} bytes - Response body
+ * @param {string} contentType - Content-Type header value
+ * @param {string} fallback - Charset to use when nothing is declared (default 'utf-8')
+ * @returns {Object} - `{ charset, source }` where source is 'bom', 'header', 'meta' or 'default'
+ */
+export const detectCharset = (bytes, contentType, fallback = 'utf-8') => {
+  const bom = getBomCharset(bytes);
+  if (bom) {
+    return { charset: bom, source: 'bom' };
+  }
+
+  const header = getHeaderCharset(contentType);
+  if (header && isSupportedCharset(header)) {
+    return { charset: header, source: 'header' };
+  }
+
+  const declared = sniffDocumentCharset(bytes);
+  if (declared && isSupportedCharset(declared)) {
+    return { charset: declared, source: 'meta' };
+  }
+
+  return { charset: fallback, source: 'default' };
+};
+
+/**
+ * Create a decoder for a charset, preferring the platform's TextDecoder
+ * @param {string} charset - Charset label
+ * @returns {Object} - A TextDecoder instance
+ * @throws {RangeError} - When neither decoder knows the charset
+ */
+const createDecoder = (charset) => {
+  if (typeof TextDecoder !== 'undefined') {
+    try {
+      return new TextDecoder(charset);
+    } catch (error) {
+      // Fall through to the polyfill, which knows every WHATWG encoding
+    }
+  }
+
+  return new TextDecoderPolyfill(charset);
+};
+
+/**
+ * Check whether a charset label can be decoded
+ * @param {string} charset - Charset label
+ * @returns {boolean} - True if a decoder exists for it
+ */
+export const isSupportedCharset = (charset) => {
+  try {
+    createDecoder(charset);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Decode bytes into a string
+ *
+ * Invalid sequences become U+FFFD rather than throwing, and a leading byte
+ * order mark is dropped.
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @param {string} charset - Charset label
+ * @returns {string} - Decoded text
+ */
+export const decodeBytes = (bytes, charset) => createDecoder(charset).decode(bytes);
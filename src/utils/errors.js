@@ -0,0 +1,170 @@
+/**
+ * errors.js
+ * Error types thrown by WebScraperService
+ */
+
+/**
+ * Thrown when robots.txt does not allow a URL to be fetched
+ */
+export class RobotsDisallowedError extends Error {
+  /**
+   * @param {string} url - The blocked URL
+   * @param {string} message - Error message (optional)
+   */
+  constructor(url, message) {
+    super(message || `Blocked by robots.txt: ${url}`);
+    this.name = 'RobotsDisallowedError';
+    this.code = 'ERR_ROBOTS_DISALLOWED';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when a request is cancelled through its AbortSignal
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} url - The cancelled URL
+   */
+  constructor(url) {
+    super(`Request cancelled: ${url}`);
+    this.name = 'AbortError';
+    this.code = 'ERR_CANCELED';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when a call does not finish within its per-call timeout
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} url - The URL that timed out
+   * @param {number} timeout - The timeout in milliseconds
+   */
+  constructor(url, timeout) {
+    super(`Request timed out after ${timeout}ms: ${url}`);
+    this.name = 'TimeoutError';
+    this.code = 'ERR_TIMEOUT';
+    this.url = url;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Check whether an error means the caller cancelled the work
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for AbortError and axios cancellations
+ */
+export const isAbortError = (error) => !!error && (error.name === 'AbortError' || error.code === 'ERR_CANCELED');
+
+/**
+ * Thrown when cacheMode 'only-if-cached' finds no cached response
+ */
+export class CacheMissError extends Error {
+  /**
+   * @param {string} url - The URL that was not cached
+   */
+  constructor(url) {
+    super(`No cached response for: ${url}`);
+    this.name = 'CacheMissError';
+    this.code = 'ERR_CACHE_MISS';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when a form login cannot be submitted or does not succeed
+ */
+export class LoginError extends Error {
+  /**
+   * @param {string} url - The login page URL
+   * @param {string} message - What went wrong
+   * @param {Object} page - The page returned after submitting, if there was one (optional)
+   */
+  constructor(url, message, page = null) {
+    super(message);
+    this.name = 'LoginError';
+    this.code = 'ERR_LOGIN_FAILED';
+    this.url = url;
+    this.page = page;
+  }
+}
+
+/**
+ * Thrown when an XPath expression or selector chain cannot be parsed or evaluated
+ */
+export class SelectorError extends Error {
+  /**
+   * @param {string} selector - The selector or expression
+   * @param {string} message - What is wrong with it
+   * @param {number} position - Offset of the problem in the selector, if known (optional)
+   */
+  constructor(selector, message, position) {
+    super(position === undefined ? `${message} in selector: ${selector}` : `${message} at position ${position} in selector: ${selector}`);
+    this.name = 'SelectorError';
+    this.code = 'ERR_INVALID_SELECTOR';
+    this.selector = selector;
+    this.position = position;
+  }
+}
+
+/**
+ * Thrown when a scrape recipe is not valid JSON or does not match the recipe format
+ */
+export class RecipeError extends Error {
+  /**
+   * @param {Array} errors - Problems found, as `{ path, message }`
+   * @param {string} name - Recipe name, if it has one (optional)
+   */
+  constructor(errors, name) {
+    const lines = errors.map(error => `  ${error.path || 'recipe'}: ${error.message}`);
+    super(`Invalid recipe${name ? ` "${name}"` : ''}:\n${lines.join('\n')}`);
+    this.name = 'RecipeError';
+    this.code = 'ERR_INVALID_RECIPE';
+    this.errors = errors;
+    this.recipe = name || null;
+  }
+}
+
+/**
+ * Thrown when saving or importing recipes would replace saved ones without `overwrite`
+ */
+export class RecipeExistsError extends Error {
+  /**
+   * @param {Array} names - Names of the saved recipes that would be replaced
+   */
+  constructor(names) {
+    const list = names.map(name => `"${name}"`).join(', ');
+    super(names.length === 1 ? `A recipe named ${list} already exists` : `Recipes named ${list} already exist`);
+    this.name = 'RecipeExistsError';
+    this.code = 'ERR_RECIPE_EXISTS';
+    this.names = names;
+  }
+}
+
+/**
+ * Keep the request details of an axios error out of logs
+ *
+ * An error's config and request hold credentials: the auth option,
+ * Authorization, Cookie and API key headers, and login form bodies. They
+ * stay readable as properties but are made non-enumerable, so logging the
+ * error does not print them.
+ * @param {Error} error - The error, usually from axios
+ * @returns {Error} - The same error
+ */
+export const hideRequestDetails = (error) => {
+  [error, error && error.response].forEach(target => {
+    if (!target || typeof target !== 'object') {
+      return;
+    }
+
+    ['config', 'request'].forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(target, key)) {
+        Object.defineProperty(target, key, { value: target[key], enumerable: false, configurable: true, writable: true });
+      }
+    });
+  });
+
+  return error;
+};
@@ -0,0 +1,350 @@
+/**
+ * feed.js
+ * RSS 2.0, RSS 1.0 (RDF) and Atom feed parsing and discovery
+ */
+
+import { resolveUrl, getDocumentBaseUrl } from './url';
+
+// MIME types advertised by <link rel="alternate"> for feeds
+export const FEED_MIME_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/rdf+xml', 'application/xml', 'text/xml'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Zone names RFC 822 allows besides numeric offsets
+const TIME_ZONES = { ut: 0, utc: 0, gmt: 0, z: 0, est: -5, edt: -4, cst: -6, cdt: -5, mst: -7, mdt: -6, pst: -8, pdt: -7 };
+
+const RFC822_PATTERN = /^(?:[a-z]{3},?\s+)?(\d{1,2})\s+([a-z]{3})[a-z]*\s+(\d{2,4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([+-]\d{4}|[a-z]+)?$/i;
+
+/**
+ * Parse a feed date into an ISO 8601 string
+ *
+ * RSS uses RFC 822 dates ('Tue, 10 Jun 2003 04:00:00 GMT'), which not every
+ * JavaScript engine parses, so they are read here. Atom and Dublin Core
+ * dates are ISO 8601.
+ * @param {string} value - Date as written in the feed
+ * @returns {string|null} - ISO 8601 date in UTC, or null if the date is missing or invalid
+ */
+export const parseFeedDate = (value) => {
+  const text = String(value || '').trim();
+  const match = text.match(RFC822_PATTERN);
+  let time;
+
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    let year = parseInt(match[3], 10);
+
+    // Two-digit years, as RFC 822 originally had
+    if (year < 100) {
+      year += year < 50 ? 2000 : 1900;
+    }
+
+    const zone = (match[7] || 'gmt').toLowerCase();
+    let offset = 0;
+
+    if (/^[+-]\d{4}$/.test(zone)) {
+      const sign = zone[0] === '-' ? -1 : 1;
+      offset = sign * (parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10));
+    } else {
+      offset = (TIME_ZONES[zone] || 0) * 60;
+    }
+
+    time = month === -1 ? NaN : Date.UTC(
+      year,
+      month,
+      parseInt(match[1], 10),
+      parseInt(match[4], 10),
+      parseInt(match[5], 10),
+      parseInt(match[6] || '0', 10)
+    ) - offset * 60 * 1000;
+  } else {
+    time = text ? Date.parse(text) : NaN;
+  }
+
+  return isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Find direct children by tag name
+ * @param {Object} parent - Cheerio selection
+ * @param {Array|string} names - Tag names, including any prefix (e.g. 'dc:creator')
+ * @returns {Object} - Matching children
+ */
+const children = (parent, names) => {
+  const list = Array.isArray(names) ? names : [names];
+  return parent.children().filter((i, element) => list.includes(element.name));
+};
+
+/**
+ * Read the trimmed text of the first matching child
+ * @param {Object} parent - Cheerio selection
+ * @param {Array|string} names - Tag names, tried in order
+ * @returns {string|null} - Text, or null if no child has any
+ */
+const childText = (parent, names) => {
+  const list = Array.isArray(names) ? names : [names];
+
+  for (let i = 0; i < list.length; i++) {
+    const text = children(parent, list[i]).first().text().trim();
+
+    if (text) {
+      return text;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read an Atom text construct (title, summary, content)
+ *
+ * `type="xhtml"` content is markup inside a div; other types are text or
+ * escaped HTML, which reading the text unescapes.
+ * @param {Object} element - The construct element
+ * @returns {string|null} - Text or HTML, or null when the element is missing or empty
+ */
+const readAtomText = (element) => {
+  if (!element.length) {
+    return null;
+  }
+
+  if (element.attr('type') === 'xhtml') {
+    const div = element.children().first();
+    const html = (div.length ? div.html() : element.html()) || '';
+    return html.trim() || null;
+  }
+
+  return element.text().trim() || null;
+};
+
+/**
+ * Read the author of an Atom entry or feed
+ * @param {Object} parent - Entry or feed element
+ * @returns {string|null} - Author name, or email when there is no name
+ */
+const readAtomAuthor = (parent) => {
+  const author = children(parent, 'author').first();
+  return author.length ? childText(author, ['name', 'email']) : null;
+};
+
+/**
+ * Read an RSS author, which is usually 'email (Name)'
+ * @param {Object} item - Item or channel element
+ * @returns {string|null} - Author name, or the raw value when it has no name part
+ */
+const readRssAuthor = (item) => {
+  const author = childText(item, ['dc:creator', 'author', 'itunes:author', 'managingEditor']);
+
+  if (!author) {
+    return null;
+  }
+
+  const match = author.match(/^\S+@\S+\s+\((.+)\)$/);
+  return match ? match[1].trim() : author;
+};
+
+/**
+ * Collect enclosures: RSS `<enclosure>`, Atom `rel="enclosure"` links and Media RSS content
+ * @param {Function} $ - Cheerio instance for the feed
+ * @param {Object} item - Item or entry element
+ * @param {string} baseUrl - Base URL for relative URLs
+ * @returns {Array} - Enclosures as `{ url, type, length, medium }`
+ */
+const readEnclosures = ($, item, baseUrl) => {
+  const enclosures = [];
+  const seen = new Set();
+  const add = (url, type, length, medium) => {
+    const resolved = resolveUrl(url, baseUrl);
+
+    if (resolved && !seen.has(resolved)) {
+      seen.add(resolved);
+      enclosures.push({
+        url: resolved,
+        type: type || null,
+        length: parseInt(length, 10) || null,
+        medium: medium || (type ? type.split('/')[0] : null)
+      });
+    }
+  };
+
+  children(item, 'enclosure').each((i, element) => {
+    add($(element).attr('url'), $(element).attr('type'), $(element).attr('length'));
+  });
+
+  children(item, 'link').filter((i, element) => $(element).attr('rel') === 'enclosure').each((i, element) => {
+    add($(element).attr('href'), $(element).attr('type'), $(element).attr('length'));
+  });
+
+  // media:content may sit directly on the item or inside a media:group
+  [item, children(item, 'media:group')].forEach(parent => {
+    children(parent, 'media:content').each((i, element) => {
+      add($(element).attr('url'), $(element).attr('type'), $(element).attr('fileSize'), $(element).attr('medium'));
+    });
+  });
+
+  return enclosures;
+};
+
+/**
+ * Read an item's thumbnail image
+ * @param {Object} item - Item or entry element
+ * @param {string} baseUrl - Base URL for relative URLs
+ * @returns {string|null} - Thumbnail URL
+ */
+const readThumbnail = (item, baseUrl) => {
+  const thumbnail = item.find('media\\:thumbnail').first().attr('url')
+    || children(item, 'itunes:image').first().attr('href');
+
+  return thumbnail ? resolveUrl(thumbnail, baseUrl) : null;
+};
+
+/**
+ * Read an Atom link by relation
+ * @param {Function} $ - Cheerio instance for the feed
+ * @param {Object} parent - Feed or entry element
+ * @param {string} baseUrl - Base URL for relative URLs
+ * @returns {string|null} - The `rel="alternate"` link (or one without rel)
+ */
+const readAtomLink = ($, parent, baseUrl) => {
+  const link = children(parent, 'link')
+    .filter((i, element) => !$(element).attr('rel') || $(element).attr('rel') === 'alternate')
+    .first();
+
+  return link.length ? resolveUrl(link.attr('href'), baseUrl) : null;
+};
+
+/**
+ * Parse an RSS 2.0 or RSS 1.0 item
+ * @param {Function} $ - Cheerio instance for the feed
+ * @param {Object} item - Item element
+ * @param {string} baseUrl - Base URL for relative URLs
+ * @returns {Object} - Normalized item
+ */
+const parseRssItem = ($, item, baseUrl) => {
+  const link = childText(item, 'link') || item.attr('rdf:about') || null;
+  const guid = children(item, 'guid').first();
+  const guidText = guid.text().trim();
+  // A guid is the item's URL unless isPermaLink says otherwise
+  const permalink = guid.attr('isPermaLink') !== 'false' && /^https?:/i.test(guidText) ? guidText : null;
+  const description = childText(item, 'description');
+  const content = childText(item, 'content:encoded');
+  const published = parseFeedDate(childText(item, ['pubDate', 'dc:date']));
+
+  return {
+    id: guidText || link,
+    title: childText(item, ['title', 'dc:title']),
+    link: link ? resolveUrl(link, baseUrl) : permalink,
+    author: readRssAuthor(item),
+    published,
+    updated: parseFeedDate(childText(item, ['atom:updated', 'dc:modified'])) || published,
+    summary: description,
+    content: content || description,
+    categories: children(item, ['category', 'dc:subject']).map((i, element) => $(element).text().trim()).get().filter(Boolean),
+    enclosures: readEnclosures($, item, baseUrl),
+    thumbnail: readThumbnail(item, baseUrl)
+  };
+};
+
+/**
+ * Parse an Atom entry
+ * @param {Function} $ - Cheerio instance for the feed
+ * @param {Object} entry - Entry element
+ * @param {string} baseUrl - Base URL for relative URLs
+ * @param {string} feedAuthor - The feed's author, which entries without their own inherit
+ * @returns {Object} - Normalized item
+ */
+const parseAtomEntry = ($, entry, baseUrl, feedAuthor) => {
+  const link = readAtomLink($, entry, baseUrl);
+  const updated = parseFeedDate(childText(entry, 'updated'));
+  const summary = readAtomText(children(entry, 'summary').first());
+  const content = readAtomText(children(entry, 'content').first());
+
+  return {
+    id: childText(entry, 'id') || link,
+    title: readAtomText(children(entry, 'title').first()),
+    link,
+    author: readAtomAuthor(entry) || feedAuthor,
+    published: parseFeedDate(childText(entry, ['published', 'issued'])) || updated,
+    updated,
+    summary,
+    content: content || summary,
+    categories: children(entry, 'category').map((i, element) => $(element).attr('term') || $(element).text().trim()).get().filter(Boolean),
+    enclosures: readEnclosures($, entry, baseUrl),
+    thumbnail: readThumbnail(entry, baseUrl)
+  };
+};
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom feed
+ * @param {string} xml - The feed body
+ * @param {Function} load - Loads XML into a cheerio instance, e.g. `xml => cheerio.load(xml, { xmlMode: true })`
+ * @param {string} baseUrl - URL the feed was fetched from, for relative links
+ * @returns {Object|null} - `{ format, title, link, description, updated, author, image, items }` where
+ * format is 'rss', 'rdf' or 'atom' and items are `{ id, title, link, author, published, updated,
+ * summary, content, categories, enclosures, thumbnail }`; null when the XML is not a feed
+ */
+export const parseFeed = (xml, load, baseUrl = '') => {
+  const $ = load(String(xml || '').replace(/^\uFEFF/, '').trim());
+  const root = $.root().children().filter((i, element) => element.type === 'tag').first();
+  const rootName = root.length ? root[0].name : '';
+
+  if (rootName === 'feed') {
+    const feedBase = resolveUrl(root.attr('xml:base'), baseUrl) || baseUrl;
+    const author = readAtomAuthor(root);
+
+    return {
+      format: 'atom',
+      title: readAtomText(children(root, 'title').first()),
+      link: readAtomLink($, root, feedBase),
+      description: readAtomText(children(root, 'subtitle').first()),
+      updated: parseFeedDate(childText(root, 'updated')),
+      author,
+      image: resolveUrl(childText(root, ['logo', 'icon']), feedBase),
+      items: children(root, 'entry').map((i, element) => parseAtomEntry($, $(element), feedBase, author)).get()
+    };
+  }
+
+  if (rootName !== 'rss' && rootName !== 'rdf:RDF') {
+    return null;
+  }
+
+  const channel = children(root, 'channel').first();
+  // RSS 1.0 keeps its items and image beside the channel rather than inside it
+  const container = rootName === 'rss' ? channel : root;
+  const image = children(container, 'image').first();
+  const link = childText(channel, 'link');
+  const items = children(container, 'item').map((i, element) => parseRssItem($, $(element), baseUrl)).get();
+
+  return {
+    format: rootName === 'rss' ? 'rss' : 'rdf',
+    title: childText(channel, ['title', 'dc:title']),
+    link: link ? resolveUrl(link, baseUrl) : null,
+    description: childText(channel, ['description', 'dc:description']),
+    updated: parseFeedDate(childText(channel, ['lastBuildDate', 'pubDate', 'dc:date']))
+      || items.reduce((latest, item) => (item.published && (!latest || item.published > latest) ? item.published : latest), null),
+    author: readRssAuthor(channel),
+    image: image.length ? resolveUrl(childText(image, 'url') || image.attr('rdf:resource'), baseUrl) : null,
+    items
+  };
+};
+
+/**
+ * Find the feeds a page advertises with `<link rel="alternate">`
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} pageUrl - URL of the page, for relative hrefs
+ * @returns {Array} - Feeds as `{ url, title, type }`, in document order
+ */
+export const findFeedLinks = ($, pageUrl = '') => {
+  const baseUrl = getDocumentBaseUrl($, pageUrl);
+  const feeds = [];
+
+  $('link[rel~="alternate"][href]').each((i, element) => {
+    const type = String($(element).attr('type') || '').split(';')[0].trim().toLowerCase();
+    const url = resolveUrl($(element).attr('href'), baseUrl);
+
+    if (FEED_MIME_TYPES.includes(type) && url && !feeds.some(feed => feed.url === url)) {
+      feeds.push({ url, title: $(element).attr('title') || null, type });
+    }
+  });
+
+  return feeds;
+};
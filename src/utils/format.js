@@ -0,0 +1,316 @@
+/**
+ * format.js
+ * Conversion of extracted HTML to structured plain text and Markdown
+ */
+
+import { resolveUrl, getImageSrc } from './url';
+import { parseTable } from './tables';
+
+export const OUTPUT_FORMATS = ['plain', 'text', 'markdown', 'html'];
+
+// Elements with nothing readable in them
+const SKIP_TAGS = [
+  'script', 'style', 'noscript', 'template', 'head', 'title', 'meta', 'link', 'iframe', 'object',
+  'embed', 'svg', 'canvas', 'button', 'input', 'select', 'textarea', 'option', 'map', 'audio', 'video'
+];
+
+// Elements that start on a new line, with a blank line after them; list items
+// only get markers inside a list
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'body', 'caption', 'center', 'dd', 'details', 'dialog', 'div', 'dl',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'html', 'legend', 'li',
+  'main', 'nav', 'p', 'section', 'summary'
+];
+
+// Stands in for text that later whitespace clean-up must not touch
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+/**
+ * Escape characters Markdown would read as formatting
+ * @param {string} text - Text from the document
+ * @returns {string} - Escaped text
+ */
+const escapeMarkdown = (text) => text
+  .replace(/([\\`*_[\]])/g, '\\$1')
+  .replace(/^(\s*)([#>+-])(?=\s)/, '$1\\$2')
+  .replace(/^(\s*\d+)\.(?=\s)/, '$1\\.');
+
+/**
+ * Make a URL safe to use as a Markdown link target
+ * @param {string} url - Absolute URL
+ * @returns {string} - URL with spaces and parentheses encoded
+ */
+const escapeLinkTarget = (url) => url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+/**
+ * Convert elements to structured text or Markdown
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} selection - Cheerio selection to convert
+ * @param {string} format - 'text' or 'markdown'
+ * @param {Object} options - Conversion options
+ * @param {string} options.baseUrl - Base URL for links and images
+ * @param {boolean} options.links - Include link targets in text (default true)
+ * @returns {string} - Converted content, with one blank line between blocks
+ */
+const convert = ($, selection, format, options = {}) => {
+  const markdown = format === 'markdown';
+  const showLinks = options.links !== false;
+  const preserved = [];
+
+  const protect = (text) => {
+    preserved.push(text);
+    return `\u0000${preserved.length - 1}\u0000`;
+  };
+
+  const restore = (text) => text.replace(PLACEHOLDER, (match, index) => restore(preserved[index]));
+
+  // Trim every line and leave at most one blank line between blocks
+  const tidy = (text) => text
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  // Prefix each line, keeping the prefixes safe from tidying further up
+  const prefixLines = (text, first, rest = first) => restore(text)
+    .split('\n')
+    .map((line, index) => protect(`${index === 0 ? first : rest}${line}`.replace(/\s+$/, '')))
+    .join('\n');
+
+  const block = (content) => {
+    const text = tidy(content);
+    return text ? `\n\n${text}\n\n` : '';
+  };
+
+  const resolve = (url) => resolveUrl(url, options.baseUrl || '') || url;
+
+  // Put delimiters around trimmed content, e.g. ' **bold** ' rather than '** bold **'
+  const wrap = (content, delimiter) => {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}` : content;
+  };
+
+  const renderChildren = (node) => (node.children || []).map(render).join('');
+
+  const renderList = (node) => {
+    const ordered = node.name.toLowerCase() === 'ol';
+    const start = parseInt($(node).attr('start'), 10);
+    const items = (node.children || []).filter(child => child.type === 'tag' && child.name.toLowerCase() === 'li');
+
+    const lines = items.map((item, index) => {
+      const marker = ordered ? `${(isNaN(start) ? 1 : start) + index}. ` : '- ';
+      let content = tidy(renderChildren(item));
+
+      // Items made of paragraphs keep their blank lines; others are tight
+      if (!$(item).children('p').length) {
+        content = content.replace(/\n{2,}/g, '\n');
+      }
+
+      return prefixLines(content, marker, ' '.repeat(marker.length));
+    });
+
+    return lines.length ? `\n\n${lines.join('\n')}\n\n` : '';
+  };
+
+  const renderTable = (node) => {
+    const { caption, headers, rows } = parseTable($, node);
+    const cell = value => (markdown ? escapeMarkdown(value).replace(/\|/g, '\\|') : value);
+    const lines = [];
+
+    if (!headers.length) {
+      return '';
+    }
+
+    if (markdown) {
+      lines.push(`| ${headers.map(cell).join(' | ')} |`);
+      lines.push(`| ${headers.map(() => '---').join(' | ')} |`);
+      rows.forEach(row => lines.push(`| ${headers.map(header => cell(row[header])).join(' | ')} |`));
+    } else {
+      lines.push(headers.join(' | '));
+      rows.forEach(row => lines.push(headers.map(header => row[header]).join(' | ')));
+    }
+
+    return `${caption ? block(caption) : ''}\n\n${prefixLines(lines.join('\n'), '')}\n\n`;
+  };
+
+  const render = (node) => {
+    if (node.type === 'text') {
+      const text = node.data.replace(/[ \t\n\r\f]+/g, ' ');
+      return markdown ? escapeMarkdown(text) : text;
+    }
+
+    if (node.type === 'root') {
+      return renderChildren(node);
+    }
+
+    if (!node.name || node.type === 'comment' || node.type === 'directive') {
+      return '';
+    }
+
+    const element = $(node);
+    const tag = node.name.toLowerCase();
+
+    if (SKIP_TAGS.includes(tag) || element.attr('hidden') !== undefined) {
+      return '';
+    }
+
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const content = tidy(renderChildren(node)).replace(/\n+/g, ' ');
+        return content ? block(markdown ? `${'#'.repeat(Number(tag[1]))} ${content}` : content) : '';
+      }
+      case 'br':
+        // Two trailing spaces make a Markdown line break
+        return markdown ? `${protect('  ')}\n` : '\n';
+      case 'hr':
+        return markdown ? block('---') : '\n\n';
+      case 'strong':
+      case 'b':
+        return markdown ? wrap(renderChildren(node), '**') : renderChildren(node);
+      case 'em':
+      case 'i':
+      case 'cite':
+        return markdown ? wrap(renderChildren(node), '_') : renderChildren(node);
+      case 'del':
+      case 's':
+      case 'strike':
+        return markdown ? wrap(renderChildren(node), '~~') : renderChildren(node);
+      case 'code':
+      case 'kbd':
+      case 'samp': {
+        const code = element.text();
+
+        if (!markdown || !code) {
+          return code;
+        }
+
+        // A fence longer than any run of backticks in the code
+        const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+        const fence = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(code) ? ' ' : '';
+        return protect(`${fence}${pad}${code}${pad}${fence}`);
+      }
+      case 'pre': {
+        const code = element.text().replace(/\n$/, '');
+        const language = ((element.attr('class') || element.children('code').attr('class') || '')
+          .match(/(?:^|\s)(?:lang|language)-(\S+)/) || [])[1] || '';
+
+        if (!markdown) {
+          return `\n\n${prefixLines(code, '')}\n\n`;
+        }
+
+        const longest = (code.match(/^`{3,}/gm) || []).reduce((max, run) => Math.max(max, run.length), 2);
+        const fence = '`'.repeat(longest + 1);
+        return `\n\n${prefixLines(`${fence}${language}\n${code}\n${fence}`, '')}\n\n`;
+      }
+      case 'a': {
+        const content = renderChildren(node);
+        const href = (element.attr('href') || '').trim();
+
+        if (!href || /^javascript:/i.test(href)) {
+          return content;
+        }
+
+        const url = resolve(href);
+
+        if (!markdown) {
+          return showLinks && content.trim() && !href.startsWith('#') && content.trim() !== url
+            ? `${content} (${url})`
+            : content;
+        }
+
+        if (!content.trim()) {
+          return '';
+        }
+
+        const title = element.attr('title');
+        return `[${content.trim()}](${escapeLinkTarget(url)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+      }
+      case 'img': {
+        const url = getImageSrc(element);
+
+        if (!markdown || !url || url.startsWith('data:')) {
+          return '';
+        }
+
+        const alt = escapeMarkdown((element.attr('alt') || '').replace(/\s+/g, ' ').trim());
+        const title = element.attr('title');
+        return `![${alt}](${escapeLinkTarget(resolve(url))}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+      }
+      case 'ul':
+      case 'ol':
+        return renderList(node);
+      case 'blockquote': {
+        const content = tidy(renderChildren(node));
+        return content ? `\n\n${prefixLines(content, markdown ? '> ' : '  ')}\n\n` : '';
+      }
+      case 'table':
+        return renderTable(node);
+      case 'dt':
+        return block(markdown ? wrap(renderChildren(node), '**') : renderChildren(node));
+      default:
+        return BLOCK_TAGS.includes(tag) ? block(renderChildren(node)) : renderChildren(node);
+    }
+  };
+
+  const content = selection.get().map(render).join('\n\n');
+  return restore(tidy(content));
+};
+
+/**
+ * Convert elements to plain text that keeps their structure
+ *
+ * Blocks are separated by blank lines, `<br>` becomes a line break, list
+ * items get '- ' or '1. ' markers, table rows have cells joined by ' | ' and
+ * links are followed by their absolute URL in brackets.
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} selection - Cheerio selection to convert
+ * @param {Object} options - Conversion options
+ * @param {string} options.baseUrl - Base URL for links
+ * @param {boolean} options.links - Follow link text with its URL (default true)
+ * @returns {string} - Structured text
+ */
+export const toStructuredText = ($, selection, options = {}) => convert($, selection, 'text', options);
+
+/**
+ * Convert elements to Markdown
+ *
+ * Keeps headings, bold, italic and struck-out text, links, images, lists,
+ * block quotes, inline code, fenced code blocks (with the language from a
+ * `language-*` class) and tables. Link and image URLs are made absolute.
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} selection - Cheerio selection to convert
+ * @param {Object} options - Conversion options
+ * @param {string} options.baseUrl - Base URL for links and images
+ * @returns {string} - Markdown
+ */
+export const toMarkdown = ($, selection, options = {}) => convert($, selection, 'markdown', options);
+
+/**
+ * Read a selection in one of the output formats
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} selection - Cheerio selection to read
+ * @param {string} format - 'plain' (all text run together, the default), 'text', 'markdown' or 'html'
+ * @param {string} baseUrl - Base URL for links and images
+ * @returns {string|null} - Content in the format; null for 'html' when nothing matched
+ */
+export const formatContent = ($, selection, format = 'plain', baseUrl = '') => {
+  switch (format) {
+    case 'plain':
+      return selection.text().trim();
+    case 'text':
+      return toStructuredText($, selection, { baseUrl });
+    case 'markdown':
+      return toMarkdown($, selection, { baseUrl });
+    case 'html':
+      return selection.html();
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+};
@@ -0,0 +1,211 @@
+/**
+ * forms.js
+ * HTML form discovery, serialization and encoding for form-based logins
+ */
+
+// Input types that never contribute a value of their own
+const SKIPPED_INPUT_TYPES = ['submit', 'button', 'image', 'reset', 'file'];
+
+// Input types a username or email can be typed into
+const TEXT_INPUT_TYPES = ['text', 'email', 'tel'];
+
+const SUBMIT_BUTTONS = 'button:not([type]), button[type="submit"], input[type="submit"]';
+
+/**
+ * Find the form to submit on a page
+ *
+ * Without a selector, the form holding a password field wins, then the
+ * first form on the page.
+ * @param {Function} $ - Cheerio instance
+ * @param {string} formSelector - CSS selector for the form, or for an element inside it (optional)
+ * @returns {Object|null} - Cheerio selection of the form, or null if there is none
+ */
+export const findForm = ($, formSelector) => {
+  let form;
+
+  if (formSelector) {
+    const match = $(formSelector).first();
+    form = match.is('form') ? match : match.closest('form');
+  } else {
+    form = $('input[type="password"]').first().closest('form');
+
+    if (!form.length) {
+      form = $('form').first();
+    }
+  }
+
+  return form.length ? form : null;
+};
+
+/**
+ * Get the type of an input, lowercased, with the HTML default of 'text'
+ * @param {Object} input - Cheerio selection of an input
+ * @returns {string} - Input type
+ */
+const getInputType = (input) => (input.attr('type') || 'text').trim().toLowerCase();
+
+/**
+ * Collect the fields a browser would submit for a form
+ *
+ * Hidden inputs such as CSRF tokens are kept. Disabled fields, unchecked
+ * checkboxes and radios, buttons and file inputs are left out.
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} form - Cheerio selection of the form
+ * @returns {Array} - Entries as `{ name, value }`, in document order
+ */
+export const serializeForm = ($, form) => {
+  const entries = [];
+
+  form.find('input, select, textarea').each((i, el) => {
+    const field = $(el);
+    const name = field.attr('name');
+
+    if (!name || field.attr('disabled') !== undefined) {
+      return;
+    }
+
+    if (el.name === 'select') {
+      const options = field.find('option');
+      let selected = options.filter((j, option) => $(option).attr('selected') !== undefined);
+
+      if (!selected.length && field.attr('multiple') === undefined) {
+        selected = options.filter((j, option) => $(option).attr('disabled') === undefined).first();
+      }
+
+      selected.each((j, option) => {
+        const value = $(option).attr('value');
+        entries.push({ name, value: value !== undefined ? value : $(option).text().trim() });
+      });
+      return;
+    }
+
+    if (el.name === 'textarea') {
+      entries.push({ name, value: field.text() });
+      return;
+    }
+
+    const type = getInputType(field);
+
+    if (SKIPPED_INPUT_TYPES.includes(type)) {
+      return;
+    }
+
+    if ((type === 'checkbox' || type === 'radio') && field.attr('checked') === undefined) {
+      return;
+    }
+
+    const value = field.attr('value');
+    entries.push({ name, value: value !== undefined ? value : (type === 'checkbox' || type === 'radio' ? 'on' : '') });
+  });
+
+  return entries;
+};
+
+/**
+ * Get the submit button a browser would use when Enter is pressed
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} form - Cheerio selection of the form
+ * @returns {Object|null} - Cheerio selection of the button, or null if the form has none
+ */
+export const getSubmitButton = ($, form) => {
+  const button = form.find(SUBMIT_BUTTONS).filter((i, el) => $(el).attr('disabled') === undefined).first();
+  return button.length ? button : null;
+};
+
+/**
+ * Find the names of a form's username and password fields
+ *
+ * The username field is the last text or email input before the password
+ * field, which is how login forms are almost always laid out.
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} form - Cheerio selection of the form
+ * @returns {Object} - `{ username, password }` field names; either may be null
+ */
+export const findCredentialFields = ($, form) => {
+  const inputs = form.find('input').toArray().map(el => $(el));
+  const passwordIndex = inputs.findIndex(input => getInputType(input) === 'password');
+  const textInputs = inputs.filter((input, index) => (
+    TEXT_INPUT_TYPES.includes(getInputType(input)) &&
+    (passwordIndex === -1 || index < passwordIndex)
+  ));
+  const username = passwordIndex === -1 ? textInputs[0] : textInputs[textInputs.length - 1];
+
+  return {
+    username: (username && username.attr('name')) || null,
+    password: passwordIndex === -1 ? null : inputs[passwordIndex].attr('name') || null
+  };
+};
+
+/**
+ * Fill form entries with values
+ *
+ * Keys are field names. The keys `username` and `password` also match the
+ * form's detected credential fields when no field has that exact name.
+ * Fields missing from the form are appended. An array value replaces every
+ * entry with that name.
+ * @param {Array} entries - Entries from serializeForm
+ * @param {Object} fields - Values keyed by field name
+ * @param {Object} credentialFields - Result of findCredentialFields
+ * @returns {Array} - New entries, in document order with appended fields last
+ */
+export const fillForm = (entries, fields = {}, credentialFields = {}) => {
+  let filled = [...entries];
+
+  Object.keys(fields).forEach(key => {
+    const exists = filled.some(entry => entry.name === key);
+    const name = !exists && credentialFields[key] ? credentialFields[key] : key;
+    const values = Array.isArray(fields[key]) ? fields[key] : [fields[key]];
+    const index = filled.findIndex(entry => entry.name === name);
+
+    filled = filled.filter(entry => entry.name !== name);
+    const replacements = values.map(value => ({ name, value: value === null || value === undefined ? '' : String(value) }));
+
+    filled.splice(index === -1 ? filled.length : index, 0, ...replacements);
+  });
+
+  return filled;
+};
+
+/**
+ * Percent-encode a form value the way browsers do, with spaces as '+'
+ * @param {string} value - Value to encode
+ * @returns {string} - Encoded value
+ */
+const encodeFormComponent = (value) => encodeURIComponent(value).replace(/%20/g, '+');
+
+/**
+ * Encode form entries as application/x-www-form-urlencoded
+ * @param {Array} entries - Entries as `{ name, value }`
+ * @returns {string} - Encoded body or query string
+ */
+export const toUrlEncoded = (entries) => entries
+  .map(({ name, value }) => `${encodeFormComponent(name)}=${encodeFormComponent(value)}`)
+  .join('&');
+
+/**
+ * Encode form entries for a request body
+ *
+ * multipart/form-data uses the platform FormData, which sets its own
+ * boundary, so no Content-Type is returned for it.
+ * @param {Array} entries - Entries as `{ name, value }`
+ * @param {string} enctype - Form enctype (default application/x-www-form-urlencoded)
+ * @returns {Object} - `{ data, contentType }`
+ */
+export const encodeForm = (entries, enctype) => {
+  const type = String(enctype || '').trim().toLowerCase();
+
+  if (type === 'multipart/form-data' && typeof FormData !== 'undefined') {
+    const data = new FormData();
+    entries.forEach(({ name, value }) => data.append(name, value));
+    return { data, contentType: null };
+  }
+
+  if (type === 'text/plain') {
+    return {
+      data: entries.map(({ name, value }) => `${name}=${value}\r\n`).join(''),
+      contentType: 'text/plain'
+    };
+  }
+
+  return { data: toUrlEncoded(entries), contentType: 'application/x-www-form-urlencoded' };
+};
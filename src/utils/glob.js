@@ -0,0 +1,67 @@
+/**
+ * glob.js
+ * Glob patterns for matching URLs in crawl scopes and sitemap filters
+ */
+
+import { parseUrl } from './url';
+
+/**
+ * Compile a glob into a regular expression
+ *
+ * `**` matches anything, `*` matches anything except '/', and `?` matches
+ * one character other than '/'. Everything else is literal.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+export const globToRegExp = (glob) => {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`, 'i');
+};
+
+/**
+ * Check whether a URL matches a glob or regular expression
+ *
+ * Globs starting with '/' are matched against the path and query only, so
+ * `/blog/**` matches blog pages on any site. Other globs are matched against
+ * the whole URL, e.g. `https://*.example.com/**`.
+ * @param {string} url - Absolute URL
+ * @param {string|RegExp} pattern - Glob, or a regular expression tested against the whole URL
+ * @returns {boolean} - True if the URL matches
+ */
+export const matchesPattern = (url, pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+
+  if (pattern.startsWith('/')) {
+    const { path, query } = parseUrl(url);
+    const target = `${path || '/'}${query !== undefined ? `?${query}` : ''}`;
+    return globToRegExp(pattern).test(target);
+  }
+
+  return globToRegExp(pattern).test(url);
+};
+
+/**
+ * Check whether a URL matches any of several patterns
+ * @param {string} url - Absolute URL
+ * @param {Array} patterns - Globs or regular expressions
+ * @returns {boolean} - True if any pattern matches
+ */
+export const matchesAnyPattern = (url, patterns) => patterns.some(pattern => matchesPattern(url, pattern));
@@ -0,0 +1,25 @@
+/**
+ * gzip.js
+ * Inflating gzipped response bodies
+ *
+ * Servers compress bodies with Content-Encoding, which the platform undoes,
+ * but files such as sitemap.xml.gz arrive still gzipped. React Native has no
+ * zlib, so they are inflated with pako.
+ */
+
+import { ungzip } from 'pako';
+
+/**
+ * Check whether bytes start with the gzip magic number
+ * @param {Uint8Array} bytes - Response body
+ * @returns {boolean} - True if the body is gzipped
+ */
+export const isGzip = (bytes) => !!bytes && bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+/**
+ * Inflate gzipped bytes
+ * @param {Uint8Array} bytes - Gzipped body
+ * @returns {Uint8Array} - Inflated body
+ * @throws {Error} - When the data is corrupt
+ */
+export const gunzip = (bytes) => ungzip(bytes);
@@ -0,0 +1,20 @@
+/**
+ * headers.js
+ * Helpers for working with HTTP response headers
+ */
+
+/**
+ * Copy response headers into a plain, JSON-serializable object
+ * @param {Object} headers - Axios response headers
+ * @returns {Object} - Headers keyed by lowercased name
+ */
+export const toPlainHeaders = (headers = {}) => {
+  const source = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  const plain = {};
+
+  Object.keys(source).forEach(name => {
+    plain[name.toLowerCase()] = source[name];
+  });
+
+  return plain;
+};
@@ -0,0 +1,440 @@
+/**
+ * metadata.js
+ * Page metadata: document head, Open Graph, Twitter Cards, JSON-LD,
+ * microdata and RDFa
+ */
+
+import { resolveUrl, getDocumentBaseUrl, getOrigin } from './url';
+
+// Open Graph properties that describe media and repeat with their own sub-properties
+const OPEN_GRAPH_MEDIA = ['image', 'video', 'audio'];
+
+// Open Graph sub-properties holding URLs
+const OPEN_GRAPH_URLS = ['url', 'secure_url'];
+
+// Meta property prefixes that belong to Open Graph rather than RDFa
+const OPEN_GRAPH_PREFIX = /^(og|fb|article|book|profile|product|music|video|twitter):/;
+
+const SCHEMA_ORG = /^https?:\/\/schema\.org\//i;
+
+/**
+ * Add a value under a key, turning repeated keys into arrays
+ * @param {Object} target - Object to add to
+ * @param {string} key - Property name
+ * @param {*} value - Value to add
+ */
+const addValue = (target, key, value) => {
+  if (target[key] === undefined) {
+    target[key] = value;
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value);
+  } else {
+    target[key] = [target[key], value];
+  }
+};
+
+/**
+ * Shorten schema.org type URLs to their names, e.g. 'https://schema.org/Product' to 'Product'
+ * @param {string} types - Space-separated type URLs or CURIEs
+ * @returns {string|Array|null} - Type name, names when there are several, or null
+ */
+const readTypes = (types) => {
+  const list = String(types || '').trim().split(/\s+/).filter(Boolean)
+    .map(type => type.replace(SCHEMA_ORG, '').replace(/^schema:/, ''));
+
+  if (list.length === 0) {
+    return null;
+  }
+
+  return list.length === 1 ? list[0] : list;
+};
+
+/**
+ * Read Open Graph properties, including article:, product: and other namespaces
+ *
+ * `og:image`, `og:video` and `og:audio` become lists of objects, so that
+ * `og:image:width` stays with the image it follows. Other namespaces are
+ * nested, e.g. `article:published_time` as `article.published_time`.
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} baseUrl - Base URL for media URLs
+ * @returns {Object} - Open Graph data
+ */
+const readOpenGraph = ($, baseUrl) => {
+  const openGraph = {};
+
+  $('meta[property][content]').each((i, element) => {
+    const property = $(element).attr('property').trim();
+    let content = $(element).attr('content').trim();
+    const match = property.match(OPEN_GRAPH_PREFIX);
+
+    if (!match || match[1] === 'twitter') {
+      return;
+    }
+
+    const [, name, sub] = property.slice(match[0].length).match(/^([^:]*)(?::(.*))?$/);
+
+    if (match[1] !== 'og') {
+      openGraph[match[1]] = openGraph[match[1]] || {};
+      addValue(openGraph[match[1]], property.slice(match[0].length), content);
+      return;
+    }
+
+    if (!OPEN_GRAPH_MEDIA.includes(name)) {
+      if (name === 'url') {
+        content = resolveUrl(content, baseUrl) || content;
+      }
+
+      addValue(openGraph, sub ? `${name}:${sub}` : name, content);
+      return;
+    }
+
+    const media = openGraph[name] = openGraph[name] || [];
+    const field = sub || 'url';
+
+    if (OPEN_GRAPH_URLS.includes(field)) {
+      content = resolveUrl(content, baseUrl) || content;
+    }
+
+    // og:image (or og:image:url) starts a new image; the rest describe the last one
+    if (field === 'url' || media.length === 0 || media[media.length - 1][field] !== undefined) {
+      media.push({});
+    }
+
+    media[media.length - 1][field] = content;
+  });
+
+  return openGraph;
+};
+
+/**
+ * Read Twitter Card properties
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} baseUrl - Base URL for image and player URLs
+ * @returns {Object} - Card data keyed by the name after 'twitter:', e.g. `{ card, site, 'image:alt' }`
+ */
+const readTwitterCard = ($, baseUrl) => {
+  const twitter = {};
+
+  $('meta[name^="twitter:"], meta[property^="twitter:"]').each((i, element) => {
+    const name = ($(element).attr('name') || $(element).attr('property')).trim().slice('twitter:'.length);
+    let content = ($(element).attr('content') || $(element).attr('value') || '').trim();
+
+    if (!content || twitter[name] !== undefined) {
+      return;
+    }
+
+    if (name === 'image' || name === 'image:src' || name === 'player') {
+      content = resolveUrl(content, baseUrl) || content;
+    }
+
+    twitter[name] = content;
+  });
+
+  return twitter;
+};
+
+/**
+ * Split JSON-LD into its items, flattening arrays and `@graph`
+ * @param {*} data - Parsed JSON-LD
+ * @param {*} context - `@context` inherited from the enclosing block
+ * @returns {Array} - Items, each keeping or inheriting its `@context`
+ */
+const flattenJsonLd = (data, context) => {
+  if (Array.isArray(data)) {
+    return data.reduce((items, item) => items.concat(flattenJsonLd(item, context)), []);
+  }
+
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const itemContext = data['@context'] !== undefined ? data['@context'] : context;
+
+  if (Array.isArray(data['@graph'])) {
+    return flattenJsonLd(data['@graph'], itemContext);
+  }
+
+  return [itemContext !== undefined && data['@context'] === undefined ? { '@context': itemContext, ...data } : data];
+};
+
+/**
+ * Read every JSON-LD block on the page
+ *
+ * Blocks that are not valid JSON are skipped; HTML comment and CDATA
+ * wrappers some CMSs add are tolerated.
+ * @param {Function} $ - Cheerio instance for the page
+ * @returns {Array} - JSON-LD items
+ */
+const readJsonLd = ($) => {
+  const items = [];
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    const text = ($(element).html() || '')
+      .trim()
+      .replace(/^(?:<!--|\/\/\s*<!\[CDATA\[|<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\/\/\s*\]\]>|\]\]>)$/, '')
+      .trim();
+
+    try {
+      items.push(...flattenJsonLd(JSON.parse(text)));
+    } catch (error) {
+      // A broken block shouldn't hide the others
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Read the value of a microdata property element
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} element - The element with itemprop
+ * @param {string} baseUrl - Base URL for URL properties
+ * @returns {string} - Property value, per the HTML microdata rules
+ */
+const readMicrodataValue = ($, element, baseUrl) => {
+  const el = $(element);
+  const tag = (element.name || '').toLowerCase();
+
+  if (el.attr('content') !== undefined) {
+    return el.attr('content').trim();
+  }
+
+  switch (tag) {
+    case 'audio':
+    case 'embed':
+    case 'iframe':
+    case 'img':
+    case 'source':
+    case 'track':
+    case 'video':
+      return resolveUrl(el.attr('src'), baseUrl) || '';
+    case 'a':
+    case 'area':
+    case 'link':
+      return resolveUrl(el.attr('href'), baseUrl) || '';
+    case 'object':
+      return resolveUrl(el.attr('data'), baseUrl) || '';
+    case 'data':
+    case 'meter':
+      return (el.attr('value') || '').trim();
+    case 'time':
+      return (el.attr('datetime') || el.text()).trim();
+    default:
+      return el.text().trim();
+  }
+};
+
+/**
+ * Read a microdata item and its properties
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} element - The element with itemscope
+ * @param {string} baseUrl - Base URL for URL properties
+ * @param {Array} ancestors - Items being read, to stop itemref cycles
+ * @returns {Object} - Item with `@type`, `@id` and its properties; repeated properties become arrays
+ */
+const readMicrodataItem = ($, element, baseUrl, ancestors = []) => {
+  const el = $(element);
+  const item = {};
+  const type = readTypes(el.attr('itemtype'));
+
+  if (type) item['@type'] = type;
+  if (el.attr('itemid')) item['@id'] = resolveUrl(el.attr('itemid'), baseUrl);
+
+  // Properties may live outside the item, pulled in by itemref
+  const roots = [element];
+  String(el.attr('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+    const referenced = $(`[id="${id.replace(/"/g, '\\"')}"]`).get(0);
+    if (referenced) roots.push(referenced);
+  });
+
+  const visit = (node, isRoot) => {
+    const current = $(node);
+
+    if (!isRoot && current.attr('itemprop') !== undefined) {
+      const value = current.attr('itemscope') !== undefined
+        ? (ancestors.includes(node) ? null : readMicrodataItem($, node, baseUrl, [...ancestors, element]))
+        : readMicrodataValue($, node, baseUrl);
+
+      current.attr('itemprop').trim().split(/\s+/).filter(Boolean).forEach(name => {
+        addValue(item, name.replace(SCHEMA_ORG, ''), value);
+      });
+    }
+
+    // A nested item's own properties belong to it
+    if (isRoot || current.attr('itemscope') === undefined) {
+      current.children().each((i, child) => visit(child, false));
+    }
+  };
+
+  roots.forEach(root => visit(root, root === element || $(root).attr('itemprop') === undefined));
+  return item;
+};
+
+/**
+ * Read the top-level microdata items on the page
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} baseUrl - Base URL for URL properties
+ * @returns {Array} - Items
+ */
+const readMicrodata = ($, baseUrl) => $('[itemscope]')
+  .filter((i, element) => $(element).attr('itemprop') === undefined)
+  .map((i, element) => readMicrodataItem($, element, baseUrl))
+  .get();
+
+/**
+ * Read the value of an RDFa property element
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} element - The element with property
+ * @param {string} baseUrl - Base URL for URL properties
+ * @returns {string} - Property value
+ */
+const readRdfaValue = ($, element, baseUrl) => {
+  const el = $(element);
+
+  if (el.attr('content') !== undefined) {
+    return el.attr('content').trim();
+  }
+
+  const url = el.attr('resource') || el.attr('href') || el.attr('src');
+
+  if (url) {
+    return resolveUrl(url, baseUrl) || url;
+  }
+
+  return (el.attr('datetime') || el.text()).trim();
+};
+
+/**
+ * Read an RDFa item (an element with typeof) and its properties
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {Object} element - The element with typeof
+ * @param {string} baseUrl - Base URL for URL properties
+ * @returns {Object} - Item with `@type`, `@id` and its properties
+ */
+const readRdfaItem = ($, element, baseUrl) => {
+  const el = $(element);
+  const item = {};
+  const type = readTypes(el.attr('typeof'));
+  const id = el.attr('resource') || el.attr('about');
+
+  if (type) item['@type'] = type;
+  if (id) item['@id'] = resolveUrl(id, baseUrl) || id;
+
+  const visit = (node) => {
+    $(node).children().each((i, child) => {
+      const current = $(child);
+      const property = current.attr('property');
+
+      if (property !== undefined) {
+        const value = current.attr('typeof') !== undefined
+          ? readRdfaItem($, child, baseUrl)
+          : readRdfaValue($, child, baseUrl);
+
+        property.trim().split(/\s+/).filter(name => name && !OPEN_GRAPH_PREFIX.test(name)).forEach(name => {
+          addValue(item, name.replace(SCHEMA_ORG, '').replace(/^schema:/, ''), value);
+        });
+      }
+
+      if (current.attr('typeof') === undefined) {
+        visit(child);
+      }
+    });
+  };
+
+  visit(element);
+  return item;
+};
+
+/**
+ * Read the top-level RDFa items on the page
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} baseUrl - Base URL for URL properties
+ * @returns {Array} - Items
+ */
+const readRdfa = ($, baseUrl) => $('[typeof]')
+  .filter((i, element) => $(element).attr('property') === undefined)
+  .map((i, element) => readRdfaItem($, element, baseUrl))
+  .get();
+
+/**
+ * Read the page's icons
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} baseUrl - Base URL for icon URLs
+ * @returns {Array} - Icons as `{ url, rel, sizes, type }`
+ */
+const readIcons = ($, baseUrl) => {
+  const icons = [];
+
+  $('link[rel~="icon"][href], link[rel~="apple-touch-icon"][href], link[rel~="apple-touch-icon-precomposed"][href], link[rel~="mask-icon"][href]')
+    .each((i, element) => {
+      const url = resolveUrl($(element).attr('href'), baseUrl);
+
+      if (url) {
+        icons.push({
+          url,
+          rel: $(element).attr('rel').trim().toLowerCase(),
+          sizes: $(element).attr('sizes') || null,
+          type: $(element).attr('type') || null
+        });
+      }
+    });
+
+  return icons;
+};
+
+/**
+ * Read a page's metadata
+ * @param {Function} $ - Cheerio instance for the page
+ * @param {string} pageUrl - URL of the page, for relative URLs
+ * @returns {Object} - `{ title, description, canonical, language, favicon, icons, openGraph, twitter,
+ * jsonLd, microdata, rdfa }`
+ */
+export const extractPageMetadata = ($, pageUrl = '') => {
+  const baseUrl = getDocumentBaseUrl($, pageUrl);
+  const openGraph = readOpenGraph($, baseUrl);
+  const twitter = readTwitterCard($, baseUrl);
+  const icons = readIcons($, baseUrl);
+  const first = value => (Array.isArray(value) ? value[0] : value);
+  const canonical = $('link[rel~="canonical"][href]').first().attr('href');
+  const favicon = icons.find(icon => /(^|\s)icon(\s|$)/.test(icon.rel)) || icons[0];
+  const origin = getOrigin(baseUrl);
+
+  return {
+    title: $('title').first().text().trim() || first(openGraph.title) || twitter.title || null,
+    description: ($('meta[name="description" i]').first().attr('content') || '').trim()
+      || first(openGraph.description) || twitter.description || null,
+    canonical: (canonical && resolveUrl(canonical, baseUrl)) || first(openGraph.url) || null,
+    language: ($('html').attr('lang') || $('meta[http-equiv="content-language" i]').attr('content') || '').trim()
+      || first(openGraph.locale) || null,
+    favicon: favicon ? favicon.url : (origin ? `${origin}/favicon.ico` : null),
+    icons,
+    openGraph,
+    twitter,
+    jsonLd: readJsonLd($),
+    microdata: readMicrodata($, baseUrl),
+    rdfa: readRdfa($, baseUrl)
+  };
+};
+
+/**
+ * Find the first schema.org item of a type in JSON-LD, microdata or RDFa
+ * @param {Object} metadata - Metadata from extractPageMetadata
+ * @param {string} type - Type name, e.g. 'Product' or 'NewsArticle'
+ * @returns {Object|null} - The item, or null if the page has none
+ */
+export const findMetadataItem = (metadata, type) => {
+  const wanted = String(type).replace(SCHEMA_ORG, '');
+  const matches = item => [].concat(item['@type'] || []).some(itemType => String(itemType).replace(SCHEMA_ORG, '') === wanted);
+
+  return [...metadata.jsonLd, ...metadata.microdata, ...metadata.rdfa].find(matches) || null;
+};
+
+/**
+ * Read a value by dot path, e.g. 'offers.price' or 'image.0.url'
+ * @param {*} value - Object to read from
+ * @param {string} path - Dot-separated keys and array indexes
+ * @returns {*} - The value, or undefined if the path does not exist
+ */
+export const getValueAtPath = (value, path) => String(path || '').split('.').filter(Boolean)
+  .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
@@ -0,0 +1,174 @@
+/**
+ * pagination.js
+ * Next-page discovery and result merging for paginated scrapes
+ */
+
+import { resolveUrl, getDocumentBaseUrl, classifyUrl, setQueryParam } from './url';
+import { isEmptyValue } from './transforms';
+import { selectElements } from './selectors';
+
+export const PAGINATION_TYPES = ['next', 'relNext', 'template', 'offset', 'cursor'];
+
+/**
+ * Check pagination settings before any page is fetched
+ * @param {Object} paginate - Pagination settings
+ * @param {string} url - URL passed to scrapePaginated
+ * @throws {Error} - When a setting the pagination type needs is missing
+ */
+export const validatePagination = (paginate, url) => {
+  if (!PAGINATION_TYPES.includes(paginate.type)) {
+    throw new Error(`Unknown pagination type: ${paginate.type}`);
+  }
+
+  if (paginate.type === 'next' && !paginate.selector) {
+    throw new Error('Pagination type "next" needs a selector');
+  }
+
+  if (paginate.type === 'template' && !(paginate.template || url).includes('{page}')) {
+    throw new Error('Pagination type "template" needs a URL containing {page}');
+  }
+
+  if (paginate.type === 'offset' && !paginate.step) {
+    throw new Error('Pagination type "offset" needs a step, e.g. the number of results per page');
+  }
+
+  if (paginate.type === 'cursor' && !paginate.selector && typeof paginate.getCursor !== 'function') {
+    throw new Error('Pagination type "cursor" needs a selector or a getCursor function');
+  }
+};
+
+/**
+ * Get the counter value of the first page
+ * @param {Object} paginate - Pagination settings
+ * @returns {number} - `start` if given, otherwise 1 for templates and 0 for offsets
+ */
+const getStart = (paginate) => {
+  if (paginate.start !== undefined) {
+    return paginate.start;
+  }
+
+  return paginate.type === 'template' ? 1 : 0;
+};
+
+/**
+ * Fill the page counter into a URL template
+ * @param {string} template - URL containing `{page}`
+ * @param {number} page - Page number
+ * @returns {string} - The URL
+ */
+export const fillTemplate = (template, page) => template.replace(/\{page\}/g, String(page));
+
+/**
+ * Get the URL of the first page
+ * @param {string} url - URL passed to scrapePaginated
+ * @param {Object} paginate - Pagination settings
+ * @returns {string} - First page URL
+ */
+export const getFirstPageUrl = (url, paginate) => {
+  const start = getStart(paginate);
+
+  if (paginate.type === 'template') {
+    return fillTemplate(paginate.template || url, start);
+  }
+
+  if (paginate.type === 'offset') {
+    return setQueryParam(url, paginate.param || 'offset', start);
+  }
+
+  return url;
+};
+
+/**
+ * Read a link's URL off a page, if it is an http(s) link
+ * @param {ScrapedPage} page - The page
+ * @param {Object} link - Cheerio selection of the link
+ * @param {string} attr - Attribute holding the URL (default 'href')
+ * @returns {string|null} - Absolute URL, or null
+ */
+const readLink = (page, link, attr = 'href') => {
+  const href = link.length ? link.attr(attr) : null;
+
+  if (!href || href.trim().startsWith('#')) {
+    return null;
+  }
+
+  const url = resolveUrl(href.trim(), getDocumentBaseUrl(page.$, page.finalUrl)).split('#')[0];
+  return classifyUrl(url).type === 'http' ? url : null;
+};
+
+/**
+ * Work out the URL of the page after the current one
+ * @param {ScrapedPage} page - The current page
+ * @param {Object} data - Data extracted from the current page
+ * @param {number} pageNumber - How many pages have been scraped so far (1-based)
+ * @param {string} url - URL passed to scrapePaginated
+ * @param {Object} paginate - Pagination settings (see WebScraperService.scrapePaginated)
+ * @returns {string|null} - Next page URL, or null when there is no next page
+ */
+export const getNextPageUrl = (page, data, pageNumber, url, paginate) => {
+  const $ = page.$;
+  const step = paginate.step || 1;
+  const start = getStart(paginate);
+
+  switch (paginate.type) {
+    case 'next':
+      return readLink(page, selectElements($, paginate.selector).first(), paginate.attr);
+    case 'template':
+      return fillTemplate(paginate.template || url, start + pageNumber * step);
+    case 'offset':
+      return setQueryParam(url, paginate.param || 'offset', start + pageNumber * step);
+    case 'cursor': {
+      let cursor;
+
+      if (typeof paginate.getCursor === 'function') {
+        cursor = paginate.getCursor(page, data);
+      } else {
+        const element = selectElements($, paginate.selector).first();
+        cursor = paginate.attr ? element.attr(paginate.attr) : element.text().trim();
+      }
+
+      return isEmptyValue(cursor) ? null : setQueryParam(url, paginate.param || 'cursor', cursor);
+    }
+    default:
+      // rel=next on <link> in the head, or on an <a> in the body
+      return readLink(page, $('link[rel~="next"], a[rel~="next"]').first());
+  }
+};
+
+/**
+ * Check whether a page yielded nothing
+ *
+ * A page is empty when every list in its data is empty, or, for mappings
+ * without lists, when every value is empty.
+ * @param {Object} data - Data extracted from a page
+ * @returns {boolean} - True if the page is empty
+ */
+export const isEmptyPage = (data) => {
+  const values = Object.keys(data).map(key => data[key]);
+  const lists = values.filter(Array.isArray);
+
+  return (lists.length ? lists : values).every(isEmptyValue);
+};
+
+/**
+ * Combine one page's data into the results so far
+ *
+ * Lists are concatenated. Other values keep the first non-empty value, so
+ * a heading read on every page is reported once.
+ * @param {Object|null} combined - Results so far, or null before the first page
+ * @param {Object} data - Data extracted from the latest page
+ * @returns {Object} - Combined results
+ */
+export const mergePageData = (combined, data) => {
+  const merged = { ...combined };
+
+  Object.keys(data).forEach(key => {
+    if (Array.isArray(data[key])) {
+      merged[key] = [...(Array.isArray(merged[key]) ? merged[key] : []), ...data[key]];
+    } else if (isEmptyValue(merged[key])) {
+      merged[key] = data[key];
+    }
+  });
+
+  return merged;
+};
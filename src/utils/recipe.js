@@ -0,0 +1,589 @@
+/**
+ * recipe.js
+ * Declarative scrape recipes: validation, parsing and output formatting
+ */
+
+import { classifyUrl } from './url';
+import { PAGINATION_TYPES, validatePagination } from './pagination';
+import { TRANSFORM_NAMES } from './transforms';
+import { OUTPUT_FORMATS } from './format';
+import { SELECTOR_TYPES, validateSelector } from './selectors';
+import { RecipeError } from './errors';
+
+// Highest recipe format version this code understands
+export const RECIPE_VERSION = 1;
+
+// Formats runRecipe can serialize results to
+export const RECIPE_OUTPUT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Mapping field types, as handled by WebScraperService.applyMapping
+const FIELD_TYPES = ['text', 'html', 'attr', 'image', 'list', 'records', 'table', 'metadata'];
+
+// Properties each part of a recipe may have
+const RECIPE_KEYS = [
+  'version', 'name', 'description', 'start', 'fetch', 'auth', 'mapping', 'paginate', 'maxPages',
+  'stopWhenEmpty', 'output'
+];
+const FETCH_KEYS = ['timeout', 'priority', 'cacheMode'];
+const AUTH_KEYS = ['profile'];
+const OUTPUT_KEYS = ['format', 'content', 'records'];
+const PAGINATE_KEYS = ['type', 'selector', 'attr', 'template', 'start', 'step', 'param'];
+const CACHE_MODES = ['default', 'no-cache', 'force-cache', 'only-if-cached'];
+
+// Properties each mapping field type may have, besides `type`
+const FIELD_KEYS = {
+  text: ['selector', 'selectorType', 'format', 'transform', 'default'],
+  html: ['selector', 'selectorType', 'format', 'transform', 'default'],
+  attr: ['selector', 'selectorType', 'attr', 'transform', 'default'],
+  image: ['selector', 'selectorType', 'transform', 'default'],
+  list: ['selector', 'selectorType', 'format', 'transform', 'default'],
+  records: ['selector', 'selectorType', 'fields', 'default'],
+  table: ['selector', 'selectorType', 'headers', 'headerSeparator', 'default'],
+  metadata: ['itemType', 'path', 'transform', 'default']
+};
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - The value
+ * @returns {string} - e.g. 'a string', 'an array' or 'null'
+ */
+const describe = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+/**
+ * Add a property or index to a path
+ * @param {string} path - Path so far, e.g. 'mapping.products'
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - e.g. 'mapping.products.fields', 'start[1]' or 'mapping["unit price"]'
+ */
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+
+  return path ? `${path}.${key}` : key;
+};
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Quote a list of allowed values for error messages
+ * @param {Array} values - Allowed values
+ * @returns {string} - e.g. '"json", "csv" or "ndjson"'
+ */
+const listValues = (values) => {
+  const quoted = values.map(value => JSON.stringify(value));
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+};
+
+/**
+ * Collect problems with a recipe, reporting each against its path
+ * @param {Array} errors - Problems found so far, added to in place
+ * @returns {Object} - Checks, each taking a value and its path and returning true when it is valid
+ */
+const createChecker = (errors) => {
+  const fail = (path, message) => {
+    errors.push({ path, message });
+    return false;
+  };
+
+  const check = {
+    fail,
+    object: (value, path) => {
+      if (value === undefined) {
+        return fail(path, 'is required');
+      }
+
+      return isObject(value) || fail(path, `must be an object, got ${describe(value)}`);
+    },
+    string: (value, path) => {
+      if (value === undefined) {
+        return fail(path, 'is required');
+      }
+
+      if (typeof value !== 'string') {
+        return fail(path, `must be a string, got ${describe(value)}`);
+      }
+
+      return value.trim() !== '' || fail(path, 'must not be empty');
+    },
+    boolean: (value, path) => typeof value === 'boolean' || fail(path, `must be true or false, got ${describe(value)}`),
+    number: (value, path) => (
+      (typeof value === 'number' && isFinite(value)) || fail(path, `must be a number, got ${describe(value)}`)
+    ),
+    positiveInteger: (value, path) => (
+      (Number.isInteger(value) && value > 0) || fail(path, `must be a whole number above 0, got ${JSON.stringify(value)}`)
+    ),
+    oneOf: (value, values, path) => {
+      if (value === undefined) {
+        return fail(path, `is required; use ${listValues(values)}`);
+      }
+
+      return values.includes(value) || fail(path, `must be ${listValues(values)}, got ${JSON.stringify(value)}`);
+    },
+    keys: (value, allowed, path) => Object.keys(value)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => fail(joinPath(path, key), 'is not a recognised property')),
+    url: (value, path) => {
+      if (!check.string(value, path)) {
+        return false;
+      }
+
+      return classifyUrl(value.trim()).type === 'http' || fail(path, `must be an absolute http(s) URL, got ${JSON.stringify(value)}`);
+    },
+    selector: (value, type, path) => {
+      if (!check.string(value, path)) {
+        return false;
+      }
+
+      try {
+        validateSelector(value, type);
+        return true;
+      } catch (error) {
+        return fail(path, error.message);
+      }
+    }
+  };
+
+  return check;
+};
+
+/**
+ * Check a transform or chain of transforms
+ * @param {Object} check - Checks from createChecker
+ * @param {*} transform - The transform setting
+ * @param {string} path - Path of the setting
+ */
+const checkTransform = (check, transform, path) => {
+  if (Array.isArray(transform)) {
+    transform.forEach((item, index) => {
+      if (Array.isArray(item)) {
+        check.fail(joinPath(path, index), 'must be a transform name or an object with a type, not an array');
+      } else {
+        checkTransform(check, item, joinPath(path, index));
+      }
+    });
+    return;
+  }
+
+  if (typeof transform === 'function') {
+    return;
+  }
+
+  if (typeof transform === 'string') {
+    check.oneOf(transform, TRANSFORM_NAMES, path);
+    return;
+  }
+
+  if (!isObject(transform)) {
+    check.fail(path, `must be a transform name or an object with a type, got ${describe(transform)}`);
+    return;
+  }
+
+  if (!check.oneOf(transform.type, TRANSFORM_NAMES, joinPath(path, 'type')) || transform.type !== 'regex') {
+    return;
+  }
+
+  if (typeof transform.pattern === 'string') {
+    try {
+      new RegExp(transform.pattern, transform.flags || '');
+    } catch (error) {
+      check.fail(joinPath(path, 'pattern'), `is not a valid regular expression: ${error.message}`);
+    }
+  } else if (!(transform.pattern instanceof RegExp)) {
+    check.fail(joinPath(path, 'pattern'), 'is required for the regex transform');
+  }
+};
+
+/**
+ * Check the fields of a mapping
+ * @param {Object} check - Checks from createChecker
+ * @param {Object} mapping - Mapping of data fields to selectors
+ * @param {string} path - Path of the mapping
+ * @param {boolean} scoped - Whether the mapping runs inside records, where fields may leave out the selector
+ */
+const checkMapping = (check, mapping, path, scoped) => {
+  if (!check.object(mapping, path)) {
+    return;
+  }
+
+  if (Object.keys(mapping).length === 0) {
+    check.fail(path, 'must have at least one field');
+    return;
+  }
+
+  Object.keys(mapping).forEach(key => {
+    const field = mapping[key];
+    const fieldPath = joinPath(path, key);
+
+    if (typeof field === 'string') {
+      check.selector(field, undefined, fieldPath);
+      return;
+    }
+
+    if (!isObject(field)) {
+      check.fail(fieldPath, `must be a selector or an object with a type, got ${describe(field)}`);
+      return;
+    }
+
+    if (!check.oneOf(field.type, FIELD_TYPES, joinPath(fieldPath, 'type'))) {
+      return;
+    }
+
+    check.keys(field, ['type', ...FIELD_KEYS[field.type]], fieldPath);
+
+    if (field.selectorType !== undefined) {
+      check.oneOf(field.selectorType, SELECTOR_TYPES, joinPath(fieldPath, 'selectorType'));
+    }
+
+    const selectorType = SELECTOR_TYPES.includes(field.selectorType) ? field.selectorType : undefined;
+
+    if (field.selector !== undefined) {
+      check.selector(field.selector, selectorType, joinPath(fieldPath, 'selector'));
+    } else if (!scoped && !['table', 'metadata'].includes(field.type)) {
+      check.fail(joinPath(fieldPath, 'selector'), `is required for ${field.type} fields`);
+    }
+
+    if (field.format !== undefined) {
+      check.oneOf(field.format, OUTPUT_FORMATS, joinPath(fieldPath, 'format'));
+    }
+
+    if (field.transform !== undefined) {
+      checkTransform(check, field.transform, joinPath(fieldPath, 'transform'));
+    }
+
+    switch (field.type) {
+      case 'attr':
+        check.string(field.attr, joinPath(fieldPath, 'attr'));
+        break;
+      case 'records':
+        checkMapping(check, field.fields, joinPath(fieldPath, 'fields'), true);
+        break;
+      case 'table':
+        if (field.headers !== undefined && (!Array.isArray(field.headers) || field.headers.some(header => typeof header !== 'string'))) {
+          check.fail(joinPath(fieldPath, 'headers'), 'must be an array of column names');
+        }
+
+        if (field.headerSeparator !== undefined && typeof field.headerSeparator !== 'string') {
+          check.fail(joinPath(fieldPath, 'headerSeparator'), `must be a string, got ${describe(field.headerSeparator)}`);
+        }
+        break;
+      case 'metadata':
+        if (field.itemType !== undefined) check.string(field.itemType, joinPath(fieldPath, 'itemType'));
+        if (field.path !== undefined) check.string(field.path, joinPath(fieldPath, 'path'));
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+/**
+ * Get a recipe's start URLs
+ * @param {Object} recipe - Recipe
+ * @returns {Array} - Start URLs, trimmed
+ */
+export const getStartUrls = (recipe) => (
+  (Array.isArray(recipe.start) ? recipe.start : [recipe.start]).map(url => String(url).trim())
+);
+
+/**
+ * Check a recipe against the recipe format
+ *
+ * Every problem is reported, not only the first, with the path of the
+ * setting it concerns, e.g. `mapping.products.fields.price.transform[1]`.
+ * @param {Object} recipe - Recipe to check
+ * @returns {Array} - Problems as `{ path, message }`; empty when the recipe is valid
+ */
+export const validateRecipe = (recipe) => {
+  const errors = [];
+  const check = createChecker(errors);
+
+  if (!check.object(recipe, '')) {
+    return errors;
+  }
+
+  check.keys(recipe, RECIPE_KEYS, '');
+
+  if (recipe.version === undefined) {
+    check.fail('version', `is required; use ${RECIPE_VERSION}`);
+  } else if (!Number.isInteger(recipe.version) || recipe.version < 1) {
+    check.fail('version', `must be a whole number, got ${JSON.stringify(recipe.version)}`);
+  } else if (recipe.version > RECIPE_VERSION) {
+    check.fail('version', `${recipe.version} is newer than this app supports (up to ${RECIPE_VERSION})`);
+  }
+
+  check.string(recipe.name, 'name');
+
+  if (recipe.description !== undefined && typeof recipe.description !== 'string') {
+    check.fail('description', `must be a string, got ${describe(recipe.description)}`);
+  }
+
+  let startValid = false;
+
+  if (Array.isArray(recipe.start)) {
+    if (recipe.start.length === 0) {
+      check.fail('start', 'must list at least one URL');
+    } else {
+      startValid = recipe.start.map((url, index) => check.url(url, joinPath('start', index))).every(Boolean);
+    }
+  } else if (recipe.start === undefined) {
+    check.fail('start', 'is required: a URL or an array of URLs');
+  } else {
+    startValid = check.url(recipe.start, 'start');
+  }
+
+  if (recipe.fetch !== undefined && check.object(recipe.fetch, 'fetch')) {
+    check.keys(recipe.fetch, FETCH_KEYS, 'fetch');
+
+    if (recipe.fetch.timeout !== undefined) check.positiveInteger(recipe.fetch.timeout, 'fetch.timeout');
+    if (recipe.fetch.priority !== undefined) check.number(recipe.fetch.priority, 'fetch.priority');
+    if (recipe.fetch.cacheMode !== undefined) check.oneOf(recipe.fetch.cacheMode, CACHE_MODES, 'fetch.cacheMode');
+  }
+
+  if (recipe.auth !== undefined && check.object(recipe.auth, 'auth')) {
+    check.keys(recipe.auth, AUTH_KEYS, 'auth');
+    check.string(recipe.auth.profile, 'auth.profile');
+  }
+
+  checkMapping(check, recipe.mapping, 'mapping', false);
+
+  if (recipe.paginate !== undefined && check.object(recipe.paginate, 'paginate')) {
+    const { paginate } = recipe;
+    check.keys(paginate, [...PAGINATE_KEYS, 'getCursor'], 'paginate');
+
+    // Functions do not survive JSON, so recipes read cursors with a selector
+    if (paginate.getCursor !== undefined) {
+      check.fail('paginate.getCursor', 'is not supported in recipes; read the cursor with selector and attr');
+    }
+
+    if (check.oneOf(paginate.type, PAGINATION_TYPES, 'paginate.type')) {
+      ['attr', 'template', 'param'].forEach(key => {
+        if (paginate[key] !== undefined) check.string(paginate[key], joinPath('paginate', key));
+      });
+
+      if (paginate.selector !== undefined) check.selector(paginate.selector, undefined, 'paginate.selector');
+
+      if (paginate.start !== undefined) check.number(paginate.start, 'paginate.start');
+      if (paginate.step !== undefined) check.number(paginate.step, 'paginate.step');
+
+      // Settings the pagination type needs, checked against each start URL
+      if (startValid) {
+        const messages = new Set();
+
+        getStartUrls(recipe).forEach(url => {
+          try {
+            validatePagination(paginate, url);
+          } catch (error) {
+            messages.add(error.message);
+          }
+        });
+
+        messages.forEach(message => check.fail('paginate', message));
+      }
+    }
+  }
+
+  if (recipe.maxPages !== undefined) {
+    check.positiveInteger(recipe.maxPages, 'maxPages');
+  }
+
+  if (recipe.stopWhenEmpty !== undefined) {
+    check.boolean(recipe.stopWhenEmpty, 'stopWhenEmpty');
+  }
+
+  if (recipe.output !== undefined && check.object(recipe.output, 'output')) {
+    const { output } = recipe;
+    check.keys(output, OUTPUT_KEYS, 'output');
+
+    if (output.format !== undefined) check.oneOf(output.format, RECIPE_OUTPUT_FORMATS, 'output.format');
+    if (output.content !== undefined) check.oneOf(output.content, ['plain', 'text', 'markdown'], 'output.content');
+
+    if (output.records !== undefined && check.string(output.records, 'output.records') && isObject(recipe.mapping)) {
+      if (!Object.prototype.hasOwnProperty.call(recipe.mapping, output.records)) {
+        check.fail('output.records', `must name a mapping field, got ${JSON.stringify(output.records)}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Read and check a recipe
+ * @param {string|Object} source - Recipe as a JSON string or an object
+ * @returns {Object} - The recipe
+ * @throws {RecipeError} - When the JSON cannot be parsed or the recipe is not valid; its
+ * `errors` list every problem as `{ path, message }`
+ */
+export const parseRecipe = (source) => {
+  let recipe = source;
+
+  if (typeof source === 'string') {
+    try {
+      recipe = JSON.parse(source);
+    } catch (error) {
+      throw new RecipeError([{ path: '', message: `is not valid JSON: ${error.message}` }]);
+    }
+  }
+
+  const errors = validateRecipe(recipe);
+
+  if (errors.length > 0) {
+    throw new RecipeError(errors, isObject(recipe) && typeof recipe.name === 'string' ? recipe.name : undefined);
+  }
+
+  return recipe;
+};
+
+/**
+ * Read and check one recipe or an array of them, e.g. from an export
+ * @param {string|Object|Array} source - JSON string, recipe object or array of recipes
+ * @returns {Array} - The recipes
+ * @throws {RecipeError} - When the JSON cannot be parsed or any recipe is not valid; in an
+ * array, paths start with the recipe's index, e.g. `[2].mapping.price`
+ */
+export const parseRecipes = (source) => {
+  let recipes = source;
+
+  if (typeof source === 'string') {
+    try {
+      recipes = JSON.parse(source);
+    } catch (error) {
+      throw new RecipeError([{ path: '', message: `is not valid JSON: ${error.message}` }]);
+    }
+  }
+
+  if (!Array.isArray(recipes)) {
+    return [parseRecipe(recipes)];
+  }
+
+  if (recipes.length === 0) {
+    throw new RecipeError([{ path: '', message: 'must hold at least one recipe' }]);
+  }
+
+  const errors = [];
+
+  recipes.forEach((recipe, index) => {
+    validateRecipe(recipe).forEach(error => errors.push({
+      path: `${joinPath('', index)}${error.path && !error.path.startsWith('[') ? '.' : ''}${error.path}`,
+      message: error.message
+    }));
+  });
+
+  if (errors.length > 0) {
+    throw new RecipeError(errors);
+  }
+
+  return recipes;
+};
+
+/**
+ * Give text and list fields without a format of their own a default format
+ * @param {Object} mapping - Mapping of data fields to selectors
+ * @param {string} format - 'plain', 'text' or 'markdown'
+ * @returns {Object} - Copy of the mapping; nested records fields are updated too
+ */
+export const applyContentFormat = (mapping, format) => {
+  const result = {};
+
+  Object.keys(mapping).forEach(key => {
+    const field = mapping[key];
+
+    if (typeof field === 'string') {
+      result[key] = { type: 'text', selector: field, format };
+    } else if (field.type === 'records') {
+      result[key] = { ...field, fields: applyContentFormat(field.fields, format) };
+    } else if ((field.type === 'text' || field.type === 'list') && field.format === undefined) {
+      result[key] = { ...field, format };
+    } else {
+      result[key] = field;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Turn one value into a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Quoted when it holds a comma, quote or line break
+ */
+const toCsvCell = (value) => {
+  let text;
+
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (Array.isArray(value)) {
+    text = value.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : String(item))).join('; ');
+  } else {
+    text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as CSV
+ * @param {Array} rows - Row objects; columns are every key, in the order first seen
+ * @param {string} column - Column name for rows that are not objects
+ * @returns {string} - CSV with a header row and CRLF line endings
+ */
+const toCsv = (rows, column) => {
+  const records = rows.map(row => (isObject(row) ? row : { [column]: row }));
+  const headers = [];
+
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (!headers.includes(key)) {
+      headers.push(key);
+    }
+  }));
+
+  return [headers, ...records.map(record => headers.map(header => record[header]))]
+    .map(row => row.map(toCsvCell).join(','))
+    .join('\r\n');
+};
+
+/**
+ * Serialize a recipe's results in its output format
+ *
+ * JSON holds the whole result object. CSV and NDJSON hold one row per item
+ * of the `output.records` field, or a single row for the whole result when
+ * no records field is named.
+ * @param {Object} data - Merged results of the recipe's mapping
+ * @param {Object} output - The recipe's output settings (optional)
+ * @returns {string} - Serialized results
+ */
+export const formatRecipeOutput = (data, output = {}) => {
+  const { format = 'json', records } = output;
+  let rows = [data];
+
+  if (records) {
+    const value = data[records];
+    rows = Array.isArray(value) ? value : [value].filter(item => item !== undefined && item !== null);
+  }
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'csv':
+      return toCsv(rows, records || 'value');
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row)).join('\n');
+    default:
+      throw new Error(`Unknown recipe output format: ${format}`);
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * retry.js
+ * Retry policy helpers for WebScraperService requests
+ */
+
+import { onAbort } from './abort';
+import { AbortError } from './errors';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: 0.5,
+  retryStatusCodes: [408, 425, 429, 500, 502, 503, 504],
+  retryErrorCodes: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ERR_NETWORK'
+  ],
+  retryMethods: ['get', 'head', 'options'],
+  respectRetryAfter: true,
+  maxRetryAfter: 60000,
+  onRetry: null
+};
+
+/**
+ * Build a complete retry policy from user options
+ * @param {Object|boolean} options - Retry options, or false to disable retries
+ * @returns {Object} - Retry policy
+ */
+export const createRetryPolicy = (options = {}) => {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+  }
+
+  return { ...DEFAULT_RETRY_OPTIONS, ...(options === true ? {} : options) };
+};
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Header value, either delay-seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Check whether a failed request may be retried under a policy
+ * @param {Error} error - The axios error
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} - True if the request should be retried
+ */
+export const isRetryableError = (error, policy) => {
+  const method = ((error.config && error.config.method) || 'get').toLowerCase();
+
+  if (!policy.retryMethods.includes(method) || error.code === 'ERR_CANCELED') {
+    return false;
+  }
+
+  if (error.response) {
+    return policy.retryStatusCodes.includes(error.response.status);
+  }
+
+  return policy.retryErrorCodes.includes(error.code);
+};
+
+/**
+ * Work out how long to wait before the next attempt
+ *
+ * A Retry-After header on 429 and 503 responses wins over the exponential
+ * backoff. Returns null when the server asks for a longer wait than
+ * `maxRetryAfter`, meaning the request should not be retried.
+ * @param {Error} error - The axios error
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} - Delay in milliseconds
+ */
+export const getRetryDelay = (error, attempt, policy) => {
+  const response = error.response;
+
+  if (policy.respectRetryAfter && response && [429, 503].includes(response.status)) {
+    const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+
+    if (retryAfter !== null) {
+      return retryAfter > policy.maxRetryAfter ? null : retryAfter;
+    }
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+
+  // Randomise part of the delay so clients don't retry in lockstep
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Ends the wait early when aborted (optional)
+ * @returns {Promise<void>} - Rejects with an AbortError if the signal aborts
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new AbortError(''));
+    return;
+  }
+
+  let removeAbortListener = () => {};
+  const timer = setTimeout(() => {
+    removeAbortListener();
+    resolve();
+  }, ms);
+
+  removeAbortListener = onAbort(signal, () => {
+    clearTimeout(timer);
+    removeAbortListener();
+    reject(new AbortError(''));
+  });
+});
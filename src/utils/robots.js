@@ -0,0 +1,166 @@
+/**
+ * robots.js
+ * robots.txt parsing and rule matching (RFC 9309)
+ */
+
+import { parseUrl } from './url';
+
+/**
+ * Parse the contents of a robots.txt file
+ * @param {string} text - The robots.txt body
+ * @returns {Object} - `{ groups, sitemaps }` where each group is
+ * `{ agents, rules, crawlDelay }` and each rule is `{ allow, path }`
+ */
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+
+    if (separator === -1) {
+      return;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+
+    if ((field === 'allow' || field === 'disallow') && current && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && current) {
+      const delay = parseFloat(value);
+      current.crawlDelay = isNaN(delay) ? null : delay;
+    } else if (field === 'sitemap' && value) {
+      sitemaps.push(value);
+    }
+  });
+
+  return { groups, sitemaps };
+};
+
+/**
+ * Read the product token from a user agent
+ * @param {string} userAgent - Product token, or a user agent string such as 'MyAppBot/1.2 (+https://example.com)'
+ * @returns {string} - The leading product token, lowercased, e.g. 'myappbot'; empty if there is none
+ */
+export const getProductToken = (userAgent) => {
+  const match = String(userAgent || '').trim().match(/^[a-z_-]+/i);
+  return match ? match[0].toLowerCase() : '';
+};
+
+/**
+ * Check whether a group's agent token names a crawler's product token
+ * @param {string} token - Agent token from a user-agent line, lowercased
+ * @param {string} productToken - The crawler's product token, lowercased
+ * @returns {boolean} - True for the same token, or a prefix ending at a hyphen,
+ * e.g. 'myappbot' for 'myappbot-images'
+ */
+const agentMatches = (token, productToken) => (
+  token === productToken || productToken.startsWith(`${token}-`)
+);
+
+/**
+ * Find the groups that apply to a crawler
+ *
+ * The group with the longest agent token matching the product token wins;
+ * the `*` group applies when none match.
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Product token, or a user agent string to read it from
+ * @returns {Array} - Matching groups
+ */
+const findGroups = (robots, userAgent) => {
+  const productToken = getProductToken(userAgent);
+  let bestToken = null;
+
+  robots.groups.forEach(group => {
+    group.agents.forEach(token => {
+      if (productToken && token !== '*' && agentMatches(token, productToken) &&
+        (!bestToken || token.length > bestToken.length)) {
+        bestToken = token;
+      }
+    });
+  });
+
+  const token = bestToken || '*';
+  return robots.groups.filter(group => group.agents.includes(token));
+};
+
+/**
+ * Turn a robots.txt path pattern into a regular expression
+ * @param {string} pattern - Path pattern with `*` wildcards and an optional `$` anchor
+ * @returns {RegExp} - Matching expression
+ */
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Check whether robots.txt allows a URL for a user agent
+ *
+ * The longest matching rule wins, and Allow wins a tie.
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} url - URL to check
+ * @param {string} userAgent - Product token, or a user agent string to read it from
+ * @returns {boolean} - True if the URL may be fetched
+ */
+export const isAllowedByRobots = (robots, url, userAgent) => {
+  const { path, query } = parseUrl(url);
+  const target = (path || '/') + (query !== undefined ? `?${query}` : '');
+
+  if (target === '/robots.txt') {
+    return true;
+  }
+
+  let match = null;
+
+  findGroups(robots, userAgent).forEach(group => {
+    group.rules.forEach(rule => {
+      if (!patternToRegExp(rule.path).test(target)) {
+        return;
+      }
+
+      const longer = !match || rule.path.length > match.path.length;
+      const tieAllow = match && rule.path.length === match.path.length && rule.allow;
+
+      if (longer || tieAllow) {
+        match = rule;
+      }
+    });
+  });
+
+  return !match || match.allow;
+};
+
+/**
+ * Get the Crawl-delay that applies to a user agent
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Product token, or a user agent string to read it from
+ * @returns {number|null} - Delay in seconds, or null if none is set
+ */
+export const getCrawlDelay = (robots, userAgent) => {
+  const group = findGroups(robots, userAgent).find(g => g.crawlDelay !== null);
+  return group ? group.crawlDelay : null;
+};
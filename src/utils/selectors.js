@@ -0,0 +1,273 @@
+/**
+ * selectors.js
+ * CSS, XPath and chained-step selectors for extraction
+ */
+
+import { evaluateXPath, validateXPath, xpathResultToString } from './xpath';
+import { SelectorError } from './errors';
+
+export const SELECTOR_TYPES = ['css', 'xpath', 'steps'];
+
+// Step methods, and whether each needs, takes or refuses a selector argument
+const STEP_METHODS = {
+  find: 'required',
+  children: 'optional',
+  parent: 'optional',
+  parents: 'optional',
+  closest: 'required',
+  next: 'optional',
+  nextAll: 'optional',
+  prev: 'optional',
+  prevAll: 'optional',
+  siblings: 'optional',
+  filter: 'required',
+  not: 'required',
+  first: 'none',
+  last: 'none',
+  eq: 'required'
+};
+
+/**
+ * Split a chain on top-level '>>' separators
+ * @param {string} selector - Chained selector
+ * @returns {Array} - Steps, trimmed; separators inside quotes, brackets or parentheses are kept
+ */
+const splitSteps = (selector) => {
+  const steps = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && char === '>' && selector[i + 1] === '>') {
+      steps.push(selector.slice(start, i).trim());
+      start = i + 2;
+      i++;
+    }
+  }
+
+  steps.push(selector.slice(start).trim());
+  return steps;
+};
+
+/**
+ * Parse one step of a chain
+ * @param {string} step - e.g. 'closest(tr)', 'first' or a CSS or XPath selector
+ * @param {string} selector - The whole chain, for error messages
+ * @returns {Object} - `{ method, arg }`; plain selectors become `find` steps
+ */
+const parseStep = (step, selector) => {
+  const match = step.match(/^([a-zA-Z]+)(?:\(([\s\S]*)\))?$/);
+
+  if (!step) {
+    throw new SelectorError(selector, 'Empty step');
+  }
+
+  if (!match || !STEP_METHODS[match[1]]) {
+    return { method: 'find', arg: step };
+  }
+
+  const method = match[1];
+  const arg = match[2] === undefined ? '' : match[2].trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+  const rule = STEP_METHODS[method];
+
+  if (rule === 'required' && !arg) {
+    throw new SelectorError(selector, `${method}() needs an argument`);
+  }
+
+  if (rule === 'none' && arg) {
+    throw new SelectorError(selector, `${method}() takes no argument`);
+  }
+
+  if (method === 'eq' && !/^-?\d+$/.test(arg)) {
+    throw new SelectorError(selector, 'eq() needs a whole number');
+  }
+
+  return { method, arg };
+};
+
+/**
+ * Work out what kind of selector a string is
+ *
+ * A 'css:', 'xpath:' or 'steps:' prefix says so explicitly. Otherwise a
+ * selector containing '>>' is a chain, and one starting with '/', './',
+ * '..', '(', '@' or a function call such as 'normalize-space(' is XPath.
+ * Anything else is CSS.
+ * @param {string} selector - Selector
+ * @returns {string} - 'css', 'xpath' or 'steps'
+ */
+export const getSelectorType = (selector) => {
+  const text = String(selector || '').trim();
+  const prefix = text.match(/^(css|xpath|steps):/);
+
+  if (prefix) {
+    return prefix[1];
+  }
+
+  if (splitSteps(text).length > 1) {
+    return 'steps';
+  }
+
+  return /^(\/|\.\.?(\/|$)|\(|@|[a-z][a-z-]*\()/i.test(text) ? 'xpath' : 'css';
+};
+
+/**
+ * Split a selector into its type and the expression to run
+ * @param {string} selector - Selector, optionally prefixed with 'css:', 'xpath:' or 'steps:'
+ * @param {string} type - Type to use when there is no prefix (optional)
+ * @returns {Object} - `{ type, expression }`
+ */
+const readSelector = (selector, type) => {
+  const text = String(selector).trim();
+  const prefix = text.match(/^(css|xpath|steps):/);
+
+  return {
+    type: prefix ? prefix[1] : type || getSelectorType(text),
+    expression: prefix ? text.slice(prefix[0].length).trim() : text
+  };
+};
+
+/**
+ * Evaluate XPath against the document or each scope element
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {string} expression - XPath expression
+ * @param {Object} scope - Cheerio selection of context nodes (optional)
+ * @returns {Object} - Cheerio selection
+ */
+const selectXPath = ($, expression, scope) => {
+  const contexts = scope ? scope.get() : [$.root().get(0)];
+  const nodes = [];
+
+  contexts.forEach(context => {
+    const result = evaluateXPath(expression, context);
+
+    if (Array.isArray(result)) {
+      nodes.push(...result);
+      return;
+    }
+
+    // Strings, numbers and booleans, e.g. from count() or normalize-space()
+    const text = xpathResultToString(result);
+
+    if (text) {
+      nodes.push({ type: 'text', data: text, parent: null, prev: null, next: null });
+    }
+  });
+
+  // Attributes read as their value, as text nodes
+  return $(Array.from(new Set(nodes)).map(node => (
+    node.type === 'attribute' ? { type: 'text', data: node.value, parent: null, prev: null, next: null } : node
+  )));
+};
+
+/**
+ * Run a chain of steps
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {string} selector - Chained selector
+ * @param {Object} scope - Cheerio selection to start from (optional)
+ * @returns {Object} - Cheerio selection
+ */
+const selectSteps = ($, selector, scope) => {
+  const unique = nodes => $(Array.from(new Set(nodes)));
+
+  return splitSteps(selector).map(step => parseStep(step, selector)).reduce((current, { method, arg }) => {
+    switch (method) {
+      case 'find':
+        // Plain steps are CSS or XPath, searched for within the current elements
+        return selectElements($, arg, { scope: current });
+      case 'next':
+      case 'prev':
+        // The nearest sibling that matches, not only the adjacent one
+        return arg
+          ? unique(current.get().map(node => $(node)[`${method}All`](arg).get(0)).filter(Boolean))
+          : current[method]();
+      case 'eq':
+        return current.eq(parseInt(arg, 10));
+      default:
+        return arg ? current[method](arg) : current[method]();
+    }
+  }, scope || $.root());
+};
+
+/**
+ * Select elements with a CSS selector, an XPath expression or a chain of steps
+ *
+ * Chains start from the document (or the scope) and apply one step after
+ * another, separated by '>>': plain CSS or XPath steps search within the
+ * current elements, and `closest(sel)`, `parent(sel?)`, `parents(sel?)`,
+ * `children(sel?)`, `next(sel?)`, `nextAll(sel?)`, `prev(sel?)`,
+ * `prevAll(sel?)`, `siblings(sel?)`, `filter(sel)`, `not(sel)`, `first`,
+ * `last` and `eq(n)` move or narrow the selection. For example,
+ * `th:contains("Price") >> next(td)`.
+ *
+ * XPath attribute results, such as `//a/@href`, and string or number
+ * results, such as `count(//li)`, come back as text nodes holding the value.
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {string} selector - Selector, optionally prefixed with 'css:', 'xpath:' or 'steps:'
+ * @param {Object} options - Selection options
+ * @param {Object} options.scope - Cheerio selection to search within; without a selector, the scope itself
+ * @param {string} options.type - 'css', 'xpath' or 'steps', instead of working it out from the selector
+ * @returns {Object} - Cheerio selection
+ */
+export const selectElements = ($, selector, options = {}) => {
+  const { scope = null } = options;
+
+  if (!selector) {
+    return scope || $([]);
+  }
+
+  const { type, expression } = readSelector(selector, options.type);
+
+  switch (type) {
+    case 'css':
+      return scope ? scope.find(expression) : $(expression);
+    case 'xpath':
+      return selectXPath($, expression, scope);
+    case 'steps':
+      return selectSteps($, expression, scope);
+    default:
+      throw new Error(`Unknown selector type: ${type}`);
+  }
+};
+
+/**
+ * Check a selector before it is used
+ *
+ * XPath expressions and chains are parsed, including XPath steps inside a
+ * chain. CSS is not parsed here; cheerio reports CSS errors when the
+ * selector runs.
+ * @param {string} selector - Selector, optionally prefixed with 'css:', 'xpath:' or 'steps:'
+ * @param {string} type - 'css', 'xpath' or 'steps', instead of working it out from the selector (optional)
+ * @throws {SelectorError} - When an XPath expression or chain cannot be parsed
+ * @throws {Error} - When the type is unknown
+ */
+export const validateSelector = (selector, type) => {
+  const { type: selectorType, expression } = readSelector(selector, type);
+
+  switch (selectorType) {
+    case 'css':
+      return;
+    case 'xpath':
+      validateXPath(expression);
+      return;
+    case 'steps':
+      splitSteps(expression)
+        .map(step => parseStep(step, expression))
+        .filter(step => step.method === 'find')
+        .forEach(step => validateSelector(step.arg));
+      return;
+    default:
+      throw new Error(`Unknown selector type: ${selectorType}`);
+  }
+};
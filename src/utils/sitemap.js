@@ -0,0 +1,154 @@
+/**
+ * sitemap.js
+ * Sitemap and sitemap index parsing (sitemaps.org protocol)
+ */
+
+import { resolveUrl, classifyUrl } from './url';
+import { matchesAnyPattern } from './glob';
+
+export const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * Find child elements by local name, ignoring any namespace prefix
+ * @param {Object} parent - Cheerio selection to search
+ * @param {string} name - Local element name, e.g. 'loc'
+ * @returns {Object} - Matching elements
+ */
+const findByName = (parent, name) => parent.find('*').filter((i, element) => (
+  String(element.name || '').replace(/^.*:/, '').toLowerCase() === name
+));
+
+/**
+ * Read the text of a child element
+ * @param {Object} element - Cheerio selection of the parent
+ * @param {string} name - Local element name
+ * @returns {string|null} - Trimmed text, or null if the element is missing or empty
+ */
+const readChild = (element, name) => {
+  const text = findByName(element, name).first().text().trim();
+  return text || null;
+};
+
+/**
+ * Turn a `<loc>` into an absolute http(s) URL
+ * @param {string} loc - URL as written in the sitemap
+ * @param {string} baseUrl - Sitemap URL, for the rare relative location
+ * @returns {string|null} - The URL, or null for other schemes
+ */
+const readLoc = (loc, baseUrl) => {
+  const url = loc ? resolveUrl(loc, baseUrl) : null;
+  return url && classifyUrl(url).type === 'http' ? url : null;
+};
+
+/**
+ * Parse a W3C datetime as used by `<lastmod>`
+ * @param {string} value - Date such as '2024-05-01' or '2024-05-01T10:00:00+02:00'
+ * @returns {number|null} - Timestamp in milliseconds, or null if the date is invalid
+ */
+export const parseLastmod = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const time = Date.parse(String(value).trim());
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Parse a sitemap or sitemap index
+ *
+ * Plain-text sitemaps, with one URL per line, are accepted too.
+ * @param {string} text - The sitemap body
+ * @param {Function} load - Loads XML into a cheerio instance, e.g. `xml => cheerio.load(xml, { xmlMode: true })`
+ * @param {string} baseUrl - URL the sitemap was fetched from
+ * @returns {Object} - `{ type, urls, sitemaps }` where type is 'urlset', 'index' or 'text', urls lists
+ * `{ url, lastmod, changefreq, priority }` and sitemaps lists child sitemaps as `{ url, lastmod }`
+ */
+export const parseSitemap = (text, load, baseUrl = '') => {
+  const body = String(text || '').replace(/^\uFEFF/, '').trim();
+
+  if (!body.startsWith('<')) {
+    const urls = body.split(/\s+/)
+      .map(line => readLoc(line, baseUrl))
+      .filter(Boolean)
+      .map(url => ({ url, lastmod: null, changefreq: null, priority: null }));
+
+    return { type: 'text', urls, sitemaps: [] };
+  }
+
+  const $ = load(body);
+  const root = $.root();
+
+  const sitemaps = [];
+  findByName(root, 'sitemap').each((i, element) => {
+    const url = readLoc(readChild($(element), 'loc'), baseUrl);
+
+    if (url) {
+      sitemaps.push({ url, lastmod: readChild($(element), 'lastmod') });
+    }
+  });
+
+  const urls = [];
+  findByName(root, 'url').each((i, element) => {
+    const url = readLoc(readChild($(element), 'loc'), baseUrl);
+
+    if (!url) {
+      return;
+    }
+
+    const changefreq = (readChild($(element), 'changefreq') || '').toLowerCase();
+    const priority = parseFloat(readChild($(element), 'priority'));
+
+    urls.push({
+      url,
+      lastmod: readChild($(element), 'lastmod'),
+      changefreq: CHANGE_FREQUENCIES.includes(changefreq) ? changefreq : null,
+      priority: isNaN(priority) ? null : Math.min(1, Math.max(0, priority))
+    });
+  });
+
+  return { type: sitemaps.length && !urls.length ? 'index' : 'urlset', urls, sitemaps };
+};
+
+/**
+ * Check a sitemap entry against lastmod and URL filters
+ *
+ * Entries without a lastmod pass the date filters unless `requireLastmod` is set,
+ * since many sitemaps leave it out.
+ * @param {Object} entry - Entry as returned by parseSitemap
+ * @param {Object} filters - Filters
+ * @param {Date|string|number} filters.since - Keep entries modified at or after this time
+ * @param {Date|string|number} filters.until - Keep entries modified at or before this time
+ * @param {boolean} filters.requireLastmod - Drop entries without a lastmod when filtering by date
+ * @param {Array} filters.include - Globs or RegExps; when given, the URL must match one
+ * @param {Array} filters.exclude - Globs or RegExps the URL must not match
+ * @returns {boolean} - True if the entry passes
+ */
+export const matchesSitemapFilters = (entry, filters = {}) => {
+  const include = filters.include || [];
+  const exclude = filters.exclude || [];
+
+  if (include.length && !matchesAnyPattern(entry.url, include)) {
+    return false;
+  }
+
+  if (exclude.length && matchesAnyPattern(entry.url, exclude)) {
+    return false;
+  }
+
+  if (filters.since === undefined && filters.until === undefined) {
+    return true;
+  }
+
+  const lastmod = parseLastmod(entry.lastmod);
+
+  if (lastmod === null) {
+    return !filters.requireLastmod;
+  }
+
+  if (filters.since !== undefined && lastmod < new Date(filters.since).getTime()) {
+    return false;
+  }
+
+  return filters.until === undefined || lastmod <= new Date(filters.until).getTime();
+};
@@ -0,0 +1,203 @@
+/**
+ * tables.js
+ * HTML table parsing into row objects
+ */
+
+// Upper bounds on spans, as browsers apply them
+const MAX_COLSPAN = 1000;
+const MAX_ROWSPAN = 65534;
+
+/**
+ * Read a cell's text with whitespace collapsed
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} cell - The td or th element
+ * @returns {string} - Cell text, leaving out any table nested in the cell
+ */
+const readCellText = ($, cell) => {
+  const clone = $(cell).clone();
+  clone.find('table').remove();
+  clone.find('br').replaceWith(' ');
+  return clone.text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Read a span attribute
+ * @param {string} value - Attribute value
+ * @param {number} max - Largest allowed span
+ * @returns {number} - Span; 0 means "to the end of the section" for rowspan
+ */
+const readSpan = (value, max) => {
+  const span = parseInt(value, 10);
+  return isNaN(span) || span < 0 ? 1 : Math.min(span, max);
+};
+
+/**
+ * Collect a table's own rows, grouped into header, body and footer sections
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} table - The table element
+ * @returns {Array} - Sections as `{ kind, rows }` in display order, where kind is 'head', 'body' or 'foot'
+ */
+const getSections = ($, table) => {
+  const sections = { head: [], body: [], foot: [] };
+
+  $(table).children().each((i, child) => {
+    const tag = (child.name || '').toLowerCase();
+
+    if (tag === 'thead') {
+      sections.head.push({ kind: 'head', rows: $(child).children('tr').get() });
+    } else if (tag === 'tfoot') {
+      sections.foot.push({ kind: 'foot', rows: $(child).children('tr').get() });
+    } else if (tag === 'tbody') {
+      sections.body.push({ kind: 'body', rows: $(child).children('tr').get() });
+    } else if (tag === 'tr') {
+      sections.body.push({ kind: 'body', rows: [child] });
+    }
+  });
+
+  // Footers render last wherever they appear in the markup
+  return [...sections.head, ...sections.body, ...sections.foot];
+};
+
+/**
+ * Lay out a section's cells on a grid, copying spanned cells into every slot they cover
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Array} rows - The section's tr elements
+ * @returns {Array} - One array per row of `{ text, header }` cells
+ */
+const buildGrid = ($, rows) => {
+  const grid = rows.map(() => []);
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+
+    $(row).children('td, th').each((i, cell) => {
+      // Skip slots filled by rowspans from the rows above
+      while (grid[rowIndex][column]) column++;
+
+      const colspan = Math.max(1, readSpan($(cell).attr('colspan'), MAX_COLSPAN));
+      const rowspan = readSpan($(cell).attr('rowspan'), MAX_ROWSPAN) || rows.length - rowIndex;
+      const value = { text: readCellText($, cell), header: (cell.name || '').toLowerCase() === 'th' };
+
+      for (let r = rowIndex; r < Math.min(rows.length, rowIndex + rowspan); r++) {
+        for (let c = column; c < column + colspan; c++) {
+          grid[r][c] = value;
+        }
+      }
+
+      column += colspan;
+    });
+  });
+
+  return grid;
+};
+
+/**
+ * Combine the header rows of one column into a name
+ * @param {Array} headerRows - Header rows of the grid
+ * @param {number} column - Column index
+ * @param {string} separator - Joins the names from each header row
+ * @returns {string} - Column name; text repeated by a colspan or rowspan is used once
+ */
+const getColumnName = (headerRows, column, separator) => {
+  const parts = [];
+
+  headerRows.forEach(row => {
+    const cell = row[column];
+
+    if (cell && cell.text && parts[parts.length - 1] !== cell.text) {
+      parts.push(cell.text);
+    }
+  });
+
+  return parts.join(separator);
+};
+
+/**
+ * Find the tables in a selection
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} selection - Tables, or elements containing them
+ * @returns {Array} - Table elements in document order; tables nested in a
+ * container's tables are left out
+ */
+export const findTables = ($, selection) => {
+  const tables = [];
+
+  selection.each((i, element) => {
+    const found = (element.name || '').toLowerCase() === 'table'
+      ? [element]
+      : $(element).find('table').filter((j, table) => $(table).parentsUntil(element, 'table').length === 0).get();
+
+    found.forEach(table => {
+      if (!tables.includes(table)) tables.push(table);
+    });
+  });
+
+  return tables;
+};
+
+/**
+ * Parse a table into row objects keyed by header text
+ *
+ * Header rows are the rows of `<thead>`, or when there is none, the leading
+ * rows made only of `<th>` cells. Several header rows are combined per
+ * column, e.g. 'Q1 / Revenue'. Rowspans and colspans are expanded so each
+ * row has a value for every column.
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {Object} table - The table element
+ * @param {Object} options - Parsing options
+ * @param {Array} options.headers - Column names to use instead of the table's headers
+ * @param {string} options.headerSeparator - Joins names from multi-row headers (default ' / ')
+ * @returns {Object} - `{ caption, headers, rows }` where rows are objects keyed by the headers
+ */
+export const parseTable = ($, table, options = {}) => {
+  const separator = options.headerSeparator === undefined ? ' / ' : options.headerSeparator;
+  const sections = getSections($, table).map(section => ({ ...section, grid: buildGrid($, section.rows) }));
+  let headerRows = [];
+  let bodyRows = [];
+
+  sections.forEach(section => {
+    if (section.kind === 'head') {
+      headerRows = headerRows.concat(section.grid);
+    } else {
+      bodyRows = bodyRows.concat(section.grid);
+    }
+  });
+
+  // Without a thead, leading rows of th cells are the header
+  if (headerRows.length === 0) {
+    while (bodyRows.length > 1 && bodyRows[0].length > 0 && bodyRows[0].every(cell => cell && cell.header)) {
+      headerRows.push(bodyRows.shift());
+    }
+  }
+
+  const width = [...headerRows, ...bodyRows].reduce((max, row) => Math.max(max, row.length), 0);
+  const seen = {};
+  const headers = [];
+
+  for (let column = 0; column < width; column++) {
+    let name = (options.headers && options.headers[column]) || getColumnName(headerRows, column, separator) || `Column ${column + 1}`;
+
+    // Keep duplicate names apart, e.g. 'Score', 'Score (2)'
+    seen[name] = (seen[name] || 0) + 1;
+    if (seen[name] > 1) {
+      name = `${name} (${seen[name]})`;
+    }
+
+    headers.push(name);
+  }
+
+  const rows = bodyRows
+    .filter(row => row.some(cell => cell && cell.text))
+    .map(row => headers.reduce((values, header, column) => {
+      values[header] = row[column] ? row[column].text : '';
+      return values;
+    }, {}));
+
+  const caption = $(table).children('caption').first();
+
+  return {
+    caption: caption.length ? readCellText($, caption) || null : null,
+    headers,
+    rows
+  };
+};
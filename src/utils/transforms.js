@@ -0,0 +1,329 @@
+/**
+ * transforms.js
+ * Value transforms and type coercion for extraction mappings
+ */
+
+import { resolveUrl } from './url';
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  'US$': 'USD',
+  'C$': 'CAD',
+  'A$': 'AUD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '￥': 'JPY',
+  '₹': 'INR',
+  '₽': 'RUB',
+  '₩': 'KRW',
+  '₺': 'TRY',
+  '₴': 'UAH',
+  'zł': 'PLN',
+  'Kč': 'CZK',
+  'R$': 'BRL',
+  'CHF': 'CHF'
+};
+
+// ISO 4217 currency codes recognised next to an amount
+const CURRENCY_CODES = new Set((
+  'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP ' +
+  'BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP ' +
+  'GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR ' +
+  'KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK ' +
+  'MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR ' +
+  'SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS ' +
+  'UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XOF XPF YER ZAR ZMW ZWL'
+).split(' '));
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+/**
+ * Collapse runs of whitespace into single spaces and trim the result
+ * @param {string} value - The value to clean
+ * @returns {string} - Cleaned value
+ */
+export const collapseWhitespace = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a number out of text such as "$1,299.00", "1.234,56 €" or "12 500"
+ *
+ * Without a `decimal` option the separator is guessed: when both `,` and
+ * `.` appear, the last one is the decimal separator. A lone `,` is a
+ * decimal separator unless it is followed by exactly three digits, so
+ * "1,234" reads as 1234, while a lone `.` is always a decimal separator,
+ * so "1.234" reads as 1.234. Pass `decimal: ','` for pages that group
+ * thousands with dots.
+ * @param {string|number} value - The value to parse
+ * @param {Object} options - Parsing options
+ * @param {string} options.decimal - Decimal separator, ',' or '.' (guessed when omitted)
+ * @returns {number|null} - Parsed number, or null if none was found
+ */
+export const parseNumber = (value, options = {}) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const match = String(value).match(/-?\d[\d.,\s']*/);
+
+  if (!match) {
+    return null;
+  }
+
+  let digits = match[0].replace(/[\s']/g, '').replace(/[.,]+$/, '');
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  let decimal = '.';
+
+  if (options.decimal === ',' || options.decimal === '.') {
+    decimal = options.decimal;
+  } else if (lastComma > -1 && lastDot > -1) {
+    decimal = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma > -1) {
+    const parts = digits.split(',');
+    decimal = parts.length === 2 && parts[1].length !== 3 ? ',' : null;
+  } else if (digits.split('.').length > 2) {
+    decimal = null;
+  }
+
+  const thousands = decimal === ',' ? /\./g : decimal === '.' ? /,/g : /[.,]/g;
+  digits = digits.replace(thousands, '');
+
+  if (decimal === ',') {
+    digits = digits.replace(',', '.');
+  }
+
+  const number = parseFloat(digits);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Find an ISO 4217 code written right before or after an amount
+ * @param {string} text - The text to search, e.g. "USD 40" or "40.00 EUR"
+ * @returns {string|null} - The currency code, or null if there is none
+ */
+const findCurrencyCode = (text) => {
+  const pattern = /\b([A-Z]{3})\s?[-+]?\d|\d\s?([A-Z]{3})\b/g;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    const code = match[1] || match[2];
+
+    if (CURRENCY_CODES.has(code)) {
+      return code;
+    }
+
+    // Step back so a code right after this amount is still checked
+    pattern.lastIndex = match.index + 1;
+  }
+
+  return null;
+};
+
+/**
+ * Parse a price into an amount and a currency code
+ *
+ * The currency comes from a known ISO 4217 code next to the amount
+ * ("USD 40", "40 EUR"), then from a currency symbol anywhere in the text.
+ * @param {string} value - The value to parse, e.g. "€12,50" or "USD 40"
+ * @param {Object} options - Parsing options
+ * @param {string} options.currency - Currency code to use when none is detected
+ * @param {string} options.decimal - Decimal separator, passed on to parseNumber
+ * @returns {Object|null} - `{ amount, currency }`, or null if no amount was found
+ */
+export const parseCurrency = (value, options = {}) => {
+  const amount = parseNumber(value, options);
+
+  if (amount === null) {
+    return null;
+  }
+
+  const text = String(value);
+  let currency = findCurrencyCode(text);
+
+  if (!currency) {
+    // Prefer the longest symbol so "R$" wins over "$"
+    const symbols = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length);
+    const symbol = symbols.find(s => text.includes(s));
+    currency = symbol ? CURRENCY_SYMBOLS[symbol] : null;
+  }
+
+  return {
+    amount,
+    currency: currency || options.currency || null
+  };
+};
+
+/**
+ * Parse a date into an ISO 8601 string
+ *
+ * Understands ISO dates, Unix timestamps, numeric dates ("05/03/2024") and
+ * dates with English month names ("March 5, 2024", "5 Mar 2024 14:30").
+ * Dates without a timezone are read as UTC.
+ * @param {string|number} value - The value to parse
+ * @param {Object} options - Parsing options
+ * @param {string} options.order - Field order for numeric dates: 'mdy' (default) or 'dmy'
+ * @returns {string|null} - ISO date string, or null if the value is not a date
+ */
+export const parseDate = (value, options = {}) => {
+  const text = collapseWhitespace(value);
+  const toIso = (date) => (isNaN(date.getTime()) ? null : date.toISOString());
+
+  if (!text) {
+    return null;
+  }
+
+  // Unix timestamps in seconds or milliseconds
+  if (/^\d{10}$/.test(text)) {
+    return toIso(new Date(parseInt(text, 10) * 1000));
+  }
+
+  if (/^\d{13}$/.test(text)) {
+    return toIso(new Date(parseInt(text, 10)));
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    const iso = text.replace(' ', 'T');
+    return toIso(new Date(hasZone || iso.length === 10 ? iso : `${iso}Z`));
+  }
+
+  const time = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+  let hours = time ? parseInt(time[1], 10) : 0;
+  const minutes = time ? parseInt(time[2], 10) : 0;
+  const seconds = time && time[3] ? parseInt(time[3], 10) : 0;
+
+  if (time && time[4]) {
+    hours = (hours % 12) + (time[4].toLowerCase() === 'pm' ? 12 : 0);
+  }
+
+  const build = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+
+    if (month < 0 || month > 11 || day < 1 || day > 31) {
+      return null;
+    }
+
+    return toIso(new Date(Date.UTC(fullYear, month, day, hours, minutes, seconds)));
+  };
+
+  const numeric = text.match(/\b(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\b/);
+
+  if (numeric) {
+    const [a, b, c] = numeric.slice(1).map(n => parseInt(n, 10));
+
+    if (numeric[1].length === 4) {
+      return build(a, b - 1, c);
+    }
+
+    // Swap when the configured order is impossible for this date
+    let dayFirst = options.order === 'dmy';
+    if (!dayFirst && a > 12) dayFirst = true;
+    if (dayFirst && b > 12) dayFirst = false;
+
+    return dayFirst ? build(c, b - 1, a) : build(c, a - 1, b);
+  }
+
+  const named = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?/i);
+  const year = text.match(/\b(\d{4})\b/);
+
+  if (named && year) {
+    const rest = text.replace(year[0], '').replace(time ? time[0] : '', '');
+    const day = rest.match(/\b(\d{1,2})(st|nd|rd|th)?\b/);
+    return build(parseInt(year[1], 10), MONTHS[named[1].toLowerCase()], day ? parseInt(day[1], 10) : 1);
+  }
+
+  return toIso(new Date(text));
+};
+
+/**
+ * Built-in transforms, keyed by name
+ *
+ * Each transform receives the current value, the transform options and the
+ * extraction context (`{ baseUrl, key }`).
+ */
+const TRANSFORMS = {
+  trim: (value) => String(value).trim(),
+  collapseWhitespace: (value) => collapseWhitespace(value),
+  lowercase: (value) => String(value).toLowerCase(),
+  uppercase: (value) => String(value).toUpperCase(),
+  number: (value, options) => parseNumber(value, options),
+  integer: (value, options) => {
+    const number = parseNumber(value, options);
+    return number === null ? null : Math.round(number);
+  },
+  currency: (value, options) => parseCurrency(value, options),
+  date: (value, options) => parseDate(value, options),
+  url: (value, options, context) => resolveUrl(value, options.baseUrl || context.baseUrl),
+  regex: (value, options) => {
+    const pattern = options.pattern instanceof RegExp
+      ? options.pattern
+      : new RegExp(options.pattern, options.flags || '');
+    const match = String(value).match(pattern);
+
+    if (!match) {
+      return null;
+    }
+
+    const group = options.group === undefined ? (match.length > 1 ? 1 : 0) : options.group;
+    return match[group] === undefined ? null : match[group];
+  }
+};
+
+// Names of the built-in transforms
+export const TRANSFORM_NAMES = Object.keys(TRANSFORMS);
+
+/**
+ * Check whether an extracted value counts as "nothing matched"
+ * @param {*} value - The value to check
+ * @returns {boolean} - True for null, undefined, empty strings, NaN and empty arrays
+ */
+export const isEmptyValue = (value) => (
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (typeof value === 'number' && isNaN(value)) ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Run a value through a chain of transforms
+ *
+ * A transform is either the name of a built-in transform, an object with a
+ * `type` naming the built-in plus its options (e.g. `{ type: 'regex',
+ * pattern: '(\\d+)' }`), or a function `(value, context) => newValue`.
+ * The chain stops early once a transform returns an empty value.
+ * @param {*} value - The extracted value
+ * @param {string|Object|Function|Array} transforms - Transform or chain of transforms
+ * @param {Object} context - Extraction context passed to every transform
+ * @returns {*} - Transformed value
+ */
+export const applyTransforms = (value, transforms, context = {}) => {
+  const chain = Array.isArray(transforms) ? transforms : [transforms];
+  let result = value;
+
+  for (const transform of chain) {
+    if (isEmptyValue(result)) {
+      break;
+    }
+
+    if (typeof transform === 'function') {
+      result = transform(result, context);
+      continue;
+    }
+
+    const name = typeof transform === 'string' ? transform : transform && transform.type;
+    const handler = TRANSFORMS[name];
+
+    if (!handler) {
+      throw new Error(`Unknown transform: ${name}`);
+    }
+
+    result = handler(result, typeof transform === 'object' ? transform : {}, context);
+  }
+
+  return result;
+};
@@ -0,0 +1,394 @@
+/**
+ * url.js
+ * URL resolution helpers shared by the extraction methods
+ *
+ * React Native's built-in URL implementation does not resolve relative
+ * references reliably, so resolution follows RFC 3986 section 5 here.
+ */
+
+const URL_PATTERN = /^(?:([a-zA-Z][a-zA-Z\d+.-]*):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+
+const DEFAULT_PORTS = { http: '80', https: '443', ftp: '21' };
+
+const LINK_TYPES = ['http', 'https', 'mailto', 'tel', 'javascript', 'data', 'ftp'];
+
+// Query parameters that track campaigns and clicks without changing the page
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|gclsrc|dclid|fbclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok)$/i
+];
+
+/**
+ * Split a URL into its RFC 3986 components
+ * @param {string} url - The URL to split
+ * @returns {Object} - `{ scheme, authority, path, query, fragment }`; absent parts are undefined
+ */
+export const parseUrl = (url) => {
+  const match = String(url).match(URL_PATTERN);
+
+  return {
+    scheme: match[1] && match[1].toLowerCase(),
+    authority: match[2],
+    path: match[3],
+    query: match[4],
+    fragment: match[5]
+  };
+};
+
+/**
+ * Read the decoded name of a `name=value` query string pair
+ * @param {string} pair - Query string pair
+ * @returns {string} - Parameter name
+ */
+const getParamName = (pair) => {
+  const name = pair.split('=')[0];
+
+  try {
+    return decodeURIComponent(name.replace(/\+/g, ' '));
+  } catch (error) {
+    return name;
+  }
+};
+
+/**
+ * Join URL components back into a string
+ * @param {Object} parts - Components as returned by parseUrl
+ * @returns {string} - The URL
+ */
+const formatUrl = ({ scheme, authority, path, query, fragment }) => {
+  let url = '';
+
+  if (scheme !== undefined) url += `${scheme}:`;
+  if (authority !== undefined) url += `//${authority.toLowerCase()}`;
+  url += path;
+  if (query !== undefined) url += `?${query}`;
+  if (fragment !== undefined) url += `#${fragment}`;
+
+  return url;
+};
+
+/**
+ * Remove "." and ".." segments from a path (RFC 3986 section 5.2.4)
+ * @param {string} path - The path to normalize
+ * @returns {string} - Normalized path
+ */
+const removeDotSegments = (path) => {
+  const output = [];
+  let input = path;
+
+  while (input) {
+    if (input.startsWith('../')) {
+      input = input.slice(3);
+    } else if (input.startsWith('./') || input.startsWith('/./')) {
+      input = input.slice(2);
+    } else if (input === '/.') {
+      input = '/';
+    } else if (input.startsWith('/../')) {
+      input = input.slice(3);
+      output.pop();
+    } else if (input === '/..') {
+      input = '/';
+      output.pop();
+    } else if (input === '.' || input === '..') {
+      input = '';
+    } else {
+      const next = input.indexOf('/', 1);
+      const segment = next === -1 ? input : input.slice(0, next);
+      output.push(segment);
+      input = input.slice(segment.length);
+    }
+  }
+
+  return output.join('');
+};
+
+/**
+ * Merge a relative path with the path of its base URL
+ * @param {Object} base - Parsed base URL
+ * @param {string} path - Relative path
+ * @returns {string} - Merged path
+ */
+const mergePaths = (base, path) => {
+  if (base.authority !== undefined && !base.path) {
+    return `/${path}`;
+  }
+
+  return base.path.slice(0, base.path.lastIndexOf('/') + 1) + path;
+};
+
+/**
+ * Resolve a URL reference against a base URL
+ *
+ * Handles absolute, root-relative, path-relative (`img/a.png`,
+ * `../img.png`), protocol-relative (`//cdn.example.com/x.png`), query-only
+ * and fragment-only references.
+ * @param {string} reference - The href, src or other URL reference
+ * @param {string} baseUrl - The URL to resolve against (optional)
+ * @returns {string|null} - Resolved URL, the reference unchanged when it is
+ * relative and there is no base, or null for empty references
+ */
+export const resolveUrl = (reference, baseUrl = '') => {
+  // Browsers strip leading/trailing whitespace and any tabs or newlines
+  const ref = String(reference || '').trim().replace(/[\t\n\r]/g, '');
+
+  if (!ref) {
+    return null;
+  }
+
+  const r = parseUrl(ref);
+
+  if (r.scheme !== undefined) {
+    return formatUrl({ ...r, path: r.authority !== undefined ? removeDotSegments(r.path) : r.path });
+  }
+
+  if (!baseUrl) {
+    return r.authority !== undefined ? `https:${ref}` : ref;
+  }
+
+  const base = parseUrl(baseUrl);
+  const target = { scheme: base.scheme, fragment: r.fragment };
+
+  if (r.authority !== undefined) {
+    target.authority = r.authority;
+    target.path = removeDotSegments(r.path);
+    target.query = r.query;
+  } else {
+    target.authority = base.authority;
+
+    if (!r.path) {
+      target.path = base.path;
+      target.query = r.query !== undefined ? r.query : base.query;
+    } else {
+      target.path = removeDotSegments(r.path.startsWith('/') ? r.path : mergePaths(base, r.path));
+      target.query = r.query;
+    }
+  }
+
+  if (target.authority !== undefined && !target.path) {
+    target.path = '/';
+  }
+
+  return formatUrl(target);
+};
+
+/**
+ * Get the origin (scheme, host and port) of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Origin such as "https://example.com", or null for non-hierarchical URLs
+ */
+export const getOrigin = (url) => {
+  const { scheme, authority } = parseUrl(url || '');
+
+  if (!scheme || authority === undefined) {
+    return null;
+  }
+
+  // Drop credentials and default ports
+  let host = authority.replace(/^.*@/, '').toLowerCase();
+
+  if (DEFAULT_PORTS[scheme] && host.endsWith(`:${DEFAULT_PORTS[scheme]}`)) {
+    host = host.slice(0, host.lastIndexOf(':'));
+  }
+
+  return `${scheme}://${host}`;
+};
+
+/**
+ * Get the host name of a URL, without credentials or port
+ * @param {string} url - Absolute URL
+ * @returns {string} - Lowercased host name, or an empty string if the URL has none
+ */
+export const getHostname = (url) => {
+  const { authority } = parseUrl(url || '');
+
+  if (!authority) {
+    return '';
+  }
+
+  const host = authority.replace(/^.*@/, '').toLowerCase();
+
+  // Keep IPv6 literals intact, e.g. [::1]:8080
+  return host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.replace(/:\d*$/, '');
+};
+
+/**
+ * Set a query string parameter, replacing any existing values for it
+ * @param {string} url - URL to change
+ * @param {string} name - Parameter name
+ * @param {string|number} value - Parameter value
+ * @returns {string} - The URL with the parameter set, keeping the other parameters in order
+ */
+export const setQueryParam = (url, name, value) => {
+  const parts = parseUrl(url);
+  const params = (parts.query ? parts.query.split('&') : []).filter(pair => pair && getParamName(pair) !== name);
+
+  params.push(`${encodeURIComponent(name)}=${encodeURIComponent(String(value))}`);
+  return formatUrl({ ...parts, query: params.join('&') });
+};
+
+/**
+ * Normalize a URL so that different spellings of the same page compare equal
+ *
+ * Lowercases the scheme and host, drops default ports and the fragment,
+ * removes tracking parameters and sorts the remaining query parameters.
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Normalization options
+ * @param {Array} options.dropParams - Extra query parameter names to remove
+ * @returns {string} - Normalized URL
+ */
+export const normalizeUrl = (url, options = {}) => {
+  const parts = parseUrl(resolveUrl(url) || '');
+  const dropParams = options.dropParams || [];
+  const origin = getOrigin(url);
+
+  const params = (parts.query ? parts.query.split('&') : [])
+    .filter(pair => {
+      const name = getParamName(pair);
+      return pair && !dropParams.includes(name) && !TRACKING_PARAMS.some(pattern => pattern.test(name));
+    })
+    .map((pair, index) => ({ pair, name: getParamName(pair), index }))
+    // Sort by name; parameters with the same name keep their order
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : a.index - b.index))
+    .map(({ pair }) => pair);
+
+  if (!origin) {
+    return String(url).split('#')[0];
+  }
+
+  return `${origin}${parts.path || '/'}${params.length ? `?${params.join('&')}` : ''}`;
+};
+
+/**
+ * Work out the base URL of a document
+ *
+ * A `<base href>` element takes precedence over the page URL, and is itself
+ * resolved against the page URL.
+ * @param {Function} $ - Cheerio instance for the document
+ * @param {string} pageUrl - URL the document was loaded from
+ * @returns {string} - Base URL for resolving the document's links
+ */
+export const getDocumentBaseUrl = ($, pageUrl = '') => {
+  const baseHref = $('base[href]').first().attr('href');
+
+  if (!baseHref) {
+    return pageUrl;
+  }
+
+  return resolveUrl(baseHref, pageUrl) || pageUrl;
+};
+
+/**
+ * Classify a resolved link
+ * @param {string} url - Resolved URL
+ * @param {string} pageUrl - URL of the page the link was found on
+ * @returns {Object} - `{ type, internal }` where type is 'http', 'mailto',
+ * 'tel', 'javascript', 'data', 'ftp', 'relative' or 'other', and internal is
+ * true for http(s) links on the same origin as the page
+ */
+export const classifyUrl = (url, pageUrl = '') => {
+  const { scheme } = parseUrl(url);
+  let type = 'other';
+
+  if (!scheme) {
+    type = 'relative';
+  } else if (LINK_TYPES.includes(scheme)) {
+    type = scheme === 'https' ? 'http' : scheme;
+  }
+
+  const origin = getOrigin(url);
+  const internal = type === 'relative' || (type === 'http' && !!origin && origin === getOrigin(pageUrl));
+
+  return { type, internal };
+};
+
+// Attributes lazy-loading libraries use to hold the real image URL
+export const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-url'];
+
+/**
+ * Read an image's real source, looking past lazy-loading placeholders
+ *
+ * A lazy-loading attribute wins when `src` is missing or a data: URI
+ * placeholder.
+ * @param {Object} element - Cheerio selection of the `<img>`
+ * @returns {string} - The image URL as written in the page, or '' if it has none
+ */
+export const getImageSrc = (element) => {
+  const src = element.attr('src') || '';
+  const lazySrc = LAZY_SRC_ATTRIBUTES.map(attr => element.attr(attr)).find(Boolean);
+
+  return lazySrc && (!src || src.startsWith('data:')) ? lazySrc : src;
+};
+
+/**
+ * Parse a srcset attribute into its image candidates
+ *
+ * Follows the HTML srcset parsing rules closely enough to cope with commas
+ * inside URLs (common on image CDNs).
+ * @param {string} srcset - The srcset attribute value
+ * @param {string} baseUrl - Base URL for resolving candidate URLs
+ * @returns {Array} - Candidates as `{ url, width, density, descriptor }`
+ */
+export const parseSrcset = (srcset, baseUrl = '') => {
+  const candidates = [];
+  const input = String(srcset || '');
+  let position = 0;
+
+  while (position < input.length) {
+    // Skip whitespace and separating commas
+    while (position < input.length && /[\s,]/.test(input[position])) position++;
+    if (position >= input.length) break;
+
+    let url = '';
+    while (position < input.length && !/\s/.test(input[position])) url += input[position++];
+
+    let descriptor = '';
+
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      let depth = 0;
+
+      while (position < input.length) {
+        const char = input[position];
+        if (char === ',' && depth === 0) break;
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(0, depth - 1);
+        descriptor += char;
+        position++;
+      }
+    }
+
+    descriptor = descriptor.trim();
+    const widthMatch = descriptor.match(/^(\d+)w$/);
+    const densityMatch = descriptor.match(/^(\d*\.?\d+)x$/);
+    const resolved = resolveUrl(url, baseUrl);
+
+    if (resolved) {
+      candidates.push({
+        url: resolved,
+        width: widthMatch ? parseInt(widthMatch[1], 10) : null,
+        density: densityMatch ? parseFloat(densityMatch[1]) : (widthMatch ? null : 1),
+        descriptor: descriptor || '1x'
+      });
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Pick the highest-resolution candidate from a srcset
+ * @param {Array} candidates - Candidates as returned by parseSrcset
+ * @returns {Object|null} - The widest candidate, or the densest when no widths are given
+ */
+export const pickBestCandidate = (candidates) => {
+  if (!candidates || candidates.length === 0) {
+    return null;
+  }
+
+  const withWidth = candidates.filter(candidate => candidate.width);
+  const pool = withWidth.length > 0 ? withWidth : candidates;
+  const score = candidate => candidate.width || candidate.density || 1;
+
+  return pool.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best));
+};
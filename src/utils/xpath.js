@@ -0,0 +1,865 @@
+/**
+ * xpath.js
+ * XPath 1.0 evaluation over cheerio's DOM
+ *
+ * Supports the full XPath 1.0 grammar: every axis, node tests, predicates,
+ * unions, operators, variables and the core function library. Element and
+ * attribute names match regardless of case, as in HTML, and namespaces are
+ * not resolved, so 'svg:path' matches an element named exactly that.
+ */
+
+import { SelectorError } from './errors';
+
+const AXES = [
+  'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self', 'following',
+  'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self'
+];
+
+const NODE_TYPES = ['node', 'text', 'comment', 'processing-instruction'];
+
+// htmlparser2 gives script and style elements their own node types
+const ELEMENT_TYPES = ['tag', 'script', 'style'];
+
+const OPERATOR_NAMES = ['and', 'or', 'mod', 'div'];
+
+const NAME_START = 'A-Za-z_\\u00C0-\\uFFFF';
+const NAME_CHAR = `${NAME_START}0-9.\\-\\u00B7`;
+const NAME_PATTERN = new RegExp(`^[${NAME_START}][${NAME_CHAR}]*(?::(?:\\*|[${NAME_START}][${NAME_CHAR}]*))?`);
+
+// Attribute nodes, made once per element so they compare equal across steps
+const attributeNodes = new WeakMap();
+
+/**
+ * Split an expression into tokens
+ *
+ * Follows the spec's disambiguation rules: after an operand, '*' is
+ * multiplication and 'and', 'or', 'div' and 'mod' are operators;
+ * elsewhere they are name tests.
+ * @param {string} expression - XPath expression
+ * @returns {Array} - Tokens as `{ type, value, position }`
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  const expectsOperand = () => {
+    const previous = tokens[tokens.length - 1];
+    return !previous || previous.type === 'operator'
+      || (previous.type === 'punctuation' && ['@', '::', '(', '[', ','].includes(previous.value));
+  };
+
+  while (index < expression.length) {
+    const rest = expression.slice(index);
+    const position = index;
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      index += match[0].length;
+      continue;
+    }
+
+    if ((match = rest.match(/^(\d+(\.\d*)?|\.\d+)/))) {
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position });
+    } else if ((match = rest.match(/^("[^"]*"|'[^']*')/))) {
+      tokens.push({ type: 'literal', value: match[0].slice(1, -1), position });
+    } else if ((match = rest.match(/^(\/\/|\/|\||\+|-|!=|<=|>=|=|<|>)/))) {
+      tokens.push({ type: 'operator', value: match[0], position });
+    } else if ((match = rest.match(/^(::|\.\.|\.|@|,|\(|\)|\[|\]|\$)/))) {
+      tokens.push({ type: 'punctuation', value: match[0], position });
+    } else if (rest[0] === '*') {
+      match = ['*'];
+      tokens.push({ type: expectsOperand() ? 'name' : 'operator', value: '*', position });
+    } else if ((match = rest.match(NAME_PATTERN))) {
+      const isOperator = !expectsOperand() && OPERATOR_NAMES.includes(match[0]);
+      tokens.push({ type: isOperator ? 'operator' : 'name', value: match[0], position });
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      throw new SelectorError(expression, 'Unterminated string', position);
+    } else {
+      throw new SelectorError(expression, `Unexpected character '${rest[0]}'`, position);
+    }
+
+    index += match[0].length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} expression - XPath expression
+ * @returns {Object} - Root node of the syntax tree
+ */
+const parse = (expression) => {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const is = (value, offset = 0) => !!peek(offset) && peek(offset).type !== 'literal' && peek(offset).value === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new SelectorError(expression, message, token ? token.position : expression.length);
+  };
+  const expect = (value) => {
+    if (!is(value)) {
+      fail(peek() ? `Expected '${value}' but found '${peek().value}'` : `Expected '${value}'`);
+    }
+    index++;
+  };
+
+  // Left-associative binary operators, one precedence level at a time
+  const binary = (operators, next, type) => () => {
+    let left = next();
+
+    while (peek() && peek().type === 'operator' && operators.includes(peek().value)) {
+      const op = tokens[index++].value;
+      left = { type, op, left, right: next() };
+    }
+
+    return left;
+  };
+
+  const parsePredicates = () => {
+    const predicates = [];
+
+    while (is('[')) {
+      index++;
+      predicates.push(parseExpr());
+      expect(']');
+    }
+
+    return predicates;
+  };
+
+  const parseNodeTest = (axis) => {
+    const token = peek();
+
+    if (!token || token.type !== 'name') {
+      fail('Expected a node test');
+    }
+
+    index++;
+
+    if (NODE_TYPES.includes(token.value) && is('(')) {
+      index++;
+      let literal = null;
+
+      if (token.value === 'processing-instruction' && peek() && peek().type === 'literal') {
+        literal = tokens[index++].value;
+      }
+
+      expect(')');
+      return { kind: 'type', nodeType: token.value, literal };
+    }
+
+    if (is('(')) {
+      fail(`Unknown node type '${token.value}'`);
+    }
+
+    return { kind: 'name', name: token.value.toLowerCase(), principal: axis === 'attribute' ? 'attribute' : 'element' };
+  };
+
+  const parseStep = () => {
+    if (is('.')) {
+      index++;
+      return { axis: 'self', test: { kind: 'type', nodeType: 'node' }, predicates: [] };
+    }
+
+    if (is('..')) {
+      index++;
+      return { axis: 'parent', test: { kind: 'type', nodeType: 'node' }, predicates: [] };
+    }
+
+    let axis = 'child';
+
+    if (is('@')) {
+      index++;
+      axis = 'attribute';
+    } else if (peek() && peek().type === 'name' && is('::', 1)) {
+      axis = peek().value;
+
+      if (!AXES.includes(axis)) {
+        fail(`Unknown axis '${axis}'`);
+      }
+
+      index += 2;
+    }
+
+    const test = parseNodeTest(axis);
+    return { axis, test, predicates: parsePredicates() };
+  };
+
+  const startsStep = () => {
+    const token = peek();
+    return !!token && (token.type === 'name' || (token.type === 'punctuation' && ['.', '..', '@'].includes(token.value)));
+  };
+
+  // '//' is short for '/descendant-or-self::node()/'
+  const descendantStep = () => ({ axis: 'descendant-or-self', test: { kind: 'type', nodeType: 'node' }, predicates: [] });
+
+  const parseRelativePath = (steps) => {
+    steps.push(parseStep());
+
+    while (is('/') || is('//')) {
+      if (tokens[index++].value === '//') {
+        steps.push(descendantStep());
+      }
+
+      steps.push(parseStep());
+    }
+
+    return steps;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (!token) {
+      fail('Unexpected end of expression');
+    }
+
+    if (token.type === 'literal') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (is('$')) {
+      index++;
+
+      if (!peek() || peek().type !== 'name') {
+        fail('Expected a variable name');
+      }
+
+      return { type: 'variable', name: tokens[index++].value };
+    }
+
+    if (is('(')) {
+      index++;
+      const expr = parseExpr();
+      expect(')');
+      return expr;
+    }
+
+    // A function call
+    const name = tokens[index++].value;
+    const args = [];
+    expect('(');
+
+    if (!is(')')) {
+      args.push(parseExpr());
+
+      while (is(',')) {
+        index++;
+        args.push(parseExpr());
+      }
+    }
+
+    expect(')');
+    return { type: 'call', name, args, position: token.position };
+  };
+
+  const parsePath = () => {
+    if (is('/') || is('//')) {
+      const steps = [];
+
+      if (tokens[index++].value === '//') {
+        steps.push(descendantStep());
+        parseRelativePath(steps);
+      } else if (startsStep()) {
+        parseRelativePath(steps);
+      }
+
+      return { type: 'path', absolute: true, filter: null, steps };
+    }
+
+    const token = peek();
+    const isFunction = token && token.type === 'name' && is('(', 1) && !NODE_TYPES.includes(token.value);
+    const isPrimary = token && (token.type === 'literal' || token.type === 'number' || is('(') || is('$') || isFunction);
+
+    if (!isPrimary) {
+      if (!startsStep()) {
+        fail(token ? `Unexpected '${token.value}'` : 'Unexpected end of expression');
+      }
+
+      return { type: 'path', absolute: false, filter: null, steps: parseRelativePath([]) };
+    }
+
+    const primary = parsePrimary();
+    const predicates = parsePredicates();
+    const filter = predicates.length ? { type: 'filter', primary, predicates } : primary;
+
+    if (!is('/') && !is('//')) {
+      return filter;
+    }
+
+    const steps = [];
+
+    if (tokens[index++].value === '//') {
+      steps.push(descendantStep());
+    }
+
+    return { type: 'path', absolute: false, filter, steps: parseRelativePath(steps) };
+  };
+
+  const parseUnion = binary(['|'], parsePath, 'union');
+
+  const parseUnary = () => {
+    if (peek() && peek().type === 'operator' && peek().value === '-') {
+      index++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+
+    return parseUnion();
+  };
+
+  const parseMultiplicative = binary(['*', 'div', 'mod'], parseUnary, 'arithmetic');
+  const parseAdditive = binary(['+', '-'], parseMultiplicative, 'arithmetic');
+  const parseRelational = binary(['<', '<=', '>', '>='], parseAdditive, 'compare');
+  const parseEquality = binary(['=', '!='], parseRelational, 'compare');
+  const parseAnd = binary(['and'], parseEquality, 'and');
+  const parseExpr = binary(['or'], parseAnd, 'or');
+
+  if (!tokens.length) {
+    throw new SelectorError(expression, 'Empty expression');
+  }
+
+  const tree = parseExpr();
+
+  if (index < tokens.length) {
+    fail(`Unexpected '${peek().value}'`);
+  }
+
+  return tree;
+};
+
+/**
+ * Check whether a node is an element
+ * @param {Object} node - DOM node
+ * @returns {boolean} - True for elements
+ */
+const isElement = (node) => ELEMENT_TYPES.includes(node.type);
+
+/**
+ * Get an element's attributes as nodes
+ * @param {Object} node - DOM node
+ * @returns {Array} - Attribute nodes as `{ type: 'attribute', name, value, parent }`
+ */
+const getAttributeNodes = (node) => {
+  if (!isElement(node)) {
+    return [];
+  }
+
+  if (!attributeNodes.has(node)) {
+    attributeNodes.set(node, Object.keys(node.attribs || {}).map(name => ({
+      type: 'attribute',
+      name,
+      value: node.attribs[name],
+      parent: node
+    })));
+  }
+
+  return attributeNodes.get(node);
+};
+
+const getChildren = (node) => (node.type === 'attribute' ? [] : node.children || []);
+
+const getDescendants = (node, result = []) => {
+  getChildren(node).forEach(child => {
+    result.push(child);
+    getDescendants(child, result);
+  });
+
+  return result;
+};
+
+const getRoot = (node) => {
+  let current = node;
+
+  while (current.parent) {
+    current = current.parent;
+  }
+
+  return current;
+};
+
+const getSiblings = (node) => (node.parent && node.type !== 'attribute' ? getChildren(node.parent) : [node]);
+
+/**
+ * Nodes on an axis, nearest first
+ * @param {string} axis - Axis name
+ * @param {Object} node - Context node
+ * @returns {Array} - Nodes in axis order
+ */
+const getAxisNodes = (axis, node) => {
+  switch (axis) {
+    case 'child':
+      return getChildren(node).slice();
+    case 'descendant':
+      return getDescendants(node);
+    case 'descendant-or-self':
+      return [node, ...getDescendants(node)];
+    case 'parent':
+      return node.parent ? [node.parent] : [];
+    case 'ancestor':
+    case 'ancestor-or-self': {
+      const result = axis === 'ancestor-or-self' ? [node] : [];
+
+      for (let current = node.parent; current; current = current.parent) {
+        result.push(current);
+      }
+
+      return result;
+    }
+    case 'following-sibling':
+    case 'preceding-sibling': {
+      if (node.type === 'attribute') {
+        return [];
+      }
+
+      const siblings = getSiblings(node);
+      const position = siblings.indexOf(node);
+
+      return axis === 'following-sibling'
+        ? siblings.slice(position + 1)
+        : siblings.slice(0, position).reverse();
+    }
+    case 'following': {
+      const result = node.type === 'attribute' ? getDescendants(node.parent) : [];
+
+      for (let current = node.type === 'attribute' ? node.parent : node; current; current = current.parent) {
+        const siblings = getSiblings(current);
+
+        siblings.slice(siblings.indexOf(current) + 1).forEach(sibling => {
+          result.push(sibling, ...getDescendants(sibling));
+        });
+      }
+
+      return result;
+    }
+    case 'preceding': {
+      const result = [];
+
+      for (let current = node.type === 'attribute' ? node.parent : node; current; current = current.parent) {
+        const siblings = getSiblings(current);
+
+        siblings.slice(0, siblings.indexOf(current)).reverse().forEach(sibling => {
+          result.push(...[sibling, ...getDescendants(sibling)].reverse());
+        });
+      }
+
+      return result;
+    }
+    case 'attribute':
+      return getAttributeNodes(node).slice();
+    case 'self':
+      return [node];
+    default:
+      // Namespaces are not resolved
+      return [];
+  }
+};
+
+/**
+ * Check a node against a node test
+ * @param {Object} test - Node test from the syntax tree
+ * @param {Object} node - DOM node
+ * @returns {boolean} - True if the node passes
+ */
+const matchesTest = (test, node) => {
+  if (test.kind === 'type') {
+    switch (test.nodeType) {
+      case 'node':
+        return true;
+      case 'text':
+        return node.type === 'text';
+      case 'comment':
+        return node.type === 'comment';
+      default:
+        // htmlparser2 keeps '<?target data?>' as a directive named '?target'
+        return node.type === 'directive' && /^\?/.test(node.name || '')
+          && (test.literal === null || node.name.slice(1).toLowerCase() === test.literal.toLowerCase());
+    }
+  }
+
+  if (test.principal === 'attribute' ? node.type !== 'attribute' : !isElement(node)) {
+    return false;
+  }
+
+  const name = (node.name || '').toLowerCase();
+
+  if (test.name === '*') {
+    return true;
+  }
+
+  return test.name.endsWith(':*') ? name.startsWith(test.name.slice(0, -1)) : name === test.name;
+};
+
+/**
+ * Read a node's string-value
+ * @param {Object} node - DOM node
+ * @returns {string} - Text of an element or document, or the value of an attribute, text or comment node
+ */
+const getStringValue = (node) => {
+  if (node.type === 'attribute') {
+    return node.value;
+  }
+
+  if (node.type === 'text' || node.type === 'comment') {
+    return node.data || '';
+  }
+
+  if (isElement(node) || node.type === 'root' || node.type === 'cdata') {
+    return getDescendants(node).filter(child => child.type === 'text').map(child => child.data).join('');
+  }
+
+  return '';
+};
+
+const numberToString = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return 'Infinity';
+  if (value === -Infinity) return '-Infinity';
+  return String(value);
+};
+
+const toStringValue = (value) => {
+  if (Array.isArray(value)) return value.length ? getStringValue(value[0]) : '';
+  if (typeof value === 'number') return numberToString(value);
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return value;
+};
+
+const toNumberValue = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+
+  const text = toStringValue(value).trim();
+  return /^-?(\d+(\.\d*)?|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+};
+
+const toBooleanValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0;
+  return value;
+};
+
+/**
+ * Compare two values as XPath does, where a node-set compares true if any of its nodes does
+ * @param {string} op - '=', '!=', '<', '<=', '>' or '>='
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} - Result of the comparison
+ */
+const compareValues = (op, left, right) => {
+  const isEquality = op === '=' || op === '!=';
+
+  const compareAtoms = (a, b) => {
+    if (!isEquality) {
+      const x = toNumberValue(a);
+      const y = toNumberValue(b);
+      return op === '<' ? x < y : op === '<=' ? x <= y : op === '>' ? x > y : x >= y;
+    }
+
+    let equal;
+
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+      equal = toBooleanValue(a) === toBooleanValue(b);
+    } else if (typeof a === 'number' || typeof b === 'number') {
+      equal = toNumberValue(a) === toNumberValue(b);
+    } else {
+      equal = toStringValue(a) === toStringValue(b);
+    }
+
+    return op === '=' ? equal : !equal;
+  };
+
+  if (Array.isArray(left) && Array.isArray(right)) {
+    const rightValues = right.map(getStringValue);
+    return left.some(node => rightValues.some(value => compareAtoms(getStringValue(node), value)));
+  }
+
+  if (Array.isArray(left) || Array.isArray(right)) {
+    const [nodes, other, swapped] = Array.isArray(left) ? [left, right, false] : [right, left, true];
+
+    if (typeof other === 'boolean') {
+      return swapped ? compareAtoms(other, toBooleanValue(nodes)) : compareAtoms(toBooleanValue(nodes), other);
+    }
+
+    return nodes.some(node => {
+      const value = typeof other === 'number' ? toNumberValue(getStringValue(node)) : getStringValue(node);
+      return swapped ? compareAtoms(other, value) : compareAtoms(value, other);
+    });
+  }
+
+  return compareAtoms(left, right);
+};
+
+/**
+ * Sort nodes into document order and drop duplicates
+ * @param {Array} nodes - DOM nodes
+ * @param {Map} orders - Document order per root, filled in as roots are seen
+ * @returns {Array} - Nodes in document order
+ */
+const sortNodes = (nodes, orders) => {
+  const unique = Array.from(new Set(nodes));
+
+  const orderOf = (node) => {
+    const root = getRoot(node);
+
+    if (!orders.has(root)) {
+      const order = new Map();
+      let position = 0;
+
+      [root, ...getDescendants(root)].forEach(current => {
+        order.set(current, position++);
+
+        // Attributes come after their element and before its children
+        const attributes = getAttributeNodes(current);
+        attributes.forEach((attribute, i) => order.set(attribute, position - 1 + (i + 1) / (attributes.length + 1)));
+      });
+
+      orders.set(root, { rank: orders.size, order });
+    }
+
+    const { rank, order } = orders.get(root);
+
+    if (node.type === 'attribute' && !order.has(node)) {
+      return [rank, order.get(node.parent)];
+    }
+
+    return [rank, order.get(node)];
+  };
+
+  const keys = new Map(unique.map(node => [node, orderOf(node)]));
+
+  return unique.sort((a, b) => {
+    const [rankA, positionA] = keys.get(a);
+    const [rankB, positionB] = keys.get(b);
+    return rankA - rankB || positionA - positionB;
+  });
+};
+
+const round = (value) => (Number.isFinite(value) ? Math.floor(value + 0.5) : value);
+
+// Core function library as name: [minimum arguments, maximum arguments, implementation]
+const FUNCTIONS = {
+  last: [0, 0, context => context.size],
+  position: [0, 0, context => context.position],
+  count: [1, 1, (context, nodes) => nodes.length, ['nodes']],
+  id: [1, 1, (context, value) => {
+    const ids = (Array.isArray(value) ? value.map(getStringValue).join(' ') : toStringValue(value))
+      .split(/\s+/).filter(Boolean);
+    const root = getRoot(context.node);
+
+    return getDescendants(root).filter(node => isElement(node) && ids.includes((node.attribs || {}).id));
+  }],
+  'local-name': [0, 1, (context, nodes = [context.node]) => (nodes.length ? (nodes[0].name || '').replace(/^.*:/, '') : ''), ['nodes']],
+  'namespace-uri': [0, 1, () => '', ['nodes']],
+  name: [0, 1, (context, nodes = [context.node]) => (nodes.length ? nodes[0].name || '' : '').replace(/^\?/, ''), ['nodes']],
+  string: [0, 1, (context, value = [context.node]) => toStringValue(value)],
+  concat: [2, Infinity, (context, ...values) => values.map(toStringValue).join('')],
+  'starts-with': [2, 2, (context, a, b) => toStringValue(a).startsWith(toStringValue(b))],
+  contains: [2, 2, (context, a, b) => toStringValue(a).includes(toStringValue(b))],
+  'substring-before': [2, 2, (context, a, b) => {
+    const text = toStringValue(a);
+    const position = text.indexOf(toStringValue(b));
+    return position === -1 ? '' : text.slice(0, position);
+  }],
+  'substring-after': [2, 2, (context, a, b) => {
+    const text = toStringValue(a);
+    const search = toStringValue(b);
+    const position = text.indexOf(search);
+    return position === -1 ? '' : text.slice(position + search.length);
+  }],
+  substring: [2, 3, (context, value, start, length) => {
+    const first = round(toNumberValue(start));
+    const end = length === undefined ? Infinity : first + round(toNumberValue(length));
+
+    // Positions count from 1, and NaN matches nothing
+    return Array.from(toStringValue(value)).filter((char, i) => i + 1 >= first && i + 1 < end).join('');
+  }],
+  'string-length': [0, 1, (context, value = [context.node]) => Array.from(toStringValue(value)).length],
+  'normalize-space': [0, 1, (context, value = [context.node]) => toStringValue(value).replace(/[\x20\t\r\n]+/g, ' ').trim()],
+  translate: [3, 3, (context, value, from, to) => {
+    const source = Array.from(toStringValue(from));
+    const target = Array.from(toStringValue(to));
+
+    return Array.from(toStringValue(value)).map(char => {
+      const position = source.indexOf(char);
+      return position === -1 ? char : target[position] || '';
+    }).join('');
+  }],
+  boolean: [1, 1, (context, value) => toBooleanValue(value)],
+  not: [1, 1, (context, value) => !toBooleanValue(value)],
+  true: [0, 0, () => true],
+  false: [0, 0, () => false],
+  lang: [1, 1, (context, value) => {
+    const wanted = toStringValue(value).toLowerCase();
+
+    for (let node = context.node; node; node = node.parent) {
+      const attribs = node.attribs || {};
+      const language = attribs['xml:lang'] !== undefined ? attribs['xml:lang'] : attribs.lang;
+
+      if (language !== undefined) {
+        const actual = language.toLowerCase();
+        return actual === wanted || actual.startsWith(`${wanted}-`);
+      }
+    }
+
+    return false;
+  }],
+  number: [0, 1, (context, value = [context.node]) => toNumberValue(value)],
+  sum: [1, 1, (context, nodes) => nodes.reduce((total, node) => total + toNumberValue(getStringValue(node)), 0), ['nodes']],
+  floor: [1, 1, (context, value) => Math.floor(toNumberValue(value))],
+  ceiling: [1, 1, (context, value) => Math.ceil(toNumberValue(value))],
+  round: [1, 1, (context, value) => round(toNumberValue(value))]
+};
+
+/**
+ * Evaluate a syntax tree
+ * @param {string} expression - The source expression, for error messages
+ * @param {Object} tree - Syntax tree from parse
+ * @param {Object} context - `{ node, position, size, variables, orders }`
+ * @returns {Array|string|number|boolean} - Node-set (in document order), string, number or boolean
+ */
+const evaluate = (expression, tree, context) => {
+  const run = (node, current = context) => evaluate(expression, node, current);
+
+  const filterByPredicates = (nodes, predicates) => predicates.reduce((remaining, predicate) => {
+    const size = remaining.length;
+
+    return remaining.filter((node, i) => {
+      const result = run(predicate, { ...context, node, position: i + 1, size });
+      return typeof result === 'number' ? result === i + 1 : toBooleanValue(result);
+    });
+  }, nodes);
+
+  const expectNodes = (value, what) => {
+    if (!Array.isArray(value)) {
+      throw new SelectorError(expression, `${what} needs a node-set`);
+    }
+
+    return value;
+  };
+
+  switch (tree.type) {
+    case 'or':
+      return toBooleanValue(run(tree.left)) || toBooleanValue(run(tree.right));
+    case 'and':
+      return toBooleanValue(run(tree.left)) && toBooleanValue(run(tree.right));
+    case 'compare':
+      return compareValues(tree.op, run(tree.left), run(tree.right));
+    case 'arithmetic': {
+      const left = toNumberValue(run(tree.left));
+      const right = toNumberValue(run(tree.right));
+
+      switch (tree.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case 'div': return left / right;
+        default: return left % right;
+      }
+    }
+    case 'negate':
+      return -toNumberValue(run(tree.operand));
+    case 'union':
+      return sortNodes([
+        ...expectNodes(run(tree.left), "'|'"),
+        ...expectNodes(run(tree.right), "'|'")
+      ], context.orders);
+    case 'literal':
+    case 'number':
+      return tree.value;
+    case 'variable': {
+      const variables = context.variables || {};
+
+      if (!Object.prototype.hasOwnProperty.call(variables, tree.name)) {
+        throw new SelectorError(expression, `Undefined variable $${tree.name}`);
+      }
+
+      return variables[tree.name];
+    }
+    case 'filter':
+      return filterByPredicates(expectNodes(run(tree.primary), 'A predicate'), tree.predicates);
+    case 'call': {
+      const definition = FUNCTIONS[tree.name];
+
+      if (!definition) {
+        throw new SelectorError(expression, `Unknown function ${tree.name}()`, tree.position);
+      }
+
+      const [min, max, implementation, types = []] = definition;
+
+      if (tree.args.length < min || tree.args.length > max) {
+        throw new SelectorError(expression, `Wrong number of arguments to ${tree.name}()`, tree.position);
+      }
+
+      const args = tree.args.map((arg, i) => {
+        const value = run(arg);
+        return types[i] === 'nodes' ? expectNodes(value, `${tree.name}()`) : value;
+      });
+
+      return implementation(context, ...args);
+    }
+    default: {
+      // A location path, optionally starting from a filter expression
+      let nodes;
+
+      if (tree.filter) {
+        nodes = expectNodes(run(tree.filter), "'/'");
+      } else {
+        nodes = [tree.absolute ? getRoot(context.node) : context.node];
+      }
+
+      tree.steps.forEach(step => {
+        const found = [];
+
+        nodes.forEach(node => {
+          const candidates = getAxisNodes(step.axis, node).filter(candidate => matchesTest(step.test, candidate));
+          found.push(...filterByPredicates(candidates, step.predicates));
+        });
+
+        // Predicates counted along the axis, nearest first; the step's result is in document order
+        nodes = sortNodes(found, context.orders);
+      });
+
+      return nodes;
+    }
+  }
+};
+
+/**
+ * Evaluate an XPath 1.0 expression
+ * @param {string} expression - XPath expression
+ * @param {Object} node - Context node, e.g. `$.root()[0]` or an element
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.variables - Values for `$name` variables
+ * @returns {Array|string|number|boolean} - Node-set in document order, or a string, number or boolean.
+ * Attribute nodes in a node-set are `{ type: 'attribute', name, value, parent }`
+ */
+export const evaluateXPath = (expression, node, options = {}) => {
+  const tree = parse(expression);
+  return evaluate(expression, tree, { node, position: 1, size: 1, variables: options.variables, orders: new Map() });
+};
+
+/**
+ * Check that an expression parses, without evaluating it
+ * @param {string} expression - XPath expression
+ * @throws {SelectorError} - When the expression is not valid XPath
+ */
+export const validateXPath = (expression) => {
+  parse(expression);
+};
+
+/**
+ * Turn an XPath result into a string, as the string() function does
+ * @param {Array|string|number|boolean} value - Result of evaluateXPath
+ * @returns {string} - String value
+ */
+export const xpathResultToString = (value) => toStringValue(value);